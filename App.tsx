@@ -5,6 +5,8 @@ import Header from './components/Header';
 import Dashboard from './components/Dashboard';
 import SpectatorDashboard from './components/SpectatorDashboard';
 import ConfigurationWarning from './components/ConfigurationWarning';
+import Modal from './components/Modal';
+import KillSwitchReport from './components/KillSwitchReport';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import { ConfigurationProvider } from './context/ConfigurationContext';
 import { LoginPage } from './pages/LoginPage';
@@ -15,8 +17,11 @@ import { SettingsPage } from './pages/config/SettingsPage';
 import { CredentialsPage } from './pages/config/CredentialsPage';
 import { AnalyticsPage } from './pages/analytics/AnalyticsPage';
 import { BotDeepDivePage } from './pages/analytics/BotDeepDivePage';
-import { AppMode } from './types';
+import { ExperimentsPage } from './pages/analytics/ExperimentsPage';
+import { AppMode, EngineStatus, KillSwitchReport as KillSwitchReportData } from './types';
 import { isAppConfigured } from './config';
+import { getEngineStatus, setTradingPaused, engageKillSwitch, releaseKillSwitch } from './services/engineService';
+import { subscribeToStateChanges } from './services/stateService';
 
 // Navigation Component
 const Navigation: React.FC = () => {
@@ -78,25 +83,79 @@ const Navigation: React.FC = () => {
 
 // Main App Layout
 const AppLayout: React.FC<{ children: React.ReactNode }> = ({ children }) => {
-  const [mode, setMode] = useState<AppMode>('spectator');
-  const [isPaused, setIsPaused] = useState(false);
-  const [isBroadcasting, setIsBroadcasting] = useState(false);
+  // Default to broadcast mode for self-hosted instances
+  const [mode, setMode] = useState<AppMode>('broadcast');
+  const [engineStatus, setEngineStatus] = useState<EngineStatus | null>(null);
+  const [killSwitchReport, setKillSwitchReport] = useState<KillSwitchReportData | null>(null);
+  const { user } = useAuth();
 
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
-    if (params.get('mode') === 'broadcast') {
-      setMode('broadcast');
+    if (params.get('mode') === 'spectator') {
+      setMode('spectator');
     }
   }, []);
 
+  // Follow the server-side trading engine's status
+  useEffect(() => {
+    getEngineStatus()
+      .then(setEngineStatus)
+      .catch(error => console.warn('Trading engine status unavailable:', error));
+
+    return subscribeToStateChanges((state) => {
+      if (state.engine) setEngineStatus(state.engine);
+    });
+  }, []);
+
+  const handleTogglePause = async () => {
+    if (!engineStatus) return;
+    try {
+      setEngineStatus(await setTradingPaused(!engineStatus.isPaused));
+    } catch (error) {
+      console.error('Failed to toggle trading pause:', error);
+      alert(`Failed to update trading: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  };
+
+  const handleKillSwitch = async () => {
+    const confirmed = window.confirm(
+      'KILL SWITCH: halt the trading engine, cancel every open order and market-close every live position on every wallet?\n\nThis cannot be undone.'
+    );
+    if (!confirmed) return;
+    try {
+      const report = await engageKillSwitch();
+      setEngineStatus(report.status);
+      setKillSwitchReport(report);
+    } catch (error) {
+      console.error('Failed to engage kill switch:', error);
+      alert(`Kill switch failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  };
+
+  const handleReleaseKillSwitch = async () => {
+    if (!window.confirm('Release the kill switch and resume trading for all bots?')) return;
+    try {
+      setEngineStatus(await releaseKillSwitch());
+    } catch (error) {
+      console.error('Failed to release kill switch:', error);
+      alert(`Failed to release kill switch: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  };
+
   return (
     <div className="bg-gray-900 text-gray-100 min-h-screen font-sans">
       <Header 
-        isPaused={isPaused} 
-        onTogglePause={() => setIsPaused(!isPaused)} 
+        isPaused={engineStatus?.isPaused ?? false} 
+        onTogglePause={handleTogglePause} 
         mode={mode}
-        isBroadcasting={isBroadcasting}
+        isBroadcasting={engineStatus?.isRunning ?? false}
+        isKillSwitchEngaged={Boolean(engineStatus?.killSwitchEngagedAt)}
+        onKillSwitch={user?.role === 'admin' ? handleKillSwitch : undefined}
+        onReleaseKillSwitch={user?.role === 'admin' ? handleReleaseKillSwitch : undefined}
       />
+      <Modal isOpen={killSwitchReport !== null} onClose={() => setKillSwitchReport(null)}>
+        {killSwitchReport && <KillSwitchReport report={killSwitchReport} />}
+      </Modal>
       <Navigation />
       <main className="container mx-auto p-4 sm:p-6 lg:p-8">
         {children}
@@ -109,8 +168,6 @@ const AppLayout: React.FC<{ children: React.ReactNode }> = ({ children }) => {
 const DashboardRoutes: React.FC = () => {
   // Default to broadcast mode for self-hosted instances
   const [mode, setMode] = useState<AppMode>('broadcast');
-  const [isPaused, setIsPaused] = useState(false);
-  const [isBroadcasting, setIsBroadcasting] = useState(false);
 
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
@@ -120,13 +177,9 @@ const DashboardRoutes: React.FC = () => {
     }
   }, []);
 
-  const handleBroadcastingChange = (isB: boolean) => {
-    setIsBroadcasting(isB);
-  };
-
   // For self-hosted instances, no additional password gate needed (already JWT authenticated)
   if (mode === 'broadcast') {
-    return <Dashboard isPaused={isPaused} onBroadcastingChange={handleBroadcastingChange} />;
+    return <Dashboard />;
   }
   
   return <SpectatorDashboard />;
@@ -169,6 +222,11 @@ const AuthenticatedApp: React.FC = () => {
             <BotDeepDivePage />
           </AppLayout>
         } />
+        <Route path="/analytics/experiments" element={
+          <AppLayout>
+            <ExperimentsPage />
+          </AppLayout>
+        } />
 
         {/* Configuration Routes */}
         <Route path="/config/bots" element={
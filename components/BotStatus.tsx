@@ -54,8 +54,12 @@ const LiveLog: React.FC<LiveLogProps> = ({ botLogs, isLoading }) => {
                  <div className="flex justify-between items-center mb-3">
                     <h3 className="text-sm font-semibold text-indigo-400">
                         Decision Cycle
+                        {log.fallbackProvider && <span className="ml-2 text-xs font-normal text-yellow-400">via {log.fallbackProvider} (fallback)</span>}
                     </h3>
-                    <span className="text-xs text-gray-500">{new Date(log.timestamp).toLocaleTimeString()}</span>
+                    <span className="text-xs text-gray-500" title={log.snapshotId ? `Market snapshot ${log.snapshotId}` : undefined}>
+                        {new Date(log.timestamp).toLocaleTimeString()}
+                        {log.snapshotId && <span className="ml-2 font-mono text-gray-600">{log.snapshotId}</span>}
+                    </span>
                  </div>
 
                 {log.notes && log.notes.length > 0 && (
@@ -69,6 +73,32 @@ const LiveLog: React.FC<LiveLogProps> = ({ botLogs, isLoading }) => {
                     </div>
                 )}
 
+                {log.toolCalls && log.toolCalls.length > 0 && (
+                    <div className="mb-3 text-xs text-gray-400">
+                        <p className="font-semibold text-gray-300 mb-1">Tools used</p>
+                        {log.toolCalls.map((call, callIndex) => (
+                            <p key={callIndex} className={call.error ? 'text-red-400' : ''}>
+                                {call.member && `${call.member}: `}{call.name}({Object.values(call.arguments).join(', ')}) · {call.latencyMs}ms{call.error && ` · ${call.error}`}
+                            </p>
+                        ))}
+                    </div>
+                )}
+
+                {log.ensemble && (
+                    <div className="mb-3 text-xs text-gray-400">
+                        <p className="font-semibold text-gray-300 mb-1">Committee ({log.ensemble.aggregation === 'judge' ? 'judged' : 'majority vote'})</p>
+                        {log.ensemble.members.map((member, memberIndex) => (
+                            <p key={memberIndex} className={member.error ? 'text-red-400' : ''}>
+                                {member.name}: {member.error
+                                    ? member.error
+                                    : member.decisions.length === 0
+                                        ? 'HOLD'
+                                        : member.decisions.map(d => `${d.action} ${d.symbol || d.closePositionId?.slice(0, 8)}${d.leverage ? ` ${d.leverage}x` : ''}`).join(', ')}
+                            </p>
+                        ))}
+                    </div>
+                )}
+
                 {!hasDecisions && (!log.notes || log.notes.length === 0) ? (
                      <div className="border-t border-gray-700 pt-3">
                         <p className="font-bold text-white">HOLD</p>
@@ -25,9 +25,14 @@ interface HeaderProps {
     onTogglePause: () => void;
     mode: AppMode;
     isBroadcasting: boolean;
+    isKillSwitchEngaged: boolean;
+    /** Only passed for admins */
+    onKillSwitch?: () => void;
+    /** Only passed for admins */
+    onReleaseKillSwitch?: () => void;
 }
 
-const Header: React.FC<HeaderProps> = ({ isPaused, onTogglePause, mode, isBroadcasting }) => {
+const Header: React.FC<HeaderProps> = ({ isPaused, onTogglePause, mode, isBroadcasting, isKillSwitchEngaged, onKillSwitch, onReleaseKillSwitch }) => {
   return (
     <header className="bg-gray-900/80 backdrop-blur-sm border-b border-gray-700 sticky top-0 z-10">
       <div className="container mx-auto px-4 sm:px-6 lg:px-8">
@@ -53,21 +58,42 @@ const Header: React.FC<HeaderProps> = ({ isPaused, onTogglePause, mode, isBroadc
                 <div className="flex items-center space-x-2">
                     <div className={`w-3 h-3 rounded-full ${isPaused ? 'bg-yellow-400' : 'bg-red-500 animate-pulse'}`}></div>
                     <span className={`text-sm font-medium ${isPaused ? 'text-yellow-300' : 'text-red-400'}`}>
-                        {isPaused ? 'PAUSED' : 'LIVE'}
+                        {isKillSwitchEngaged ? 'HALTED' : isPaused ? 'PAUSED' : 'LIVE'}
                     </span>
                 </div>
-                <button
-                    onClick={onTogglePause}
-                    className={`flex items-center space-x-2 px-4 py-2 text-sm font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-900 transition-colors ${
-                    isPaused
-                        ? 'bg-green-500 hover:bg-green-600 text-white focus:ring-green-400'
-                        : 'bg-yellow-500 hover:bg-yellow-600 text-white focus:ring-yellow-400'
-                    }`}
-                    aria-live="polite"
-                >
-                    {isPaused ? <PlayIcon /> : <PauseIcon />}
-                    <span>{isPaused ? 'Resume Bots' : 'Pause Bots'}</span>
-                </button>
+                {isKillSwitchEngaged ? (
+                  <button
+                      onClick={onReleaseKillSwitch}
+                      disabled={!onReleaseKillSwitch}
+                      className="flex items-center space-x-2 px-4 py-2 text-sm font-medium rounded-md bg-green-500 hover:bg-green-600 text-white focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-900 focus:ring-green-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      title={onReleaseKillSwitch ? 'Release the kill switch and resume trading' : 'Halted by the kill switch; only an admin can release it'}
+                  >
+                      <PlayIcon />
+                      <span>Release Kill Switch</span>
+                  </button>
+                ) : (
+                  <button
+                      onClick={onTogglePause}
+                      className={`flex items-center space-x-2 px-4 py-2 text-sm font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-900 transition-colors ${
+                      isPaused
+                          ? 'bg-green-500 hover:bg-green-600 text-white focus:ring-green-400'
+                          : 'bg-yellow-500 hover:bg-yellow-600 text-white focus:ring-yellow-400'
+                      }`}
+                      aria-live="polite"
+                  >
+                      {isPaused ? <PlayIcon /> : <PauseIcon />}
+                      <span>{isPaused ? 'Resume Bots' : 'Pause Bots'}</span>
+                  </button>
+                )}
+                {onKillSwitch && (
+                  <button
+                      onClick={onKillSwitch}
+                      className="px-4 py-2 text-sm font-bold rounded-md bg-red-700 hover:bg-red-800 text-white border border-red-400 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-900 focus:ring-red-400 transition-colors"
+                      title="Halt the trading engine, cancel all orders and market-close every live position on every account"
+                  >
+                      KILL SWITCH
+                  </button>
+                )}
               </>
             )}
           </div>
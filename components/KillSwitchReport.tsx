@@ -0,0 +1,76 @@
+// components/KillSwitchReport.tsx
+import React from 'react';
+import type { KillSwitchReport as KillSwitchReportData } from '../types';
+
+interface KillSwitchReportProps {
+  report: KillSwitchReportData;
+}
+
+const ResultBadge: React.FC<{ success: boolean }> = ({ success }) => (
+  <span className={`text-xs font-semibold px-2 py-0.5 rounded ${success ? 'bg-green-900/50 text-green-300' : 'bg-red-900/50 text-red-300'}`}>
+    {success ? 'OK' : 'FAILED'}
+  </span>
+);
+
+/**
+ * What the kill switch cancelled and closed, account by account
+ */
+const KillSwitchReport: React.FC<KillSwitchReportProps> = ({ report }) => {
+  return (
+    <div className="p-6 space-y-4">
+      <div>
+        <h2 className="text-2xl font-bold text-white">Kill Switch Report</h2>
+        <p className="text-sm text-gray-400 mt-1">
+          Engaged {new Date(report.engagedAt).toLocaleString()}. Trading is halted until an admin releases the kill switch.
+        </p>
+      </div>
+
+      <div className={`rounded-lg border p-4 ${report.success ? 'border-green-600 bg-green-900/20 text-green-300' : 'border-red-600 bg-red-900/20 text-red-300'}`}>
+        {report.success
+          ? `Flattened ${report.accountCount} account(s): ${report.positionsClosed} position(s) closed, orders cancelled on ${report.orderSymbolsCancelled} symbol(s).`
+          : `${report.failures} action(s) failed. Check the accounts below and close what is left on the exchange.`}
+      </div>
+
+      {report.accounts.length === 0 && (
+        <p className="text-gray-400">No live accounts to flatten.</p>
+      )}
+
+      {report.accounts.map(account => (
+        <div key={`${account.botId}-${account.exchange}`} className="bg-gray-900/60 border border-gray-700 rounded-lg p-4 space-y-2">
+          <div className="font-semibold text-gray-100">
+            {account.botName}
+            <span className="text-gray-500 text-sm font-normal ml-2">
+              {account.exchange} {account.walletId !== null ? `wallet #${account.walletId}` : 'environment credentials'}
+            </span>
+          </div>
+
+          {account.errors.map((error, i) => (
+            <div key={i} className="text-sm text-red-300">Account error: {error}</div>
+          ))}
+
+          {account.cancelledOrders.map(order => (
+            <div key={`orders-${order.symbol}`} className="flex items-center gap-3 text-sm text-gray-300">
+              <ResultBadge success={order.success} />
+              <span>Cancel {order.orderCount} order(s) on {order.symbol}</span>
+              {order.error && <span className="text-red-300">{order.error}</span>}
+            </div>
+          ))}
+
+          {account.closedPositions.map(position => (
+            <div key={`position-${position.symbol}`} className="flex items-center gap-3 text-sm text-gray-300">
+              <ResultBadge success={position.success} />
+              <span>Close {position.type} {position.symbol} ({position.quantity})</span>
+              {position.error && <span className="text-red-300">{position.error}</span>}
+            </div>
+          ))}
+
+          {account.errors.length === 0 && account.cancelledOrders.length === 0 && account.closedPositions.length === 0 && (
+            <div className="text-sm text-gray-500">Nothing open.</div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default KillSwitchReport;
@@ -0,0 +1,161 @@
+/**
+ * Prompt Version History
+ *
+ * A bot's saved prompt versions with a side-by-side diff between any two of
+ * them and one-click rollback. Rollback saves the old prompt as a new version.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { SelectDropdown, SelectOption } from './forms/SelectDropdown';
+import { getPromptVersions, rollbackPromptVersion } from '../services/promptService';
+import type { PromptVersion } from '../types';
+
+interface PromptVersionHistoryProps {
+  botId: string;
+  currentVersion?: number | null;
+  onRolledBack: () => void;
+}
+
+const formatDate = (value: string) => new Date(value).toLocaleString();
+
+export const PromptVersionHistory: React.FC<PromptVersionHistoryProps> = ({ botId, currentVersion, onRolledBack }) => {
+  const [versions, setVersions] = useState<PromptVersion[]>([]);
+  const [selected, setSelected] = useState<number | null>(null);
+  const [compareTo, setCompareTo] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [rollingBack, setRollingBack] = useState(false);
+
+  const loadVersions = useCallback(async () => {
+    try {
+      const list = await getPromptVersions(botId);
+      setVersions(list);
+      // Default to the change that produced the current prompt
+      const current = list.find(v => v.version === currentVersion) || list[0];
+      const previous = list.find(v => current && v.version < current.version);
+      setSelected(previous?.version ?? current?.version ?? null);
+      setCompareTo(current?.version ?? null);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch prompt versions:', err);
+      setError(err instanceof Error ? err.message : 'Failed to fetch prompt versions');
+    }
+  }, [botId, currentVersion]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  const selectedVersion = versions.find(v => v.version === selected);
+  const compareVersion = versions.find(v => v.version === compareTo);
+  const currentPrompt = versions.find(v => v.version === currentVersion)?.prompt;
+
+  const handleRollback = async () => {
+    if (!selectedVersion) return;
+    const confirmed = window.confirm(
+      `Restore the prompt of version ${selectedVersion.version}? It is saved as a new version and unsaved prompt edits are lost.`
+    );
+    if (!confirmed) return;
+
+    try {
+      setRollingBack(true);
+      await rollbackPromptVersion(botId, selectedVersion.version);
+      onRolledBack();
+    } catch (err) {
+      console.error('Failed to roll back prompt:', err);
+      alert(err instanceof Error ? err.message : 'Failed to roll back prompt');
+    } finally {
+      setRollingBack(false);
+    }
+  };
+
+  const versionOptions: SelectOption[] = versions.map(v => ({
+    value: v.version,
+    label: `v${v.version} · ${formatDate(v.created_at)}${v.version === currentVersion ? ' (current)' : ''}`,
+  }));
+
+  if (error) {
+    return <div className="text-sm text-red-400">{error}</div>;
+  }
+
+  if (versions.length === 0) {
+    return <div className="text-sm text-gray-500">No prompt versions saved yet.</div>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div className="lg:col-span-1 max-h-80 overflow-y-auto border border-gray-700 rounded-lg divide-y divide-gray-700">
+          {versions.map(v => (
+            <button
+              key={v.version}
+              type="button"
+              onClick={() => setSelected(v.version)}
+              className={`w-full text-left px-3 py-2 transition-colors ${
+                v.version === selected ? 'bg-gray-700' : 'hover:bg-gray-700/50'
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-100">Version {v.version}</span>
+                {v.version === currentVersion && (
+                  <span className="px-2 py-0.5 rounded text-xs font-medium bg-green-500/20 text-green-400">Current</span>
+                )}
+              </div>
+              <div className="text-xs text-gray-400">
+                {formatDate(v.created_at)}{v.author_name ? ` by ${v.author_name}` : ''}
+              </div>
+              {v.note && <div className="text-xs text-gray-500 truncate">{v.note}</div>}
+            </button>
+          ))}
+        </div>
+
+        <div className="lg:col-span-2 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <SelectDropdown
+              label="Version"
+              value={selected ?? ''}
+              onChange={(value) => setSelected(parseInt(value))}
+              options={versionOptions}
+            />
+            <SelectDropdown
+              label="Compare with"
+              value={compareTo ?? ''}
+              onChange={(value) => setCompareTo(parseInt(value))}
+              options={versionOptions}
+            />
+          </div>
+          <div className="border border-gray-700 rounded-lg overflow-hidden">
+            <DiffEditor
+              height="320px"
+              language="markdown"
+              theme="vs-dark"
+              original={selectedVersion?.prompt || ''}
+              modified={compareVersion?.prompt || ''}
+              options={{
+                readOnly: true,
+                renderSideBySide: true,
+                wordWrap: 'on',
+                minimap: { enabled: false },
+                scrollBeyondLastLine: false,
+                automaticLayout: true,
+              }}
+            />
+          </div>
+          <div className="flex items-center justify-between">
+            <span className="text-xs text-gray-500">
+              Left: version {selected}. Right: version {compareTo}.
+            </span>
+            <button
+              type="button"
+              onClick={handleRollback}
+              disabled={rollingBack || !selectedVersion || selectedVersion.prompt === currentPrompt}
+              className="px-4 py-2 bg-yellow-600 hover:bg-yellow-500 disabled:bg-gray-700 disabled:text-gray-500 text-white rounded-lg text-sm font-medium transition-colors"
+            >
+              {rollingBack ? 'Rolling back...' : `Roll back to version ${selected}`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -1,7 +1,6 @@
 // components/SpectatorDashboard.tsx
 import React, { useState, useEffect } from 'react';
-// Fix: Imported Market type to define the component's state accurately.
-import { ArenaState, BotState, ModalContentType, Market } from '../types';
+import { ArenaState, BotState, ModalContentType } from '../types';
 import { subscribeToStateChanges } from '../services/stateService';
 import MarketPrices from './MarketPrices';
 import PerformanceChart from './PerformanceChart';
@@ -14,30 +13,18 @@ import BotStatus from './BotStatus';
 import InfoPane from './InfoPane';
 import { LIVE_BOT_INITIAL_BALANCE, PAPER_BOT_INITIAL_BALANCE } from '../constants';
 
-// Fix: Defined a local state type to accurately represent the hydrated data used for rendering.
-// The network sends SerializableBotState, but components require the full BotState.
-interface SpectatorDisplayState {
-  bots: BotState[];
-  marketData: Market[];
-}
-
 const SpectatorDashboard: React.FC = () => {
-  // Fix: Used the correct local state type which contains the fully-typed BotState objects.
-  const [arenaState, setArenaState] = useState<SpectatorDisplayState | null>(null);
+  const [arenaState, setArenaState] = useState<ArenaState | null>(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [selectedBot, setSelectedBot] = useState<BotState | null>(null);
   const [modalContent, setModalContent] = useState<ModalContentType | null>(null);
 
   useEffect(() => {
     const handleStateChange = (newState: ArenaState) => {
-      // Fix: Correctly transform the serializable bot data from the network into the full
-      // BotState required by components. A dummy 'getDecision' function is added to satisfy
-      // the type, which is safe because it is never called in spectator mode. This resolves the type mismatch errors.
-      const hydratedState: SpectatorDisplayState = {
+      const hydratedState: ArenaState = {
         bots: (newState.bots || []).map((bot) => ({
           ...bot,
           symbolCooldowns: bot.symbolCooldowns || {},
-          getDecision: async () => ({ prompt: '', decisions: [] }),
         })),
         marketData: newState.marketData || [],
       };
@@ -0,0 +1,420 @@
+// components/analytics/BacktestPanel.tsx
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { StatCard } from './StatCard';
+import { TimeSeriesChart } from '../charts/TimeSeriesChart';
+import { SelectDropdown } from '../forms/SelectDropdown';
+import { TextInput } from '../forms/TextInput';
+import {
+  getBacktests,
+  getBacktest,
+  startBacktest,
+  cancelBacktest,
+  deleteBacktest,
+  getKlineDatasets,
+  importKlines,
+} from '../../services/backtestService';
+import type { BacktestRun, BacktestDetail, KlineDataset } from '../../types';
+
+const POLL_INTERVAL_MS = 3000;
+
+const KLINE_INTERVALS = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d'];
+
+const STATUS_STYLES: Record<BacktestRun['status'], string> = {
+  pending: 'bg-gray-500/20 text-gray-300',
+  running: 'bg-blue-500/20 text-blue-400',
+  completed: 'bg-green-500/20 text-green-400',
+  failed: 'bg-red-500/20 text-red-400',
+  cancelled: 'bg-yellow-500/20 text-yellow-400',
+};
+
+/**
+ * Format a Date for a datetime-local input (local time, minute precision)
+ */
+const toLocalInputValue = (date: Date): string => {
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+const isActive = (run: BacktestRun) => run.status === 'pending' || run.status === 'running';
+
+interface BacktestPanelProps {
+  botId: string;
+}
+
+/**
+ * Historical backtests for one bot: start runs, import candles and review results
+ */
+export const BacktestPanel: React.FC<BacktestPanelProps> = ({ botId }) => {
+  const [runs, setRuns] = useState<BacktestRun[]>([]);
+  const [selected, setSelected] = useState<BacktestDetail | null>(null);
+  const [datasets, setDatasets] = useState<KlineDataset[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Run form
+  const [priceSource, setPriceSource] = useState<'market_data' | 'klines'>('market_data');
+  const [klineInterval, setKlineInterval] = useState('1h');
+  const [decisionSource, setDecisionSource] = useState<'provider' | 'recorded'>('provider');
+  const [startTime, setStartTime] = useState(() => toLocalInputValue(new Date(Date.now() - 24 * 60 * 60 * 1000)));
+  const [endTime, setEndTime] = useState(() => toLocalInputValue(new Date()));
+  const [turnMinutes, setTurnMinutes] = useState('5');
+  const [initialBalance, setInitialBalance] = useState('10000');
+  const [maxTurns, setMaxTurns] = useState('100');
+
+  // Candle import form
+  const [importSymbol, setImportSymbol] = useState('BTCUSDT');
+  const [importInterval, setImportInterval] = useState('1h');
+  const [importFile, setImportFile] = useState<File | null>(null);
+
+  const loadRuns = useCallback(async () => {
+    try {
+      setRuns(await getBacktests(botId));
+    } catch (err) {
+      console.error('Failed to fetch backtests:', err);
+    }
+  }, [botId]);
+
+  const selectRun = async (runId: string) => {
+    try {
+      setSelected(await getBacktest(runId));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load backtest');
+    }
+  };
+
+  useEffect(() => {
+    loadRuns();
+    getKlineDatasets().then(setDatasets).catch(err => console.error('Failed to fetch kline datasets:', err));
+  }, [loadRuns]);
+
+  // Poll while any run is still in progress
+  const hasActiveRun = runs.some(isActive);
+  useEffect(() => {
+    if (!hasActiveRun) return;
+    const timer = setInterval(async () => {
+      await loadRuns();
+      if (selected && isActive(selected)) {
+        selectRun(selected.id);
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasActiveRun, loadRuns, selected]);
+
+  const handleStart = async () => {
+    setError(null);
+    setSubmitting(true);
+    try {
+      const run = await startBacktest({
+        bot_id: botId,
+        price_source: priceSource,
+        kline_interval: priceSource === 'klines' ? klineInterval : undefined,
+        decision_source: decisionSource,
+        start_time: new Date(startTime).toISOString(),
+        end_time: new Date(endTime).toISOString(),
+        turn_interval_ms: Math.round(parseFloat(turnMinutes) * 60000),
+        initial_balance: parseFloat(initialBalance),
+        max_turns: parseInt(maxTurns),
+      });
+      await loadRuns();
+      await selectRun(run.id);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to start backtest');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (runId: string) => {
+    try {
+      await cancelBacktest(runId);
+      await loadRuns();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to cancel backtest');
+    }
+  };
+
+  const handleDelete = async (runId: string) => {
+    if (!confirm('Delete this backtest and its results?')) return;
+    try {
+      await deleteBacktest(runId);
+      if (selected?.id === runId) setSelected(null);
+      await loadRuns();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete backtest');
+    }
+  };
+
+  const handleImport = async () => {
+    if (!importFile) return;
+    setError(null);
+    try {
+      await importKlines(importSymbol.trim().toUpperCase(), importInterval, await importFile.text());
+      setImportFile(null);
+      setDatasets(await getKlineDatasets());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to import candles');
+    }
+  };
+
+  const equitySeries = useMemo(() => selected ? [{
+    name: 'Backtest Value',
+    data: selected.equity.map(point => ({ time: Date.parse(point.timestamp), value: point.total_value })),
+    color: '#10b981',
+  }] : [], [selected]);
+
+  const intervalOptions = KLINE_INTERVALS.map(interval => ({ value: interval, label: interval }));
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 space-y-6">
+      <div>
+        <h2 className="text-xl font-semibold text-white">Backtests</h2>
+        <p className="text-sm text-gray-400">
+          Replay this bot's prompt against historical prices. Results are kept separate from live trading history.
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-900/50 border border-red-500 text-red-300 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {/* New run */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        <SelectDropdown
+          label="Price Source"
+          value={priceSource}
+          onChange={(value) => setPriceSource(value as 'market_data' | 'klines')}
+          options={[
+            { value: 'market_data', label: 'Recorded market ticks' },
+            { value: 'klines', label: 'Imported candles' },
+          ]}
+        />
+        {priceSource === 'klines' && (
+          <SelectDropdown
+            label="Candle Interval"
+            value={klineInterval}
+            onChange={setKlineInterval}
+            options={intervalOptions}
+          />
+        )}
+        <SelectDropdown
+          label="Decisions"
+          value={decisionSource}
+          onChange={(value) => setDecisionSource(value as 'provider' | 'recorded')}
+          options={[
+            { value: 'provider', label: 'Ask the AI provider' },
+            { value: 'recorded', label: 'Replay recorded responses' },
+          ]}
+          helperText={decisionSource === 'provider'
+            ? 'Each turn is a real (billed) provider call'
+            : "Replays the bot's recorded provider responses through parsing, validation and execution; no provider is called"}
+        />
+        <TextInput label="Start" type="datetime-local" value={startTime} onChange={setStartTime} required />
+        <TextInput label="End" type="datetime-local" value={endTime} onChange={setEndTime} required />
+        <TextInput label="Turn Interval (minutes)" type="number" value={turnMinutes} onChange={setTurnMinutes} />
+        <TextInput label="Initial Balance ($)" type="number" value={initialBalance} onChange={setInitialBalance} />
+        <TextInput label="Max Turns" type="number" value={maxTurns} onChange={setMaxTurns} />
+      </div>
+      <button
+        onClick={handleStart}
+        disabled={submitting || hasActiveRun}
+        className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed text-white font-medium rounded-lg transition-colors"
+      >
+        {hasActiveRun ? 'Backtest Running...' : submitting ? 'Starting...' : 'Run Backtest'}
+      </button>
+
+      {/* Candle import */}
+      {priceSource === 'klines' && (
+        <div className="border border-gray-700 rounded-lg p-4 space-y-4">
+          <h3 className="text-sm font-medium text-gray-300">Imported Candles</h3>
+          {datasets.length === 0 ? (
+            <p className="text-sm text-gray-400">No candles imported yet.</p>
+          ) : (
+            <ul className="text-sm text-gray-300 space-y-1">
+              {datasets.map(d => (
+                <li key={`${d.symbol}-${d.interval}`}>
+                  {d.symbol} {d.interval}: {d.count} candles,{' '}
+                  {new Date(d.first_open_time).toLocaleString()} – {new Date(d.last_close_time).toLocaleString()}
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <TextInput label="Symbol" value={importSymbol} onChange={setImportSymbol} />
+            <SelectDropdown label="Interval" value={importInterval} onChange={setImportInterval} options={intervalOptions} />
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={(e) => setImportFile(e.target.files?.[0] || null)}
+              className="text-sm text-gray-300"
+            />
+            <button
+              onClick={handleImport}
+              disabled={!importFile}
+              className="px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white font-medium rounded-lg transition-colors"
+            >
+              Import CSV
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Runs */}
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead>
+            <tr className="text-left text-sm text-gray-400 border-b border-gray-700">
+              <th className="pb-3 font-medium">Period</th>
+              <th className="pb-3 font-medium">Source</th>
+              <th className="pb-3 font-medium">Status</th>
+              <th className="pb-3 font-medium">Turns</th>
+              <th className="pb-3 font-medium">Return</th>
+              <th className="pb-3 font-medium">Trades</th>
+              <th className="pb-3 font-medium"></th>
+            </tr>
+          </thead>
+          <tbody className="text-sm">
+            {runs.length === 0 ? (
+              <tr>
+                <td colSpan={7} className="py-8 text-center text-gray-400">
+                  No backtests yet
+                </td>
+              </tr>
+            ) : (
+              runs.map((run) => (
+                <tr
+                  key={run.id}
+                  onClick={() => selectRun(run.id)}
+                  className={`border-b border-gray-700 hover:bg-gray-700/50 cursor-pointer ${selected?.id === run.id ? 'bg-gray-700/50' : ''}`}
+                >
+                  <td className="py-3 text-gray-300">
+                    {new Date(run.start_time).toLocaleString()} – {new Date(run.end_time).toLocaleString()}
+                  </td>
+                  <td className="py-3 text-gray-300">
+                    {run.price_source === 'klines' ? `Candles ${run.kline_interval}` : 'Ticks'} · {run.decision_source}
+                  </td>
+                  <td className="py-3">
+                    <span className={`px-2 py-1 rounded text-xs font-medium ${STATUS_STYLES[run.status]}`}>
+                      {run.status}
+                    </span>
+                  </td>
+                  <td className="py-3 text-gray-300">{run.turns_completed}/{run.max_turns}</td>
+                  <td className={`py-3 font-medium ${(run.return_pct ?? 0) >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                    {run.return_pct !== null ? `${run.return_pct.toFixed(2)}%` : '-'}
+                  </td>
+                  <td className="py-3 text-gray-300">{run.trade_count ?? '-'}</td>
+                  <td className="py-3 text-right">
+                    {isActive(run) ? (
+                      <button
+                        onClick={(e) => { e.stopPropagation(); handleCancel(run.id); }}
+                        className="text-yellow-400 hover:text-yellow-300"
+                      >
+                        Cancel
+                      </button>
+                    ) : (
+                      <button
+                        onClick={(e) => { e.stopPropagation(); handleDelete(run.id); }}
+                        className="text-red-400 hover:text-red-300"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Selected run */}
+      {selected && (
+        <div className="space-y-6">
+          {selected.error && (
+            <div className="bg-red-900/50 border border-red-500 text-red-300 px-4 py-3 rounded-lg text-sm">
+              {selected.error}
+            </div>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+            <StatCard
+              title="Final Value"
+              value={selected.final_value !== null ? `$${selected.final_value.toFixed(2)}` : '-'}
+              change={selected.return_pct ?? undefined}
+              valueColor={(selected.total_pnl ?? 0) >= 0 ? 'text-green-400' : 'text-red-400'}
+            />
+            <StatCard
+              title="Win Rate"
+              value={selected.win_rate !== null ? `${selected.win_rate.toFixed(1)}%` : '-'}
+            />
+            <StatCard
+              title="Max Drawdown"
+              value={selected.max_drawdown !== null ? `${selected.max_drawdown.toFixed(2)}%` : '-'}
+              valueColor="text-yellow-400"
+            />
+            <StatCard
+              title="Fees Paid"
+              value={selected.total_fees !== null ? `$${selected.total_fees.toFixed(2)}` : '-'}
+            />
+          </div>
+
+          {selected.equity.length > 0 && (
+            <TimeSeriesChart
+              title="Backtest Portfolio Value"
+              series={equitySeries}
+              height={250}
+              valueFormatter={(val) => `$${val.toFixed(2)}`}
+            />
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-sm text-gray-400 border-b border-gray-700">
+                  <th className="pb-3 font-medium">Time</th>
+                  <th className="pb-3 font-medium">Symbol</th>
+                  <th className="pb-3 font-medium">Action</th>
+                  <th className="pb-3 font-medium">Entry</th>
+                  <th className="pb-3 font-medium">Exit</th>
+                  <th className="pb-3 font-medium">Size</th>
+                  <th className="pb-3 font-medium">P&L</th>
+                </tr>
+              </thead>
+              <tbody className="text-sm">
+                {selected.trades.length === 0 ? (
+                  <tr>
+                    <td colSpan={7} className="py-8 text-center text-gray-400">
+                      No simulated trades
+                    </td>
+                  </tr>
+                ) : (
+                  selected.trades.map((trade) => (
+                    <tr key={trade.id} className="border-b border-gray-700">
+                      <td className="py-3 text-gray-400">{new Date(trade.executed_at).toLocaleString()}</td>
+                      <td className="py-3 font-medium text-white">{trade.symbol}</td>
+                      <td className="py-3">
+                        <span className={`px-2 py-1 rounded text-xs font-medium ${
+                          trade.trade_type === 'LONG' ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'
+                        }`}>
+                          {trade.action} {trade.trade_type}
+                        </span>
+                      </td>
+                      <td className="py-3 text-gray-300">${trade.entry_price.toFixed(2)}</td>
+                      <td className="py-3 text-gray-300">
+                        {trade.exit_price ? `$${trade.exit_price.toFixed(2)}` : '-'}
+                      </td>
+                      <td className="py-3 text-gray-300">${trade.size.toFixed(2)} × {trade.leverage}</td>
+                      <td className={`py-3 font-medium ${trade.pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                        ${trade.pnl.toFixed(2)}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
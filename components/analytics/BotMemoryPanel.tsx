@@ -0,0 +1,231 @@
+// components/analytics/BotMemoryPanel.tsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { TextArea } from '../forms/TextArea';
+import { SelectDropdown } from '../forms/SelectDropdown';
+import { getBotMemory, addBotMemoryNote, updateBotMemory, deleteBotMemory } from '../../services/memoryService';
+import type { BotMemory, BotMemoryKind, BotMemoryOverview } from '../../types';
+
+interface BotMemoryPanelProps {
+  botId: string;
+}
+
+const MAX_CONTENT_LENGTH = 2000;
+
+const KIND_LABELS: Record<BotMemoryKind, string> = {
+  reflection: 'Lesson',
+  summary: 'Summary',
+  note: 'Note',
+};
+
+const KIND_STYLES: Record<BotMemoryKind, string> = {
+  reflection: 'bg-indigo-500/20 text-indigo-300',
+  summary: 'bg-gray-500/20 text-gray-300',
+  note: 'bg-yellow-500/20 text-yellow-400',
+};
+
+const kindOptions = [
+  { value: '', label: 'All memories' },
+  { value: 'reflection', label: 'Lessons from trades' },
+  { value: 'summary', label: 'Decision summaries' },
+  { value: 'note', label: 'Notes' },
+];
+
+const formatTime = (iso: string) => new Date(iso).toLocaleString();
+
+/**
+ * What a memory is about: the trade of a lesson or the period of a summary
+ */
+const describeMemory = (memory: BotMemory): string | null => {
+  if (memory.kind === 'reflection' && memory.symbol) {
+    const pnl = memory.pnl === null ? '' : ` · ${memory.pnl >= 0 ? '+' : '-'}$${Math.abs(memory.pnl).toFixed(2)}`;
+    return `${memory.symbol} ${memory.position_type || ''}${pnl}`;
+  }
+  if (memory.kind === 'summary' && memory.period_start && memory.period_end) {
+    return `${formatTime(memory.period_start)} to ${formatTime(memory.period_end)}`;
+  }
+  return null;
+};
+
+/**
+ * A bot's persistent memory: lessons it drew from closed trades, summaries of
+ * its older decisions and notes from users. Every entry can be edited or
+ * deleted; the digest shows what the next prompt's {{memory}} holds.
+ */
+export const BotMemoryPanel: React.FC<BotMemoryPanelProps> = ({ botId }) => {
+  const [overview, setOverview] = useState<BotMemoryOverview | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [kind, setKind] = useState('');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [editingId, setEditingId] = useState<number | null>(null);
+  const [editContent, setEditContent] = useState('');
+  const [showDigest, setShowDigest] = useState(false);
+
+  const loadMemory = useCallback(async () => {
+    try {
+      setOverview(await getBotMemory(botId));
+    } catch (err) {
+      console.error('Failed to fetch bot memory:', err);
+      setError(err instanceof Error ? err.message : 'Failed to fetch bot memory');
+    }
+  }, [botId]);
+
+  useEffect(() => {
+    loadMemory();
+  }, [loadMemory]);
+
+  const handleAddNote = async () => {
+    if (!note.trim()) return;
+    setError(null);
+    setSaving(true);
+    try {
+      await addBotMemoryNote(botId, note.trim());
+      setNote('');
+      await loadMemory();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to add note');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveEdit = async (memoryId: number) => {
+    if (!editContent.trim()) return;
+    setError(null);
+    setSaving(true);
+    try {
+      await updateBotMemory(botId, memoryId, editContent.trim());
+      setEditingId(null);
+      await loadMemory();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update memory');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (memoryId: number) => {
+    if (!confirm('Delete this memory? The bot will no longer see it.')) return;
+    setError(null);
+    try {
+      await deleteBotMemory(botId, memoryId);
+      await loadMemory();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete memory');
+    }
+  };
+
+  const memories = (overview?.memories || []).filter(m => !kind || m.kind === kind);
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-white mb-1">Memory</h2>
+          <p className="text-sm text-gray-400">
+            Lessons the bot drew from its closed trades, summaries of its older decisions and your notes.
+            Its prompt gets them through {'{{memory}}'}, notes first.
+          </p>
+        </div>
+        <div className="w-56 shrink-0">
+          <SelectDropdown label="Show" value={kind} onChange={setKind} options={kindOptions} />
+        </div>
+      </div>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+
+      {overview && !overview.usesMemory && (
+        <div className="bg-yellow-900/30 border border-yellow-700 text-yellow-300 px-4 py-3 rounded-lg text-sm">
+          This bot's prompt does not use {'{{memory}}'}, so it does not see these memories and does not reflect on
+          its trades. Add {'{{memory}}'} to its prompt to turn memory on.
+        </div>
+      )}
+
+      {overview && (
+        <div className="text-sm text-gray-400">
+          Next prompt: ~{overview.digestTokens} of {overview.tokenBudget} tokens.{' '}
+          <button onClick={() => setShowDigest(!showDigest)} className="text-indigo-400 hover:text-indigo-300">
+            {showDigest ? 'Hide' : 'Show'} prompt section
+          </button>
+          {showDigest && (
+            <pre className="mt-2 bg-gray-900 rounded p-4 text-xs text-gray-300 whitespace-pre-wrap">
+              {overview.digest.trim() || 'Nothing to remember yet.'}
+            </pre>
+          )}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <TextArea
+          label="Add a Note"
+          value={note}
+          onChange={setNote}
+          rows={2}
+          maxLength={MAX_CONTENT_LENGTH}
+          placeholder="e.g. Funding is paid every 8 hours; avoid opening positions just before it."
+        />
+        <button
+          onClick={handleAddNote}
+          disabled={saving || !note.trim()}
+          className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed text-white font-medium rounded-lg transition-colors"
+        >
+          Add Note
+        </button>
+      </div>
+
+      {memories.length === 0 ? (
+        <p className="text-sm text-gray-400">No memories yet.</p>
+      ) : (
+        <ul className="space-y-3">
+          {memories.map(memory => (
+            <li key={memory.id} className="border border-gray-700 rounded-lg p-3 text-sm">
+              <div className="flex items-center justify-between gap-4 mb-1">
+                <div className="flex items-center gap-2 text-xs text-gray-500">
+                  <span className={`px-2 py-0.5 rounded font-medium ${KIND_STYLES[memory.kind]}`}>{KIND_LABELS[memory.kind]}</span>
+                  {describeMemory(memory) && <span>{describeMemory(memory)}</span>}
+                  <span>· {formatTime(memory.created_at)}</span>
+                  {memory.updated_at !== memory.created_at && <span>(edited)</span>}
+                </div>
+                {editingId !== memory.id && (
+                  <div className="flex gap-3 text-xs">
+                    <button
+                      onClick={() => { setEditingId(memory.id); setEditContent(memory.content); }}
+                      className="text-indigo-400 hover:text-indigo-300"
+                    >
+                      Edit
+                    </button>
+                    <button onClick={() => handleDelete(memory.id)} className="text-red-400 hover:text-red-300">
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </div>
+              {editingId === memory.id ? (
+                <div className="space-y-2">
+                  <TextArea label="" value={editContent} onChange={setEditContent} rows={3} maxLength={MAX_CONTENT_LENGTH} />
+                  <div className="flex gap-3">
+                    <button
+                      onClick={() => handleSaveEdit(memory.id)}
+                      disabled={saving || !editContent.trim()}
+                      className="px-3 py-1 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white text-xs font-medium rounded transition-colors"
+                    >
+                      Save
+                    </button>
+                    <button
+                      onClick={() => setEditingId(null)}
+                      className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-white text-xs font-medium rounded transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="text-gray-200 whitespace-pre-wrap">{memory.content}</div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,240 @@
+// components/analytics/ExperimentReport.tsx
+import React, { useEffect, useMemo, useState } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { TimeSeriesChart } from '../charts/TimeSeriesChart';
+import { SelectDropdown } from '../forms/SelectDropdown';
+import { getExperimentDecisions, ExperimentDecision } from '../../services/experimentService';
+import type { ExperimentDetail, ExperimentComparison } from '../../types';
+
+const SERIES_COLORS = ['#9ca3af', '#10b981', '#6366f1', '#f59e0b', '#ec4899', '#06b6d4'];
+
+const VERDICT_STYLES: Record<ExperimentComparison['verdict'], string> = {
+  better: 'bg-green-500/20 text-green-400',
+  worse: 'bg-red-500/20 text-red-400',
+  inconclusive: 'bg-gray-500/20 text-gray-300',
+};
+
+const pnlColor = (value: number) => (value >= 0 ? 'text-green-400' : 'text-red-400');
+const signed = (value: number, digits = 2) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+interface ExperimentReportProps {
+  experiment: ExperimentDetail;
+}
+
+/**
+ * Comparative results of an experiment: every challenger against the control
+ * with a paired t-test on per-turn returns, the value curves, prompt diffs and
+ * each variant's latest turns.
+ */
+export const ExperimentReport: React.FC<ExperimentReportProps> = ({ experiment }) => {
+  const control = experiment.variants[0];
+  const challengers = experiment.variants.slice(1);
+  const [diffVariantId, setDiffVariantId] = useState<string>(challengers[0]?.id ?? '');
+  const [logVariantId, setLogVariantId] = useState<string>(control?.id ?? '');
+  const [decisions, setDecisions] = useState<ExperimentDecision[]>([]);
+  const confidencePct = Math.round((1 - experiment.significanceLevel) * 100);
+
+  useEffect(() => {
+    setDiffVariantId(challengers[0]?.id ?? '');
+    setLogVariantId(control?.id ?? '');
+  }, [experiment.id]);
+
+  useEffect(() => {
+    if (!logVariantId) return;
+    getExperimentDecisions(experiment.id, logVariantId, 10)
+      .then(setDecisions)
+      .catch(err => console.error('Failed to fetch experiment decisions:', err));
+  }, [experiment.id, logVariantId, experiment.turns_completed]);
+
+  const series = useMemo(() => experiment.variants.map((variant, i) => ({
+    name: variant.name,
+    data: variant.valueHistory,
+    color: SERIES_COLORS[i % SERIES_COLORS.length],
+  })), [experiment]);
+
+  const variantOptions = experiment.variants.map(v => ({ value: v.id, label: v.name }));
+  const diffVariant = experiment.variants.find(v => v.id === diffVariantId);
+  const liveById = new Map((experiment.live || []).map(v => [v.id, v]));
+
+  return (
+    <div className="space-y-6">
+      {experiment.error && (
+        <div className="bg-red-900/50 border border-red-500 text-red-300 px-4 py-3 rounded-lg text-sm">
+          {experiment.error}
+        </div>
+      )}
+
+      <div className="bg-gray-800 rounded-lg p-6">
+        <h2 className="text-xl font-semibold text-white mb-1">Results</h2>
+        <p className="text-sm text-gray-400 mb-4">
+          {experiment.turns_completed} of {experiment.max_turns} turns on the same market snapshots.
+          Each variant is compared with the control turn by turn (paired t-test);
+          a verdict needs {confidencePct}% confidence.
+          {experiment.status === 'running' && ' Results are provisional until the experiment ends.'}
+        </p>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-sm text-gray-400 border-b border-gray-700">
+                <th className="pb-3 font-medium">Variant</th>
+                <th className="pb-3 font-medium">Value</th>
+                <th className="pb-3 font-medium">Return</th>
+                <th className="pb-3 font-medium">vs Control</th>
+                <th className="pb-3 font-medium">Per Turn ({confidencePct}% CI)</th>
+                <th className="pb-3 font-medium">Confidence</th>
+                <th className="pb-3 font-medium">Trades</th>
+                <th className="pb-3 font-medium">Win Rate</th>
+                <th className="pb-3 font-medium">Max DD</th>
+                <th className="pb-3 font-medium">Sharpe</th>
+                <th className="pb-3 font-medium">Decisions</th>
+              </tr>
+            </thead>
+            <tbody className="text-sm">
+              {experiment.variants.map((v) => {
+                const live = liveById.get(v.id);
+                const value = live ? live.portfolio.totalValue : v.finalValue;
+                return (
+                  <tr key={v.id} className="border-b border-gray-700">
+                    <td className="py-3 font-medium text-white whitespace-nowrap">
+                      {v.name}
+                      {v.isControl && (
+                        <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-gray-500/20 text-gray-300">Control</span>
+                      )}
+                      {live?.isPaused && (
+                        <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-yellow-500/20 text-yellow-400">Paused</span>
+                      )}
+                      <div className="text-xs font-normal text-gray-500">{v.providerName || 'Provider deleted'}</div>
+                    </td>
+                    <td className="py-3 text-gray-300">${value.toFixed(2)}</td>
+                    <td className={`py-3 font-medium ${pnlColor(v.returnPercent)}`}>{signed(v.returnPercent)}%</td>
+                    <td className={`py-3 ${v.comparison ? pnlColor(v.comparison.returnDifference) : 'text-gray-400'}`}>
+                      {v.comparison ? `${signed(v.comparison.returnDifference)} pts` : '-'}
+                    </td>
+                    <td className="py-3 text-gray-300 whitespace-nowrap">
+                      {v.comparison
+                        ? `${signed(v.comparison.meanReturnDifference, 3)}% (${signed(v.comparison.ciLow, 3)} to ${signed(v.comparison.ciHigh, 3)})`
+                        : '-'}
+                    </td>
+                    <td className="py-3 whitespace-nowrap">
+                      {v.comparison ? (
+                        <>
+                          <span className={`px-2 py-1 rounded text-xs font-medium ${VERDICT_STYLES[v.comparison.verdict]}`}>
+                            {v.comparison.verdict}
+                          </span>
+                          <div className="text-xs text-gray-500 mt-1" title="One-sided confidence that this variant beats the control">
+                            {(v.comparison.probabilityBetter * 100).toFixed(1)}% better · p={v.comparison.pValue.toFixed(3)}
+                          </div>
+                        </>
+                      ) : (
+                        <span className="text-gray-400">{v.isControl ? 'Baseline' : 'Needs 2+ turns'}</span>
+                      )}
+                    </td>
+                    <td className="py-3 text-gray-300">{v.tradeCount}</td>
+                    <td className="py-3 text-gray-300">{v.tradeCount > 0 ? `${v.winRate.toFixed(1)}%` : '-'}</td>
+                    <td className="py-3 text-yellow-400">{v.maxDrawdown.toFixed(2)}%</td>
+                    <td className="py-3 text-gray-300">{v.sharpeRatio.toFixed(2)}</td>
+                    <td className="py-3 text-gray-300">
+                      {v.decisionCount}
+                      {v.failedDecisionCount > 0 && <span className="text-red-400"> ({v.failedDecisionCount} failed)</span>}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {series.some(s => s.data.length > 0) && (
+        <TimeSeriesChart
+          title="Variant Portfolio Value"
+          series={series}
+          height={300}
+          valueFormatter={(val) => `$${val.toFixed(2)}`}
+        />
+      )}
+
+      {challengers.length > 0 && control && (
+        <div className="bg-gray-800 rounded-lg p-6 space-y-3">
+          <div className="flex items-end justify-between gap-4">
+            <h2 className="text-xl font-semibold text-white">Prompt Changes</h2>
+            <div className="w-64">
+              <SelectDropdown
+                label="Variant"
+                value={diffVariantId}
+                onChange={setDiffVariantId}
+                options={variantOptions.slice(1)}
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            Left: control ({control.providerName || 'provider deleted'}). Right: {diffVariant?.name} ({diffVariant?.providerName || 'provider deleted'}).
+          </p>
+          <div className="border border-gray-700 rounded-lg overflow-hidden">
+            <DiffEditor
+              height="280px"
+              language="markdown"
+              theme="vs-dark"
+              original={control.prompt}
+              modified={diffVariant?.prompt || ''}
+              options={{
+                readOnly: true,
+                renderSideBySide: true,
+                wordWrap: 'on',
+                minimap: { enabled: false },
+                scrollBeyondLastLine: false,
+                automaticLayout: true,
+              }}
+            />
+          </div>
+        </div>
+      )}
+
+      <div className="bg-gray-800 rounded-lg p-6 space-y-4">
+        <div className="flex items-end justify-between gap-4">
+          <h2 className="text-xl font-semibold text-white">Latest Turns</h2>
+          <div className="w-64">
+            <SelectDropdown label="Variant" value={logVariantId} onChange={setLogVariantId} options={variantOptions} />
+          </div>
+        </div>
+        {decisions.length === 0 ? (
+          <p className="text-sm text-gray-400">No turns yet.</p>
+        ) : (
+          <ul className="space-y-3">
+            {decisions.map(d => (
+              <li key={d.id} className="border border-gray-700 rounded-lg p-3 text-sm">
+                <div className="flex justify-between text-xs text-gray-500 mb-1">
+                  <span>Turn {d.turn} · {new Date(d.timestamp).toLocaleString()}</span>
+                  {d.latency_ms !== null && <span>{d.latency_ms}ms</span>}
+                </div>
+                {d.decisions.length === 0 ? (
+                  <div className="text-gray-400">HOLD</div>
+                ) : (
+                  d.decisions.map((decision, i) => (
+                    <div key={i} className="text-gray-200">
+                      <span className="font-medium">{decision.action}</span> {decision.symbol || decision.closePositionId}
+                      {decision.reasoning && <span className="text-gray-400"> – {decision.reasoning}</span>}
+                    </div>
+                  ))
+                )}
+                {d.ensemble && (
+                  <div className="text-xs text-gray-500">
+                    Committee: {d.ensemble.members.map(member => `${member.name} ${member.error ? 'failed' : member.decisions.map(p => `${p.action} ${p.symbol || p.closePositionId}`).join(' + ') || 'HOLD'}`).join(', ')}
+                  </div>
+                )}
+                {d.tool_calls && d.tool_calls.length > 0 && (
+                  <div className="text-xs text-gray-500">
+                    Tools: {d.tool_calls.map(call => `${call.name}(${Object.values(call.arguments).join(', ')})${call.error ? ' failed' : ''}`).join(', ')}
+                  </div>
+                )}
+                {d.notes.map((note, i) => (
+                  <div key={i} className="text-xs text-gray-500">{note}</div>
+                ))}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,227 @@
+// components/analytics/LlmUsagePanel.tsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { SelectDropdown } from '../forms/SelectDropdown';
+import { getLlmUsage } from '../../services/usageService';
+import type { LlmCallSource, LlmUsageBudget, LlmUsageReport, LlmUsageTotals } from '../../types';
+
+interface LlmUsagePanelProps {
+  botId?: string; // Only this bot's calls; all bots when omitted
+}
+
+const dayOptions = [
+  { value: '1', label: 'Today' },
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' },
+];
+
+const sourceOptions = [
+  { value: '', label: 'All sources' },
+  { value: 'arena', label: 'Arena' },
+  { value: 'backtest', label: 'Backtests' },
+  { value: 'experiment', label: 'Experiments' },
+  { value: 'api', label: 'API and tests' },
+];
+
+const formatCost = (usd: number) => `$${usd < 1 ? usd.toFixed(4) : usd.toFixed(2)}`;
+const formatTokens = (tokens: number) => (tokens >= 1e6 ? `${(tokens / 1e6).toFixed(2)}M` : tokens >= 1e3 ? `${(tokens / 1e3).toFixed(1)}k` : String(tokens));
+const formatLatency = (ms: number | null) => (ms === null ? '-' : ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`);
+
+/**
+ * Spending against one budget as a bar, red once it is reached
+ */
+const BudgetBar: React.FC<{ label: string; spent: number; budget: number | null }> = ({ label, spent, budget }) => {
+  if (!budget) return null;
+  const pct = Math.min(100, (spent / budget) * 100);
+  return (
+    <div className="text-xs">
+      <div className="flex justify-between text-gray-400 mb-1">
+        <span>{label}</span>
+        <span>{formatCost(spent)} of {formatCost(budget)}</span>
+      </div>
+      <div className="h-2 bg-gray-700 rounded">
+        <div className={`h-2 rounded ${pct >= 100 ? 'bg-red-500' : pct >= 80 ? 'bg-yellow-500' : 'bg-indigo-500'}`} style={{ width: `${pct}%` }} />
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Columns shared by every usage table
+ */
+const UsageCells: React.FC<{ row: LlmUsageTotals }> = ({ row }) => (
+  <>
+    <td className="py-2 text-gray-300">{row.calls}{row.failures > 0 && <span className="text-red-400"> ({row.failures} failed)</span>}</td>
+    <td className="py-2 text-gray-300" title={row.estimated_calls ? `${row.estimated_calls} calls estimated from the text length` : undefined}>
+      {formatTokens(row.prompt_tokens)} / {formatTokens(row.completion_tokens)}{row.estimated_calls > 0 && '*'}
+    </td>
+    <td className="py-2 text-gray-300">{formatLatency(row.avg_latency_ms)}</td>
+    <td className="py-2 font-medium text-white" title={row.unpriced_calls ? `${row.unpriced_calls} calls to a model without a known price` : undefined}>
+      {formatCost(row.cost_usd)}{row.unpriced_calls > 0 && '*'}
+    </td>
+  </>
+);
+
+const UsageHeader: React.FC<{ first: string }> = ({ first }) => (
+  <thead>
+    <tr className="text-left text-xs text-gray-400 border-b border-gray-700">
+      <th className="pb-2 font-medium">{first}</th>
+      <th className="pb-2 font-medium">Calls</th>
+      <th className="pb-2 font-medium">Tokens in / out</th>
+      <th className="pb-2 font-medium">Avg Latency</th>
+      <th className="pb-2 font-medium">Cost</th>
+    </tr>
+  </thead>
+);
+
+/**
+ * Tokens, estimated cost and latency of provider calls, by day, bot, provider
+ * and purpose, and budgeted bots' spending against their budgets.
+ */
+export const LlmUsagePanel: React.FC<LlmUsagePanelProps> = ({ botId }) => {
+  const [report, setReport] = useState<LlmUsageReport | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [days, setDays] = useState('30');
+  const [source, setSource] = useState('');
+
+  const loadUsage = useCallback(async () => {
+    try {
+      setError(null);
+      setReport(await getLlmUsage({ days: Number(days), botId, source: (source || undefined) as LlmCallSource | undefined }));
+    } catch (err) {
+      console.error('Failed to fetch LLM usage:', err);
+      setError(err instanceof Error ? err.message : 'Failed to fetch LLM usage');
+    }
+  }, [days, botId, source]);
+
+  useEffect(() => {
+    loadUsage();
+  }, [loadUsage]);
+
+  const totals = report?.totals;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-white mb-1">Provider Usage</h2>
+          <p className="text-sm text-gray-400">
+            Tokens, estimated cost and latency of every provider call. Costs use the provider's prices or the model's list
+            price; * marks estimated tokens or calls without a known price.
+          </p>
+        </div>
+        <div className="flex gap-3 shrink-0">
+          <div className="w-40">
+            <SelectDropdown label="Period" value={days} onChange={setDays} options={dayOptions} />
+          </div>
+          <div className="w-40">
+            <SelectDropdown label="Source" value={source} onChange={setSource} options={sourceOptions} />
+          </div>
+        </div>
+      </div>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+
+      {totals && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
+          <div><div className="text-gray-400">Cost</div><div className="text-2xl font-bold text-white">{formatCost(totals.cost_usd)}</div></div>
+          <div><div className="text-gray-400">Calls</div><div className="text-2xl font-bold text-white">{totals.calls}</div></div>
+          <div><div className="text-gray-400">Tokens in / out</div><div className="text-2xl font-bold text-white">{formatTokens(totals.prompt_tokens)} / {formatTokens(totals.completion_tokens)}</div></div>
+          <div><div className="text-gray-400">Avg / Max Latency</div><div className="text-2xl font-bold text-white">{formatLatency(totals.avg_latency_ms)} / {formatLatency(totals.max_latency_ms)}</div></div>
+          <div>
+            <div className="text-gray-400">Failed</div>
+            <div className={`text-2xl font-bold ${totals.failures > 0 ? 'text-red-400' : 'text-white'}`}>
+              {totals.failures}{totals.timeouts > 0 && <span className="text-sm font-normal"> ({totals.timeouts} timeouts)</span>}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {report && report.budgets.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-gray-300 mb-2">Budgets</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {report.budgets.map((budget: LlmUsageBudget) => (
+              <div key={budget.bot_id} className="border border-gray-700 rounded-lg p-3 space-y-2">
+                <div className="flex justify-between text-sm">
+                  <span className="font-medium text-white">{budget.bot_name}</span>
+                  {budget.is_paused && <span className="text-xs text-yellow-400">Paused</span>}
+                </div>
+                <BudgetBar label="Today" spent={budget.today_usd} budget={budget.daily_budget_usd} />
+                <BudgetBar label="This month" spent={budget.month_usd} budget={budget.monthly_budget_usd} />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {report && report.totals.calls === 0 ? (
+        <p className="text-sm text-gray-400">No provider calls in this period.</p>
+      ) : report && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <h3 className="text-sm font-semibold text-gray-300 mb-2">By Provider</h3>
+            <table className="w-full text-sm">
+              <UsageHeader first="Provider" />
+              <tbody>
+                {report.byProvider.map(row => (
+                  <tr key={row.provider_id ?? 'none'} className="border-b border-gray-700">
+                    <td className="py-2 text-white">
+                      {row.provider_name || 'Environment key'}
+                      {row.model_name && <div className="text-xs text-gray-500">{row.model_name}</div>}
+                    </td>
+                    <UsageCells row={row} />
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {!botId && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-300 mb-2">By Bot</h3>
+              <table className="w-full text-sm">
+                <UsageHeader first="Bot" />
+                <tbody>
+                  {report.byBot.map(row => (
+                    <tr key={row.bot_id ?? 'none'} className="border-b border-gray-700">
+                      <td className="py-2 text-white">{row.bot_name || 'No bot'}</td>
+                      <UsageCells row={row} />
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-300 mb-2">By Purpose</h3>
+            <table className="w-full text-sm">
+              <UsageHeader first="Purpose" />
+              <tbody>
+                {report.byPurpose.map(row => (
+                  <tr key={row.purpose} className="border-b border-gray-700">
+                    <td className="py-2 text-white capitalize">{row.purpose}</td>
+                    <UsageCells row={row} />
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div>
+            <h3 className="text-sm font-semibold text-gray-300 mb-2">By Day (UTC)</h3>
+            <table className="w-full text-sm">
+              <UsageHeader first="Day" />
+              <tbody>
+                {[...report.byDay].reverse().map(row => (
+                  <tr key={row.day} className="border-b border-gray-700">
+                    <td className="py-2 text-white">{row.day}</td>
+                    <UsageCells row={row} />
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,89 @@
+// components/analytics/PromptVersionsPanel.tsx
+import React, { useEffect, useState } from 'react';
+import { getPromptVersionPerformance } from '../../services/promptService';
+import type { PromptVersionPerformance } from '../../types';
+
+interface PromptVersionsPanelProps {
+  botId: string;
+}
+
+const pnlColor = (value: number) => (value >= 0 ? 'text-green-400' : 'text-red-400');
+
+/**
+ * Performance of each of a bot's prompt versions
+ * Round trips count toward the version that opened them.
+ */
+export const PromptVersionsPanel: React.FC<PromptVersionsPanelProps> = ({ botId }) => {
+  const [versions, setVersions] = useState<PromptVersionPerformance[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    getPromptVersionPerformance(botId)
+      .then(setVersions)
+      .catch(err => {
+        console.error('Failed to fetch prompt version performance:', err);
+        setError(err instanceof Error ? err.message : 'Failed to fetch prompt version performance');
+      });
+  }, [botId]);
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <h2 className="text-xl font-semibold text-white mb-1">Prompt Versions</h2>
+      <p className="text-sm text-gray-400 mb-4">
+        All-time results per prompt version. A position counts toward the version that opened it.
+      </p>
+      {error && <div className="text-sm text-red-400 mb-4">{error}</div>}
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead>
+            <tr className="text-left text-sm text-gray-400 border-b border-gray-700">
+              <th className="pb-3 font-medium">Version</th>
+              <th className="pb-3 font-medium">Note</th>
+              <th className="pb-3 font-medium">Decisions</th>
+              <th className="pb-3 font-medium">Trades</th>
+              <th className="pb-3 font-medium">Win Rate</th>
+              <th className="pb-3 font-medium">P&L</th>
+              <th className="pb-3 font-medium">Value Change</th>
+              <th className="pb-3 font-medium">Max Drawdown</th>
+            </tr>
+          </thead>
+          <tbody className="text-sm">
+            {versions.length === 0 ? (
+              <tr>
+                <td colSpan={8} className="py-8 text-center text-gray-400">
+                  No prompt versions found
+                </td>
+              </tr>
+            ) : (
+              versions.map((v) => (
+                <tr key={v.version ?? 'untracked'} className="border-b border-gray-700 hover:bg-gray-700/50">
+                  <td className="py-3 font-medium text-white whitespace-nowrap">
+                    {v.version === null ? 'Untracked' : `v${v.version}`}
+                    {v.isCurrent && (
+                      <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-green-500/20 text-green-400">Current</span>
+                    )}
+                    {v.createdAt && (
+                      <div className="text-xs font-normal text-gray-500">{new Date(v.createdAt).toLocaleDateString()}</div>
+                    )}
+                  </td>
+                  <td className="py-3 text-gray-400 max-w-xs truncate" title={v.note || ''}>{v.note || '-'}</td>
+                  <td className="py-3 text-gray-300">
+                    {v.decisionCount}
+                    {v.failedDecisionCount > 0 && <span className="text-red-400"> ({v.failedDecisionCount} failed)</span>}
+                  </td>
+                  <td className="py-3 text-gray-300">{v.tradeCount}</td>
+                  <td className="py-3 text-gray-300">{v.tradeCount > 0 ? `${v.winRate.toFixed(1)}%` : '-'}</td>
+                  <td className={`py-3 font-medium ${pnlColor(v.totalPnL)}`}>${v.totalPnL.toFixed(2)}</td>
+                  <td className={`py-3 ${v.startValue === null ? 'text-gray-400' : pnlColor(v.valueChangePercent)}`}>
+                    {v.startValue === null ? '-' : `${v.valueChangePercent.toFixed(2)}%`}
+                  </td>
+                  <td className="py-3 text-yellow-400">{v.startValue === null ? '-' : `${v.maxDrawdown.toFixed(2)}%`}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
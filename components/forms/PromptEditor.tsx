@@ -1,11 +1,40 @@
 /**
  * Prompt Editor Component
  * 
- * Monaco-based code editor for bot prompts with syntax highlighting
+ * Monaco-based code editor for bot prompts with syntax highlighting,
+ * autocompletion of template variables after "{{" and inline lint markers
  */
 
-import React, { useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import Editor, { Monaco } from '@monaco-editor/react';
+import type { PromptVariable, PromptLintResult } from '../../types';
+import { getPromptVariables, lintPrompt } from '../../services/promptService';
+
+const LINT_DELAY_MS = 500;
+const LINT_OWNER = 'prompt-lint';
+const BLOCK_SNIPPETS = [
+  { label: '#if', insertText: '#if ${1:name}}}\n$0\n{{/if}}', documentation: 'Include the block when the variable is not empty' },
+  { label: '#if !', insertText: '#if !${1:name}}}\n$0\n{{/if}}', documentation: 'Include the block when the variable is empty' },
+  { label: '#each', insertText: '#each ${1:positions}}}\n$0\n{{else}}\n{{/each}}', documentation: 'Repeat the block for every item of a list' },
+  { label: 'else', insertText: 'else}}', documentation: 'Alternative of an {{#if}} or an empty {{#each}}' },
+  { label: '/if', insertText: '/if}}', documentation: 'Close an {{#if}} block' },
+  { label: '/each', insertText: '/each}}', documentation: 'Close an {{#each}} block' },
+];
+
+/**
+ * Text inserted after "{{" for a variable
+ */
+function variableSnippet(variable: PromptVariable): string {
+  if (variable.kind === 'list') {
+    return `#each ${variable.name}}}\n$0\n{{/each}}`;
+  }
+  if (variable.kind === 'function' && variable.args?.length) {
+    const required = variable.args.filter(arg => !arg.endsWith('?'));
+    const args = required.map((arg, i) => `:\${${i + 1}:${arg}}`).join('');
+    return `${variable.name}${args}}}`;
+  }
+  return `${variable.name}}}`;
+}
 
 interface PromptEditorProps {
   label: string;
@@ -29,9 +58,117 @@ export const PromptEditor: React.FC<PromptEditorProps> = ({
   height = '400px',
 }) => {
   const editorRef = useRef<any>(null);
+  const monacoRef = useRef<Monaco | null>(null);
+  const variablesRef = useRef<PromptVariable[]>([]);
+  const completionRef = useRef<{ dispose: () => void } | null>(null);
+  const [editorReady, setEditorReady] = useState(false);
+  const [lint, setLint] = useState<PromptLintResult | null>(null);
+
+  useEffect(() => {
+    getPromptVariables()
+      .then(variables => { variablesRef.current = variables; })
+      .catch(err => console.error('Failed to load prompt variables:', err));
+
+    return () => completionRef.current?.dispose();
+  }, []);
+
+  // Lint shortly after typing stops and show the issues as editor markers
+  useEffect(() => {
+    if (!editorReady) return;
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      lintPrompt(value)
+        .then(result => {
+          const monaco = monacoRef.current;
+          const model = editorRef.current?.getModel();
+          if (cancelled || !monaco || !model) return;
+
+          const toMarker = (severity: number) => (issue: { line: number; message: string }) => {
+            const line = Math.min(Math.max(issue.line, 1), model.getLineCount());
+            return {
+              severity,
+              message: issue.message,
+              startLineNumber: line,
+              startColumn: 1,
+              endLineNumber: line,
+              endColumn: model.getLineMaxColumn(line),
+            };
+          };
+          monaco.editor.setModelMarkers(model, LINT_OWNER, [
+            ...result.errors.map(toMarker(monaco.MarkerSeverity.Error)),
+            ...result.warnings.map(toMarker(monaco.MarkerSeverity.Warning)),
+          ]);
+          setLint(result);
+        })
+        .catch(err => console.error('Failed to lint prompt:', err));
+    }, LINT_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value, editorReady]);
 
   function handleEditorDidMount(editor: any, monaco: Monaco) {
     editorRef.current = editor;
+    monacoRef.current = monaco;
+
+    // Suggest template variables and blocks after "{{"
+    completionRef.current?.dispose();
+    completionRef.current = monaco.languages.registerCompletionItemProvider('markdown', {
+      triggerCharacters: ['{', '#', '/'],
+      provideCompletionItems: (model: any, position: any) => {
+        if (model !== editor.getModel()) return { suggestions: [] };
+
+        const before = model.getValueInRange({
+          startLineNumber: position.lineNumber,
+          startColumn: 1,
+          endLineNumber: position.lineNumber,
+          endColumn: position.column,
+        });
+        const match = before.match(/\{\{([#/!]?[\w@]*)$/);
+        if (!match) return { suggestions: [] };
+
+        const range = {
+          startLineNumber: position.lineNumber,
+          startColumn: position.column - match[1].length,
+          endLineNumber: position.lineNumber,
+          endColumn: position.column,
+        };
+        const { Variable, Function, Module, Field, Keyword } = monaco.languages.CompletionItemKind;
+        const asSnippet = monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet;
+
+        const variables = variablesRef.current.map(variable => ({
+          label: variable.name,
+          kind: variable.kind === 'function' ? Function : variable.kind === 'list' ? Module : Variable,
+          detail: variable.kind,
+          documentation: `${variable.description}\n\nExample: ${variable.example}`,
+          insertText: variableSnippet(variable),
+          insertTextRules: asSnippet,
+          range,
+        }));
+        const fields = variablesRef.current
+          .filter(variable => variable.kind === 'list')
+          .flatMap(variable => (variable.fields || []).map(field => ({
+            label: field.name,
+            kind: Field,
+            detail: `${variable.name} field, inside {{#each ${variable.name}}}`,
+            documentation: field.description,
+            insertText: `${field.name}}}`,
+            range,
+          })));
+        const blocks = BLOCK_SNIPPETS.map(block => ({
+          ...block,
+          kind: Keyword,
+          insertTextRules: asSnippet,
+          range,
+        }));
+
+        return { suggestions: [...variables, ...fields, ...blocks] };
+      },
+    });
+    setEditorReady(true);
 
     // Configure Monaco theme
     monaco.editor.defineTheme('bonerbots-dark', {
@@ -87,6 +224,16 @@ export const PromptEditor: React.FC<PromptEditorProps> = ({
       {error && (
         <span className="text-xs text-red-400">{error}</span>
       )}
+      {lint && (lint.errors.length > 0 || lint.warnings.length > 0) && (
+        <ul className="text-xs space-y-0.5">
+          {lint.errors.map((issue, i) => (
+            <li key={`error-${i}`} className="text-red-400">Line {issue.line}: {issue.message}</li>
+          ))}
+          {lint.warnings.map((issue, i) => (
+            <li key={`warning-${i}`} className="text-yellow-400">Line {issue.line}: {issue.message}</li>
+          ))}
+        </ul>
+      )}
       {helperText && !error && (
         <span className="text-xs text-gray-500">{helperText}</span>
       )}
@@ -14,7 +14,7 @@ interface TextInputProps {
   error?: string;
   disabled?: boolean;
   required?: boolean;
-  type?: 'text' | 'email' | 'url' | 'number';
+  type?: 'text' | 'email' | 'url' | 'number' | 'datetime-local';
   helperText?: string;
 }
 
@@ -11,6 +11,7 @@
 
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { useAuth } from './AuthContext';
+import type { ProviderType } from '../types';
 
 // ============================================================================
 // TYPES
@@ -27,6 +28,14 @@ export interface Bot {
   is_active: boolean;
   is_paused: boolean;
   avatar_image?: string | null; // Base64 encoded image
+  risk_limits_json?: string | null; // See RiskLimits in BotEditorPage
+  tools_enabled?: boolean;
+  ensemble_json?: string | null; // See EnsembleForm in BotEditorPage
+  llm_daily_budget_usd?: number | null; // Provider spending per UTC day before the bot is paused
+  llm_monthly_budget_usd?: number | null; // Likewise per calendar month
+  fallback_providers_json?: string | null; // JSON array of provider IDs asked in order when the bot's provider fails
+  prompt_version?: number | null; // Current version in the bot's prompt history
+  prompt_note?: string; // Sent only: note stored with a changed prompt
   created_at: string;
   updated_at: string;
 }
@@ -34,12 +43,14 @@ export interface Bot {
 export interface LLMProvider {
   id: number;
   name: string;
-  provider_type: 'openai' | 'anthropic' | 'gemini' | 'grok' | 'local' | 'custom';
+  provider_type: ProviderType;
   api_endpoint: string;
   model_name: string | null;
   api_key_encrypted: string | null;
   config_json: string | null;
   is_active: boolean;
+  input_price_per_mtok?: number | null; // USD per million tokens; null for the model's built-in price
+  output_price_per_mtok?: number | null;
   created_at: string;
   updated_at: string;
 }
@@ -64,6 +75,23 @@ export interface SystemSettings {
   minimum_trade_size_usd: number;
   symbol_cooldown_ms: number;
   trading_symbols: string[];
+  kline_intervals: string[];
+  decision_repair_enabled: boolean;
+  memory_token_budget: number;
+  memory_summary_interval: number;
+  memory_reflections_enabled: boolean;
+  tool_max_calls_per_turn: number;
+  tool_time_budget_ms: number;
+  provider_max_retries: number;
+  provider_retry_base_ms: number;
+  provider_circuit_threshold: number;
+  provider_circuit_cooldown_ms: number;
+  decision_concurrency: number;
+  cassette_recording_enabled: boolean;
+  market_data_exchange: string;
+  market_data_source: 'live' | 'synthetic';
+  synthetic_market_config: Record<string, unknown>;
+  mock_exchange_url: string;
   broadcast_password?: string;
   max_bots: number;
   max_positions_per_bot: number;
@@ -1,15 +1,45 @@
 // pages/analytics/AnalyticsPage.tsx
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { useConfiguration } from '../../context/ConfigurationContext';
 import { StatCard } from '../../components/analytics/StatCard';
 import { TimeSeriesChart } from '../../components/charts/TimeSeriesChart';
 import { BarChart } from '../../components/charts/BarChart';
 import { PieChart } from '../../components/charts/PieChart';
+import { LlmUsagePanel } from '../../components/analytics/LlmUsagePanel';
 import axios from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+interface BotPerformance {
+  rank: number;
+  botId: string;
+  botName: string;
+  providerName: string;
+  totalPnL: number;
+  totalPnLPercent: number;
+  tradeCount: number;
+  winRate: number;
+  currentValue: number;
+}
+
+interface ProviderPerformance {
+  providerId: number;
+  providerName: string;
+  providerType: string;
+  botCount: number;
+  totalPnL: number;
+  tradeCount: number;
+  winRate: number;
+}
+
+interface SymbolPerformance {
+  symbol: string;
+  totalPnL: number;
+  tradeCount: number;
+  winRate: number;
+  volume: number;
+}
+
 interface PerformanceMetrics {
   totalPnL: number;
   totalPnLPercent: number;
@@ -19,22 +49,14 @@ interface PerformanceMetrics {
   avgLoss: number;
   sharpeRatio: number;
   maxDrawdown: number;
-}
-
-interface BotPerformance {
-  botId: string;
-  botName: string;
-  totalPnL: number;
-  tradeCount: number;
-  winRate: number;
-  currentValue: number;
+  leaderboard: BotPerformance[];
+  byProvider: ProviderPerformance[];
+  bySymbol: SymbolPerformance[];
 }
 
 export const AnalyticsPage: React.FC = () => {
-  const { bots } = useConfiguration();
   const [loading, setLoading] = useState(true);
   const [metrics, setMetrics] = useState<PerformanceMetrics | null>(null);
-  const [botPerformances, setBotPerformances] = useState<BotPerformance[]>([]);
   const [timeRange, setTimeRange] = useState<'24h' | '7d' | '30d' | 'all'>('7d');
 
   useEffect(() => {
@@ -45,27 +67,12 @@ export const AnalyticsPage: React.FC = () => {
     try {
       setLoading(true);
       
-      // Fetch overall performance metrics
+      // Arena-wide metrics, including the per-bot leaderboard
       const metricsResponse = await axios.get(`${API_BASE_URL}/api/v2/analytics/performance`, {
         params: { timeRange }
       });
 
-      // Fetch bot-specific performances
-      const botPerformancesPromises = bots.map(async (bot) => {
-        const response = await axios.get(`${API_BASE_URL}/api/v2/analytics/performance/${bot.id}`, {
-          params: { timeRange }
-        });
-        return {
-          botId: bot.id,
-          botName: bot.name,
-          ...response.data
-        };
-      });
-
-      const botPerfs = await Promise.all(botPerformancesPromises);
-
       setMetrics(metricsResponse.data);
-      setBotPerformances(botPerfs);
     } catch (error) {
       console.error('Failed to fetch analytics:', error);
     } finally {
@@ -81,6 +88,8 @@ export const AnalyticsPage: React.FC = () => {
     );
   }
 
+  const botPerformances = metrics?.leaderboard ?? [];
+
   if (!metrics || botPerformances.length === 0) {
     return (
       <div className="text-center py-12">
@@ -130,7 +139,7 @@ export const AnalyticsPage: React.FC = () => {
           title="Total P&L"
           value={`$${metrics.totalPnL.toFixed(2)}`}
           change={metrics.totalPnLPercent}
-          changeLabel="vs previous period"
+          changeLabel="of starting value"
           valueColor={metrics.totalPnL >= 0 ? 'text-green-400' : 'text-red-400'}
         />
         <StatCard
@@ -184,7 +193,7 @@ export const AnalyticsPage: React.FC = () => {
               to={`/analytics/bot/${bp.botId}`}
               className="bg-gray-700 rounded-lg p-4 hover:bg-gray-600 transition-colors"
             >
-              <h3 className="font-semibold text-white mb-2">{bp.botName}</h3>
+              <h3 className="font-semibold text-white mb-2">#{bp.rank} {bp.botName}</h3>
               <div className="space-y-1 text-sm">
                 <div className="flex justify-between">
                   <span className="text-gray-400">P&L:</span>
@@ -216,8 +225,77 @@ export const AnalyticsPage: React.FC = () => {
         </div>
       </div>
 
+      {/* Provider and Symbol Breakdowns */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-gray-800 rounded-lg p-6">
+          <h2 className="text-xl font-semibold text-white mb-4">By Provider</h2>
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-sm text-gray-400 border-b border-gray-700">
+                <th className="pb-3 font-medium">Provider</th>
+                <th className="pb-3 font-medium">Bots</th>
+                <th className="pb-3 font-medium">Trades</th>
+                <th className="pb-3 font-medium">Win Rate</th>
+                <th className="pb-3 font-medium">P&L</th>
+              </tr>
+            </thead>
+            <tbody className="text-sm">
+              {metrics.byProvider.map((provider) => (
+                <tr key={provider.providerId} className="border-b border-gray-700">
+                  <td className="py-3 font-medium text-white">{provider.providerName}</td>
+                  <td className="py-3 text-gray-300">{provider.botCount}</td>
+                  <td className="py-3 text-gray-300">{provider.tradeCount}</td>
+                  <td className="py-3 text-gray-300">{provider.winRate.toFixed(1)}%</td>
+                  <td className={`py-3 font-medium ${provider.totalPnL >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                    ${provider.totalPnL.toFixed(2)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="bg-gray-800 rounded-lg p-6">
+          <h2 className="text-xl font-semibold text-white mb-4">By Symbol</h2>
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-sm text-gray-400 border-b border-gray-700">
+                <th className="pb-3 font-medium">Symbol</th>
+                <th className="pb-3 font-medium">Trades</th>
+                <th className="pb-3 font-medium">Win Rate</th>
+                <th className="pb-3 font-medium">Volume</th>
+                <th className="pb-3 font-medium">P&L</th>
+              </tr>
+            </thead>
+            <tbody className="text-sm">
+              {metrics.bySymbol.length === 0 ? (
+                <tr>
+                  <td colSpan={5} className="py-8 text-center text-gray-400">
+                    No trades in this period
+                  </td>
+                </tr>
+              ) : (
+                metrics.bySymbol.map((symbol) => (
+                  <tr key={symbol.symbol} className="border-b border-gray-700">
+                    <td className="py-3 font-medium text-white">{symbol.symbol}</td>
+                    <td className="py-3 text-gray-300">{symbol.tradeCount}</td>
+                    <td className="py-3 text-gray-300">{symbol.winRate.toFixed(1)}%</td>
+                    <td className="py-3 text-gray-300">${symbol.volume.toFixed(0)}</td>
+                    <td className={`py-3 font-medium ${symbol.totalPnL >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                      ${symbol.totalPnL.toFixed(2)}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Provider Usage */}
+      <LlmUsagePanel />
+
       {/* Quick Navigation */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
         <Link
           to="/analytics/compare"
           className="bg-gray-800 rounded-lg p-6 hover:bg-gray-700 transition-colors border border-gray-700"
@@ -225,6 +303,13 @@ export const AnalyticsPage: React.FC = () => {
           <h3 className="font-semibold text-white mb-2">Compare Bots</h3>
           <p className="text-sm text-gray-400">Side-by-side performance comparison</p>
         </Link>
+        <Link
+          to="/analytics/experiments"
+          className="bg-gray-800 rounded-lg p-6 hover:bg-gray-700 transition-colors border border-gray-700"
+        >
+          <h3 className="font-semibold text-white mb-2">Prompt Experiments</h3>
+          <p className="text-sm text-gray-400">A/B test prompts and providers on the same prices</p>
+        </Link>
         <Link
           to="/analytics/market"
           className="bg-gray-800 rounded-lg p-6 hover:bg-gray-700 transition-colors border border-gray-700"
@@ -4,6 +4,10 @@ import { useParams, Link } from 'react-router-dom';
 import { StatCard } from '../../components/analytics/StatCard';
 import { TimeSeriesChart } from '../../components/charts/TimeSeriesChart';
 import { BarChart } from '../../components/charts/BarChart';
+import { BacktestPanel } from '../../components/analytics/BacktestPanel';
+import { PromptVersionsPanel } from '../../components/analytics/PromptVersionsPanel';
+import { BotMemoryPanel } from '../../components/analytics/BotMemoryPanel';
+import { LlmUsagePanel } from '../../components/analytics/LlmUsagePanel';
 import axios from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
@@ -19,7 +23,7 @@ interface BotDetails {
 }
 
 interface Trade {
-  id: number;
+  id: string;
   symbol: string;
   type: 'LONG' | 'SHORT';
   entry_price: number;
@@ -39,7 +43,7 @@ interface PerformanceData {
   avgLoss: number;
   maxDrawdown: number;
   sharpeRatio: number;
-  profitFactor: number;
+  profitFactor: number | null; // null when there are no losing trades
   bestTrade: number;
   worstTrade: number;
   avgTradeDuration: number; // in hours
@@ -134,7 +138,12 @@ export const BotDeepDivePage: React.FC = () => {
               {bot.trading_mode === 'real' ? 'Live Trading' : 'Paper Trading'}
             </span>
           </div>
-          <p className="text-gray-400">{bot.provider_name} · Detailed Performance Analysis</p>
+          <p className="text-gray-400">
+            {bot.provider_name} · Detailed Performance Analysis ·{' '}
+            <Link to={`/analytics/experiments?bot=${bot.id}`} className="text-indigo-400 hover:text-indigo-300">
+              Run a prompt experiment
+            </Link>
+          </p>
         </div>
         <div className="flex gap-2">
           {(['24h', '7d', '30d', 'all'] as const).map((range) => (
@@ -168,8 +177,8 @@ export const BotDeepDivePage: React.FC = () => {
         />
         <StatCard
           title="Profit Factor"
-          value={performance.profitFactor.toFixed(2)}
-          valueColor={performance.profitFactor >= 1.5 ? 'text-green-400' : performance.profitFactor >= 1 ? 'text-yellow-400' : 'text-red-400'}
+          value={performance.profitFactor === null ? '-' : performance.profitFactor.toFixed(2)}
+          valueColor={performance.profitFactor === null ? 'text-gray-400' : performance.profitFactor >= 1.5 ? 'text-green-400' : performance.profitFactor >= 1 ? 'text-yellow-400' : 'text-red-400'}
         />
         <StatCard
           title="Sharpe Ratio"
@@ -283,7 +292,7 @@ export const BotDeepDivePage: React.FC = () => {
                     <td className="py-3 text-gray-300">
                       {trade.exit_price ? `$${trade.exit_price.toFixed(2)}` : '-'}
                     </td>
-                    <td className="py-3 text-gray-300">{trade.quantity}</td>
+                    <td className="py-3 text-gray-300">{trade.quantity.toFixed(4)}</td>
                     <td className={`py-3 font-medium ${trade.pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
                       ${trade.pnl.toFixed(2)}
                     </td>
@@ -298,6 +307,18 @@ export const BotDeepDivePage: React.FC = () => {
         </div>
       </div>
 
+      {/* Prompt Versions */}
+      <PromptVersionsPanel botId={bot.id} />
+
+      {/* Memory */}
+      <BotMemoryPanel botId={bot.id} />
+
+      {/* Provider Usage */}
+      <LlmUsagePanel botId={bot.id} />
+
+      {/* Backtests */}
+      <BacktestPanel botId={bot.id} />
+
       {/* Bot Configuration */}
       <div className="bg-gray-800 rounded-lg p-6">
         <h2 className="text-xl font-semibold text-white mb-4">Bot Configuration</h2>
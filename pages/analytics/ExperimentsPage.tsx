@@ -0,0 +1,327 @@
+// pages/analytics/ExperimentsPage.tsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ExperimentReport } from '../../components/analytics/ExperimentReport';
+import { SelectDropdown } from '../../components/forms/SelectDropdown';
+import { TextInput } from '../../components/forms/TextInput';
+import { PromptEditor } from '../../components/forms/PromptEditor';
+import { useConfiguration } from '../../context/ConfigurationContext';
+import {
+  getExperiments,
+  getExperiment,
+  startExperiment,
+  stopExperiment,
+  deleteExperiment,
+} from '../../services/experimentService';
+import type { Experiment, ExperimentDetail } from '../../types';
+
+const POLL_INTERVAL_MS = 5000;
+const MAX_VARIANTS = 5;
+
+const STATUS_STYLES: Record<Experiment['status'], string> = {
+  running: 'bg-blue-500/20 text-blue-400',
+  completed: 'bg-green-500/20 text-green-400',
+  stopped: 'bg-yellow-500/20 text-yellow-400',
+  failed: 'bg-red-500/20 text-red-400',
+};
+
+interface VariantForm {
+  name: string;
+  prompt: string;
+  providerId: string; // '' keeps the control's provider
+}
+
+/**
+ * Prompt A/B experiments: clone a bot into paper variants that trade on the
+ * same market snapshots, then compare them against the bot's own prompt.
+ */
+export const ExperimentsPage: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const { bots, providers } = useConfiguration();
+  const [experiments, setExperiments] = useState<Experiment[]>([]);
+  const [selected, setSelected] = useState<ExperimentDetail | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+
+  // New experiment form
+  const [botId, setBotId] = useState(searchParams.get('bot') || '');
+  const [name, setName] = useState('');
+  const [maxTurns, setMaxTurns] = useState('48');
+  const [initialBalance, setInitialBalance] = useState('10000');
+  const [variants, setVariants] = useState<VariantForm[]>([]);
+
+  const baseBot = bots.find(b => b.id === botId);
+
+  const loadExperiments = useCallback(async () => {
+    try {
+      setExperiments(await getExperiments());
+    } catch (err) {
+      console.error('Failed to fetch experiments:', err);
+      setError(err instanceof Error ? err.message : 'Failed to fetch experiments');
+    }
+  }, []);
+
+  const selectExperiment = useCallback(async (experimentId: string) => {
+    try {
+      setSelected(await getExperiment(experimentId));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load experiment');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadExperiments();
+  }, [loadExperiments]);
+
+  // Start from one challenger with the base bot's prompt
+  useEffect(() => {
+    if (!botId && bots.length > 0) setBotId(bots[0].id);
+  }, [bots, botId]);
+
+  useEffect(() => {
+    if (baseBot) setVariants([{ name: '', prompt: baseBot.prompt, providerId: '' }]);
+  }, [baseBot?.id]);
+
+  // Poll while the selected experiment is running
+  const selectedRunning = selected?.status === 'running';
+  useEffect(() => {
+    if (!selectedRunning || !selected) return;
+    const timer = setInterval(() => {
+      selectExperiment(selected.id);
+      loadExperiments();
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [selectedRunning, selected?.id, selectExperiment, loadExperiments]);
+
+  const updateVariant = (index: number, changes: Partial<VariantForm>) => {
+    setVariants(prev => prev.map((v, i) => (i === index ? { ...v, ...changes } : v)));
+  };
+
+  const handleStart = async () => {
+    if (!baseBot) return;
+    setError(null);
+    setSubmitting(true);
+    try {
+      const experiment = await startExperiment({
+        bot_id: baseBot.id,
+        name: name.trim() || undefined,
+        max_turns: parseInt(maxTurns),
+        initial_balance: parseFloat(initialBalance),
+        variants: variants.map(v => ({
+          name: v.name.trim() || undefined,
+          prompt: v.prompt === baseBot.prompt ? undefined : v.prompt,
+          provider_id: v.providerId ? parseInt(v.providerId) : undefined,
+        })),
+      });
+      setShowForm(false);
+      await loadExperiments();
+      await selectExperiment(experiment.id);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to start experiment');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleStop = async (experimentId: string) => {
+    if (!confirm('Stop this experiment now? The report covers the turns taken so far.')) return;
+    try {
+      await stopExperiment(experimentId);
+      await loadExperiments();
+      if (selected?.id === experimentId) await selectExperiment(experimentId);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to stop experiment');
+    }
+  };
+
+  const handleDelete = async (experimentId: string) => {
+    if (!confirm('Delete this experiment and its results?')) return;
+    try {
+      await deleteExperiment(experimentId);
+      if (selected?.id === experimentId) setSelected(null);
+      await loadExperiments();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete experiment');
+    }
+  };
+
+  const providerOptions = [
+    { value: '', label: `Same as control${baseBot?.provider_name ? ` (${baseBot.provider_name})` : ''}` },
+    ...providers.map(p => ({ value: p.id, label: p.name })),
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <Link to="/analytics" className="text-sm text-indigo-400 hover:text-indigo-300">← Analytics</Link>
+          <h1 className="text-3xl font-bold text-white mt-1">Prompt Experiments</h1>
+          <p className="text-gray-400 mt-1">
+            Paper copies of a bot with different prompts or providers, trading side by side on the same prices
+          </p>
+        </div>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white font-medium rounded-lg transition-colors"
+        >
+          {showForm ? 'Cancel' : 'New Experiment'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-900/50 border border-red-500 text-red-300 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {/* New experiment */}
+      {showForm && (
+        <div className="bg-gray-800 rounded-lg p-6 space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+            <SelectDropdown
+              label="Bot"
+              value={botId}
+              onChange={setBotId}
+              options={bots.map(b => ({ value: b.id, label: b.name }))}
+              helperText="Its current prompt and provider are the control"
+            />
+            <TextInput label="Name" value={name} onChange={setName} placeholder={baseBot ? `${baseBot.name} experiment` : ''} />
+            <TextInput
+              label="Turns"
+              type="number"
+              value={maxTurns}
+              onChange={setMaxTurns}
+              helperText="Taken with the arena's turns"
+            />
+            <TextInput label="Initial Balance ($)" type="number" value={initialBalance} onChange={setInitialBalance} />
+          </div>
+
+          {variants.map((variant, index) => (
+            <div key={index} className="border border-gray-700 rounded-lg p-4 space-y-4">
+              <div className="flex items-center justify-between">
+                <h3 className="text-sm font-medium text-gray-300">Variant {String.fromCharCode(66 + index)}</h3>
+                {variants.length > 1 && (
+                  <button
+                    onClick={() => setVariants(prev => prev.filter((_, i) => i !== index))}
+                    className="text-sm text-red-400 hover:text-red-300"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <TextInput
+                  label="Name"
+                  value={variant.name}
+                  onChange={(value) => updateVariant(index, { name: value })}
+                  placeholder={`Variant ${String.fromCharCode(66 + index)}`}
+                />
+                <SelectDropdown
+                  label="Provider"
+                  value={variant.providerId}
+                  onChange={(value) => updateVariant(index, { providerId: value })}
+                  options={providerOptions}
+                />
+              </div>
+              <PromptEditor
+                label="Prompt"
+                value={variant.prompt}
+                onChange={(value) => updateVariant(index, { prompt: value })}
+                height="260px"
+                helperText="Change the prompt, the provider or both"
+              />
+            </div>
+          ))}
+
+          <div className="flex gap-3">
+            <button
+              onClick={() => baseBot && setVariants(prev => [...prev, { name: '', prompt: baseBot.prompt, providerId: '' }])}
+              disabled={variants.length >= MAX_VARIANTS}
+              className="px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white font-medium rounded-lg transition-colors"
+            >
+              Add Variant
+            </button>
+            <button
+              onClick={handleStart}
+              disabled={submitting || !baseBot || variants.length === 0}
+              className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed text-white font-medium rounded-lg transition-colors"
+            >
+              {submitting ? 'Starting...' : 'Start Experiment'}
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">
+            Every variant makes a real (billed) provider call each turn.
+          </p>
+        </div>
+      )}
+
+      {/* Experiments */}
+      <div className="bg-gray-800 rounded-lg p-6">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-sm text-gray-400 border-b border-gray-700">
+                <th className="pb-3 font-medium">Experiment</th>
+                <th className="pb-3 font-medium">Bot</th>
+                <th className="pb-3 font-medium">Variants</th>
+                <th className="pb-3 font-medium">Status</th>
+                <th className="pb-3 font-medium">Turns</th>
+                <th className="pb-3 font-medium">Started</th>
+                <th className="pb-3 font-medium"></th>
+              </tr>
+            </thead>
+            <tbody className="text-sm">
+              {experiments.length === 0 ? (
+                <tr>
+                  <td colSpan={7} className="py-8 text-center text-gray-400">
+                    No experiments yet
+                  </td>
+                </tr>
+              ) : (
+                experiments.map((experiment) => (
+                  <tr
+                    key={experiment.id}
+                    onClick={() => selectExperiment(experiment.id)}
+                    className={`border-b border-gray-700 hover:bg-gray-700/50 cursor-pointer ${selected?.id === experiment.id ? 'bg-gray-700/50' : ''}`}
+                  >
+                    <td className="py-3 font-medium text-white">{experiment.name}</td>
+                    <td className="py-3 text-gray-300">{experiment.bot_name}</td>
+                    <td className="py-3 text-gray-300">{experiment.variants?.map(v => v.name).join(', ')}</td>
+                    <td className="py-3">
+                      <span className={`px-2 py-1 rounded text-xs font-medium ${STATUS_STYLES[experiment.status]}`}>
+                        {experiment.status}
+                      </span>
+                    </td>
+                    <td className="py-3 text-gray-300">{experiment.turns_completed}/{experiment.max_turns}</td>
+                    <td className="py-3 text-gray-400">{new Date(experiment.created_at).toLocaleString()}</td>
+                    <td className="py-3 text-right">
+                      {experiment.status === 'running' ? (
+                        <button
+                          onClick={(e) => { e.stopPropagation(); handleStop(experiment.id); }}
+                          className="text-yellow-400 hover:text-yellow-300"
+                        >
+                          Stop
+                        </button>
+                      ) : (
+                        <button
+                          onClick={(e) => { e.stopPropagation(); handleDelete(experiment.id); }}
+                          className="text-red-400 hover:text-red-300"
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {selected && <ExperimentReport experiment={selected} />}
+    </div>
+  );
+};
@@ -8,13 +8,144 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useConfiguration, Bot } from '../../context/ConfigurationContext';
 import { TextInput } from '../../components/forms/TextInput';
+import { TextArea } from '../../components/forms/TextArea';
 import { SelectDropdown, SelectOption } from '../../components/forms/SelectDropdown';
 import { PromptEditor } from '../../components/forms/PromptEditor';
+import { PromptVersionHistory } from '../../components/PromptVersionHistory';
+
+type NumericRiskLimit =
+  | 'max_position_size_pct'
+  | 'max_total_exposure_pct'
+  | 'max_open_positions'
+  | 'max_leverage'
+  | 'max_stop_loss_pct'
+  | 'daily_loss_limit_pct';
+
+/** Per-bot guardrails enforced by the server's risk manager; empty = no limit */
+type RiskLimitsForm = Record<NumericRiskLimit, string> & { enforce_cooldown: boolean };
+
+const EMPTY_RISK_LIMITS: RiskLimitsForm = {
+  max_position_size_pct: '',
+  max_total_exposure_pct: '',
+  max_open_positions: '',
+  max_leverage: '',
+  max_stop_loss_pct: '',
+  daily_loss_limit_pct: '',
+  enforce_cooldown: false,
+};
+
+const RISK_LIMIT_FIELDS: { key: NumericRiskLimit; label: string; placeholder: string; helperText: string }[] = [
+  { key: 'max_position_size_pct', label: 'Max Position Size (% of equity)', placeholder: '20', helperText: 'Margin of a single new position. Larger sizes are scaled down.' },
+  { key: 'max_total_exposure_pct', label: 'Max Total Exposure (% of equity)', placeholder: '300', helperText: 'Notional value (margin x leverage) of all open positions. Can exceed 100 with leverage.' },
+  { key: 'max_open_positions', label: 'Max Concurrent Positions', placeholder: '3', helperText: 'New positions are rejected once this many are open.' },
+  { key: 'max_leverage', label: 'Max Leverage', placeholder: '10', helperText: 'Leverage above this is reduced, on top of the exchange limit.' },
+  { key: 'max_stop_loss_pct', label: 'Max Stop Loss Distance (%)', placeholder: '5', helperText: 'Positions whose stop loss is further than this from the entry price are rejected.' },
+  { key: 'daily_loss_limit_pct', label: 'Daily Loss Limit (%)', placeholder: '10', helperText: 'The bot is paused when its account value falls this far below the start of the UTC day.' },
+];
+
+const parseRiskLimitsForm = (json?: string | null): RiskLimitsForm => {
+  if (!json) return EMPTY_RISK_LIMITS;
+  try {
+    const limits = JSON.parse(json);
+    const form = { ...EMPTY_RISK_LIMITS, enforce_cooldown: Boolean(limits.enforce_cooldown) };
+    RISK_LIMIT_FIELDS.forEach(({ key }) => {
+      form[key] = limits[key] != null ? String(limits[key]) : '';
+    });
+    return form;
+  } catch {
+    return EMPTY_RISK_LIMITS;
+  }
+};
+
+const serializeRiskLimits = (form: RiskLimitsForm): string | null => {
+  const limits: Record<string, number | boolean> = {};
+  RISK_LIMIT_FIELDS.forEach(({ key }) => {
+    if (form[key].trim() !== '') limits[key] = parseFloat(form[key]);
+  });
+  if (form.enforce_cooldown) limits.enforce_cooldown = true;
+  return Object.keys(limits).length > 0 ? JSON.stringify(limits) : null;
+};
+
+/** Budget field as sent to the server: null for no budget */
+const parseBudget = (value: string): number | null => (value.trim() === '' ? null : parseFloat(value));
+
+/** Committee whose proposals are combined into the bot's decision; see server/services/ensemble.js */
+interface EnsembleMemberForm {
+  provider_id: string;
+  name: string;
+  prompt: string; // Empty = the bot's prompt
+}
+
+interface EnsembleForm {
+  enabled: boolean;
+  aggregation: 'vote' | 'judge';
+  members: EnsembleMemberForm[];
+}
+
+const MIN_ENSEMBLE_MEMBERS = 2;
+const MAX_ENSEMBLE_MEMBERS = 5;
+const EMPTY_ENSEMBLE_MEMBER: EnsembleMemberForm = { provider_id: '', name: '', prompt: '' };
+
+const EMPTY_ENSEMBLE: EnsembleForm = {
+  enabled: false,
+  aggregation: 'vote',
+  members: [EMPTY_ENSEMBLE_MEMBER, EMPTY_ENSEMBLE_MEMBER],
+};
+
+const aggregationOptions: SelectOption[] = [
+  { value: 'vote', label: 'Majority vote (median size, leverage, stop loss and take profit)' },
+  { value: 'judge', label: "Judge (the bot's provider reconciles the proposals)" },
+];
+
+const parseEnsembleForm = (json?: string | null): EnsembleForm => {
+  if (!json) return EMPTY_ENSEMBLE;
+  try {
+    const ensemble = JSON.parse(json);
+    return {
+      enabled: true,
+      aggregation: ensemble.aggregation === 'judge' ? 'judge' : 'vote',
+      members: ensemble.members.map((member: { provider_id: number; name?: string; prompt?: string }) => ({
+        provider_id: String(member.provider_id),
+        name: member.name || '',
+        prompt: member.prompt || '',
+      })),
+    };
+  } catch {
+    return EMPTY_ENSEMBLE;
+  }
+};
+
+const serializeEnsemble = (form: EnsembleForm): string | null => {
+  if (!form.enabled) return null;
+  return JSON.stringify({
+    aggregation: form.aggregation,
+    members: form.members.map(member => ({
+      provider_id: parseInt(member.provider_id),
+      ...(member.name.trim() && { name: member.name.trim() }),
+      ...(member.prompt.trim() && { prompt: member.prompt.trim() }),
+    })),
+  });
+};
+
+/** Providers asked in order when the bot's own fails; see server/services/providerHealth.js */
+const MAX_FALLBACK_PROVIDERS = 3;
+
+const parseFallbackForm = (json?: string | null): string[] => {
+  if (!json) return [];
+  try {
+    return (JSON.parse(json) as number[]).map(String);
+  } catch {
+    return [];
+  }
+};
+
+const serializeFallbacks = (fallbacks: string[]): string | null =>
+  (fallbacks.length > 0 ? JSON.stringify(fallbacks.map(id => parseInt(id))) : null);
 
 export const BotEditorPage: React.FC = () => {
   const { botId } = useParams<{ botId: string }>();
   const navigate = useNavigate();
-  const { bots, providers, createBot, updateBot, loading } = useConfiguration();
+  const { bots, providers, createBot, updateBot, fetchBots, loading } = useConfiguration();
 
   const isEditMode = botId !== 'new';
   const existingBot = isEditMode ? bots.find(b => b.id === botId) : null;
@@ -27,8 +158,15 @@ export const BotEditorPage: React.FC = () => {
     provider_id: '',
     trading_mode: 'paper' as 'paper' | 'real',
     avatar_image: null as string | null,
+    tools_enabled: false,
+    llm_daily_budget_usd: '',
+    llm_monthly_budget_usd: '',
   });
 
+  const [riskLimits, setRiskLimits] = useState<RiskLimitsForm>(EMPTY_RISK_LIMITS);
+  const [ensemble, setEnsemble] = useState<EnsembleForm>(EMPTY_ENSEMBLE);
+  const [fallbacks, setFallbacks] = useState<string[]>([]);
+  const [promptNote, setPromptNote] = useState('');
   const [errors, setErrors] = useState<Record<string, string>>({});
   const [saving, setSaving] = useState(false);
   const [avatarPreview, setAvatarPreview] = useState<string | null>(null);
@@ -43,8 +181,14 @@ export const BotEditorPage: React.FC = () => {
         provider_id: existingBot.provider_id.toString(),
         trading_mode: existingBot.trading_mode,
         avatar_image: existingBot.avatar_image || null,
+        tools_enabled: Boolean(existingBot.tools_enabled),
+        llm_daily_budget_usd: existingBot.llm_daily_budget_usd?.toString() ?? '',
+        llm_monthly_budget_usd: existingBot.llm_monthly_budget_usd?.toString() ?? '',
       });
       setAvatarPreview(existingBot.avatar_image || null);
+      setRiskLimits(parseRiskLimitsForm(existingBot.risk_limits_json));
+      setEnsemble(parseEnsembleForm(existingBot.ensemble_json));
+      setFallbacks(parseFallbackForm(existingBot.fallback_providers_json));
     }
   }, [isEditMode, existingBot]);
 
@@ -112,6 +256,46 @@ export const BotEditorPage: React.FC = () => {
       newErrors.provider_id = 'AI provider is required';
     }
 
+    if (ensemble.enabled) {
+      ensemble.members.forEach((member, i) => {
+        if (!member.provider_id) {
+          newErrors[`ensemble_provider_${i}`] = 'AI provider is required';
+        }
+        const prompt = member.prompt.trim();
+        if (prompt && (prompt.length < 10 || prompt.length > 10000)) {
+          newErrors[`ensemble_prompt_${i}`] = 'Prompt must be 10-10,000 characters, or empty for the bot\'s prompt';
+        }
+      });
+    }
+
+    fallbacks.forEach((providerId, i) => {
+      if (!providerId) {
+        newErrors[`fallback_provider_${i}`] = 'AI provider is required';
+      } else if (providerId === formData.provider_id || fallbacks.indexOf(providerId) !== i) {
+        newErrors[`fallback_provider_${i}`] = 'Already asked earlier in the chain';
+      }
+    });
+
+    RISK_LIMIT_FIELDS.forEach(({ key }) => {
+      const value = riskLimits[key].trim();
+      if (value === '') return;
+      const number = Number(value);
+      if (!Number.isFinite(number) || number <= 0) {
+        newErrors[key] = 'Must be a positive number, or empty for no limit';
+      } else if (key.endsWith('_pct') && key !== 'max_total_exposure_pct' && number > 100) {
+        newErrors[key] = 'Cannot be more than 100%';
+      }
+    });
+
+    (['llm_daily_budget_usd', 'llm_monthly_budget_usd'] as const).forEach((key) => {
+      const value = formData[key].trim();
+      if (value === '') return;
+      const number = Number(value);
+      if (!Number.isFinite(number) || number <= 0) {
+        newErrors[key] = 'Must be a positive amount, or empty for no budget';
+      }
+    });
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -129,18 +313,32 @@ export const BotEditorPage: React.FC = () => {
         await updateBot(botId!, {
           name: formData.name,
           prompt: formData.prompt,
+          prompt_note: promptNote.trim() || undefined,
           provider_id: parseInt(formData.provider_id),
           trading_mode: formData.trading_mode,
           avatar_image: formData.avatar_image,
+          risk_limits_json: serializeRiskLimits(riskLimits),
+          tools_enabled: formData.tools_enabled,
+          ensemble_json: serializeEnsemble(ensemble),
+          fallback_providers_json: serializeFallbacks(fallbacks),
+          llm_daily_budget_usd: parseBudget(formData.llm_daily_budget_usd),
+          llm_monthly_budget_usd: parseBudget(formData.llm_monthly_budget_usd),
         });
       } else {
         await createBot({
           id: formData.id,
           name: formData.name,
           prompt: formData.prompt,
+          prompt_note: promptNote.trim() || undefined,
           provider_id: parseInt(formData.provider_id),
           trading_mode: formData.trading_mode,
           avatar_image: formData.avatar_image,
+          risk_limits_json: serializeRiskLimits(riskLimits),
+          tools_enabled: formData.tools_enabled,
+          ensemble_json: serializeEnsemble(ensemble),
+          fallback_providers_json: serializeFallbacks(fallbacks),
+          llm_daily_budget_usd: parseBudget(formData.llm_daily_budget_usd),
+          llm_monthly_budget_usd: parseBudget(formData.llm_monthly_budget_usd),
         });
       }
 
@@ -161,6 +359,19 @@ export const BotEditorPage: React.FC = () => {
       label: `${p.name} (${p.provider_type})`,
     }));
 
+  const updateEnsembleMember = (index: number, changes: Partial<EnsembleMemberForm>) => {
+    setEnsemble({
+      ...ensemble,
+      members: ensemble.members.map((member, i) => (i === index ? { ...member, ...changes } : member)),
+    });
+  };
+
+  const moveFallback = (index: number, offset: number) => {
+    const next = [...fallbacks];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setFallbacks(next);
+  };
+
   const tradingModeOptions: SelectOption[] = [
     { value: 'paper', label: 'Paper Trading (Simulated)' },
     { value: 'real', label: 'Live Trading (Real Money)' },
@@ -348,6 +559,221 @@ export const BotEditorPage: React.FC = () => {
               </div>
             </div>
           )}
+
+          <div className="flex items-start gap-2">
+            <input
+              type="checkbox"
+              id="ensemble_enabled"
+              checked={ensemble.enabled}
+              onChange={(e) => setEnsemble({ ...ensemble, enabled: e.target.checked })}
+              className="w-4 h-4 mt-1"
+            />
+            <label htmlFor="ensemble_enabled" className="text-sm text-gray-300">
+              Decide by committee
+              <span className="block text-xs text-gray-500">
+                Several providers, optionally with their own prompts, propose decisions every turn and their proposals are combined.
+                Every member's proposal is kept with the decision. The provider above still judges, repairs malformed answers and writes the bot's memory.
+              </span>
+            </label>
+          </div>
+
+          {ensemble.enabled && (
+            <div className="space-y-4 border-l-2 border-gray-700 pl-4">
+              <SelectDropdown
+                label="Aggregation"
+                value={ensemble.aggregation}
+                onChange={(value) => setEnsemble({ ...ensemble, aggregation: value as 'vote' | 'judge' })}
+                options={aggregationOptions}
+                helperText="Members that fail to answer do not count. If the judge fails, the majority vote is used."
+              />
+
+              {ensemble.members.map((member, index) => (
+                <div key={index} className="space-y-3 bg-gray-900/40 rounded-lg p-4">
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-gray-200">Member {index + 1}</span>
+                    {ensemble.members.length > MIN_ENSEMBLE_MEMBERS && (
+                      <button
+                        type="button"
+                        onClick={() => setEnsemble({ ...ensemble, members: ensemble.members.filter((_, i) => i !== index) })}
+                        className="text-xs text-red-400 hover:text-red-300"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <SelectDropdown
+                      label="Provider"
+                      value={member.provider_id}
+                      onChange={(value) => updateEnsembleMember(index, { provider_id: value })}
+                      options={providerOptions}
+                      placeholder="Select an AI provider..."
+                      error={errors[`ensemble_provider_${index}`]}
+                      required
+                    />
+                    <TextInput
+                      label="Name"
+                      value={member.name}
+                      onChange={(value) => updateEnsembleMember(index, { name: value })}
+                      placeholder={`Member ${index + 1}`}
+                      helperText="Shown in the decision log"
+                    />
+                  </div>
+                  <TextArea
+                    label="Own Prompt"
+                    value={member.prompt}
+                    onChange={(value) => updateEnsembleMember(index, { prompt: value })}
+                    rows={3}
+                    maxLength={10000}
+                    error={errors[`ensemble_prompt_${index}`]}
+                    placeholder="Empty to use the bot's prompt"
+                    helperText="Same template variables as the strategy prompt"
+                  />
+                </div>
+              ))}
+
+              {ensemble.members.length < MAX_ENSEMBLE_MEMBERS && (
+                <button
+                  type="button"
+                  onClick={() => setEnsemble({ ...ensemble, members: [...ensemble.members, EMPTY_ENSEMBLE_MEMBER] })}
+                  className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-gray-100 rounded-lg text-sm font-medium transition-colors"
+                >
+                  Add Member
+                </button>
+              )}
+            </div>
+          )}
+
+          <div className="space-y-3">
+            <div>
+              <h3 className="text-sm font-medium text-gray-200">Fallback Providers</h3>
+              <p className="text-xs text-gray-500 mt-1">
+                Asked in order when the provider above gives no answer after its retries or has been marked unhealthy.
+                The decision log shows which provider answered. Ensemble members do not fall back.
+              </p>
+            </div>
+
+            {fallbacks.map((providerId, index) => (
+              <div key={index} className="flex items-start gap-3">
+                <div className="flex-1">
+                  <SelectDropdown
+                    label={`Fallback ${index + 1}`}
+                    value={providerId}
+                    onChange={(value) => setFallbacks(fallbacks.map((id, i) => (i === index ? String(value) : id)))}
+                    options={providerOptions}
+                    placeholder="Select an AI provider..."
+                    error={errors[`fallback_provider_${index}`]}
+                  />
+                </div>
+                <div className="flex gap-3 mt-9">
+                  <button
+                    type="button"
+                    onClick={() => moveFallback(index, -1)}
+                    disabled={index === 0}
+                    className="text-xs text-gray-400 hover:text-gray-200 disabled:opacity-30"
+                  >
+                    Up
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveFallback(index, 1)}
+                    disabled={index === fallbacks.length - 1}
+                    className="text-xs text-gray-400 hover:text-gray-200 disabled:opacity-30"
+                  >
+                    Down
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setFallbacks(fallbacks.filter((_, i) => i !== index))}
+                    className="text-xs text-red-400 hover:text-red-300"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+
+            {fallbacks.length < MAX_FALLBACK_PROVIDERS && (
+              <button
+                type="button"
+                onClick={() => setFallbacks([...fallbacks, ''])}
+                className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-gray-100 rounded-lg text-sm font-medium transition-colors"
+              >
+                Add Fallback
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Risk Limits */}
+        <div className="space-y-4">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-100 border-b border-gray-700 pb-2">
+              Risk Limits
+            </h2>
+            <p className="text-gray-400 text-sm mt-2">
+              Guardrails enforced on every decision, whatever the model asks for. Leave a field empty for no limit.
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {RISK_LIMIT_FIELDS.map(({ key, label, placeholder, helperText }) => (
+              <TextInput
+                key={key}
+                label={label}
+                type="number"
+                value={riskLimits[key]}
+                onChange={(value) => setRiskLimits({ ...riskLimits, [key]: value })}
+                placeholder={placeholder}
+                error={errors[key]}
+                helperText={helperText}
+              />
+            ))}
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              className="w-4 h-4"
+              checked={riskLimits.enforce_cooldown}
+              onChange={(e) => setRiskLimits({ ...riskLimits, enforce_cooldown: e.target.checked })}
+            />
+            Enforce symbol cooldowns (reject new positions on a symbol until its cooldown after a close has passed)
+          </label>
+        </div>
+
+        {/* Provider Budget */}
+        <div className="space-y-4">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-100 border-b border-gray-700 pb-2">
+              Provider Budget
+            </h2>
+            <p className="text-gray-400 text-sm mt-2">
+              Estimated provider spending (decisions, repairs, ensemble members, reflections) after which the bot is paused.
+              Backtests and experiments do not count. Leave a field empty for no budget.
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <TextInput
+              label="Daily Budget (USD)"
+              type="number"
+              value={formData.llm_daily_budget_usd}
+              onChange={(value) => setFormData({ ...formData, llm_daily_budget_usd: value })}
+              placeholder="1.00"
+              error={errors.llm_daily_budget_usd}
+              helperText="Per UTC day"
+            />
+            <TextInput
+              label="Monthly Budget (USD)"
+              type="number"
+              value={formData.llm_monthly_budget_usd}
+              onChange={(value) => setFormData({ ...formData, llm_monthly_budget_usd: value })}
+              placeholder="20.00"
+              error={errors.llm_monthly_budget_usd}
+              helperText="Per calendar month (UTC)"
+            />
+          </div>
         </div>
 
         {/* Trading Prompt */}
@@ -367,11 +793,60 @@ export const BotEditorPage: React.FC = () => {
             onChange={(value) => setFormData({ ...formData, prompt: value })}
             error={errors.prompt}
             required
-            helperText="Describe your bot's trading personality, risk preferences, market outlook, and decision-making approach (10-10,000 characters)"
+            helperText="Describe your bot's trading personality, risk preferences, market outlook, and decision-making approach (10-10,000 characters). Type {{ for the template variables; {{decisionHistory}}, {{cooldowns}} and {{memory}} are only included where you place them."
             height="500px"
           />
+          {(!isEditMode || formData.prompt !== existingBot?.prompt) && (
+            <TextInput
+              label="Change Note"
+              value={promptNote}
+              onChange={setPromptNote}
+              placeholder="What changed in this prompt and why"
+              helperText="Saved with the new prompt version"
+            />
+          )}
+
+          <div className="flex items-start gap-2">
+            <input
+              type="checkbox"
+              id="tools_enabled"
+              checked={formData.tools_enabled}
+              onChange={(e) => setFormData({ ...formData, tools_enabled: e.target.checked })}
+              className="w-4 h-4 mt-1"
+            />
+            <label htmlFor="tools_enabled" className="text-sm text-gray-300">
+              Let the bot call data tools
+              <span className="block text-xs text-gray-500">
+                Before deciding, the model may fetch candles, its trade history, position details and the other bots' positions.
+                Uses the provider's function calling, or a JSON text protocol for local models (set tool_protocol in the provider config).
+                Each call is another provider round trip; the limits are in Settings.
+              </span>
+            </label>
+          </div>
         </div>
 
+        {/* Prompt History */}
+        {isEditMode && existingBot && (
+          <div className="space-y-4">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-100 border-b border-gray-700 pb-2">
+                Prompt History
+              </h2>
+              <p className="text-gray-400 text-sm mt-2">
+                Every saved prompt is kept as a version. Trades, decisions and snapshots record the version in force, so analytics can compare versions.
+              </p>
+            </div>
+            <PromptVersionHistory
+              botId={existingBot.id}
+              currentVersion={existingBot.prompt_version}
+              onRolledBack={() => {
+                setPromptNote('');
+                fetchBots();
+              }}
+            />
+          </div>
+        )}
+
         {/* Actions */}
         <div className="flex items-center justify-between pt-4 border-t border-gray-700">
           <button
@@ -39,15 +39,11 @@ export const CredentialsPage: React.FC = () => {
     }
   }, [selectedBotFilter, fetchWallets]);
 
-  // Exchange options
+  // Exchanges with an adapter on the server (server/services/exchanges)
   const exchangeOptions: SelectOption[] = [
     { value: 'asterdex', label: 'Asterdex' },
     { value: 'binance', label: 'Binance' },
-    { value: 'coinbase', label: 'Coinbase' },
-    { value: 'kraken', label: 'Kraken' },
-    { value: 'bybit', label: 'Bybit' },
-    { value: 'okx', label: 'OKX' },
-    { value: 'other', label: 'Other' },
+    { value: 'mock', label: 'Mock Exchange (offline)' },
   ];
 
   // Bot options
@@ -408,6 +404,7 @@ export const CredentialsPage: React.FC = () => {
                 placeholder="Select an exchange..."
                 error={errors.exchange}
                 required
+                helperText="A live bot trades on the exchange of its wallet (USDⓈ-M futures)"
               />
 
               <PasswordInput
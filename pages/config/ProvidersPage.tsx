@@ -1,15 +1,56 @@
 /**
  * LLM Provider Manager Page
  * 
- * Configure AI providers (OpenAI, Anthropic, Gemini, Grok, local models)
+ * Configure AI providers (OpenAI, Anthropic, Gemini, Grok, local models, scripted mocks)
  */
 
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useConfiguration } from '../../context/ConfigurationContext';
 import { TextInput } from '../../components/forms/TextInput';
 import { PasswordInput } from '../../components/forms/PasswordInput';
 import { SelectDropdown, SelectOption } from '../../components/forms/SelectDropdown';
 import { TextArea } from '../../components/forms/TextArea';
+import { getProviderHealth, resetProviderHealth } from '../../services/providerHealthService';
+import type { ProviderHealth } from '../../types';
+
+// Example endpoint and model for each provider type, shown as placeholders
+const PROVIDER_HINTS: Record<string, { endpoint: string; model: string; config: string }> = {
+  gemini: {
+    endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
+    model: 'gemini-2.5-flash',
+    config: '{"temperature": 0.7}',
+  },
+  grok: {
+    endpoint: 'https://api.x.ai/v1/chat/completions',
+    model: 'grok-3-mini-beta',
+    config: '{"temperature": 0.9}',
+  },
+  openai: {
+    endpoint: 'https://api.openai.com/v1/chat/completions',
+    model: 'gpt-4o-mini',
+    config: '{"temperature": 0.7, "max_tokens": 1000, "json_mode": true}',
+  },
+  anthropic: {
+    endpoint: 'https://api.anthropic.com/v1/messages',
+    model: 'claude-sonnet-4-5',
+    config: '{"temperature": 0.7, "max_tokens": 4096}',
+  },
+  local: {
+    endpoint: 'http://localhost:11434/api/chat',
+    model: 'llama3.1:8b',
+    config: '{"temperature": 0.7, "context_length": 8192, "json_mode": true}',
+  },
+  custom: {
+    endpoint: 'https://api.example.com/v1/chat/completions',
+    model: 'model-name',
+    config: '{"api_style": "openai", "temperature": 0.7}',
+  },
+  mock: {
+    endpoint: '',
+    model: '',
+    config: '{"script": {"mode": "rules", "rules": [{"symbol": "BTCUSDT", "field": "change_24h", "op": ">", "value": 2, "action": "LONG", "size": 200, "leverage": 3}]}}',
+  },
+};
 
 export const ProvidersPage: React.FC = () => {
   const { providers, createProvider, updateProvider, deleteProvider, testProvider, loading } = useConfiguration();
@@ -18,6 +59,21 @@ export const ProvidersPage: React.FC = () => {
   const [editingProvider, setEditingProvider] = useState<number | null>(null);
   const [testing, setTesting] = useState<number | null>(null);
   const [testResult, setTestResult] = useState<{ providerId: number; success: boolean; message: string } | null>(null);
+  const [health, setHealth] = useState<Record<number, ProviderHealth>>({});
+
+  // Circuit breaker state; providers not called since the server started are healthy
+  const loadHealth = useCallback(async () => {
+    try {
+      const rows = await getProviderHealth();
+      setHealth(Object.fromEntries(rows.map(row => [row.provider_id, row])));
+    } catch (error) {
+      console.error('Failed to fetch provider health:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadHealth();
+  }, [loadHealth]);
 
   // Form state
   const [formData, setFormData] = useState({
@@ -28,18 +84,24 @@ export const ProvidersPage: React.FC = () => {
     api_key: '',
     config_json: '',
     is_active: true,
+    input_price_per_mtok: '',
+    output_price_per_mtok: '',
   });
 
   const [errors, setErrors] = useState<Record<string, string>>({});
   const [saving, setSaving] = useState(false);
+  const isLocal = formData.provider_type === 'local';
+  const isMock = formData.provider_type === 'mock';
+  const hints = PROVIDER_HINTS[formData.provider_type] || PROVIDER_HINTS.custom;
 
   const providerTypeOptions: SelectOption[] = [
     { value: 'gemini', label: 'Google Gemini' },
     { value: 'grok', label: 'xAI Grok' },
     { value: 'openai', label: 'OpenAI GPT' },
     { value: 'anthropic', label: 'Anthropic Claude' },
-    { value: 'local', label: 'Local (Ollama)' },
+    { value: 'local', label: 'Local (Ollama / OpenAI-compatible)' },
     { value: 'custom', label: 'Custom API' },
+    { value: 'mock', label: 'Mock (scripted, no API)' },
   ];
 
   // Open modal for create/edit
@@ -55,6 +117,8 @@ export const ProvidersPage: React.FC = () => {
           api_key: '', // Don't populate for security
           config_json: provider.config_json || '',
           is_active: provider.is_active,
+          input_price_per_mtok: provider.input_price_per_mtok?.toString() ?? '',
+          output_price_per_mtok: provider.output_price_per_mtok?.toString() ?? '',
         });
         setEditingProvider(providerId);
       }
@@ -67,6 +131,8 @@ export const ProvidersPage: React.FC = () => {
         api_key: '',
         config_json: '',
         is_active: true,
+        input_price_per_mtok: '',
+        output_price_per_mtok: '',
       });
       setEditingProvider(null);
     }
@@ -85,6 +151,8 @@ export const ProvidersPage: React.FC = () => {
       api_key: '',
       config_json: '',
       is_active: true,
+      input_price_per_mtok: '',
+      output_price_per_mtok: '',
     });
     setErrors({});
   };
@@ -101,7 +169,12 @@ export const ProvidersPage: React.FC = () => {
       newErrors.provider_type = 'Provider type is required';
     }
 
-    if (!formData.api_endpoint) {
+    // Mock providers answer from their script and call no API
+    if (isMock) {
+      if (!formData.config_json.trim()) {
+        newErrors.config_json = 'A mock provider needs a script';
+      }
+    } else if (!formData.api_endpoint) {
       newErrors.api_endpoint = 'API endpoint is required';
     } else {
       try {
@@ -111,6 +184,11 @@ export const ProvidersPage: React.FC = () => {
       }
     }
 
+    // Gemini carries the model in its endpoint URL; Grok falls back to its default model
+    if (formData.provider_type && !['gemini', 'grok', 'mock'].includes(formData.provider_type) && !formData.model_name) {
+      newErrors.model_name = 'Model name is required for this provider type';
+    }
+
     if (formData.config_json) {
       try {
         JSON.parse(formData.config_json);
@@ -119,6 +197,13 @@ export const ProvidersPage: React.FC = () => {
       }
     }
 
+    (['input_price_per_mtok', 'output_price_per_mtok'] as const).forEach((key) => {
+      const value = formData[key].trim();
+      if (value !== '' && !(Number(value) >= 0)) {
+        newErrors[key] = 'Must be a non-negative price, or empty for the built-in price';
+      }
+    });
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -136,6 +221,9 @@ export const ProvidersPage: React.FC = () => {
         api_endpoint: formData.api_endpoint,
         model_name: formData.model_name || null,
         is_active: formData.is_active,
+        // Empty prices fall back to the model's built-in price
+        input_price_per_mtok: formData.input_price_per_mtok.trim() === '' ? null : parseFloat(formData.input_price_per_mtok),
+        output_price_per_mtok: formData.output_price_per_mtok.trim() === '' ? null : parseFloat(formData.output_price_per_mtok),
       };
 
       // Only include config_json if it's not empty
@@ -143,6 +231,11 @@ export const ProvidersPage: React.FC = () => {
         providerData.config_json = formData.config_json;
       }
 
+      // The server sets a mock provider's endpoint
+      if (isMock) {
+        delete providerData.api_endpoint;
+      }
+
       // Only include API key if it's been entered
       if (formData.api_key) {
         providerData.api_key = formData.api_key;
@@ -177,6 +270,17 @@ export const ProvidersPage: React.FC = () => {
       });
     } finally {
       setTesting(null);
+      loadHealth();
+    }
+  };
+
+  // Mark an unhealthy provider healthy, e.g. after fixing its key
+  const handleResetHealth = async (providerId: number) => {
+    try {
+      await resetProviderHealth(providerId);
+      await loadHealth();
+    } catch (error) {
+      alert(error instanceof Error ? error.message : 'Failed to reset provider health');
     }
   };
 
@@ -261,12 +365,40 @@ export const ProvidersPage: React.FC = () => {
                         Inactive
                       </span>
                     )}
+                    {health[provider.id] && health[provider.id].state !== 'closed' && (
+                      <span className="px-2 py-1 rounded text-xs font-medium bg-red-900/50 text-red-300">
+                        {health[provider.id].state === 'open' ? 'Unhealthy' : 'Awaiting trial call'}
+                      </span>
+                    )}
                   </div>
                   <p className="text-gray-400 text-sm mb-2">{provider.api_endpoint}</p>
                   {provider.model_name && (
                     <p className="text-gray-500 text-sm">Model: {provider.model_name}</p>
                   )}
 
+                  {/* Circuit Breaker */}
+                  {health[provider.id] && health[provider.id].state !== 'closed' && (
+                    <div className="mt-3 p-3 rounded-lg text-sm bg-red-900/20 border border-red-500 text-red-300 flex items-start justify-between gap-4">
+                      <div>
+                        <p>
+                          {health[provider.id].consecutive_failures} failed calls in a row
+                          {health[provider.id].state === 'open' && health[provider.id].open_until
+                            ? `; bots use their fallback providers until ${new Date(health[provider.id].open_until!).toLocaleTimeString()}`
+                            : '; the next call decides whether it is healthy again'}
+                        </p>
+                        {health[provider.id].last_error && (
+                          <p className="text-xs text-red-400 mt-1 break-all">Last error: {health[provider.id].last_error}</p>
+                        )}
+                      </div>
+                      <button
+                        onClick={() => handleResetHealth(provider.id)}
+                        className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-gray-100 rounded text-xs font-medium transition-colors shrink-0"
+                      >
+                        Reset
+                      </button>
+                    </div>
+                  )}
+
                   {/* Test Result */}
                   {testResult && testResult.providerId === provider.id && (
                     <div
@@ -334,42 +466,85 @@ export const ProvidersPage: React.FC = () => {
                 required
               />
 
-              <TextInput
-                label="API Endpoint"
-                value={formData.api_endpoint}
-                onChange={(value) => setFormData({ ...formData, api_endpoint: value })}
-                placeholder="https://api.example.com/v1/chat/completions"
-                error={errors.api_endpoint}
-                required
-                type="url"
-              />
-
-              <TextInput
-                label="Model Name"
-                value={formData.model_name}
-                onChange={(value) => setFormData({ ...formData, model_name: value })}
-                placeholder="gemini-2.5-flash"
-                helperText="Optional: Specific model identifier"
-              />
-
-              <PasswordInput
-                label="API Key"
-                value={formData.api_key}
-                onChange={(value) => setFormData({ ...formData, api_key: value })}
-                placeholder={editingProvider ? 'Leave blank to keep current key' : 'Enter API key'}
-                helperText={editingProvider ? 'Enter a new key only if you want to update it' : 'This will be encrypted and stored securely'}
-              />
+              {!isMock && (
+                <>
+                  <TextInput
+                    label="API Endpoint"
+                    value={formData.api_endpoint}
+                    onChange={(value) => setFormData({ ...formData, api_endpoint: value })}
+                    placeholder={hints.endpoint}
+                    error={errors.api_endpoint}
+                    helperText={isLocal
+                      ? 'Ollama /api/generate or /api/chat, or any OpenAI-compatible /v1/chat/completions server'
+                      : formData.provider_type === 'custom'
+                        ? 'Any OpenAI-style chat completions or Anthropic-style messages endpoint'
+                        : undefined}
+                    required
+                    type="url"
+                  />
+
+                  <TextInput
+                    label="Model Name"
+                    value={formData.model_name}
+                    onChange={(value) => setFormData({ ...formData, model_name: value })}
+                    placeholder={hints.model}
+                    error={errors.model_name}
+                    helperText={isLocal
+                      ? 'Model name as known to your local server'
+                      : formData.provider_type === 'gemini'
+                        ? 'Optional: the model is taken from the endpoint URL'
+                        : 'Model identifier sent with each request'}
+                  />
+
+                  <PasswordInput
+                    label="API Key"
+                    value={formData.api_key}
+                    onChange={(value) => setFormData({ ...formData, api_key: value })}
+                    placeholder={editingProvider ? 'Leave blank to keep current key' : isLocal ? 'Usually not needed for local servers' : 'Enter API key'}
+                    helperText={editingProvider ? 'Enter a new key only if you want to update it' : 'This will be encrypted and stored securely'}
+                  />
+                </>
+              )}
 
               <TextArea
-                label="Configuration JSON"
+                label={isMock ? 'Script JSON' : 'Configuration JSON'}
                 value={formData.config_json}
                 onChange={(value) => setFormData({ ...formData, config_json: value })}
-                placeholder='{"temperature": 0.7, "max_tokens": 1000}'
+                placeholder={hints.config}
                 error={errors.config_json}
-                helperText="Optional: Additional configuration as JSON"
-                rows={3}
+                helperText={isMock
+                  ? 'Required: a script with mode "sequence" (responses), "rules" (rules on change_24h or price), "random" (seed, trade_probability, [min, max] bounds) or "malformed" (kinds). Optional: seed, malformed_rate, latency_ms, reflection'
+                  : isLocal
+                    ? 'Optional: temperature, context_length, max_tokens, json_mode, grammar (GBNF), api_style, timeout_ms, max_retries, structured_output'
+                    : formData.provider_type === 'custom'
+                      ? 'Optional: api_style ("openai" or "anthropic"), temperature, max_tokens, json_mode, timeout_ms, max_retries, structured_output'
+                      : 'Optional: temperature, max_tokens, timeout_ms, max_retries, structured_output (enforce the decision JSON schema natively)'}
+                rows={isMock ? 8 : 3}
               />
 
+              {!isMock && (
+                <div className="grid grid-cols-2 gap-4">
+                  <TextInput
+                    label="Input Price (USD / 1M tokens)"
+                    type="number"
+                    value={formData.input_price_per_mtok}
+                    onChange={(value) => setFormData({ ...formData, input_price_per_mtok: value })}
+                    placeholder={isLocal ? '0' : 'Built-in'}
+                    error={errors.input_price_per_mtok}
+                    helperText="Used to estimate cost and enforce bot budgets"
+                  />
+                  <TextInput
+                    label="Output Price (USD / 1M tokens)"
+                    type="number"
+                    value={formData.output_price_per_mtok}
+                    onChange={(value) => setFormData({ ...formData, output_price_per_mtok: value })}
+                    placeholder={isLocal ? '0' : 'Built-in'}
+                    error={errors.output_price_per_mtok}
+                    helperText="Empty uses the model's list price, if known"
+                  />
+                </div>
+              )}
+
               <div className="flex items-center gap-2">
                 <input
                   type="checkbox"
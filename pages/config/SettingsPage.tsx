@@ -7,6 +7,23 @@
 import React, { useState, useEffect } from 'react';
 import { useConfiguration } from '../../context/ConfigurationContext';
 import { TextInput } from '../../components/forms/TextInput';
+import { SelectDropdown, SelectOption } from '../../components/forms/SelectDropdown';
+import { TextArea } from '../../components/forms/TextArea';
+
+// Exchanges with an adapter on the server (server/services/exchanges)
+const marketDataExchangeOptions: SelectOption[] = [
+  { value: 'asterdex', label: 'Asterdex' },
+  { value: 'binance', label: 'Binance' },
+  { value: 'mock', label: 'Mock Exchange (offline)' },
+];
+
+// Candle intervals the server can collect (server/services/klines.js)
+const KLINE_INTERVALS = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d'];
+
+const marketDataSourceOptions: SelectOption[] = [
+  { value: 'live', label: 'Live exchange' },
+  { value: 'synthetic', label: 'Synthetic (offline)' },
+];
 
 export const SettingsPage: React.FC = () => {
   const { settings, updateSetting, loading } = useConfiguration();
@@ -15,10 +32,27 @@ export const SettingsPage: React.FC = () => {
     paper_bot_initial_balance: '',
     live_bot_initial_balance: '',
     turn_interval_ms: '',
+    decision_concurrency: '',
+    cassette_recording_enabled: true,
     refresh_interval_ms: '',
     minimum_trade_size_usd: '',
     symbol_cooldown_ms: '',
     trading_symbols: '',
+    kline_intervals: '',
+    decision_repair_enabled: false,
+    memory_token_budget: '',
+    memory_summary_interval: '',
+    memory_reflections_enabled: true,
+    tool_max_calls_per_turn: '',
+    tool_time_budget_ms: '',
+    provider_max_retries: '',
+    provider_retry_base_ms: '',
+    provider_circuit_threshold: '',
+    provider_circuit_cooldown_ms: '',
+    market_data_exchange: 'asterdex',
+    mock_exchange_url: 'http://localhost:3003',
+    market_data_source: 'live',
+    synthetic_market_config: '{}',
     max_bots: '',
     max_positions_per_bot: '',
     data_retention_days: '',
@@ -37,10 +71,27 @@ export const SettingsPage: React.FC = () => {
         paper_bot_initial_balance: settings.paper_bot_initial_balance?.toString() || '10000',
         live_bot_initial_balance: settings.live_bot_initial_balance?.toString() || '950',
         turn_interval_ms: settings.turn_interval_ms?.toString() || '300000',
+        decision_concurrency: settings.decision_concurrency?.toString() || '4',
+        cassette_recording_enabled: settings.cassette_recording_enabled ?? true,
         refresh_interval_ms: settings.refresh_interval_ms?.toString() || '5000',
         minimum_trade_size_usd: settings.minimum_trade_size_usd?.toString() || '50',
         symbol_cooldown_ms: settings.symbol_cooldown_ms?.toString() || '1800000',
         trading_symbols: settings.trading_symbols?.join(', ') || 'BTCUSDT,ETHUSDT,SOLUSDT',
+        kline_intervals: settings.kline_intervals?.join(', ') || '15m, 1h, 4h',
+        decision_repair_enabled: settings.decision_repair_enabled ?? false,
+        memory_token_budget: settings.memory_token_budget?.toString() || '600',
+        memory_summary_interval: settings.memory_summary_interval?.toString() ?? '24',
+        memory_reflections_enabled: settings.memory_reflections_enabled ?? true,
+        tool_max_calls_per_turn: settings.tool_max_calls_per_turn?.toString() ?? '5',
+        tool_time_budget_ms: settings.tool_time_budget_ms?.toString() || '60000',
+        provider_max_retries: settings.provider_max_retries?.toString() ?? '2',
+        provider_retry_base_ms: settings.provider_retry_base_ms?.toString() || '1000',
+        provider_circuit_threshold: settings.provider_circuit_threshold?.toString() || '5',
+        provider_circuit_cooldown_ms: settings.provider_circuit_cooldown_ms?.toString() || '60000',
+        market_data_exchange: settings.market_data_exchange || 'asterdex',
+        mock_exchange_url: settings.mock_exchange_url || 'http://localhost:3003',
+        market_data_source: settings.market_data_source || 'live',
+        synthetic_market_config: JSON.stringify(settings.synthetic_market_config || {}, null, 2),
         max_bots: settings.max_bots?.toString() || '10',
         max_positions_per_bot: settings.max_positions_per_bot?.toString() || '5',
         data_retention_days: settings.data_retention_days?.toString() || '90',
@@ -59,9 +110,18 @@ export const SettingsPage: React.FC = () => {
       'paper_bot_initial_balance',
       'live_bot_initial_balance',
       'turn_interval_ms',
+      'decision_concurrency',
       'refresh_interval_ms',
       'minimum_trade_size_usd',
       'symbol_cooldown_ms',
+      'memory_token_budget',
+      'memory_summary_interval',
+      'tool_max_calls_per_turn',
+      'tool_time_budget_ms',
+      'provider_max_retries',
+      'provider_retry_base_ms',
+      'provider_circuit_threshold',
+      'provider_circuit_cooldown_ms',
       'max_bots',
       'max_positions_per_bot',
       'data_retention_days',
@@ -76,11 +136,35 @@ export const SettingsPage: React.FC = () => {
       }
     }
 
+    const concurrency = Number(formData.decision_concurrency);
+    if (!newErrors.decision_concurrency && (!Number.isInteger(concurrency) || concurrency < 1)) {
+      newErrors.decision_concurrency = 'Must be a whole number; at least one bot must be asked at a time';
+    }
+
     // Validate trading symbols
     if (!formData.trading_symbols.trim()) {
       newErrors.trading_symbols = 'At least one symbol is required';
     }
 
+    const intervals = formData.kline_intervals.split(',').map(s => s.trim()).filter(s => s.length > 0);
+    const unknownInterval = intervals.find(i => !KLINE_INTERVALS.includes(i));
+    if (unknownInterval) {
+      newErrors.kline_intervals = `Unknown interval '${unknownInterval}'. Use ${KLINE_INTERVALS.join(', ')}`;
+    }
+
+    if (!/^https?:\/\/\S+$/.test(formData.mock_exchange_url.trim())) {
+      newErrors.mock_exchange_url = 'Must be an http(s) URL';
+    }
+
+    try {
+      const config = JSON.parse(formData.synthetic_market_config || '{}');
+      if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        newErrors.synthetic_market_config = 'Must be a JSON object';
+      }
+    } catch {
+      newErrors.synthetic_market_config = 'Must be valid JSON';
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -103,10 +187,27 @@ export const SettingsPage: React.FC = () => {
       await updateSetting('paper_bot_initial_balance', parseFloat(formData.paper_bot_initial_balance));
       await updateSetting('live_bot_initial_balance', parseFloat(formData.live_bot_initial_balance));
       await updateSetting('turn_interval_ms', parseFloat(formData.turn_interval_ms));
+      await updateSetting('decision_concurrency', parseInt(formData.decision_concurrency));
+      await updateSetting('cassette_recording_enabled', formData.cassette_recording_enabled);
       await updateSetting('refresh_interval_ms', parseFloat(formData.refresh_interval_ms));
       await updateSetting('minimum_trade_size_usd', parseFloat(formData.minimum_trade_size_usd));
       await updateSetting('symbol_cooldown_ms', parseFloat(formData.symbol_cooldown_ms));
       await updateSetting('trading_symbols', symbols);
+      await updateSetting('kline_intervals', formData.kline_intervals.split(',').map(s => s.trim()).filter(s => s.length > 0));
+      await updateSetting('decision_repair_enabled', formData.decision_repair_enabled);
+      await updateSetting('memory_token_budget', parseInt(formData.memory_token_budget));
+      await updateSetting('memory_summary_interval', parseInt(formData.memory_summary_interval));
+      await updateSetting('memory_reflections_enabled', formData.memory_reflections_enabled);
+      await updateSetting('tool_max_calls_per_turn', parseInt(formData.tool_max_calls_per_turn));
+      await updateSetting('tool_time_budget_ms', parseInt(formData.tool_time_budget_ms));
+      await updateSetting('provider_max_retries', parseInt(formData.provider_max_retries));
+      await updateSetting('provider_retry_base_ms', parseInt(formData.provider_retry_base_ms));
+      await updateSetting('provider_circuit_threshold', parseInt(formData.provider_circuit_threshold));
+      await updateSetting('provider_circuit_cooldown_ms', parseInt(formData.provider_circuit_cooldown_ms));
+      await updateSetting('market_data_exchange', formData.market_data_exchange);
+      await updateSetting('mock_exchange_url', formData.mock_exchange_url.trim().replace(/\/+$/, ''));
+      await updateSetting('market_data_source', formData.market_data_source);
+      await updateSetting('synthetic_market_config', JSON.parse(formData.synthetic_market_config || '{}'));
       await updateSetting('max_bots', parseInt(formData.max_bots));
       await updateSetting('max_positions_per_bot', parseInt(formData.max_positions_per_bot));
       await updateSetting('data_retention_days', parseInt(formData.data_retention_days));
@@ -189,6 +290,163 @@ export const SettingsPage: React.FC = () => {
             placeholder="BTCUSDT, ETHUSDT, SOLUSDT"
             helperText="Comma-separated list of symbols available for trading"
           />
+
+          <TextInput
+            label="Candle Intervals"
+            value={formData.kline_intervals}
+            onChange={(value) => setFormData({ ...formData, kline_intervals: value })}
+            error={errors.kline_intervals}
+            placeholder="15m, 1h, 4h"
+            helperText="Candles collected for every trading symbol, used by the {{indicators}} and {{candles:...}} prompt variables"
+          />
+
+          <SelectDropdown
+            label="Market Data Source"
+            value={formData.market_data_source}
+            onChange={(value) => setFormData({ ...formData, market_data_source: value })}
+            options={marketDataSourceOptions}
+            helperText="Synthetic prices need no exchange, for offline development and demos. Live bots still trade on their exchange."
+          />
+
+          {formData.market_data_source === 'synthetic' && (
+            <TextArea
+              label="Synthetic Market Config (JSON)"
+              value={formData.synthetic_market_config}
+              onChange={(value) => setFormData({ ...formData, synthetic_market_config: value })}
+              error={errors.synthetic_market_config}
+              rows={6}
+              placeholder='{ "seed": 42, "scenarios": [{ "type": "crash", "magnitude_pct": 15, "duration_minutes": 30, "start_in_minutes": 60 }] }'
+              helperText="Optional seed, tickMs, correlation, regimeSwitching, symbols and scenarios. Empty uses the defaults; changing it restarts the synthetic market."
+            />
+          )}
+
+          <SelectDropdown
+            label="Market Data Exchange"
+            value={formData.market_data_exchange}
+            onChange={(value) => setFormData({ ...formData, market_data_exchange: value })}
+            options={marketDataExchangeOptions}
+            helperText="Exchange whose prices the arena shows and paper bots trade at. Live bots trade on the exchange of their wallet."
+          />
+
+          <TextInput
+            label="Mock Exchange URL"
+            value={formData.mock_exchange_url}
+            onChange={(value) => setFormData({ ...formData, mock_exchange_url: value })}
+            error={errors.mock_exchange_url}
+            placeholder="http://localhost:3003"
+            helperText="Where the local mock exchange runs (npm run mock-exchange in server/). Used by wallets on the Mock Exchange."
+          />
+
+          <div className="flex items-start gap-2">
+            <input
+              type="checkbox"
+              id="decision_repair_enabled"
+              checked={formData.decision_repair_enabled}
+              onChange={(e) => setFormData({ ...formData, decision_repair_enabled: e.target.checked })}
+              className="w-4 h-4 mt-1"
+            />
+            <label htmlFor="decision_repair_enabled" className="text-sm text-gray-300">
+              Repair invalid decisions
+              <span className="block text-xs text-gray-500">
+                When a response has decisions that fail validation, re-prompt the bot once with the rejection reasons (one extra provider call)
+              </span>
+            </label>
+          </div>
+
+          <TextInput
+            label="Memory Token Budget"
+            value={formData.memory_token_budget}
+            onChange={(value) => setFormData({ ...formData, memory_token_budget: value })}
+            error={errors.memory_token_budget}
+            type="number"
+            helperText="Approximate size of the {{memory}} prompt section; notes come first, then the newest lessons and summaries that fit"
+          />
+
+          <TextInput
+            label="Memory Summary Interval (turns)"
+            value={formData.memory_summary_interval}
+            onChange={(value) => setFormData({ ...formData, memory_summary_interval: value })}
+            error={errors.memory_summary_interval}
+            type="number"
+            helperText="Summarize a bot's decisions into its memory every this many turns (one provider call each, 0 disables)"
+          />
+
+          <div className="flex items-start gap-2">
+            <input
+              type="checkbox"
+              id="memory_reflections_enabled"
+              checked={formData.memory_reflections_enabled}
+              onChange={(e) => setFormData({ ...formData, memory_reflections_enabled: e.target.checked })}
+              className="w-4 h-4 mt-1"
+            />
+            <label htmlFor="memory_reflections_enabled" className="text-sm text-gray-300">
+              Post-trade reflections
+              <span className="block text-xs text-gray-500">
+                Ask a bot for the lesson of each closed trade and keep it in its memory (one extra provider call per trade). Only bots whose prompt uses {'{{memory}}'} reflect or get summaries.
+              </span>
+            </label>
+          </div>
+
+          <TextInput
+            label="Tool Calls per Turn"
+            value={formData.tool_max_calls_per_turn}
+            onChange={(value) => setFormData({ ...formData, tool_max_calls_per_turn: value })}
+            error={errors.tool_max_calls_per_turn}
+            type="number"
+            helperText="Most data tools a bot with tools enabled may call before it must decide (each call is one more provider round trip)"
+          />
+
+          <TextInput
+            label="Tool Time Budget (ms)"
+            value={formData.tool_time_budget_ms}
+            onChange={(value) => setFormData({ ...formData, tool_time_budget_ms: value })}
+            error={errors.tool_time_budget_ms}
+            type="number"
+            helperText="After this long in a turn, a bot with tools enabled is asked for its decisions without more tool calls"
+          />
+        </div>
+
+        {/* Provider Resilience */}
+        <div className="space-y-4">
+          <h2 className="text-xl font-semibold text-gray-100 border-b border-gray-700 pb-2">
+            Provider Resilience
+          </h2>
+
+          <TextInput
+            label="Retries per Call"
+            value={formData.provider_max_retries}
+            onChange={(value) => setFormData({ ...formData, provider_max_retries: value })}
+            error={errors.provider_max_retries}
+            type="number"
+            helperText="Retries of a provider call that timed out, was rate limited or hit a server error. A provider's max_retries overrides it"
+          />
+
+          <TextInput
+            label="Retry Delay (ms)"
+            value={formData.provider_retry_base_ms}
+            onChange={(value) => setFormData({ ...formData, provider_retry_base_ms: value })}
+            error={errors.provider_retry_base_ms}
+            type="number"
+            helperText="Wait before the first retry; each further retry waits twice as long, plus up to 50% jitter"
+          />
+
+          <TextInput
+            label="Failures Before Unhealthy"
+            value={formData.provider_circuit_threshold}
+            onChange={(value) => setFormData({ ...formData, provider_circuit_threshold: value })}
+            error={errors.provider_circuit_threshold}
+            type="number"
+            helperText="Failed calls in a row, after retries, after which a provider is skipped and bots use their fallback providers"
+          />
+
+          <TextInput
+            label="Unhealthy Cooldown (ms)"
+            value={formData.provider_circuit_cooldown_ms}
+            onChange={(value) => setFormData({ ...formData, provider_circuit_cooldown_ms: value })}
+            error={errors.provider_circuit_cooldown_ms}
+            type="number"
+            helperText="How long an unhealthy provider is skipped before one trial call may mark it healthy again"
+          />
         </div>
 
         {/* Timing Settings */}
@@ -206,6 +464,31 @@ export const SettingsPage: React.FC = () => {
             helperText="Time between bot trading decisions (default: 300000 = 5 minutes)"
           />
 
+          <TextInput
+            label="Concurrent Decisions"
+            value={formData.decision_concurrency}
+            onChange={(value) => setFormData({ ...formData, decision_concurrency: value })}
+            error={errors.decision_concurrency}
+            type="number"
+            helperText="Bots asked for decisions at the same time in a turn, all on the same frozen prices (1 asks one bot after another). Trades are then executed one bot at a time in bot ID order"
+          />
+
+          <div className="flex items-start gap-2">
+            <input
+              type="checkbox"
+              id="cassette_recording_enabled"
+              checked={formData.cassette_recording_enabled}
+              onChange={(e) => setFormData({ ...formData, cassette_recording_enabled: e.target.checked })}
+              className="w-4 h-4 mt-1"
+            />
+            <label htmlFor="cassette_recording_enabled" className="text-sm text-gray-300">
+              Record provider requests
+              <span className="block text-xs text-gray-500">
+                Keep every prompt and raw response of an arena turn, so backtests can replay the turn through parsing, validation and execution without calling a provider.
+              </span>
+            </label>
+          </div>
+
           <TextInput
             label="Portfolio Refresh Interval (milliseconds)"
             value={formData.refresh_interval_ms}
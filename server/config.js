@@ -52,24 +52,26 @@ function validateConfig() {
  * but now retrieves encrypted credentials from the database.
  * 
  * @param {string} botId - The bot identifier (e.g., 'bot_degen')
+ * @param {string} [exchange] - Only use the bot's wallet for this exchange
  * @returns {Promise<{apiKey: string, apiSecret: string}>}
  */
-async function getApiKeysForBot(botId) {
+async function getApiKeysForBot(botId, exchange) {
   const Database = require('better-sqlite3');
   const { decrypt } = require('./utils/encryption');
   const path = require('path');
   
-  const dbPath = path.join(__dirname, '..', 'data', 'arena.db');
+  const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'data', 'arena.db');
   const db = new Database(dbPath);
   
   try {
-    // Get the wallet for this bot (assuming 'asterdex' exchange for now)
+    // Get the wallet for this bot, on the given exchange when there is one
     const wallet = db.prepare(`
       SELECT api_key_encrypted, api_secret_encrypted 
       FROM wallets 
-      WHERE bot_id = ? AND is_active = 1
+      WHERE bot_id = ? AND is_active = 1 AND (? IS NULL OR exchange = ?)
+      ORDER BY id
       LIMIT 1
-    `).get(botId);
+    `).get(botId, exchange ?? null, exchange ?? null);
     
     if (!wallet) {
       // Fallback to environment variables if no wallet in database
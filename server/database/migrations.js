@@ -0,0 +1,96 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Incremental Schema Migrations
+ *
+ * Applies numbered SQL files from server/migrations/ exactly once and records
+ * them in the schema_migrations table.
+ *
+ * Migrations 001-003 predate this runner: 001 is applied by database.js,
+ * 002 by scripts/migrate_to_relational.js and 003 by hand. Only files numbered
+ * 004 and above are tracked here.
+ *
+ * Each migration runs in a transaction with foreign keys enforced. Changing a
+ * CHECK constraint means rebuilding the table, and dropping a table other
+ * tables reference would run their ON DELETE actions, so a migration that
+ * rebuilds one starts with the line
+ *   -- foreign_keys: off
+ * and runs with enforcement off, as SQLite's table rebuild procedure
+ * requires. It fails if it leaves a reference to a missing row.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FIRST_TRACKED_MIGRATION = 4;
+const FOREIGN_KEYS_OFF = /^-- foreign_keys: off$/m;
+
+/**
+ * List tracked migration files in order
+ * @returns {Array<{version: number, name: string, file: string}>}
+ */
+function listMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(name => {
+      const match = name.match(/^(\d{3})_.+\.sql$/);
+      return match ? { version: parseInt(match[1], 10), name, file: path.join(MIGRATIONS_DIR, name) } : null;
+    })
+    .filter(m => m && m.version >= FIRST_TRACKED_MIGRATION)
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply every migration that has not been recorded yet
+ * @param {import('better-sqlite3').Database} db - Open database connection
+ * @returns {string[]} Names of the migrations applied by this call
+ */
+function runPendingMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  const applied = new Set(
+    db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+  );
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+  const appliedNow = [];
+
+  for (const migration of listMigrations()) {
+    if (applied.has(migration.version)) continue;
+
+    const sql = fs.readFileSync(migration.file, 'utf8');
+    // Enforcement can only be switched outside a transaction
+    const foreignKeys = db.pragma('foreign_keys', { simple: true });
+    const rebuild = FOREIGN_KEYS_OFF.test(sql);
+    if (rebuild) db.pragma('foreign_keys = OFF');
+    try {
+      db.transaction(() => {
+        db.exec(sql);
+        if (rebuild && db.pragma('foreign_key_check').length > 0) {
+          throw new Error(`${migration.name} left rows referencing missing rows`);
+        }
+        record.run(migration.version, migration.name);
+      })();
+    } finally {
+      if (rebuild) db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+    }
+
+    appliedNow.push(migration.name);
+  }
+
+  return appliedNow;
+}
+
+module.exports = {
+  listMigrations,
+  runPendingMigrations
+};
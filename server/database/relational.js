@@ -78,35 +78,51 @@ function getBot(botId) {
 }
 
 /**
- * Create a new bot
+ * Create a new bot, with its prompt as version 1
+ * @param {Object} [author] - { author_id, author_name, note } for the first prompt version
  */
-function createBot(botData) {
+function createBot(botData, author = {}) {
   const stmt = db.prepare(`
-    INSERT INTO bots (id, name, prompt, provider_id, trading_mode, is_active, is_paused, avatar_image)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO bots (id, name, prompt, provider_id, trading_mode, is_active, is_paused, avatar_image, risk_limits_json, tools_enabled, ensemble_json,
+      llm_daily_budget_usd, llm_monthly_budget_usd, fallback_providers_json)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
-  stmt.run(
-    botData.id,
-    botData.name,
-    botData.prompt,
-    botData.provider_id,
-    botData.trading_mode,
-    botData.is_active !== undefined ? (botData.is_active ? 1 : 0) : 1,
-    botData.is_paused !== undefined ? (botData.is_paused ? 1 : 0) : 0,
-    botData.avatar_image || null
-  );
+  db.transaction(() => {
+    stmt.run(
+      botData.id,
+      botData.name,
+      botData.prompt,
+      botData.provider_id,
+      botData.trading_mode,
+      botData.is_active !== undefined ? (botData.is_active ? 1 : 0) : 1,
+      botData.is_paused !== undefined ? (botData.is_paused ? 1 : 0) : 0,
+      botData.avatar_image || null,
+      botData.risk_limits_json || null,
+      botData.tools_enabled ? 1 : 0,
+      botData.ensemble_json || null,
+      botData.llm_daily_budget_usd ?? null,
+      botData.llm_monthly_budget_usd ?? null,
+      botData.fallback_providers_json || null
+    );
+    addPromptVersion(botData.id, botData.prompt, { ...author, note: author.note || 'Initial version' });
+  })();
   
   return getBot(botData.id);
 }
 
 /**
  * Update a bot
+ * A changed prompt is stored as a new prompt version.
+ * @param {Object} [author] - { author_id, author_name, note } for a new prompt version
  */
-function updateBot(botId, updates) {
-  const allowedFields = ['name', 'prompt', 'provider_id', 'trading_mode', 'is_active', 'is_paused', 'avatar_image'];
+function updateBot(botId, updates, author = {}) {
+  const allowedFields = ['name', 'provider_id', 'trading_mode', 'is_active', 'is_paused', 'avatar_image', 'risk_limits_json', 'tools_enabled', 'ensemble_json',
+    'llm_daily_budget_usd', 'llm_monthly_budget_usd', 'fallback_providers_json'];
   const setters = [];
   const params = [];
+  const current = db.prepare('SELECT prompt FROM bots WHERE id = ?').get(botId);
+  const promptChanged = current && updates.prompt !== undefined && updates.prompt !== current.prompt;
   
   for (const field of allowedFields) {
     if (updates[field] !== undefined) {
@@ -119,15 +135,16 @@ function updateBot(botId, updates) {
     }
   }
   
-  if (setters.length === 0) {
-    return getBot(botId);
-  }
-  
-  setters.push('updated_at = CURRENT_TIMESTAMP');
-  params.push(botId);
-  
-  const query = `UPDATE bots SET ${setters.join(', ')} WHERE id = ?`;
-  db.prepare(query).run(...params);
+  db.transaction(() => {
+    if (promptChanged) {
+      addPromptVersion(botId, updates.prompt, author);
+    }
+    if (setters.length > 0) {
+      setters.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(botId);
+      db.prepare(`UPDATE bots SET ${setters.join(', ')} WHERE id = ?`).run(...params);
+    }
+  })();
   
   return getBot(botId);
 }
@@ -146,6 +163,126 @@ function toggleBotPause(botId, isPaused) {
   return db.prepare('UPDATE bots SET is_paused = ? WHERE id = ?').run(isPaused ? 1 : 0, botId);
 }
 
+// ============================================================================
+// PROMPT VERSION OPERATIONS
+// ============================================================================
+
+/**
+ * Store a prompt as the bot's next version and make it the current prompt
+ * Bots inserted outside this module (seed scripts) have no versions yet;
+ * their existing prompt is kept as version 1 first.
+ * @param {Object} [author] - { author_id, author_name, note }
+ * @returns {number} The new version number
+ */
+function addPromptVersion(botId, prompt, { author_id, author_name, note } = {}) {
+  const insert = db.prepare(`
+    INSERT INTO bot_prompt_versions (bot_id, version, prompt, author_id, author_name, note)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const bot = db.prepare('SELECT prompt FROM bots WHERE id = ?').get(botId);
+  let version = db.prepare('SELECT MAX(version) AS version FROM bot_prompt_versions WHERE bot_id = ?').get(botId).version || 0;
+  if (version === 0 && bot.prompt !== prompt) {
+    version = 1;
+    insert.run(botId, version, bot.prompt, null, null, 'Prompt before version history');
+  }
+
+  version += 1;
+  insert.run(botId, version, prompt, author_id || null, author_name || null, note || null);
+  db.prepare('UPDATE bots SET prompt = ?, prompt_version = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(prompt, version, botId);
+  return version;
+}
+
+/**
+ * Get a bot's prompt versions, newest first
+ */
+function getPromptVersions(botId) {
+  return db.prepare('SELECT * FROM bot_prompt_versions WHERE bot_id = ? ORDER BY version DESC').all(botId);
+}
+
+/**
+ * Get one prompt version of a bot
+ */
+function getPromptVersion(botId, version) {
+  return db.prepare('SELECT * FROM bot_prompt_versions WHERE bot_id = ? AND version = ?').get(botId, version);
+}
+
+// ============================================================================
+// BOT MEMORY OPERATIONS
+// ============================================================================
+
+/**
+ * Get a bot's memories, newest first
+ * @param {Object} [filters] - { kind, before (ISO time), limit }
+ */
+function getBotMemories(botId, filters = {}) {
+  let query = 'SELECT * FROM bot_memories WHERE bot_id = ?';
+  const params = [botId];
+
+  if (filters.kind) {
+    query += ' AND kind = ?';
+    params.push(filters.kind);
+  }
+
+  if (filters.before) {
+    query += ' AND created_at <= ?';
+    params.push(filters.before);
+  }
+
+  query += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+  params.push(filters.limit || 200);
+
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Get a single memory by ID
+ */
+function getBotMemory(memoryId) {
+  return db.prepare('SELECT * FROM bot_memories WHERE id = ?').get(memoryId);
+}
+
+/**
+ * Add a memory to a bot
+ */
+function createBotMemory(memoryData) {
+  const createdAt = memoryData.created_at || new Date().toISOString();
+  const result = db.prepare(`
+    INSERT INTO bot_memories (bot_id, kind, content, symbol, position_type, position_id, pnl, period_start, period_end, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    memoryData.bot_id,
+    memoryData.kind,
+    memoryData.content,
+    memoryData.symbol || null,
+    memoryData.position_type || null,
+    memoryData.position_id || null,
+    memoryData.pnl ?? null,
+    memoryData.period_start || null,
+    memoryData.period_end || null,
+    memoryData.created_by || null,
+    createdAt,
+    createdAt
+  );
+
+  return getBotMemory(result.lastInsertRowid);
+}
+
+/**
+ * Replace the text of a memory
+ */
+function updateBotMemory(memoryId, content) {
+  db.prepare('UPDATE bot_memories SET content = ?, updated_at = ? WHERE id = ?').run(content, new Date().toISOString(), memoryId);
+  return getBotMemory(memoryId);
+}
+
+/**
+ * Delete a memory
+ */
+function deleteBotMemory(memoryId) {
+  return db.prepare('DELETE FROM bot_memories WHERE id = ?').run(memoryId);
+}
+
 // ============================================================================
 // LLM PROVIDER OPERATIONS
 // ============================================================================
@@ -184,8 +321,9 @@ function getProvider(providerId) {
  */
 function createProvider(providerData) {
   const stmt = db.prepare(`
-    INSERT INTO llm_providers (name, provider_type, api_endpoint, model_name, api_key_encrypted, config_json, is_active)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO llm_providers (name, provider_type, api_endpoint, model_name, api_key_encrypted, config_json, is_active,
+      input_price_per_mtok, output_price_per_mtok)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
   const result = stmt.run(
@@ -195,7 +333,9 @@ function createProvider(providerData) {
     providerData.model_name || null,
     providerData.api_key_encrypted || null,
     providerData.config_json || null,
-    providerData.is_active !== undefined ? (providerData.is_active ? 1 : 0) : 1
+    providerData.is_active !== undefined ? (providerData.is_active ? 1 : 0) : 1,
+    providerData.input_price_per_mtok ?? null,
+    providerData.output_price_per_mtok ?? null
   );
   
   return getProvider(result.lastInsertRowid);
@@ -205,7 +345,8 @@ function createProvider(providerData) {
  * Update a provider
  */
 function updateProvider(providerId, updates) {
-  const allowedFields = ['name', 'provider_type', 'api_endpoint', 'model_name', 'api_key_encrypted', 'config_json', 'is_active'];
+  const allowedFields = ['name', 'provider_type', 'api_endpoint', 'model_name', 'api_key_encrypted', 'config_json', 'is_active',
+    'input_price_per_mtok', 'output_price_per_mtok'];
   const setters = [];
   const params = [];
   
@@ -247,6 +388,109 @@ function deleteProvider(providerId) {
   return db.prepare('DELETE FROM llm_providers WHERE id = ?').run(providerId);
 }
 
+// ============================================================================
+// LLM CALL OPERATIONS
+// ============================================================================
+
+// Grouping expressions for getLlmUsage
+const LLM_USAGE_GROUPS = {
+  all: "'all'",
+  day: 'substr(created_at, 1, 10)',
+  bot: 'bot_id',
+  provider: 'provider_id',
+  source: 'source',
+  purpose: 'purpose'
+};
+
+/**
+ * Record a provider call
+ */
+function createLlmCall(callData) {
+  return db.prepare(`
+    INSERT INTO llm_calls (bot_id, provider_id, model_name, source, purpose, prompt_tokens, completion_tokens, tokens_estimated,
+      cost_usd, latency_ms, outcome, error, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    callData.bot_id || null,
+    callData.provider_id || null,
+    callData.model_name || null,
+    callData.source,
+    callData.purpose,
+    callData.prompt_tokens || 0,
+    callData.completion_tokens || 0,
+    callData.tokens_estimated ? 1 : 0,
+    callData.cost_usd ?? null,
+    callData.latency_ms,
+    callData.outcome,
+    callData.error || null,
+    callData.created_at || new Date().toISOString()
+  );
+}
+
+/**
+ * Estimated cost of a bot's provider calls since a time
+ * @param {string} [source] - Only calls from this source, e.g. 'arena'
+ * @returns {number} USD; calls without a known price count as 0
+ */
+function getLlmSpend(botId, sinceIso, source) {
+  let query = 'SELECT COALESCE(SUM(cost_usd), 0) as cost FROM llm_calls WHERE bot_id = ? AND created_at >= ?';
+  const params = [botId, sinceIso];
+  if (source) {
+    query += ' AND source = ?';
+    params.push(source);
+  }
+  return db.prepare(query).get(...params).cost;
+}
+
+/**
+ * Provider call totals, overall or grouped by day, bot, provider, source or purpose
+ * @param {string} groupBy - A key of LLM_USAGE_GROUPS
+ * @param {Object} [filters] - { since, bot_id, provider_id, source }
+ * @returns {Array<Object>} One row per group, with the group value as key
+ */
+function getLlmUsage(groupBy, filters = {}) {
+  const key = LLM_USAGE_GROUPS[groupBy];
+  if (!key) {
+    throw new Error(`Unknown usage grouping '${groupBy}'`);
+  }
+
+  let query = `
+    SELECT ${key} as key,
+      COUNT(*) as calls,
+      SUM(outcome != 'success') as failures,
+      SUM(outcome = 'timeout') as timeouts,
+      SUM(prompt_tokens) as prompt_tokens,
+      SUM(completion_tokens) as completion_tokens,
+      SUM(tokens_estimated) as estimated_calls,
+      COALESCE(SUM(cost_usd), 0) as cost_usd,
+      SUM(cost_usd IS NULL) as unpriced_calls,
+      AVG(latency_ms) as avg_latency_ms,
+      MAX(latency_ms) as max_latency_ms
+    FROM llm_calls WHERE 1=1
+  `;
+  const params = [];
+
+  if (filters.since) {
+    query += ' AND created_at >= ?';
+    params.push(filters.since);
+  }
+  if (filters.bot_id) {
+    query += ' AND bot_id = ?';
+    params.push(filters.bot_id);
+  }
+  if (filters.provider_id) {
+    query += ' AND provider_id = ?';
+    params.push(filters.provider_id);
+  }
+  if (filters.source) {
+    query += ' AND source = ?';
+    params.push(filters.source);
+  }
+
+  query += ` GROUP BY ${key} ORDER BY ${key} ASC`;
+  return db.prepare(query).all(...params);
+}
+
 // ============================================================================
 // WALLET OPERATIONS
 // ============================================================================
@@ -255,7 +499,20 @@ function deleteProvider(providerId) {
  * Get wallets by bot ID
  */
 function getWalletsByBot(botId) {
-  return db.prepare('SELECT * FROM wallets WHERE bot_id = ? AND is_active = 1').all(botId);
+  return db.prepare('SELECT * FROM wallets WHERE bot_id = ? AND is_active = 1 ORDER BY id').all(botId);
+}
+
+/**
+ * Get every active wallet with its bot's name
+ */
+function getActiveWallets() {
+  return db.prepare(`
+    SELECT w.*, b.name as bot_name
+    FROM wallets w
+    LEFT JOIN bots b ON w.bot_id = b.id
+    WHERE w.is_active = 1
+    ORDER BY w.bot_id
+  `).all();
 }
 
 /**
@@ -334,8 +591,8 @@ function deleteWallet(walletId) {
  */
 function createSnapshot(snapshotData) {
   const stmt = db.prepare(`
-    INSERT INTO bot_state_snapshots (bot_id, balance, unrealized_pnl, realized_pnl, total_value, trade_count, win_rate, timestamp)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO bot_state_snapshots (bot_id, balance, unrealized_pnl, realized_pnl, total_value, trade_count, win_rate, prompt_version, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
   return stmt.run(
@@ -346,6 +603,7 @@ function createSnapshot(snapshotData) {
     snapshotData.total_value,
     snapshotData.trade_count,
     snapshotData.win_rate,
+    snapshotData.prompt_version ?? null,
     snapshotData.timestamp || new Date().toISOString()
   );
 }
@@ -372,6 +630,16 @@ function getBotSnapshots(botId, startDate, endDate) {
   return db.prepare(query).all(...params);
 }
 
+/**
+ * Get a bot's most recent snapshot, optionally the last one at or before a time
+ */
+function getLatestSnapshot(botId, before) {
+  if (before) {
+    return db.prepare('SELECT * FROM bot_state_snapshots WHERE bot_id = ? AND timestamp <= ? ORDER BY timestamp DESC LIMIT 1').get(botId, before);
+  }
+  return db.prepare('SELECT * FROM bot_state_snapshots WHERE bot_id = ? ORDER BY timestamp DESC LIMIT 1').get(botId);
+}
+
 // ============================================================================
 // POSITION OPERATIONS
 // ============================================================================
@@ -486,8 +754,8 @@ function getTrades(botId, filters = {}) {
  */
 function createTrade(tradeData) {
   const stmt = db.prepare(`
-    INSERT INTO trades (id, bot_id, position_id, symbol, trade_type, action, entry_price, exit_price, size, leverage, pnl, fee, executed_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO trades (id, bot_id, position_id, symbol, trade_type, action, entry_price, exit_price, size, leverage, pnl, fee, prompt_version, executed_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
   return stmt.run(
@@ -503,6 +771,7 @@ function createTrade(tradeData) {
     tradeData.leverage,
     tradeData.pnl,
     tradeData.fee,
+    tradeData.prompt_version ?? null,
     tradeData.executed_at || new Date().toISOString()
   );
 }
@@ -516,8 +785,9 @@ function createTrade(tradeData) {
  */
 function createDecision(decisionData) {
   const stmt = db.prepare(`
-    INSERT INTO bot_decisions (bot_id, prompt_sent, decisions_json, notes_json, execution_success, timestamp)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO bot_decisions (bot_id, prompt_sent, decisions_json, notes_json, raw_response, latency_ms, execution_success, prompt_version,
+      tool_calls_json, ensemble_json, provider_id, snapshot_id, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
   return stmt.run(
@@ -525,7 +795,14 @@ function createDecision(decisionData) {
     decisionData.prompt_sent,
     JSON.stringify(decisionData.decisions),
     JSON.stringify(decisionData.notes || []),
+    decisionData.raw_response ?? null,
+    decisionData.latency_ms ?? null,
     decisionData.execution_success ? 1 : 0,
+    decisionData.prompt_version ?? null,
+    decisionData.tool_calls ? JSON.stringify(decisionData.tool_calls) : null,
+    decisionData.ensemble ? JSON.stringify(decisionData.ensemble) : null,
+    decisionData.provider_id ?? null,
+    decisionData.snapshot_id ?? null,
     decisionData.timestamp || new Date().toISOString()
   );
 }
@@ -537,6 +814,49 @@ function getBotDecisions(botId, limit = 50) {
   return db.prepare('SELECT * FROM bot_decisions WHERE bot_id = ? ORDER BY timestamp DESC LIMIT ?').all(botId, limit);
 }
 
+/**
+ * Count a bot's decisions per prompt version
+ * @returns {Array<{prompt_version, decision_count, failed_count, avg_latency_ms, first_at, last_at}>}
+ */
+function getDecisionStatsByPromptVersion(botId) {
+  return db.prepare(`
+    SELECT prompt_version,
+      COUNT(*) AS decision_count,
+      SUM(CASE WHEN execution_success = 0 THEN 1 ELSE 0 END) AS failed_count,
+      AVG(latency_ms) AS avg_latency_ms,
+      MIN(timestamp) AS first_at,
+      MAX(timestamp) AS last_at
+    FROM bot_decisions
+    WHERE bot_id = ?
+    GROUP BY prompt_version
+  `).all(botId);
+}
+
+/**
+ * Get a bot's most recent decisions after a time, oldest first
+ * @param {string|null} after - ISO time, or null for all decisions
+ */
+function getBotDecisionsAfter(botId, after, limit = 100) {
+  return db.prepare(`
+    SELECT * FROM (
+      SELECT * FROM bot_decisions
+      WHERE bot_id = ? AND timestamp > ?
+      ORDER BY timestamp DESC LIMIT ?
+    ) ORDER BY timestamp ASC
+  `).all(botId, after || '', limit);
+}
+
+/**
+ * Get the latest decision a bot made in a time window (after, until]
+ */
+function getLatestDecisionBetween(botId, after, until) {
+  return db.prepare(`
+    SELECT * FROM bot_decisions
+    WHERE bot_id = ? AND timestamp > ? AND timestamp <= ?
+    ORDER BY timestamp DESC LIMIT 1
+  `).get(botId, after, until);
+}
+
 // ============================================================================
 // MARKET DATA OPERATIONS
 // ============================================================================
@@ -559,6 +879,15 @@ function insertMarketData(marketData) {
   );
 }
 
+/**
+ * Insert one tick for several symbols in a single transaction
+ */
+const insertMarketDataBatch = db.transaction((rows) => {
+  for (const row of rows) {
+    insertMarketData(row);
+  }
+});
+
 /**
  * Get latest market data
  */
@@ -570,6 +899,598 @@ function getLatestMarketData() {
   `).all();
 }
 
+/**
+ * Get market data for some symbols in a time range, oldest first
+ */
+function getMarketDataRange(symbols, startDate, endDate) {
+  const placeholders = symbols.map(() => '?').join(', ');
+  return db.prepare(`
+    SELECT symbol, price, price_24h_change, timestamp
+    FROM market_data
+    WHERE symbol IN (${placeholders}) AND timestamp >= ? AND timestamp <= ?
+    ORDER BY timestamp ASC
+  `).all(...symbols, startDate, endDate);
+}
+
+/**
+ * Record the market data of an arena turn
+ * @param {{id: string, takenAt: number, markets: Array<Object>}} snapshot - takenAt in Unix ms
+ */
+function createMarketSnapshot(snapshot) {
+  return db.prepare('INSERT INTO market_snapshots (id, taken_at, market_data_json) VALUES (?, ?, ?)')
+    .run(snapshot.id, new Date(snapshot.takenAt).toISOString(), JSON.stringify(snapshot.markets));
+}
+
+/**
+ * Get a turn's market snapshot with the decisions based on it
+ */
+function getMarketSnapshot(id) {
+  const snapshot = db.prepare('SELECT * FROM market_snapshots WHERE id = ?').get(id);
+  if (!snapshot) return null;
+
+  const decisions = db.prepare(`
+    SELECT id, bot_id, provider_id, decisions_json, execution_success, timestamp
+    FROM bot_decisions WHERE snapshot_id = ? ORDER BY id ASC
+  `).all(id);
+  return { ...snapshot, decisions };
+}
+
+/**
+ * Record a provider request of an arena turn
+ */
+function createCassette(cassetteData) {
+  return db.prepare(`
+    INSERT INTO llm_cassettes (bot_id, snapshot_id, turn_at, sequence, purpose, provider_id, prompt, raw_response, error,
+      tool_calls_json, notes_json, latency_ms)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    cassetteData.bot_id,
+    cassetteData.snapshot_id,
+    cassetteData.turn_at,
+    cassetteData.sequence,
+    cassetteData.purpose,
+    cassetteData.provider_id ?? null,
+    cassetteData.prompt,
+    cassetteData.raw_response ?? null,
+    cassetteData.error || null,
+    cassetteData.tool_calls ? JSON.stringify(cassetteData.tool_calls) : null,
+    cassetteData.notes?.length ? JSON.stringify(cassetteData.notes) : null,
+    cassetteData.latency_ms ?? null
+  );
+}
+
+/**
+ * Get the provider requests of a turn, in the order they were made
+ * @param {string} [botId] - Only this bot's requests
+ */
+function getCassettes(snapshotId, botId) {
+  if (botId) {
+    return db.prepare('SELECT * FROM llm_cassettes WHERE snapshot_id = ? AND bot_id = ? ORDER BY sequence ASC').all(snapshotId, botId);
+  }
+  return db.prepare('SELECT * FROM llm_cassettes WHERE snapshot_id = ? ORDER BY bot_id ASC, sequence ASC').all(snapshotId);
+}
+
+/**
+ * Get the snapshot of a bot's latest recorded turn in (after, until]
+ * @returns {string|null} Snapshot ID
+ */
+function getLatestCassetteSnapshot(botId, after, until) {
+  const row = db.prepare(`
+    SELECT snapshot_id FROM llm_cassettes
+    WHERE bot_id = ? AND turn_at > ? AND turn_at <= ?
+    ORDER BY turn_at DESC LIMIT 1
+  `).get(botId, after, until);
+  return row?.snapshot_id ?? null;
+}
+
+// ============================================================================
+// KLINE OPERATIONS
+// ============================================================================
+
+/**
+ * Insert or replace candles in a single transaction
+ * @param {Array<Object>} klines - { symbol, interval, open_time, open, high, low, close, volume, close_time, source }
+ */
+const insertKlines = db.transaction((klines) => {
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO klines (symbol, interval, open_time, open, high, low, close, volume, close_time, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  for (const k of klines) {
+    stmt.run(k.symbol, k.interval, k.open_time, k.open, k.high, k.low, k.close, k.volume ?? null, k.close_time, k.source || 'import');
+  }
+  return klines.length;
+});
+
+/**
+ * Get candles for some symbols that closed in a time range, oldest first
+ * @param {string[]} symbols
+ * @param {string} interval - e.g. '1h'
+ * @param {number} startTime - Unix ms
+ * @param {number} endTime - Unix ms
+ */
+function getKlinesRange(symbols, interval, startTime, endTime) {
+  const placeholders = symbols.map(() => '?').join(', ');
+  return db.prepare(`
+    SELECT * FROM klines
+    WHERE symbol IN (${placeholders}) AND interval = ? AND close_time >= ? AND close_time <= ?
+    ORDER BY close_time ASC
+  `).all(...symbols, interval, startTime, endTime);
+}
+
+/**
+ * Get the most recent candles that closed by a time, oldest first
+ * @param {string} symbol
+ * @param {string} interval - e.g. '1h'
+ * @param {number} endTime - Unix ms; later candles are ignored
+ * @param {number} limit - Maximum number of candles
+ */
+function getRecentKlines(symbol, interval, endTime, limit) {
+  return db.prepare(`
+    SELECT * FROM klines
+    WHERE symbol = ? AND interval = ? AND close_time <= ?
+    ORDER BY close_time DESC
+    LIMIT ?
+  `).all(symbol, interval, endTime, limit).reverse();
+}
+
+/**
+ * Close time of the latest stored candle for a symbol and interval
+ * @returns {number|null} Unix ms, or null when there are none
+ */
+function getLatestKlineCloseTime(symbol, interval) {
+  const row = db.prepare('SELECT MAX(close_time) as close_time FROM klines WHERE symbol = ? AND interval = ?').get(symbol, interval);
+  return row?.close_time ?? null;
+}
+
+/**
+ * Summarize the stored candles per symbol and interval
+ */
+function getKlineDatasets() {
+  return db.prepare(`
+    SELECT symbol, interval, source, COUNT(*) as count, MIN(open_time) as first_open_time, MAX(close_time) as last_close_time
+    FROM klines
+    GROUP BY symbol, interval, source
+    ORDER BY symbol, interval
+  `).all();
+}
+
+/**
+ * Delete the candles for a symbol and interval
+ */
+function deleteKlines(symbol, interval) {
+  return db.prepare('DELETE FROM klines WHERE symbol = ? AND interval = ?').run(symbol, interval);
+}
+
+// ============================================================================
+// BACKTEST OPERATIONS
+// ============================================================================
+
+/**
+ * Get backtest runs, newest first
+ */
+function getBacktestRuns(filters = {}) {
+  let query = 'SELECT * FROM backtest_runs WHERE 1=1';
+  const params = [];
+
+  if (filters.bot_id) {
+    query += ' AND bot_id = ?';
+    params.push(filters.bot_id);
+  }
+
+  if (filters.status) {
+    query += ' AND status = ?';
+    params.push(filters.status);
+  }
+
+  query += ' ORDER BY created_at DESC, rowid DESC';
+
+  if (filters.limit) {
+    query += ' LIMIT ?';
+    params.push(filters.limit);
+  }
+
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Get a backtest run by ID
+ */
+function getBacktestRun(runId) {
+  return db.prepare('SELECT * FROM backtest_runs WHERE id = ?').get(runId);
+}
+
+/**
+ * Create a backtest run
+ */
+function createBacktestRun(runData) {
+  db.prepare(`
+    INSERT INTO backtest_runs (id, bot_id, price_source, kline_interval, decision_source, provider_id, prompt, symbols_json,
+      start_time, end_time, turn_interval_ms, initial_balance, max_turns)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    runData.id,
+    runData.bot_id,
+    runData.price_source,
+    runData.kline_interval || null,
+    runData.decision_source,
+    runData.provider_id || null,
+    runData.prompt,
+    JSON.stringify(runData.symbols),
+    runData.start_time,
+    runData.end_time,
+    runData.turn_interval_ms,
+    runData.initial_balance,
+    runData.max_turns
+  );
+
+  return getBacktestRun(runData.id);
+}
+
+/**
+ * Update a backtest run's progress, status or results
+ */
+function updateBacktestRun(runId, updates) {
+  const allowedFields = ['status', 'turns_completed', 'final_value', 'total_pnl', 'return_pct', 'trade_count', 'win_rate',
+    'max_drawdown', 'total_fees', 'error', 'started_at', 'completed_at'];
+  const setters = [];
+  const params = [];
+
+  for (const field of allowedFields) {
+    if (updates[field] !== undefined) {
+      setters.push(`${field} = ?`);
+      params.push(updates[field]);
+    }
+  }
+
+  if (setters.length === 0) {
+    return getBacktestRun(runId);
+  }
+
+  params.push(runId);
+  db.prepare(`UPDATE backtest_runs SET ${setters.join(', ')} WHERE id = ?`).run(...params);
+  return getBacktestRun(runId);
+}
+
+/**
+ * Delete a backtest run and its results
+ */
+function deleteBacktestRun(runId) {
+  return db.prepare('DELETE FROM backtest_runs WHERE id = ?').run(runId);
+}
+
+/**
+ * Mark runs left running by a previous server process as failed
+ * @returns {number} Runs updated
+ */
+function failInterruptedBacktestRuns() {
+  return db.prepare(`
+    UPDATE backtest_runs SET status = 'failed', error = 'Interrupted by server restart', completed_at = CURRENT_TIMESTAMP
+    WHERE status IN ('pending', 'running')
+  `).run().changes;
+}
+
+/**
+ * Record a simulated trade
+ */
+function createBacktestTrade(tradeData) {
+  return db.prepare(`
+    INSERT INTO backtest_trades (id, run_id, position_id, symbol, trade_type, action, entry_price, exit_price, size, leverage, pnl, fee, executed_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    tradeData.id,
+    tradeData.run_id,
+    tradeData.position_id || null,
+    tradeData.symbol,
+    tradeData.trade_type,
+    tradeData.action,
+    tradeData.entry_price,
+    tradeData.exit_price || null,
+    tradeData.size,
+    tradeData.leverage,
+    tradeData.pnl,
+    tradeData.fee,
+    tradeData.executed_at
+  );
+}
+
+/**
+ * Get a run's simulated trades, oldest first
+ */
+function getBacktestTrades(runId) {
+  return db.prepare('SELECT * FROM backtest_trades WHERE run_id = ? ORDER BY executed_at ASC, rowid ASC').all(runId);
+}
+
+/**
+ * Record a simulated turn
+ */
+function createBacktestDecision(decisionData) {
+  return db.prepare(`
+    INSERT INTO backtest_decisions (run_id, turn, prompt_sent, decisions_json, notes_json, raw_response, latency_ms, execution_success,
+      tool_calls_json, ensemble_json, provider_id, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    decisionData.run_id,
+    decisionData.turn,
+    decisionData.prompt_sent,
+    JSON.stringify(decisionData.decisions),
+    JSON.stringify(decisionData.notes || []),
+    decisionData.raw_response ?? null,
+    decisionData.latency_ms ?? null,
+    decisionData.execution_success ? 1 : 0,
+    decisionData.tool_calls ? JSON.stringify(decisionData.tool_calls) : null,
+    decisionData.ensemble ? JSON.stringify(decisionData.ensemble) : null,
+    decisionData.provider_id ?? null,
+    decisionData.timestamp
+  );
+}
+
+/**
+ * Get a run's simulated turns
+ */
+function getBacktestDecisions(runId, limit = 50, offset = 0) {
+  return db.prepare('SELECT * FROM backtest_decisions WHERE run_id = ? ORDER BY turn ASC LIMIT ? OFFSET ?').all(runId, limit, offset);
+}
+
+/**
+ * Record a run's account value
+ */
+function createBacktestEquityPoint(pointData) {
+  return db.prepare(`
+    INSERT INTO backtest_equity (run_id, balance, unrealized_pnl, total_value, timestamp)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(pointData.run_id, pointData.balance, pointData.unrealized_pnl, pointData.total_value, pointData.timestamp);
+}
+
+/**
+ * Get a run's account value history, oldest first
+ */
+function getBacktestEquity(runId) {
+  return db.prepare('SELECT * FROM backtest_equity WHERE run_id = ? ORDER BY timestamp ASC').all(runId);
+}
+
+// ============================================================================
+// EXPERIMENT OPERATIONS
+// ============================================================================
+
+/**
+ * Get experiments, newest first
+ */
+function getExperiments(filters = {}) {
+  let query = `
+    SELECT e.*, b.name as bot_name
+    FROM experiments e
+    JOIN bots b ON e.bot_id = b.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (filters.bot_id) {
+    query += ' AND e.bot_id = ?';
+    params.push(filters.bot_id);
+  }
+
+  if (filters.status) {
+    query += ' AND e.status = ?';
+    params.push(filters.status);
+  }
+
+  query += ' ORDER BY e.created_at DESC, e.rowid DESC';
+
+  if (filters.limit) {
+    query += ' LIMIT ?';
+    params.push(filters.limit);
+  }
+
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Get an experiment by ID
+ */
+function getExperiment(experimentId) {
+  return db.prepare(`
+    SELECT e.*, b.name as bot_name
+    FROM experiments e
+    JOIN bots b ON e.bot_id = b.id
+    WHERE e.id = ?
+  `).get(experimentId);
+}
+
+/**
+ * Create an experiment and its variants
+ * @param {Object} experimentData
+ * @param {Array<{id: string, name: string, prompt: string, provider_id: number}>} variants - Control first
+ */
+function createExperiment(experimentData, variants) {
+  const insertVariant = db.prepare(`
+    INSERT INTO experiment_variants (id, experiment_id, position, name, prompt, provider_id)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO experiments (id, bot_id, name, symbols_json, initial_balance, risk_limits_json, tools_enabled, ensemble_json, max_turns, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      experimentData.id,
+      experimentData.bot_id,
+      experimentData.name,
+      JSON.stringify(experimentData.symbols),
+      experimentData.initial_balance,
+      experimentData.risk_limits_json || null,
+      experimentData.tools_enabled ? 1 : 0,
+      experimentData.ensemble_json || null,
+      experimentData.max_turns,
+      experimentData.created_by || null
+    );
+
+    variants.forEach((variant, position) => {
+      insertVariant.run(variant.id, experimentData.id, position, variant.name, variant.prompt, variant.provider_id || null);
+    });
+  })();
+
+  return getExperiment(experimentData.id);
+}
+
+/**
+ * Update an experiment's progress or status
+ */
+function updateExperiment(experimentId, updates) {
+  const allowedFields = ['status', 'turns_completed', 'error', 'completed_at'];
+  const setters = [];
+  const params = [];
+
+  for (const field of allowedFields) {
+    if (updates[field] !== undefined) {
+      setters.push(`${field} = ?`);
+      params.push(updates[field]);
+    }
+  }
+
+  if (setters.length === 0) {
+    return getExperiment(experimentId);
+  }
+
+  params.push(experimentId);
+  db.prepare(`UPDATE experiments SET ${setters.join(', ')} WHERE id = ?`).run(...params);
+  return getExperiment(experimentId);
+}
+
+/**
+ * Delete an experiment and its results
+ */
+function deleteExperiment(experimentId) {
+  return db.prepare('DELETE FROM experiments WHERE id = ?').run(experimentId);
+}
+
+/**
+ * Get an experiment's variants in order, control first
+ */
+function getExperimentVariants(experimentId) {
+  return db.prepare(`
+    SELECT v.*, lp.name as provider_name, lp.provider_type
+    FROM experiment_variants v
+    LEFT JOIN llm_providers lp ON v.provider_id = lp.id
+    WHERE v.experiment_id = ?
+    ORDER BY v.position ASC
+  `).all(experimentId);
+}
+
+/**
+ * Save a variant's paper account
+ */
+function saveExperimentVariantState(variantId, state) {
+  return db.prepare('UPDATE experiment_variants SET state_json = ? WHERE id = ?').run(JSON.stringify(state), variantId);
+}
+
+/**
+ * Record a variant's simulated trade
+ */
+function createExperimentTrade(tradeData) {
+  return db.prepare(`
+    INSERT INTO experiment_trades (id, experiment_id, variant_id, position_id, symbol, trade_type, action, entry_price, exit_price,
+      size, leverage, pnl, fee, executed_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    tradeData.id,
+    tradeData.experiment_id,
+    tradeData.variant_id,
+    tradeData.position_id || null,
+    tradeData.symbol,
+    tradeData.trade_type,
+    tradeData.action,
+    tradeData.entry_price,
+    tradeData.exit_price || null,
+    tradeData.size,
+    tradeData.leverage,
+    tradeData.pnl,
+    tradeData.fee,
+    tradeData.executed_at
+  );
+}
+
+/**
+ * Get an experiment's simulated trades, oldest first
+ */
+function getExperimentTrades(experimentId) {
+  return db.prepare('SELECT * FROM experiment_trades WHERE experiment_id = ? ORDER BY executed_at ASC, rowid ASC').all(experimentId);
+}
+
+/**
+ * Record a variant's turn
+ */
+function createExperimentDecision(decisionData) {
+  return db.prepare(`
+    INSERT INTO experiment_decisions (experiment_id, variant_id, turn, prompt_sent, decisions_json, notes_json, raw_response,
+      latency_ms, execution_success, tool_calls_json, ensemble_json, provider_id, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    decisionData.experiment_id,
+    decisionData.variant_id,
+    decisionData.turn,
+    decisionData.prompt_sent,
+    JSON.stringify(decisionData.decisions),
+    JSON.stringify(decisionData.notes || []),
+    decisionData.raw_response ?? null,
+    decisionData.latency_ms ?? null,
+    decisionData.execution_success ? 1 : 0,
+    decisionData.tool_calls ? JSON.stringify(decisionData.tool_calls) : null,
+    decisionData.ensemble ? JSON.stringify(decisionData.ensemble) : null,
+    decisionData.provider_id ?? null,
+    decisionData.timestamp
+  );
+}
+
+/**
+ * Get a variant's turns, newest first
+ */
+function getExperimentDecisions(variantId, limit = 50, offset = 0) {
+  return db.prepare('SELECT * FROM experiment_decisions WHERE variant_id = ? ORDER BY turn DESC, id DESC LIMIT ? OFFSET ?')
+    .all(variantId, limit, offset);
+}
+
+/**
+ * Decision counts and latency per variant of an experiment
+ */
+function getExperimentDecisionStats(experimentId) {
+  return db.prepare(`
+    SELECT variant_id,
+      COUNT(*) AS decision_count,
+      SUM(CASE WHEN execution_success = 0 THEN 1 ELSE 0 END) AS failed_count,
+      AVG(latency_ms) AS avg_latency_ms
+    FROM experiment_decisions
+    WHERE experiment_id = ?
+    GROUP BY variant_id
+  `).all(experimentId);
+}
+
+/**
+ * Record a variant's account value after a turn
+ */
+function createExperimentEquityPoint(pointData) {
+  return db.prepare(`
+    INSERT INTO experiment_equity (experiment_id, variant_id, turn, balance, unrealized_pnl, total_value, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    pointData.experiment_id,
+    pointData.variant_id,
+    pointData.turn,
+    pointData.balance,
+    pointData.unrealized_pnl,
+    pointData.total_value,
+    pointData.timestamp
+  );
+}
+
+/**
+ * Get the account value history of every variant, oldest turn first
+ */
+function getExperimentEquity(experimentId) {
+  return db.prepare('SELECT * FROM experiment_equity WHERE experiment_id = ? ORDER BY turn ASC, id ASC').all(experimentId);
+}
+
 // ============================================================================
 // SYSTEM SETTINGS OPERATIONS
 // ============================================================================
@@ -739,14 +1660,29 @@ module.exports = {
   updateBot,
   deleteBot,
   toggleBotPause,
+  
+  addPromptVersion,
+  getPromptVersions,
+  getPromptVersion,
+  // Bot memory operations
+  getBotMemories,
+  getBotMemory,
+  createBotMemory,
+  updateBotMemory,
+  deleteBotMemory,
   // Provider operations
   getProviders,
   getProvider,
   createProvider,
   updateProvider,
   deleteProvider,
+  // LLM call operations
+  createLlmCall,
+  getLlmSpend,
+  getLlmUsage,
   // Wallet operations
   getWalletsByBot,
+  getActiveWallets,
   getWallet,
   createWallet,
   updateWallet,
@@ -754,6 +1690,7 @@ module.exports = {
   // Snapshot operations
   createSnapshot,
   getBotSnapshots,
+  getLatestSnapshot,
   // Position operations
   getPositions,
   createPosition,
@@ -765,9 +1702,54 @@ module.exports = {
   // Decision operations
   createDecision,
   getBotDecisions,
+  getDecisionStatsByPromptVersion,
+  getBotDecisionsAfter,
+  getLatestDecisionBetween,
   // Market data operations
   insertMarketData,
+  insertMarketDataBatch,
   getLatestMarketData,
+  getMarketDataRange,
+  createMarketSnapshot,
+  getMarketSnapshot,
+  createCassette,
+  getCassettes,
+  getLatestCassetteSnapshot,
+  // Kline operations
+  insertKlines,
+  getKlinesRange,
+  getRecentKlines,
+  getLatestKlineCloseTime,
+  getKlineDatasets,
+  deleteKlines,
+  // Backtest operations
+  getBacktestRuns,
+  getBacktestRun,
+  createBacktestRun,
+  updateBacktestRun,
+  deleteBacktestRun,
+  failInterruptedBacktestRuns,
+  createBacktestTrade,
+  getBacktestTrades,
+  createBacktestDecision,
+  getBacktestDecisions,
+  createBacktestEquityPoint,
+  getBacktestEquity,
+  // Experiment operations
+  getExperiments,
+  getExperiment,
+  createExperiment,
+  updateExperiment,
+  deleteExperiment,
+  getExperimentVariants,
+  saveExperimentVariantState,
+  createExperimentTrade,
+  getExperimentTrades,
+  createExperimentDecision,
+  getExperimentDecisions,
+  getExperimentDecisionStats,
+  createExperimentEquityPoint,
+  getExperimentEquity,
   // Settings operations
   getSettings,
   getSetting,
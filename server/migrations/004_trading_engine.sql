@@ -0,0 +1,7 @@
+-- ============================================================================
+-- Server-side trading engine settings
+-- Migration: 004_trading_engine.sql
+-- ============================================================================
+
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('trading_paused', 'false', 'boolean', 'Global pause for the server-side trading engine');
@@ -0,0 +1,7 @@
+-- ============================================================================
+-- Record the raw model output and latency with each decision
+-- Migration: 005_decision_details.sql
+-- ============================================================================
+
+ALTER TABLE bot_decisions ADD COLUMN raw_response TEXT;
+ALTER TABLE bot_decisions ADD COLUMN latency_ms INTEGER;
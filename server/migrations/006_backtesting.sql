@@ -0,0 +1,105 @@
+-- ============================================================================
+-- Historical backtesting
+-- Migration: 006_backtesting.sql
+-- ============================================================================
+
+-- Candlestick data (imported CSVs), keyed by symbol, interval and open time
+CREATE TABLE IF NOT EXISTS klines (
+  symbol TEXT NOT NULL,
+  interval TEXT NOT NULL,
+  open_time INTEGER NOT NULL,     -- Unix ms
+  open REAL NOT NULL,
+  high REAL NOT NULL,
+  low REAL NOT NULL,
+  close REAL NOT NULL,
+  volume REAL,
+  close_time INTEGER NOT NULL,    -- Unix ms
+  source TEXT NOT NULL DEFAULT 'import',
+  PRIMARY KEY (symbol, interval, open_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_klines_close_time ON klines(interval, close_time);
+
+-- One row per backtest run, with its configuration and final metrics
+CREATE TABLE IF NOT EXISTS backtest_runs (
+  id TEXT PRIMARY KEY,
+  bot_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+  price_source TEXT NOT NULL CHECK (price_source IN ('market_data', 'klines')),
+  kline_interval TEXT,
+  decision_source TEXT NOT NULL CHECK (decision_source IN ('provider', 'recorded')),
+  provider_id INTEGER,
+  prompt TEXT NOT NULL,
+  symbols_json TEXT NOT NULL,
+  start_time TIMESTAMP NOT NULL,
+  end_time TIMESTAMP NOT NULL,
+  turn_interval_ms INTEGER NOT NULL,
+  initial_balance REAL NOT NULL,
+  max_turns INTEGER NOT NULL,
+  turns_completed INTEGER NOT NULL DEFAULT 0,
+  final_value REAL,
+  total_pnl REAL,
+  return_pct REAL,
+  trade_count INTEGER,
+  win_rate REAL,
+  max_drawdown REAL,
+  total_fees REAL,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE,
+  FOREIGN KEY (provider_id) REFERENCES llm_providers(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_backtest_runs_bot ON backtest_runs(bot_id, created_at);
+
+-- Simulated trades, same shape as trades
+CREATE TABLE IF NOT EXISTS backtest_trades (
+  id TEXT PRIMARY KEY,
+  run_id TEXT NOT NULL,
+  position_id TEXT,
+  symbol TEXT NOT NULL,
+  trade_type TEXT NOT NULL CHECK (trade_type IN ('LONG', 'SHORT')),
+  action TEXT NOT NULL CHECK (action IN ('OPEN', 'CLOSE')),
+  entry_price REAL NOT NULL,
+  exit_price REAL,
+  size REAL NOT NULL,
+  leverage INTEGER NOT NULL,
+  pnl REAL NOT NULL,
+  fee REAL NOT NULL,
+  executed_at TIMESTAMP NOT NULL,
+  FOREIGN KEY (run_id) REFERENCES backtest_runs(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_backtest_trades_run ON backtest_trades(run_id, executed_at);
+
+-- One row per simulated turn, same shape as bot_decisions
+CREATE TABLE IF NOT EXISTS backtest_decisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id TEXT NOT NULL,
+  turn INTEGER NOT NULL,
+  prompt_sent TEXT NOT NULL,
+  decisions_json TEXT NOT NULL,
+  notes_json TEXT,
+  raw_response TEXT,
+  latency_ms INTEGER,
+  execution_success BOOLEAN NOT NULL,
+  timestamp TIMESTAMP NOT NULL,
+  FOREIGN KEY (run_id) REFERENCES backtest_runs(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_backtest_decisions_run ON backtest_decisions(run_id, turn);
+
+-- Account value at every simulated turn
+CREATE TABLE IF NOT EXISTS backtest_equity (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id TEXT NOT NULL,
+  balance REAL NOT NULL,
+  unrealized_pnl REAL NOT NULL,
+  total_value REAL NOT NULL,
+  timestamp TIMESTAMP NOT NULL,
+  FOREIGN KEY (run_id) REFERENCES backtest_runs(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_backtest_equity_run ON backtest_equity(run_id, timestamp);
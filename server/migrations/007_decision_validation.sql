@@ -0,0 +1,7 @@
+-- ============================================================================
+-- Decision schema validation and repair
+-- Migration: 007_decision_validation.sql
+-- ============================================================================
+
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('decision_repair_enabled', 'false', 'boolean', 'Re-prompt a bot once with the rejection reasons when its response has invalid decisions');
@@ -0,0 +1,7 @@
+-- ============================================================================
+-- Per-bot risk limits
+-- Migration: 008_risk_limits.sql
+-- ============================================================================
+
+-- JSON object of limits enforced by services/riskManager.js; NULL = no limits
+ALTER TABLE bots ADD COLUMN risk_limits_json TEXT;
@@ -0,0 +1,7 @@
+-- ============================================================================
+-- Exchange adapters
+-- Migration: 009_exchanges.sql
+-- ============================================================================
+
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('market_data_exchange', 'asterdex', 'string', 'Exchange that supplies arena market prices (asterdex or binance)');
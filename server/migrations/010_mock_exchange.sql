@@ -0,0 +1,7 @@
+-- ============================================================================
+-- Local mock futures exchange
+-- Migration: 010_mock_exchange.sql
+-- ============================================================================
+
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('mock_exchange_url', 'http://localhost:3003', 'string', 'Base URL of the local mock futures exchange (npm run mock-exchange)');
@@ -0,0 +1,8 @@
+-- ============================================================================
+-- Synthetic market data
+-- Migration: 011_synthetic_market.sql
+-- ============================================================================
+
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('market_data_source', 'live', 'string', 'Where arena prices come from: live (market_data_exchange) or synthetic'),
+  ('synthetic_market_config', '{}', 'json', 'Synthetic market seed, symbols, volatility and scenarios (see services/syntheticMarket.js)');
@@ -0,0 +1,10 @@
+-- ============================================================================
+-- Candle collection for prompt indicators
+-- Migration: 012_klines.sql
+-- ============================================================================
+
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('kline_intervals', '["15m","1h","4h"]', 'json', 'Candle intervals collected for every trading symbol ({{indicators}} and {{candles:...}} prompt variables)');
+
+-- Most recent candles of one symbol and interval
+CREATE INDEX IF NOT EXISTS idx_klines_symbol_close_time ON klines(symbol, interval, close_time);
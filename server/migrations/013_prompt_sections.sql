@@ -0,0 +1,12 @@
+-- ============================================================================
+-- Explicit decision history and cooldown prompt sections
+-- Migration: 013_prompt_sections.sql
+-- ============================================================================
+
+-- Prompts used to get both sections appended after the template. They are now
+-- only included where the prompt places them, so add them to the end of every
+-- existing prompt that places neither; the rendered prompts stay the same.
+UPDATE bots
+SET prompt = prompt || '{{decisionHistory}}{{cooldowns}}'
+WHERE prompt NOT LIKE '%{{decisionHistory}}%'
+  AND prompt NOT LIKE '%{{cooldowns}}%';
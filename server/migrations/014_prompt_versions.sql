@@ -0,0 +1,34 @@
+-- ============================================================================
+-- Prompt version history
+-- Migration: 014_prompt_versions.sql
+-- ============================================================================
+
+-- Every prompt a bot has had. Rows are never updated; a rollback adds a new
+-- version with the old prompt.
+CREATE TABLE IF NOT EXISTS bot_prompt_versions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  bot_id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  prompt TEXT NOT NULL,
+  author_id TEXT,
+  author_name TEXT,
+  note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE,
+  UNIQUE (bot_id, version)
+);
+
+-- Version currently in bots.prompt, and the version in force when each row was written
+ALTER TABLE bots ADD COLUMN prompt_version INTEGER;
+ALTER TABLE trades ADD COLUMN prompt_version INTEGER;
+ALTER TABLE bot_decisions ADD COLUMN prompt_version INTEGER;
+ALTER TABLE bot_state_snapshots ADD COLUMN prompt_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_trades_prompt_version ON trades(bot_id, prompt_version);
+CREATE INDEX IF NOT EXISTS idx_decisions_prompt_version ON bot_decisions(bot_id, prompt_version);
+
+-- Existing prompts become version 1; earlier history stays untagged
+INSERT INTO bot_prompt_versions (bot_id, version, prompt, note, created_at)
+SELECT id, 1, prompt, 'Prompt before version history', updated_at FROM bots;
+
+UPDATE bots SET prompt_version = 1;
@@ -0,0 +1,95 @@
+-- ============================================================================
+-- Prompt A/B experiments
+-- Migration: 015_experiments.sql
+-- ============================================================================
+
+-- One row per experiment. Variants are paper copies of bot_id that take their
+-- turns together on the same market snapshot.
+CREATE TABLE IF NOT EXISTS experiments (
+  id TEXT PRIMARY KEY,
+  bot_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'stopped', 'failed')),
+  symbols_json TEXT NOT NULL,
+  initial_balance REAL NOT NULL,
+  risk_limits_json TEXT,
+  max_turns INTEGER NOT NULL,
+  turns_completed INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  created_by TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP,
+  FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_experiments_bot ON experiments(bot_id, created_at);
+
+-- Variant 0 is the control: the bot's prompt and provider when the
+-- experiment started. state_json holds the paper account so a running
+-- experiment resumes after a restart.
+CREATE TABLE IF NOT EXISTS experiment_variants (
+  id TEXT PRIMARY KEY,
+  experiment_id TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  prompt TEXT NOT NULL,
+  provider_id INTEGER,
+  state_json TEXT,
+  FOREIGN KEY (experiment_id) REFERENCES experiments(id) ON DELETE CASCADE,
+  FOREIGN KEY (provider_id) REFERENCES llm_providers(id) ON DELETE SET NULL,
+  UNIQUE (experiment_id, position)
+);
+
+-- Simulated trades, same shape as trades
+CREATE TABLE IF NOT EXISTS experiment_trades (
+  id TEXT PRIMARY KEY,
+  experiment_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,
+  position_id TEXT,
+  symbol TEXT NOT NULL,
+  trade_type TEXT NOT NULL CHECK (trade_type IN ('LONG', 'SHORT')),
+  action TEXT NOT NULL CHECK (action IN ('OPEN', 'CLOSE')),
+  entry_price REAL NOT NULL,
+  exit_price REAL,
+  size REAL NOT NULL,
+  leverage INTEGER NOT NULL,
+  pnl REAL NOT NULL,
+  fee REAL NOT NULL,
+  executed_at TIMESTAMP NOT NULL,
+  FOREIGN KEY (experiment_id) REFERENCES experiments(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_experiment_trades_experiment ON experiment_trades(experiment_id, executed_at);
+
+-- One row per variant per turn, same shape as bot_decisions
+CREATE TABLE IF NOT EXISTS experiment_decisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  experiment_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,
+  turn INTEGER NOT NULL,
+  prompt_sent TEXT NOT NULL,
+  decisions_json TEXT NOT NULL,
+  notes_json TEXT,
+  raw_response TEXT,
+  latency_ms INTEGER,
+  execution_success BOOLEAN NOT NULL,
+  timestamp TIMESTAMP NOT NULL,
+  FOREIGN KEY (experiment_id) REFERENCES experiments(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_experiment_decisions_variant ON experiment_decisions(variant_id, turn);
+
+-- Account value of every variant after every turn (turn 0 is the start)
+CREATE TABLE IF NOT EXISTS experiment_equity (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  experiment_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,
+  turn INTEGER NOT NULL,
+  balance REAL NOT NULL,
+  unrealized_pnl REAL NOT NULL,
+  total_value REAL NOT NULL,
+  timestamp TIMESTAMP NOT NULL,
+  FOREIGN KEY (experiment_id) REFERENCES experiments(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_experiment_equity_experiment ON experiment_equity(experiment_id, turn);
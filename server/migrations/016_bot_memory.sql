@@ -0,0 +1,33 @@
+-- ============================================================================
+-- Persistent bot memory
+-- Migration: 016_bot_memory.sql
+-- ============================================================================
+
+-- What a bot remembers across turns, rendered by the {{memory}} prompt
+-- variable. Reflections are written by the bot after each closed trade,
+-- summaries condense decisions between period_start and period_end, notes are
+-- written by users. Times are ISO strings like bot_decisions.timestamp so
+-- backtests can read the memory as it was at a simulated time.
+CREATE TABLE IF NOT EXISTS bot_memories (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  bot_id TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('reflection', 'summary', 'note')),
+  content TEXT NOT NULL,
+  symbol TEXT,
+  position_type TEXT,
+  position_id TEXT,
+  pnl REAL,
+  period_start TEXT,
+  period_end TEXT,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_bot_memories_bot ON bot_memories(bot_id, kind, created_at);
+
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('memory_token_budget', '600', 'number', 'Approximate token budget of the {{memory}} prompt section'),
+  ('memory_reflections_enabled', 'true', 'boolean', 'Ask bots whose prompt uses {{memory}} for a short lesson after each closed trade'),
+  ('memory_summary_interval', '24', 'number', 'Summarize a bot''s decisions into its memory every this many turns (bots whose prompt uses {{memory}}; 0 disables)');
@@ -0,0 +1,21 @@
+-- ============================================================================
+-- Tool-calling decision loop
+-- Migration: 017_tool_calling.sql
+-- ============================================================================
+
+-- Bots with tools enabled may call data tools (klines, trade history,
+-- position details, other bots' positions) before giving their decisions
+ALTER TABLE bots ADD COLUMN tools_enabled INTEGER NOT NULL DEFAULT 0;
+
+-- Experiments copy the flag from their bot when they start
+ALTER TABLE experiments ADD COLUMN tools_enabled INTEGER NOT NULL DEFAULT 0;
+
+-- Every tool call of a turn with its arguments, result and latency, as a
+-- JSON array in call order; NULL for one-shot turns
+ALTER TABLE bot_decisions ADD COLUMN tool_calls_json TEXT;
+ALTER TABLE backtest_decisions ADD COLUMN tool_calls_json TEXT;
+ALTER TABLE experiment_decisions ADD COLUMN tool_calls_json TEXT;
+
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('tool_max_calls_per_turn', '5', 'number', 'Most tool calls a bot with tools enabled may make in one turn'),
+  ('tool_time_budget_ms', '60000', 'number', 'Time a bot with tools enabled may spend calling its provider and tools in one turn before it must answer');
@@ -0,0 +1,19 @@
+-- ============================================================================
+-- Ensemble bots
+-- Migration: 018_ensembles.sql
+-- ============================================================================
+
+-- A committee of providers (and optionally prompts) whose proposals are
+-- combined by majority vote or by a judge, as JSON (see
+-- services/ensemble.js); NULL for a single-model bot
+ALTER TABLE bots ADD COLUMN ensemble_json TEXT;
+
+-- Experiments copy the committee from their bot when they start; only the
+-- control variant uses it, so challengers test single models against it
+ALTER TABLE experiments ADD COLUMN ensemble_json TEXT;
+
+-- Each member's raw response and schema-checked proposals for the turn, as
+-- { aggregation, members: [...] }; NULL for single-model turns
+ALTER TABLE bot_decisions ADD COLUMN ensemble_json TEXT;
+ALTER TABLE backtest_decisions ADD COLUMN ensemble_json TEXT;
+ALTER TABLE experiment_decisions ADD COLUMN ensemble_json TEXT;
@@ -0,0 +1,40 @@
+-- ============================================================================
+-- LLM token, cost and latency accounting
+-- Migration: 019_llm_usage.sql
+-- ============================================================================
+
+-- Every provider call with its token usage, estimated cost, latency and
+-- outcome. bot_id is NULL for calls made outside a bot (provider tests, the
+-- legacy proxies); rows outlive their bot and provider so spending history is
+-- kept. cost_usd is NULL when the provider's model has no known price.
+-- tokens_estimated is 1 when the API reported no usage and the tokens were
+-- estimated from the text length. Times are ISO strings.
+CREATE TABLE IF NOT EXISTS llm_calls (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  bot_id TEXT,
+  provider_id INTEGER,
+  model_name TEXT,
+  source TEXT NOT NULL CHECK (source IN ('arena', 'backtest', 'experiment', 'api')),
+  purpose TEXT NOT NULL,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  tokens_estimated INTEGER NOT NULL DEFAULT 0,
+  cost_usd REAL,
+  latency_ms INTEGER NOT NULL,
+  outcome TEXT NOT NULL CHECK (outcome IN ('success', 'error', 'timeout')),
+  error TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_calls_bot ON llm_calls(bot_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_calls_created ON llm_calls(created_at);
+
+-- Prices in USD per million tokens; NULL uses the built-in price of the
+-- model (see services/llmUsage.js)
+ALTER TABLE llm_providers ADD COLUMN input_price_per_mtok REAL;
+ALTER TABLE llm_providers ADD COLUMN output_price_per_mtok REAL;
+
+-- Budgets for a bot's estimated arena spending per UTC day and calendar
+-- month; the bot is paused when one is reached. NULL means no budget.
+ALTER TABLE bots ADD COLUMN llm_daily_budget_usd REAL;
+ALTER TABLE bots ADD COLUMN llm_monthly_budget_usd REAL;
@@ -0,0 +1,20 @@
+-- ============================================================================
+-- Provider resilience: retries, circuit breaker and fallback chains
+-- Migration: 020_provider_resilience.sql
+-- ============================================================================
+
+-- Providers a bot falls back to, in order, when its own provider fails or
+-- is unhealthy: a JSON array of llm_providers ids; NULL for none
+ALTER TABLE bots ADD COLUMN fallback_providers_json TEXT;
+
+-- Provider whose answer a turn used; differs from the bot's provider after a
+-- fallback and is NULL for turns without an answer and ensemble votes
+ALTER TABLE bot_decisions ADD COLUMN provider_id INTEGER;
+ALTER TABLE backtest_decisions ADD COLUMN provider_id INTEGER;
+ALTER TABLE experiment_decisions ADD COLUMN provider_id INTEGER;
+
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('provider_max_retries', '2', 'number', 'Retries of a provider call that timed out, was rate limited or hit a server error'),
+  ('provider_retry_base_ms', '1000', 'number', 'Delay before the first retry; each further retry waits twice as long, with jitter'),
+  ('provider_circuit_threshold', '5', 'number', 'Failed calls in a row after which a provider is marked unhealthy and skipped'),
+  ('provider_circuit_cooldown_ms', '60000', 'number', 'Time an unhealthy provider is skipped before one trial call may close the circuit');
@@ -0,0 +1,23 @@
+-- ============================================================================
+-- Frozen market snapshots for arena turns
+-- Migration: 021_turn_snapshots.sql
+-- ============================================================================
+
+-- The market data every bot of an arena turn decided on: the engine freezes
+-- the prices once per turn and fetches all bots' decisions against them.
+-- market_data_json is the list of markets as shown in the prompts.
+CREATE TABLE IF NOT EXISTS market_snapshots (
+  id TEXT PRIMARY KEY,
+  taken_at TEXT NOT NULL,
+  market_data_json TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_market_snapshots_taken ON market_snapshots(taken_at);
+
+-- Snapshot a decision was based on; NULL for decisions made before snapshots
+ALTER TABLE bot_decisions ADD COLUMN snapshot_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_bot_decisions_snapshot ON bot_decisions(snapshot_id);
+
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('decision_concurrency', '4', 'number', 'Bots whose decisions are fetched at the same time in a turn; 1 asks one bot after another');
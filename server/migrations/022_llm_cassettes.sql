@@ -0,0 +1,34 @@
+-- ============================================================================
+-- Record and replay of provider requests
+-- Migration: 022_llm_cassettes.sql
+-- ============================================================================
+
+-- Every provider request of an arena turn with the prompt sent and the raw
+-- response received: the bot's decision request, each ensemble member, the
+-- judge and a repair, numbered by sequence in the order they were made.
+-- A request that fell back to another provider is one cassette; provider_id
+-- is the provider that answered. Backtests replaying recorded decisions feed
+-- the raw responses back through the decision pipeline (see backtester.js).
+CREATE TABLE IF NOT EXISTS llm_cassettes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  bot_id TEXT NOT NULL,
+  snapshot_id TEXT NOT NULL,
+  turn_at TEXT NOT NULL,
+  sequence INTEGER NOT NULL,
+  purpose TEXT NOT NULL,
+  provider_id INTEGER,
+  prompt TEXT NOT NULL,
+  raw_response TEXT,
+  error TEXT,
+  tool_calls_json TEXT,
+  notes_json TEXT,
+  latency_ms INTEGER,
+  UNIQUE (bot_id, snapshot_id, sequence),
+  FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_cassettes_bot_turn ON llm_cassettes(bot_id, turn_at);
+CREATE INDEX IF NOT EXISTS idx_llm_cassettes_snapshot ON llm_cassettes(snapshot_id);
+
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('cassette_recording_enabled', 'true', 'boolean', 'Record the prompt and raw response of every provider request in arena turns for replay');
@@ -0,0 +1,39 @@
+-- foreign_keys: off
+-- ============================================================================
+-- Scriptable mock providers
+-- Migration: 023_mock_providers.sql
+-- ============================================================================
+
+-- Adds 'mock' to the provider types: a built-in provider whose responses come
+-- from a script in config_json instead of an API (see mockProvider.js).
+-- SQLite cannot change a CHECK constraint in place, so llm_providers is
+-- rebuilt with its rows, IDs and AUTOINCREMENT counter.
+CREATE TABLE llm_providers_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  provider_type TEXT NOT NULL CHECK (provider_type IN ('openai', 'anthropic', 'gemini', 'grok', 'local', 'custom', 'mock')),
+  api_endpoint TEXT NOT NULL,
+  model_name TEXT,
+  api_key_encrypted TEXT,
+  config_json TEXT,
+  is_active BOOLEAN DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  input_price_per_mtok REAL,
+  output_price_per_mtok REAL
+);
+
+INSERT INTO llm_providers_new (id, name, provider_type, api_endpoint, model_name, api_key_encrypted, config_json, is_active,
+  created_at, updated_at, input_price_per_mtok, output_price_per_mtok)
+SELECT id, name, provider_type, api_endpoint, model_name, api_key_encrypted, config_json, is_active,
+  created_at, updated_at, input_price_per_mtok, output_price_per_mtok
+FROM llm_providers;
+
+DELETE FROM sqlite_sequence WHERE name = 'llm_providers_new';
+INSERT INTO sqlite_sequence (name, seq) SELECT 'llm_providers_new', seq FROM sqlite_sequence WHERE name = 'llm_providers';
+
+DROP TABLE llm_providers;
+ALTER TABLE llm_providers_new RENAME TO llm_providers;
+
+CREATE INDEX IF NOT EXISTS idx_providers_active ON llm_providers(is_active);
+CREATE INDEX IF NOT EXISTS idx_providers_type ON llm_providers(provider_type);
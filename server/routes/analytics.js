@@ -8,9 +8,104 @@ const { query, param } = require('express-validator');
 const { validateRequest } = require('../middleware/validation');
 const { optionalAuth } = require('../middleware/auth');
 const db = require('../database/relational');
+const analytics = require('../services/analytics');
+const llmUsage = require('../services/llmUsage');
 
 const router = express.Router();
 
+const TIME_RANGE_NAMES = Object.keys(analytics.TIME_RANGES);
+
+/**
+ * GET /api/v2/analytics/performance - Arena-wide performance
+ * Aggregate PnL, a leaderboard and per-provider and per-symbol breakdowns.
+ */
+router.get('/performance',
+  optionalAuth,
+  query('timeRange').optional().isIn(TIME_RANGE_NAMES).withMessage(`Time range must be one of ${TIME_RANGE_NAMES.join(', ')}`),
+  validateRequest,
+  (req, res) => {
+    try {
+      res.json(analytics.getArenaPerformance(req.query.timeRange || 'all'));
+    } catch (error) {
+      console.error('Error fetching arena performance:', error);
+      res.status(500).json({ error: 'Failed to fetch performance', message: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/v2/analytics/performance/:botId - Performance of one bot
+ */
+router.get('/performance/:botId',
+  optionalAuth,
+  param('botId').notEmpty().withMessage('Bot ID is required'),
+  query('timeRange').optional().isIn(TIME_RANGE_NAMES).withMessage(`Time range must be one of ${TIME_RANGE_NAMES.join(', ')}`),
+  validateRequest,
+  (req, res) => {
+    try {
+      const bot = db.getBot(req.params.botId);
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+
+      res.json(analytics.getBotPerformance(bot, req.query.timeRange || 'all'));
+    } catch (error) {
+      console.error('Error fetching bot performance:', error);
+      res.status(500).json({ error: 'Failed to fetch performance', message: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/v2/analytics/performance/:botId/prompt-versions - Performance of each prompt version
+ */
+router.get('/performance/:botId/prompt-versions',
+  optionalAuth,
+  param('botId').notEmpty().withMessage('Bot ID is required'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const bot = db.getBot(req.params.botId);
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+
+      res.json(analytics.getPromptVersionPerformance(bot));
+    } catch (error) {
+      console.error('Error fetching prompt version performance:', error);
+      res.status(500).json({ error: 'Failed to fetch prompt version performance', message: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/v2/analytics/trades/:botId - A bot's trades as round trips, newest first
+ */
+router.get('/trades/:botId',
+  optionalAuth,
+  param('botId').notEmpty().withMessage('Bot ID is required'),
+  query('timeRange').optional().isIn(TIME_RANGE_NAMES).withMessage(`Time range must be one of ${TIME_RANGE_NAMES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const bot = db.getBot(req.params.botId);
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+
+      res.json(analytics.getBotTrades(
+        bot.id,
+        req.query.timeRange || 'all',
+        req.query.limit ? parseInt(req.query.limit) : 50
+      ));
+    } catch (error) {
+      console.error('Error fetching trades:', error);
+      res.status(500).json({ error: 'Failed to fetch trades', message: error.message });
+    }
+  }
+);
+
 /**
  * GET /api/analytics/bot/:botId/performance - Get performance metrics for bot
  */
@@ -293,5 +388,30 @@ router.get('/risk-metrics',
   }
 );
 
+/**
+ * GET /api/v2/analytics/llm-usage - Provider tokens, cost and latency
+ * Grouped by day, bot, provider and purpose, with spending against budgets.
+ * Query params: days (default 30), bot_id, source
+ */
+router.get('/llm-usage',
+  optionalAuth,
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be 1-365').toInt(),
+  query('bot_id').optional().notEmpty().withMessage('Bot ID cannot be empty'),
+  query('source').optional().isIn(['arena', 'backtest', 'experiment', 'api']).withMessage('Source must be arena, backtest, experiment or api'),
+  validateRequest,
+  (req, res) => {
+    try {
+      res.json(llmUsage.getUsageReport({
+        days: req.query.days || 30,
+        botId: req.query.bot_id,
+        source: req.query.source
+      }));
+    } catch (error) {
+      console.error('Error fetching LLM usage:', error);
+      res.status(500).json({ error: 'Failed to fetch LLM usage', message: error.message });
+    }
+  }
+);
+
 module.exports = router;
 
@@ -0,0 +1,324 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const { validateRequest } = require('../middleware/validation');
+const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
+const { createAuditLog } = require('../database/relational');
+const db = require('../database/relational');
+const backtester = require('../services/backtester');
+const { checkPrompt } = require('../services/promptBuilder');
+
+const router = express.Router();
+
+const KLINE_INTERVAL_NAMES = Object.keys(backtester.KLINE_INTERVALS);
+
+/**
+ * Shape a backtest_runs row for the API
+ */
+function formatRun(run) {
+  const { symbols_json, ...rest } = run;
+  return { ...rest, symbols: JSON.parse(symbols_json) };
+}
+
+// ============================================================================
+// KLINE DATASETS
+// ============================================================================
+
+/**
+ * GET /api/v2/backtests/klines - List imported candle datasets
+ */
+router.get('/klines',
+  optionalAuth,
+  (req, res) => {
+    try {
+      res.json(db.getKlineDatasets());
+    } catch (error) {
+      console.error('Error fetching kline datasets:', error);
+      res.status(500).json({ error: 'Failed to fetch kline datasets', message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/v2/backtests/klines - Import candles from CSV text
+ * Existing candles with the same open time are replaced.
+ */
+router.post('/klines',
+  authenticateToken,
+  requireRole('user'),
+  body('symbol').trim().toUpperCase().notEmpty().withMessage('Symbol is required'),
+  body('interval').isIn(KLINE_INTERVAL_NAMES).withMessage(`Interval must be one of ${KLINE_INTERVAL_NAMES.join(', ')}`),
+  body('csv').isString().notEmpty().withMessage('CSV data is required'),
+  validateRequest,
+  (req, res) => {
+    try {
+      let klines;
+      try {
+        klines = backtester.parseKlineCsv(req.body.csv, req.body.symbol, req.body.interval);
+      } catch (parseError) {
+        return res.status(400).json({ error: 'Invalid CSV', message: parseError.message });
+      }
+
+      const imported = db.insertKlines(klines);
+
+      createAuditLog({
+        event_type: 'klines_imported',
+        entity_type: 'klines',
+        entity_id: `${req.body.symbol}:${req.body.interval}`,
+        user_id: req.user?.userId,
+        details: { count: imported, first_open_time: klines[0].open_time, last_open_time: klines[klines.length - 1].open_time },
+        ip_address: req.ip
+      });
+
+      res.status(201).json({ symbol: req.body.symbol, interval: req.body.interval, imported });
+    } catch (error) {
+      console.error('Error importing klines:', error);
+      res.status(500).json({ error: 'Failed to import klines', message: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v2/backtests/klines/:symbol/:interval - Delete a candle dataset
+ */
+router.delete('/klines/:symbol/:interval',
+  authenticateToken,
+  requireRole('user'),
+  param('interval').isIn(KLINE_INTERVAL_NAMES).withMessage('Invalid interval'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const result = db.deleteKlines(req.params.symbol.toUpperCase(), req.params.interval);
+      res.json({ success: true, deleted: result.changes });
+    } catch (error) {
+      console.error('Error deleting klines:', error);
+      res.status(500).json({ error: 'Failed to delete klines', message: error.message });
+    }
+  }
+);
+
+// ============================================================================
+// BACKTEST RUNS
+// ============================================================================
+
+/**
+ * GET /api/v2/backtests - List backtest runs
+ */
+router.get('/',
+  optionalAuth,
+  query('bot_id').optional().trim().notEmpty().withMessage('Bot ID cannot be empty'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const runs = db.getBacktestRuns({
+        bot_id: req.query.bot_id,
+        limit: req.query.limit ? parseInt(req.query.limit) : 50
+      });
+      res.json(runs.map(formatRun));
+    } catch (error) {
+      console.error('Error fetching backtests:', error);
+      res.status(500).json({ error: 'Failed to fetch backtests', message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/v2/backtests - Start a backtest run
+ * The run continues in the background; poll GET /api/v2/backtests/:id.
+ */
+router.post('/',
+  authenticateToken,
+  requireRole('user'),
+  body('bot_id').trim().notEmpty().withMessage('Bot ID is required'),
+  body('price_source').isIn(['market_data', 'klines']).withMessage('Price source must be market_data or klines'),
+  body('kline_interval').optional().isIn(KLINE_INTERVAL_NAMES).withMessage('Invalid kline interval'),
+  body('decision_source').optional().isIn(['provider', 'recorded']).withMessage('Decision source must be provider or recorded'),
+  body('start_time').isISO8601().withMessage('Invalid start time'),
+  body('end_time').isISO8601().withMessage('Invalid end time'),
+  body('symbols').optional().isArray({ min: 1 }).withMessage('Symbols must be a non-empty array'),
+  body('turn_interval_ms').optional().isInt({ min: 60000 }).withMessage('Turn interval must be at least 60000ms'),
+  body('initial_balance').optional().isFloat({ gt: 0 }).withMessage('Initial balance must be positive'),
+  body('max_turns').optional().isInt({ min: 1, max: 5000 }).withMessage('Max turns must be between 1 and 5000'),
+  body('prompt').optional().isString().trim().notEmpty().withMessage('Prompt cannot be empty')
+    .custom(value => {
+      const problem = checkPrompt(value);
+      if (problem) throw new Error(problem);
+      return true;
+    }),
+  validateRequest,
+  (req, res) => {
+    try {
+      const bot = db.getBot(req.body.bot_id);
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+
+      if (req.body.price_source === 'klines' && !req.body.kline_interval) {
+        return res.status(400).json({ error: 'kline_interval is required for kline backtests' });
+      }
+
+      if (Date.parse(req.body.end_time) <= Date.parse(req.body.start_time)) {
+        return res.status(400).json({ error: 'End time must be after start time' });
+      }
+
+      if (backtester.isBotBacktesting(bot.id)) {
+        return res.status(409).json({ error: 'A backtest is already running for this bot' });
+      }
+
+      const run = backtester.startBacktest({
+        bot,
+        priceSource: req.body.price_source,
+        klineInterval: req.body.kline_interval,
+        decisionSource: req.body.decision_source || 'provider',
+        startTime: req.body.start_time,
+        endTime: req.body.end_time,
+        symbols: req.body.symbols?.map(s => String(s).toUpperCase()),
+        turnIntervalMs: req.body.turn_interval_ms,
+        initialBalance: req.body.initial_balance,
+        maxTurns: req.body.max_turns,
+        prompt: req.body.prompt
+      });
+
+      createAuditLog({
+        event_type: 'backtest_started',
+        entity_type: 'bot',
+        entity_id: bot.id,
+        user_id: req.user?.userId,
+        details: { run_id: run.id, price_source: run.price_source, decision_source: run.decision_source, start_time: run.start_time, end_time: run.end_time },
+        ip_address: req.ip
+      });
+
+      res.status(202).json(formatRun(run));
+    } catch (error) {
+      console.error('Error starting backtest:', error);
+      res.status(500).json({ error: 'Failed to start backtest', message: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/v2/backtests/:id - Get a run with its equity curve and trades
+ */
+router.get('/:id',
+  optionalAuth,
+  (req, res) => {
+    try {
+      const run = db.getBacktestRun(req.params.id);
+      if (!run) {
+        return res.status(404).json({ error: 'Backtest not found' });
+      }
+
+      res.json({
+        ...formatRun(run),
+        equity: db.getBacktestEquity(run.id),
+        trades: db.getBacktestTrades(run.id)
+      });
+    } catch (error) {
+      console.error('Error fetching backtest:', error);
+      res.status(500).json({ error: 'Failed to fetch backtest', message: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/v2/backtests/:id/decisions - Get a run's simulated turns
+ */
+router.get('/:id/decisions',
+  optionalAuth,
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or greater'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const run = db.getBacktestRun(req.params.id);
+      if (!run) {
+        return res.status(404).json({ error: 'Backtest not found' });
+      }
+
+      const decisions = db.getBacktestDecisions(
+        run.id,
+        req.query.limit ? parseInt(req.query.limit) : 50,
+        req.query.offset ? parseInt(req.query.offset) : 0
+      );
+
+      res.json(decisions.map(d => ({
+        ...d,
+        decisions: JSON.parse(d.decisions_json),
+        notes: d.notes_json ? JSON.parse(d.notes_json) : [],
+        tool_calls: d.tool_calls_json ? JSON.parse(d.tool_calls_json) : null,
+        ensemble: d.ensemble_json ? JSON.parse(d.ensemble_json) : null
+      })));
+    } catch (error) {
+      console.error('Error fetching backtest decisions:', error);
+      res.status(500).json({ error: 'Failed to fetch backtest decisions', message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/v2/backtests/:id/cancel - Stop a running backtest
+ */
+router.post('/:id/cancel',
+  authenticateToken,
+  requireRole('user'),
+  (req, res) => {
+    try {
+      const run = db.getBacktestRun(req.params.id);
+      if (!run) {
+        return res.status(404).json({ error: 'Backtest not found' });
+      }
+
+      if (!backtester.cancelBacktest(run.id)) {
+        return res.status(409).json({ error: 'Backtest is not running' });
+      }
+
+      res.json({ success: true, message: 'Backtest will stop after the current turn' });
+    } catch (error) {
+      console.error('Error cancelling backtest:', error);
+      res.status(500).json({ error: 'Failed to cancel backtest', message: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v2/backtests/:id - Delete a finished run and its results
+ */
+router.delete('/:id',
+  authenticateToken,
+  requireRole('user'),
+  (req, res) => {
+    try {
+      const run = db.getBacktestRun(req.params.id);
+      if (!run) {
+        return res.status(404).json({ error: 'Backtest not found' });
+      }
+
+      if (run.status === 'running' || run.status === 'pending') {
+        return res.status(409).json({ error: 'Cancel the backtest before deleting it' });
+      }
+
+      db.deleteBacktestRun(run.id);
+
+      createAuditLog({
+        event_type: 'backtest_deleted',
+        entity_type: 'bot',
+        entity_id: run.bot_id,
+        user_id: req.user?.userId,
+        details: { run_id: run.id },
+        ip_address: req.ip
+      });
+
+      res.json({ success: true, message: 'Backtest deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting backtest:', error);
+      res.status(500).json({ error: 'Failed to delete backtest', message: error.message });
+    }
+  }
+);
+
+module.exports = router;
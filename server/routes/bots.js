@@ -9,9 +9,30 @@ const { validateRequest } = require('../middleware/validation');
 const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
 const { createAuditLog } = require('../database/relational');
 const db = require('../database/relational');
+const { checkRiskLimits } = require('../services/riskManager');
+const { checkEnsemble, getEnsembleProviderIds } = require('../services/ensemble');
+const { checkBudgetValue } = require('../services/llmUsage');
+const { checkFallbackProviders, parseFallbackProviders } = require('../services/providerHealth');
+const { PROMPT_VARIABLES, lintPrompt, checkPrompt, usesMemory } = require('../services/promptBuilder');
+const botMemory = require('../services/botMemory');
+const { DEFAULT_KLINE_INTERVALS } = require('../services/klines');
 
 const router = express.Router();
 
+/**
+ * Let the running trading engine pick up bot configuration changes
+ */
+function reloadEngineBots(req) {
+  req.app.locals.tradingEngine?.reloadBots();
+}
+
+/**
+ * Author of a prompt version saved by this request
+ */
+function promptAuthor(req, note) {
+  return { author_id: req.user?.userId, author_name: req.user?.username, note };
+}
+
 /**
  * GET /api/bots - List all bots
  * Query params: active, trading_mode, provider_id
@@ -47,6 +68,41 @@ router.get('/',
   }
 );
 
+/**
+ * GET /api/bots/prompt-variables - Variables available to prompt templates
+ */
+router.get('/prompt-variables',
+  authenticateToken,
+  requireRole('viewer'),
+  (req, res) => {
+    res.json(PROMPT_VARIABLES);
+  }
+);
+
+/**
+ * POST /api/bots/prompt/lint - Check a prompt template
+ * Body: { prompt, symbols? } - symbols default to the trading symbols
+ * Returns { errors, warnings }, each { line, message }; only errors block saving.
+ */
+router.post('/prompt/lint',
+  authenticateToken,
+  requireRole('viewer'),
+  body('prompt').isString().withMessage('Prompt must be a string'),
+  body('symbols').optional().isArray().withMessage('Symbols must be an array'),
+  validateRequest,
+  (req, res) => {
+    try {
+      res.json(lintPrompt(req.body.prompt, {
+        symbols: req.body.symbols?.map(s => String(s).toUpperCase()) || db.getSetting('trading_symbols'),
+        intervals: db.getSetting('kline_intervals') || DEFAULT_KLINE_INTERVALS
+      }));
+    } catch (error) {
+      console.error('Error linting prompt:', error);
+      res.status(500).json({ error: 'Failed to lint prompt', message: error.message });
+    }
+  }
+);
+
 /**
  * GET /api/bots/:id - Get specific bot details
  */
@@ -90,12 +146,39 @@ router.post('/',
   body('id').trim().notEmpty().withMessage('Bot ID is required')
     .matches(/^[a-zA-Z0-9_-]+$/).withMessage('Bot ID must be alphanumeric with underscores or hyphens'),
   body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
-  body('prompt').trim().isLength({ min: 10, max: 10000 }).withMessage('Prompt must be 10-10000 characters'),
+  body('prompt').trim().isLength({ min: 10, max: 10000 }).withMessage('Prompt must be 10-10000 characters')
+    .custom(value => {
+      const problem = checkPrompt(value);
+      if (problem) throw new Error(problem);
+      return true;
+    }),
   body('provider_id').isInt({ min: 1 }).withMessage('Valid provider required'),
   body('trading_mode').isIn(['paper', 'real']).withMessage('Trading mode must be paper or real'),
   body('is_active').optional().isBoolean().withMessage('is_active must be boolean'),
   body('is_paused').optional().isBoolean().withMessage('is_paused must be boolean'),
+  body('tools_enabled').optional().isBoolean().withMessage('tools_enabled must be boolean'),
   body('avatar_image').optional().isString().withMessage('avatar_image must be a string'),
+  body('prompt_note').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Prompt note must be at most 500 characters'),
+  body('risk_limits_json').optional({ nullable: true }).custom(value => {
+    const problem = checkRiskLimits(value);
+    if (problem) throw new Error(problem);
+    return true;
+  }),
+  body('ensemble_json').optional({ nullable: true }).custom(value => {
+    const problem = checkEnsemble(value);
+    if (problem) throw new Error(problem);
+    return true;
+  }),
+  body(['llm_daily_budget_usd', 'llm_monthly_budget_usd']).optional({ nullable: true }).custom(value => {
+    const problem = checkBudgetValue(value);
+    if (problem) throw new Error(problem);
+    return true;
+  }).toFloat(),
+  body('fallback_providers_json').optional({ nullable: true }).custom(value => {
+    const problem = checkFallbackProviders(value);
+    if (problem) throw new Error(problem);
+    return true;
+  }),
   validateRequest,
   (req, res) => {
     try {
@@ -110,6 +193,14 @@ router.post('/',
       if (!provider) {
         return res.status(400).json({ error: 'Provider not found' });
       }
+      const missingMember = getEnsembleProviderIds(req.body.ensemble_json).find(id => !db.getProvider(id));
+      if (missingMember) {
+        return res.status(400).json({ error: 'Provider not found', message: `Ensemble member provider ${missingMember} does not exist` });
+      }
+      const missingFallback = parseFallbackProviders(req.body.fallback_providers_json).find(id => !db.getProvider(id));
+      if (missingFallback) {
+        return res.status(400).json({ error: 'Provider not found', message: `Fallback provider ${missingFallback} does not exist` });
+      }
       
       const bot = db.createBot({
         id: req.body.id,
@@ -118,8 +209,14 @@ router.post('/',
         provider_id: req.body.provider_id,
         trading_mode: req.body.trading_mode,
         is_active: req.body.is_active !== undefined ? req.body.is_active : true,
-        is_paused: req.body.is_paused !== undefined ? req.body.is_paused : false
-      });
+        is_paused: req.body.is_paused !== undefined ? req.body.is_paused : false,
+        risk_limits_json: req.body.risk_limits_json || null,
+        tools_enabled: req.body.tools_enabled || false,
+        ensemble_json: req.body.ensemble_json || null,
+        llm_daily_budget_usd: req.body.llm_daily_budget_usd ?? null,
+        llm_monthly_budget_usd: req.body.llm_monthly_budget_usd ?? null,
+        fallback_providers_json: req.body.fallback_providers_json || null
+      }, promptAuthor(req, req.body.prompt_note));
       
       // Create audit log
       createAuditLog({
@@ -127,10 +224,11 @@ router.post('/',
         entity_type: 'bot',
         entity_id: bot.id,
         user_id: req.user?.userId,
-        details: { bot_id: bot.id, name: bot.name },
+        details: { bot_id: bot.id, name: bot.name, prompt_version: bot.prompt_version },
         ip_address: req.ip
       });
       
+      reloadEngineBots(req);
       res.status(201).json(bot);
     } catch (error) {
       console.error('Error creating bot:', error);
@@ -147,12 +245,39 @@ router.put('/:id',
   requireRole('user'),
   param('id').notEmpty().withMessage('Bot ID is required'),
   body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
-  body('prompt').optional().trim().isLength({ min: 10, max: 10000 }).withMessage('Prompt must be 10-10000 characters'),
+  body('prompt').optional().trim().isLength({ min: 10, max: 10000 }).withMessage('Prompt must be 10-10000 characters')
+    .custom(value => {
+      const problem = checkPrompt(value);
+      if (problem) throw new Error(problem);
+      return true;
+    }),
   body('provider_id').optional().isInt({ min: 1 }).withMessage('Valid provider required'),
   body('trading_mode').optional().isIn(['paper', 'real']).withMessage('Trading mode must be paper or real'),
   body('is_active').optional().isBoolean().withMessage('is_active must be boolean'),
   body('is_paused').optional().isBoolean().withMessage('is_paused must be boolean'),
+  body('tools_enabled').optional().isBoolean().withMessage('tools_enabled must be boolean'),
   body('avatar_image').optional().isString().withMessage('avatar_image must be a string'),
+  body('prompt_note').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Prompt note must be at most 500 characters'),
+  body('risk_limits_json').optional({ nullable: true }).custom(value => {
+    const problem = checkRiskLimits(value);
+    if (problem) throw new Error(problem);
+    return true;
+  }),
+  body('ensemble_json').optional({ nullable: true }).custom(value => {
+    const problem = checkEnsemble(value);
+    if (problem) throw new Error(problem);
+    return true;
+  }),
+  body(['llm_daily_budget_usd', 'llm_monthly_budget_usd']).optional({ nullable: true }).custom(value => {
+    const problem = checkBudgetValue(value);
+    if (problem) throw new Error(problem);
+    return true;
+  }).toFloat(),
+  body('fallback_providers_json').optional({ nullable: true }).custom(value => {
+    const problem = checkFallbackProviders(value);
+    if (problem) throw new Error(problem);
+    return true;
+  }),
   validateRequest,
   (req, res) => {
     try {
@@ -168,8 +293,16 @@ router.put('/:id',
           return res.status(400).json({ error: 'Provider not found' });
         }
       }
+      const missingMember = getEnsembleProviderIds(req.body.ensemble_json).find(id => !db.getProvider(id));
+      if (missingMember) {
+        return res.status(400).json({ error: 'Provider not found', message: `Ensemble member provider ${missingMember} does not exist` });
+      }
+      const missingFallback = parseFallbackProviders(req.body.fallback_providers_json).find(id => !db.getProvider(id));
+      if (missingFallback) {
+        return res.status(400).json({ error: 'Provider not found', message: `Fallback provider ${missingFallback} does not exist` });
+      }
       
-      const updatedBot = db.updateBot(req.params.id, req.body);
+      const updatedBot = db.updateBot(req.params.id, req.body, promptAuthor(req, req.body.prompt_note));
       
       // Create audit log
       createAuditLog({
@@ -177,10 +310,14 @@ router.put('/:id',
         entity_type: 'bot',
         entity_id: req.params.id,
         user_id: req.user?.userId,
-        details: { updates: req.body },
+        details: {
+          updates: req.body,
+          ...(updatedBot.prompt_version !== bot.prompt_version && { prompt_version: updatedBot.prompt_version })
+        },
         ip_address: req.ip
       });
       
+      reloadEngineBots(req);
       res.json(updatedBot);
     } catch (error) {
       console.error('Error updating bot:', error);
@@ -216,6 +353,7 @@ router.delete('/:id',
         ip_address: req.ip
       });
       
+      reloadEngineBots(req);
       res.json({ success: true, message: 'Bot deleted successfully' });
     } catch (error) {
       console.error('Error deleting bot:', error);
@@ -224,6 +362,237 @@ router.delete('/:id',
   }
 );
 
+/**
+ * GET /api/bots/:id/prompt-versions - A bot's prompt versions, newest first
+ */
+router.get('/:id/prompt-versions',
+  optionalAuth,
+  param('id').notEmpty().withMessage('Bot ID is required'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const bot = db.getBot(req.params.id);
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+
+      res.json(db.getPromptVersions(req.params.id));
+    } catch (error) {
+      console.error('Error fetching prompt versions:', error);
+      res.status(500).json({ error: 'Failed to fetch prompt versions', message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/bots/:id/prompt-versions/:version/rollback - Restore an earlier prompt
+ * Saves the old prompt as a new version, so the history is never rewritten.
+ * Body: { note? }
+ */
+router.post('/:id/prompt-versions/:version/rollback',
+  authenticateToken,
+  requireRole('user'),
+  param('id').notEmpty().withMessage('Bot ID is required'),
+  param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+  body('note').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const bot = db.getBot(req.params.id);
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+
+      const version = db.getPromptVersion(req.params.id, parseInt(req.params.version));
+      if (!version) {
+        return res.status(404).json({ error: 'Prompt version not found' });
+      }
+
+      if (version.prompt === bot.prompt) {
+        return res.status(409).json({ error: `Version ${version.version} is the same as the current prompt` });
+      }
+
+      const updatedBot = db.updateBot(req.params.id, { prompt: version.prompt }, promptAuthor(req, req.body.note || `Rollback to version ${version.version}`));
+
+      createAuditLog({
+        event_type: 'bot_prompt_rolled_back',
+        entity_type: 'bot',
+        entity_id: req.params.id,
+        user_id: req.user?.userId,
+        details: { from_version: bot.prompt_version, restored_version: version.version, prompt_version: updatedBot.prompt_version },
+        ip_address: req.ip
+      });
+
+      reloadEngineBots(req);
+      res.json(updatedBot);
+    } catch (error) {
+      console.error('Error rolling back prompt:', error);
+      res.status(500).json({ error: 'Failed to roll back prompt', message: error.message });
+    }
+  }
+);
+
+/**
+ * Find a memory of the bot in the request, or send a 404
+ */
+function findBotMemory(req, res) {
+  const memory = db.getBotMemory(parseInt(req.params.memoryId));
+  if (!memory || memory.bot_id !== req.params.id) {
+    res.status(404).json({ error: 'Memory not found' });
+    return null;
+  }
+  return memory;
+}
+
+/**
+ * GET /api/bots/:id/memory - A bot's memories, newest first, and the
+ * {{memory}} section its next prompt gets
+ */
+router.get('/:id/memory',
+  optionalAuth,
+  param('id').notEmpty().withMessage('Bot ID is required'),
+  query('kind').optional().isIn(['reflection', 'summary', 'note']).withMessage('Kind must be reflection, summary or note'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const bot = db.getBot(req.params.id);
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+
+      const tokenBudget = db.getSetting('memory_token_budget') ?? botMemory.DEFAULT_TOKEN_BUDGET;
+      const digest = botMemory.getMemoryDigest(bot.id, { tokenBudget });
+
+      res.json({
+        memories: db.getBotMemories(bot.id, {
+          kind: req.query.kind,
+          limit: req.query.limit ? parseInt(req.query.limit) : 200
+        }),
+        digest,
+        digestTokens: botMemory.estimateTokens(digest),
+        tokenBudget,
+        usesMemory: usesMemory(bot.prompt)
+      });
+    } catch (error) {
+      console.error('Error fetching bot memory:', error);
+      res.status(500).json({ error: 'Failed to fetch bot memory', message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/bots/:id/memory - Add a note to a bot's memory
+ * Body: { content }
+ */
+router.post('/:id/memory',
+  authenticateToken,
+  requireRole('user'),
+  param('id').notEmpty().withMessage('Bot ID is required'),
+  body('content').isString().trim().isLength({ min: 1, max: botMemory.MAX_NOTE_CHARS })
+    .withMessage(`Content must be 1-${botMemory.MAX_NOTE_CHARS} characters`),
+  validateRequest,
+  (req, res) => {
+    try {
+      const bot = db.getBot(req.params.id);
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+
+      const memory = db.createBotMemory({
+        bot_id: bot.id,
+        kind: 'note',
+        content: req.body.content,
+        created_by: req.user?.userId
+      });
+
+      createAuditLog({
+        event_type: 'bot_memory_added',
+        entity_type: 'bot',
+        entity_id: bot.id,
+        user_id: req.user?.userId,
+        details: { memory_id: memory.id },
+        ip_address: req.ip
+      });
+
+      res.status(201).json(memory);
+    } catch (error) {
+      console.error('Error adding bot memory:', error);
+      res.status(500).json({ error: 'Failed to add bot memory', message: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /api/bots/:id/memory/:memoryId - Rewrite a memory
+ * Any kind can be edited, e.g. to correct a lesson the bot drew.
+ * Body: { content }
+ */
+router.put('/:id/memory/:memoryId',
+  authenticateToken,
+  requireRole('user'),
+  param('id').notEmpty().withMessage('Bot ID is required'),
+  param('memoryId').isInt({ min: 1 }).withMessage('Memory ID must be a positive integer'),
+  body('content').isString().trim().isLength({ min: 1, max: botMemory.MAX_NOTE_CHARS })
+    .withMessage(`Content must be 1-${botMemory.MAX_NOTE_CHARS} characters`),
+  validateRequest,
+  (req, res) => {
+    try {
+      const memory = findBotMemory(req, res);
+      if (!memory) return;
+
+      const updated = db.updateBotMemory(memory.id, req.body.content);
+
+      createAuditLog({
+        event_type: 'bot_memory_updated',
+        entity_type: 'bot',
+        entity_id: memory.bot_id,
+        user_id: req.user?.userId,
+        details: { memory_id: memory.id, kind: memory.kind, previous_content: memory.content },
+        ip_address: req.ip
+      });
+
+      res.json(updated);
+    } catch (error) {
+      console.error('Error updating bot memory:', error);
+      res.status(500).json({ error: 'Failed to update bot memory', message: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/bots/:id/memory/:memoryId - Forget a memory
+ */
+router.delete('/:id/memory/:memoryId',
+  authenticateToken,
+  requireRole('user'),
+  param('id').notEmpty().withMessage('Bot ID is required'),
+  param('memoryId').isInt({ min: 1 }).withMessage('Memory ID must be a positive integer'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const memory = findBotMemory(req, res);
+      if (!memory) return;
+
+      db.deleteBotMemory(memory.id);
+
+      createAuditLog({
+        event_type: 'bot_memory_deleted',
+        entity_type: 'bot',
+        entity_id: memory.bot_id,
+        user_id: req.user?.userId,
+        details: { memory_id: memory.id, kind: memory.kind, content: memory.content },
+        ip_address: req.ip
+      });
+
+      res.json({ success: true, message: 'Memory deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting bot memory:', error);
+      res.status(500).json({ error: 'Failed to delete bot memory', message: error.message });
+    }
+  }
+);
+
 /**
  * POST /api/bots/:id/pause - Pause/unpause bot
  */
@@ -252,6 +621,7 @@ router.post('/:id/pause',
         ip_address: req.ip
       });
       
+      reloadEngineBots(req);
       const updatedBot = db.getBot(req.params.id);
       res.json(updatedBot);
     } catch (error) {
@@ -290,8 +660,9 @@ router.post('/:id/reset',
       // 2. Delete all trades
       db.db.prepare('DELETE FROM trades WHERE bot_id = ?').run(req.params.id);
       
-      // 3. Delete all bot decisions (AI logs)
+      // 3. Delete all bot decisions (AI logs) and their recorded provider requests
       db.db.prepare('DELETE FROM bot_decisions WHERE bot_id = ?').run(req.params.id);
+      db.db.prepare('DELETE FROM llm_cassettes WHERE bot_id = ?').run(req.params.id);
       
       // 4. Delete all old state snapshots
       db.db.prepare('DELETE FROM bot_state_snapshots WHERE bot_id = ?').run(req.params.id);
@@ -308,16 +679,12 @@ router.post('/:id/reset',
         total_value: initialBalance,
         trade_count: 0,
         win_rate: 0,
+        prompt_version: bot.prompt_version,
         timestamp: new Date().toISOString()
       });
       
-      // 6. Clear the ENTIRE arena_state so all bots reload fresh from database
-      try {
-        db.db.prepare('DELETE FROM arena_state').run();
-        console.log('Cleared entire arena_state - all bots will reload fresh from database');
-      } catch (err) {
-        console.log('Note: Could not clear arena_state:', err.message);
-      }
+      // 6. Reset the bot's live state in the trading engine
+      req.app.locals.tradingEngine?.resetBot(req.params.id);
       
       // Create audit log
       createAuditLog({
@@ -0,0 +1,255 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { validateRequest } = require('../middleware/validation');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { createAuditLog, getMarketSnapshot, getCassettes } = require('../database/relational');
+
+const router = express.Router();
+
+/**
+ * Resolve the running trading engine or respond with 503
+ */
+function requireEngine(req, res, next) {
+  const engine = req.app.locals.tradingEngine;
+  if (!engine) {
+    return res.status(503).json({ error: 'Trading engine is not running' });
+  }
+  req.engine = engine;
+  next();
+}
+
+/**
+ * GET /api/engine/status - Get trading engine status
+ */
+router.get('/status',
+  requireEngine,
+  (req, res) => {
+    res.json(req.engine.getStatus());
+  }
+);
+
+/**
+ * GET /api/engine/snapshots/:id - Get the market snapshot of an arena turn
+ * With the decisions based on it, in the order they were executed.
+ */
+router.get('/snapshots/:id',
+  param('id').matches(/^snap_[a-z0-9_]+$/i).withMessage('Invalid snapshot ID'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const snapshot = getMarketSnapshot(req.params.id);
+      if (!snapshot) {
+        return res.status(404).json({ error: 'Snapshot not found' });
+      }
+      res.json({
+        id: snapshot.id,
+        taken_at: snapshot.taken_at,
+        markets: JSON.parse(snapshot.market_data_json),
+        decisions: snapshot.decisions.map(({ decisions_json, ...decision }) => ({ ...decision, decisions: JSON.parse(decisions_json) }))
+      });
+    } catch (error) {
+      console.error('Error fetching market snapshot:', error);
+      res.status(500).json({ error: 'Failed to fetch market snapshot', message: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/engine/snapshots/:id/cassettes - Get the provider requests of an arena turn
+ * Each rendered prompt and raw response, per bot in the order they were made.
+ * Optional bot_id limits them to one bot.
+ */
+router.get('/snapshots/:id/cassettes',
+  authenticateToken,
+  param('id').matches(/^snap_[a-z0-9_]+$/i).withMessage('Invalid snapshot ID'),
+  query('bot_id').optional().isString().trim().notEmpty().withMessage('Invalid bot ID'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const cassettes = getCassettes(req.params.id, req.query.bot_id);
+      res.json(cassettes.map(({ tool_calls_json, notes_json, ...cassette }) => ({
+        ...cassette,
+        tool_calls: tool_calls_json ? JSON.parse(tool_calls_json) : null,
+        notes: notes_json ? JSON.parse(notes_json) : null
+      })));
+    } catch (error) {
+      console.error('Error fetching cassettes:', error);
+      res.status(500).json({ error: 'Failed to fetch cassettes', message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/engine/pause - Pause/resume all trading
+ */
+router.post('/pause',
+  authenticateToken,
+  requireRole('user'),
+  requireEngine,
+  body('paused').isBoolean().withMessage('Paused must be boolean'),
+  validateRequest,
+  (req, res) => {
+    try {
+      if (!req.body.paused && req.engine.killSwitchEngagedAt) {
+        return res.status(409).json({ error: 'Kill switch is engaged', message: 'An admin must release the kill switch to resume trading' });
+      }
+
+      req.engine.setPaused(req.body.paused);
+
+      createAuditLog({
+        event_type: req.body.paused ? 'trading_paused' : 'trading_resumed',
+        entity_type: 'engine',
+        entity_id: null,
+        user_id: req.user?.userId,
+        details: { paused: req.body.paused },
+        ip_address: req.ip
+      });
+
+      res.json(req.engine.getStatus());
+    } catch (error) {
+      console.error('Error pausing/resuming trading:', error);
+      res.status(500).json({ error: 'Failed to update trading pause state', message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/engine/kill-switch - Halt all trading and flatten every live account
+ * Body: { confirm: true }
+ * Pauses the engine, cancels all open orders (SL/TP included) and
+ * market-closes every position on every wallet. Responds with a report of
+ * each cancel and close; a partial failure is not an HTTP error.
+ */
+router.post('/kill-switch',
+  authenticateToken,
+  requireRole('admin'),
+  requireEngine,
+  body('confirm').equals('true').withMessage('Set confirm to true to engage the kill switch'),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const report = await req.engine.engageKillSwitch();
+
+      createAuditLog({
+        event_type: 'kill_switch_engaged',
+        entity_type: 'engine',
+        entity_id: null,
+        user_id: req.user?.userId,
+        details: report,
+        ip_address: req.ip
+      });
+
+      res.json({ ...report, status: req.engine.getStatus() });
+    } catch (error) {
+      console.error('Error engaging kill switch:', error);
+      res.status(500).json({ error: 'Failed to engage kill switch', message: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/engine/kill-switch - Release the kill switch and resume trading
+ */
+router.delete('/kill-switch',
+  authenticateToken,
+  requireRole('admin'),
+  requireEngine,
+  (req, res) => {
+    try {
+      const engagedAt = req.engine.killSwitchEngagedAt;
+      if (!req.engine.releaseKillSwitch()) {
+        return res.status(409).json({ error: 'Kill switch is not engaged' });
+      }
+
+      createAuditLog({
+        event_type: 'kill_switch_released',
+        entity_type: 'engine',
+        entity_id: null,
+        user_id: req.user?.userId,
+        details: { engaged_at: new Date(engagedAt).toISOString() },
+        ip_address: req.ip
+      });
+
+      res.json(req.engine.getStatus());
+    } catch (error) {
+      console.error('Error releasing kill switch:', error);
+      res.status(500).json({ error: 'Failed to release kill switch', message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/engine/turn - Force a trading turn
+ * Body: { bot_id?: string } - limit the turn to one bot
+ */
+router.post('/turn',
+  authenticateToken,
+  requireRole('user'),
+  requireEngine,
+  body('bot_id').optional().isString().withMessage('bot_id must be a string'),
+  validateRequest,
+  async (req, res) => {
+    try {
+      if (req.body.bot_id && !req.engine.getBot(req.body.bot_id)) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+
+      const ran = await req.engine.runTradingTurn(req.body.bot_id);
+      if (!ran) {
+        return res.status(409).json({ error: 'Trading turn could not start', message: 'A turn is already running, market data is not loaded yet or the kill switch is engaged' });
+      }
+
+      res.json({ success: true, status: req.engine.getStatus() });
+    } catch (error) {
+      console.error('Error running trading turn:', error);
+      res.status(500).json({ error: 'Failed to run trading turn', message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/engine/bots/:botId/positions/:positionId/close - Manually close a position
+ */
+router.post('/bots/:botId/positions/:positionId/close',
+  authenticateToken,
+  requireRole('user'),
+  requireEngine,
+  param('botId').notEmpty().withMessage('Bot ID is required'),
+  param('positionId').notEmpty().withMessage('Position ID is required'),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const bot = req.engine.getBot(req.params.botId);
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+
+      if (!bot.portfolio.positions.some(p => p.id === req.params.positionId)) {
+        return res.status(404).json({ error: 'Position not found. It may have already been closed.' });
+      }
+
+      const result = await req.engine.closePosition(req.params.botId, req.params.positionId);
+
+      createAuditLog({
+        event_type: 'position_closed',
+        entity_type: 'bot',
+        entity_id: req.params.botId,
+        user_id: req.user?.userId,
+        details: { position_id: req.params.positionId, ...result },
+        ip_address: req.ip
+      });
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('Error closing position:', error);
+      res.status(500).json({ error: 'Failed to close position', message: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,255 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const express = require('express');
+const { body, query } = require('express-validator');
+const { validateRequest } = require('../middleware/validation');
+const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
+const { createAuditLog } = require('../database/relational');
+const db = require('../database/relational');
+const experiments = require('../services/experiments');
+const { getExperimentReport } = require('../services/analytics');
+const { checkPrompt } = require('../services/promptBuilder');
+
+const router = express.Router();
+
+/**
+ * Shape an experiments row for the API
+ */
+function formatExperiment(experiment) {
+  const { symbols_json, risk_limits_json, ...rest } = experiment;
+  return { ...rest, symbols: JSON.parse(symbols_json) };
+}
+
+/**
+ * GET /api/v2/experiments - List experiments
+ */
+router.get('/',
+  optionalAuth,
+  query('bot_id').optional().trim().notEmpty().withMessage('Bot ID cannot be empty'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const list = db.getExperiments({
+        bot_id: req.query.bot_id,
+        limit: req.query.limit ? parseInt(req.query.limit) : 50
+      });
+      res.json(list.map(experiment => ({
+        ...formatExperiment(experiment),
+        variants: db.getExperimentVariants(experiment.id).map(v => ({ id: v.id, name: v.name, provider_name: v.provider_name }))
+      })));
+    } catch (error) {
+      console.error('Error fetching experiments:', error);
+      res.status(500).json({ error: 'Failed to fetch experiments', message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/v2/experiments - Clone a bot into paper variants and start comparing them
+ * Body: { bot_id, name?, max_turns?, initial_balance?, variants: [{ name?, prompt?, provider_id? }] }
+ * The bot's current prompt and provider are added as the control. Each
+ * variant must change the prompt, the provider or both.
+ */
+router.post('/',
+  authenticateToken,
+  requireRole('user'),
+  body('bot_id').trim().notEmpty().withMessage('Bot ID is required'),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('max_turns').optional().isInt({ min: 2, max: 1000 }).withMessage('Max turns must be between 2 and 1000'),
+  body('initial_balance').optional().isFloat({ gt: 0 }).withMessage('Initial balance must be positive'),
+  body('variants').isArray({ min: 1, max: experiments.MAX_CHALLENGERS })
+    .withMessage(`Between 1 and ${experiments.MAX_CHALLENGERS} variants are required`),
+  body('variants.*.name').optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('Variant name must be 1-50 characters'),
+  body('variants.*.provider_id').optional().isInt().withMessage('Provider ID must be an integer'),
+  body('variants.*.prompt').optional().isString().trim().notEmpty().withMessage('Variant prompt cannot be empty')
+    .custom(value => {
+      const problem = checkPrompt(value);
+      if (problem) throw new Error(problem);
+      return true;
+    }),
+  validateRequest,
+  (req, res) => {
+    try {
+      const bot = db.getBot(req.body.bot_id);
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+
+      const variants = req.body.variants.map(v => ({
+        name: v.name,
+        prompt: v.prompt,
+        providerId: v.provider_id ? parseInt(v.provider_id) : undefined
+      }));
+
+      for (const [i, variant] of variants.entries()) {
+        if (variant.providerId && !db.getProvider(variant.providerId)) {
+          return res.status(400).json({ error: `Provider not found for variant ${i + 1}` });
+        }
+        if ((variant.prompt || bot.prompt) === bot.prompt && (variant.providerId || bot.provider_id) === bot.provider_id) {
+          return res.status(400).json({ error: `Variant ${i + 1} is identical to the control; change its prompt or provider` });
+        }
+      }
+
+      const experiment = experiments.startExperiment({
+        bot,
+        name: req.body.name,
+        variants,
+        maxTurns: req.body.max_turns ? parseInt(req.body.max_turns) : undefined,
+        initialBalance: req.body.initial_balance ? parseFloat(req.body.initial_balance) : undefined,
+        createdBy: req.user?.userId
+      });
+
+      createAuditLog({
+        event_type: 'experiment_started',
+        entity_type: 'bot',
+        entity_id: bot.id,
+        user_id: req.user?.userId,
+        details: { experiment_id: experiment.id, name: experiment.name, variants: variants.length + 1, max_turns: experiment.max_turns },
+        ip_address: req.ip
+      });
+
+      res.status(202).json(formatExperiment(experiment));
+    } catch (error) {
+      console.error('Error starting experiment:', error);
+      res.status(500).json({ error: 'Failed to start experiment', message: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/v2/experiments/:id - Get an experiment with its comparative report
+ * Running experiments also include each variant's live paper account.
+ */
+router.get('/:id',
+  optionalAuth,
+  (req, res) => {
+    try {
+      const experiment = db.getExperiment(req.params.id);
+      if (!experiment) {
+        return res.status(404).json({ error: 'Experiment not found' });
+      }
+
+      res.json({
+        ...formatExperiment(experiment),
+        ...getExperimentReport(experiment),
+        live: experiments.getLiveVariants(experiment.id)
+      });
+    } catch (error) {
+      console.error('Error fetching experiment:', error);
+      res.status(500).json({ error: 'Failed to fetch experiment', message: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/v2/experiments/:id/decisions - Get one variant's turns, newest first
+ */
+router.get('/:id/decisions',
+  optionalAuth,
+  query('variant_id').trim().notEmpty().withMessage('Variant ID is required'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or greater'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const variant = db.getExperimentVariants(req.params.id).find(v => v.id === req.query.variant_id);
+      if (!variant) {
+        return res.status(404).json({ error: 'Variant not found' });
+      }
+
+      const decisions = db.getExperimentDecisions(
+        variant.id,
+        req.query.limit ? parseInt(req.query.limit) : 50,
+        req.query.offset ? parseInt(req.query.offset) : 0
+      );
+
+      res.json(decisions.map(d => ({
+        ...d,
+        decisions: JSON.parse(d.decisions_json),
+        notes: d.notes_json ? JSON.parse(d.notes_json) : [],
+        tool_calls: d.tool_calls_json ? JSON.parse(d.tool_calls_json) : null,
+        ensemble: d.ensemble_json ? JSON.parse(d.ensemble_json) : null
+      })));
+    } catch (error) {
+      console.error('Error fetching experiment decisions:', error);
+      res.status(500).json({ error: 'Failed to fetch experiment decisions', message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/v2/experiments/:id/stop - End a running experiment early
+ * The report covers the turns taken so far.
+ */
+router.post('/:id/stop',
+  authenticateToken,
+  requireRole('user'),
+  (req, res) => {
+    try {
+      const experiment = db.getExperiment(req.params.id);
+      if (!experiment) {
+        return res.status(404).json({ error: 'Experiment not found' });
+      }
+
+      if (!experiments.stopExperiment(experiment.id)) {
+        return res.status(409).json({ error: 'Experiment is not running' });
+      }
+
+      createAuditLog({
+        event_type: 'experiment_stopped',
+        entity_type: 'bot',
+        entity_id: experiment.bot_id,
+        user_id: req.user?.userId,
+        details: { experiment_id: experiment.id, turns_completed: experiment.turns_completed },
+        ip_address: req.ip
+      });
+
+      res.json(formatExperiment(db.getExperiment(experiment.id)));
+    } catch (error) {
+      console.error('Error stopping experiment:', error);
+      res.status(500).json({ error: 'Failed to stop experiment', message: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v2/experiments/:id - Delete a finished experiment and its results
+ */
+router.delete('/:id',
+  authenticateToken,
+  requireRole('user'),
+  (req, res) => {
+    try {
+      const experiment = db.getExperiment(req.params.id);
+      if (!experiment) {
+        return res.status(404).json({ error: 'Experiment not found' });
+      }
+
+      if (experiment.status === 'running') {
+        return res.status(409).json({ error: 'Stop the experiment before deleting it' });
+      }
+
+      db.deleteExperiment(experiment.id);
+
+      createAuditLog({
+        event_type: 'experiment_deleted',
+        entity_type: 'bot',
+        entity_id: experiment.bot_id,
+        user_id: req.user?.userId,
+        details: { experiment_id: experiment.id },
+        ip_address: req.ip
+      });
+
+      res.json({ success: true, message: 'Experiment deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting experiment:', error);
+      res.status(500).json({ error: 'Failed to delete experiment', message: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -15,6 +15,10 @@ const walletsRoutes = require('./wallets');
 const settingsRoutes = require('./settings');
 const analyticsRoutes = require('./analytics');
 const auditRoutes = require('./audit');
+const engineRoutes = require('./engine');
+const backtestsRoutes = require('./backtests');
+const experimentsRoutes = require('./experiments');
+const marketRoutes = require('./market');
 
 const router = express.Router();
 
@@ -25,6 +29,10 @@ router.use('/wallets', walletsRoutes);
 router.use('/settings', settingsRoutes);
 router.use('/analytics', analyticsRoutes);
 router.use('/audit', auditRoutes);
+router.use('/engine', engineRoutes);
+router.use('/backtests', backtestsRoutes);
+router.use('/experiments', experimentsRoutes);
+router.use('/market', marketRoutes);
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -0,0 +1,92 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const { validateRequest } = require('../middleware/validation');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { getSetting, createAuditLog } = require('../database/relational');
+const { getSyntheticMarketSource } = require('../services/exchanges');
+const { SCENARIO_TYPES } = require('../services/syntheticMarket');
+
+const router = express.Router();
+
+/**
+ * Respond with 409 unless arena prices come from the synthetic market
+ */
+function requireSyntheticMarket(req, res, next) {
+  if (getSetting('market_data_source') !== 'synthetic') {
+    return res.status(409).json({ error: 'Synthetic market data is not enabled', message: "Set market_data_source to 'synthetic' first" });
+  }
+  req.market = getSyntheticMarketSource().market;
+  next();
+}
+
+/**
+ * GET /api/v2/market/synthetic - Synthetic market regime, prices and scenarios
+ */
+router.get('/synthetic',
+  authenticateToken,
+  requireRole('viewer'),
+  requireSyntheticMarket,
+  (req, res) => {
+    try {
+      res.json(req.market.getState());
+    } catch (error) {
+      console.error('Error fetching synthetic market state:', error);
+      res.status(500).json({ error: 'Failed to fetch synthetic market state', message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/v2/market/synthetic/scenarios - Inject a crash or pump
+ * Body: { type: 'crash' | 'pump', magnitude_pct, duration_minutes, start_in_minutes?, symbols? }
+ * Injected scenarios are not saved; changing synthetic_market_config drops them.
+ */
+router.post('/synthetic/scenarios',
+  authenticateToken,
+  requireRole('user'),
+  requireSyntheticMarket,
+  body('type').isIn(SCENARIO_TYPES).withMessage(`Type must be one of ${SCENARIO_TYPES.join(', ')}`),
+  body('magnitude_pct').isFloat({ gt: 0 }).withMessage('magnitude_pct must be a positive number'),
+  body('duration_minutes').isFloat({ gt: 0 }).withMessage('duration_minutes must be a positive number'),
+  body('start_in_minutes').optional().isFloat({ min: 0 }).withMessage('start_in_minutes cannot be negative'),
+  body('symbols').optional().isArray({ min: 1 }).withMessage('symbols must be a non-empty array'),
+  validateRequest,
+  (req, res) => {
+    let scenario;
+    try {
+      scenario = req.market.injectScenario({
+        type: req.body.type,
+        magnitude_pct: Number(req.body.magnitude_pct),
+        duration_minutes: Number(req.body.duration_minutes),
+        start_in_minutes: Number(req.body.start_in_minutes || 0),
+        symbols: req.body.symbols || null
+      });
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid scenario', message: error.message });
+    }
+
+    try {
+      const { logDriftPerMs, ...details } = scenario;
+      createAuditLog({
+        event_type: 'market_scenario_injected',
+        entity_type: 'market',
+        entity_id: null,
+        user_id: req.user?.userId,
+        details,
+        ip_address: req.ip
+      });
+
+      res.status(201).json(details);
+    } catch (error) {
+      console.error('Error injecting market scenario:', error);
+      res.status(500).json({ error: 'Failed to inject market scenario', message: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -10,17 +10,32 @@ const { authenticateToken, requireRole, optionalAuth } = require('../middleware/
 const { encrypt, redact } = require('../utils/encryption');
 const { createAuditLog } = require('../database/relational');
 const db = require('../database/relational');
+const { getTradingDecision } = require('../services/llmService');
+const { buildDecisionJsonSchema } = require('../services/decisionSchema');
+const providerHealth = require('../services/providerHealth');
+const mockProvider = require('../services/mockProvider');
 const axios = require('axios');
 
 const router = express.Router();
 
+const PROVIDER_TYPES = ['openai', 'anthropic', 'gemini', 'grok', 'local', 'custom', 'mock'];
+
+/**
+ * Check a mock provider's script
+ */
+const checkMockScript = (value) => {
+  const problem = mockProvider.checkScript(value);
+  if (problem) throw new Error(problem);
+  return true;
+};
+
 /**
  * GET /api/providers - List all LLM providers
  */
 router.get('/',
   optionalAuth,
   query('active').optional().isBoolean().withMessage('Active must be a boolean'),
-  query('provider_type').optional().isIn(['openai', 'anthropic', 'gemini', 'grok', 'local', 'custom']).withMessage('Invalid provider type'),
+  query('provider_type').optional().isIn(PROVIDER_TYPES).withMessage('Invalid provider type'),
   validateRequest,
   (req, res) => {
     try {
@@ -52,6 +67,22 @@ router.get('/',
   }
 );
 
+/**
+ * GET /api/v2/providers/health - Circuit state of every provider called since startup
+ */
+router.get('/health',
+  optionalAuth,
+  (req, res) => {
+    try {
+      const names = new Map(db.getProviders().map(p => [p.id, p.name]));
+      res.json(providerHealth.getHealth().map(health => ({ ...health, provider_name: names.get(health.provider_id) || null })));
+    } catch (error) {
+      console.error('Error fetching provider health:', error);
+      res.status(500).json({ error: 'Failed to fetch provider health', message: error.message });
+    }
+  }
+);
+
 /**
  * GET /api/providers/:id - Get specific provider
  */
@@ -90,8 +121,9 @@ router.post('/',
   authenticateToken,
   requireRole('admin'),
   body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
-  body('provider_type').isIn(['openai', 'anthropic', 'gemini', 'grok', 'local', 'custom']).withMessage('Invalid provider type'),
-  body('api_endpoint').trim().isLength({ min: 1 }).withMessage('API endpoint is required')
+  body('provider_type').isIn(PROVIDER_TYPES).withMessage('Invalid provider type'),
+  // Mock providers call no API
+  body('api_endpoint').if(body('provider_type').not().equals('mock')).trim().isLength({ min: 1 }).withMessage('API endpoint is required')
     .custom((value) => {
       // More lenient URL validation - just check it starts with http:// or https://
       if (!value.startsWith('http://') && !value.startsWith('https://')) {
@@ -102,7 +134,10 @@ router.post('/',
   body('model_name').optional().trim().isLength({ max: 100 }).withMessage('Model name max 100 characters'),
   body('api_key').optional().trim().isLength({ min: 1 }).withMessage('API key cannot be empty if provided'),
   body('config_json').optional().isJSON().withMessage('Config must be valid JSON'),
+  body('config_json').if(body('provider_type').equals('mock')).custom(checkMockScript),
   body('is_active').optional().isBoolean().withMessage('is_active must be boolean'),
+  body(['input_price_per_mtok', 'output_price_per_mtok']).optional({ nullable: true })
+    .isFloat({ min: 0 }).withMessage('Prices must be non-negative USD per million tokens').toFloat(),
   validateRequest,
   (req, res) => {
     try {
@@ -121,11 +156,13 @@ router.post('/',
       const provider = db.createProvider({
         name: req.body.name,
         provider_type: req.body.provider_type,
-        api_endpoint: req.body.api_endpoint,
+        api_endpoint: req.body.provider_type === 'mock' ? mockProvider.MOCK_ENDPOINT : req.body.api_endpoint,
         model_name: req.body.model_name || null,
         api_key_encrypted: apiKeyEncrypted,
         config_json: req.body.config_json || null,
-        is_active: req.body.is_active !== undefined ? req.body.is_active : true
+        is_active: req.body.is_active !== undefined ? req.body.is_active : true,
+        input_price_per_mtok: req.body.input_price_per_mtok ?? null,
+        output_price_per_mtok: req.body.output_price_per_mtok ?? null
       });
       
       // Create audit log
@@ -160,8 +197,8 @@ router.put('/:id',
   requireRole('admin'),
   param('id').isInt().withMessage('Provider ID must be an integer'),
   body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
-  body('provider_type').optional().isIn(['openai', 'anthropic', 'gemini', 'grok', 'local', 'custom']).withMessage('Invalid provider type'),
-  body('api_endpoint').optional().trim().isLength({ min: 1 }).withMessage('API endpoint cannot be empty')
+  body('provider_type').optional().isIn(PROVIDER_TYPES).withMessage('Invalid provider type'),
+  body('api_endpoint').optional().if(body('provider_type').not().equals('mock')).trim().isLength({ min: 1 }).withMessage('API endpoint cannot be empty')
     .custom((value) => {
       // More lenient URL validation - just check it starts with http:// or https://
       if (value && !value.startsWith('http://') && !value.startsWith('https://')) {
@@ -173,6 +210,8 @@ router.put('/:id',
   body('api_key').optional().trim().isLength({ min: 1 }).withMessage('API key cannot be empty if provided'),
   body('config_json').optional().isJSON().withMessage('Config must be valid JSON'),
   body('is_active').optional().isBoolean().withMessage('is_active must be boolean'),
+  body(['input_price_per_mtok', 'output_price_per_mtok']).optional({ nullable: true })
+    .isFloat({ min: 0 }).withMessage('Prices must be non-negative USD per million tokens').toFloat(),
   validateRequest,
   (req, res) => {
     try {
@@ -184,6 +223,15 @@ router.put('/:id',
       }
       
       const updates = { ...req.body };
+
+      // A mock provider needs a valid script and has no endpoint
+      if ((updates.provider_type || provider.provider_type) === 'mock') {
+        const problem = mockProvider.checkScript(updates.config_json ?? provider.config_json);
+        if (problem) {
+          return res.status(400).json({ error: problem });
+        }
+        updates.api_endpoint = mockProvider.MOCK_ENDPOINT;
+      }
       
       // If updating API key, encrypt it
       if (updates.api_key) {
@@ -260,6 +308,41 @@ router.delete('/:id',
   }
 );
 
+/**
+ * POST /api/v2/providers/:id/health/reset - Mark an unhealthy provider healthy
+ * For when the cause is fixed before the cooldown ends, e.g. a new API key.
+ */
+router.post('/:id/health/reset',
+  authenticateToken,
+  requireRole('user'),
+  param('id').isInt().withMessage('Provider ID must be an integer'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const providerId = parseInt(req.params.id);
+      const provider = db.getProvider(providerId);
+      if (!provider) {
+        return res.status(404).json({ error: 'Provider not found' });
+      }
+
+      providerHealth.resetHealth(providerId);
+      createAuditLog({
+        event_type: 'provider_health_reset',
+        entity_type: 'provider',
+        entity_id: providerId.toString(),
+        user_id: req.user?.userId,
+        details: { provider_name: provider.name },
+        ip_address: req.ip
+      });
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error resetting provider health:', error);
+      res.status(500).json({ error: 'Failed to reset provider health', message: error.message });
+    }
+  }
+);
+
 /**
  * POST /api/providers/:id/test - Test provider connection
  */
@@ -277,15 +360,18 @@ router.post('/:id/test',
         return res.status(404).json({ error: 'Provider not found' });
       }
       
-      if (!provider.api_key_encrypted) {
+      // Local model servers, custom proxies and mock providers may run without an API key
+      if (!provider.api_key_encrypted && !['local', 'custom', 'mock'].includes(provider.provider_type)) {
         return res.status(400).json({ error: 'Provider has no API key configured' });
       }
       
       // Decrypt API key
       const { decrypt } = require('../utils/encryption');
-      let apiKey;
+      let apiKey = null;
       try {
-        apiKey = decrypt(provider.api_key_encrypted);
+        if (provider.api_key_encrypted) {
+          apiKey = decrypt(provider.api_key_encrypted);
+        }
       } catch (error) {
         return res.status(500).json({ error: 'Failed to decrypt API key' });
       }
@@ -304,10 +390,11 @@ router.post('/:id/test',
             
           case 'openai':
           case 'grok':
+          case 'custom':
             testResult = await axios.get(
               provider.api_endpoint.replace('/chat/completions', '/models'),
               {
-                headers: { 'Authorization': `Bearer ${apiKey}` },
+                headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
                 timeout: 10000
               }
             );
@@ -333,11 +420,26 @@ router.post('/:id/test',
             break;
             
           case 'local':
+            // Ollama lists models at /api/tags, OpenAI-compatible servers at /v1/models
             testResult = await axios.get(
-              provider.api_endpoint.replace('/api/generate', '/api/tags'),
-              { timeout: 10000 }
+              /\/api\/(generate|chat)\/?$/.test(provider.api_endpoint)
+                ? provider.api_endpoint.replace(/\/api\/(generate|chat)\/?$/, '/api/tags')
+                : provider.api_endpoint.replace('/chat/completions', '/models'),
+              {
+                headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+                timeout: 10000
+              }
             );
             break;
+
+          case 'mock': {
+            // Nothing to connect to; the script is what can be wrong
+            const problem = mockProvider.checkScript(provider.config_json);
+            return res.json({
+              success: !problem,
+              message: problem ? `Mock script is invalid: ${problem}` : `Mock script is valid (${mockProvider.parseScript(provider.config_json).mode} mode)`
+            });
+          }
             
           default:
             return res.status(400).json({ error: 'Provider type not supported for testing' });
@@ -365,5 +467,51 @@ router.post('/:id/test',
   }
 );
 
+/**
+ * POST /api/providers/:id/decision - Get trading decisions from a provider
+ * Sends the prompt to the provider's stored endpoint and model using its
+ * decrypted API key, whatever the provider type. Mock providers answer on
+ * the running engine's current prices.
+ */
+router.post('/:id/decision',
+  authenticateToken,
+  requireRole('user'),
+  param('id').isInt().withMessage('Provider ID must be an integer'),
+  body('prompt').isString().trim().notEmpty().withMessage('Prompt is required'),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const providerId = parseInt(req.params.id);
+      const provider = db.getProvider(providerId);
+
+      if (!provider) {
+        return res.status(404).json({ error: 'Provider not found' });
+      }
+
+      const startTime = Date.now();
+      const symbols = db.getSettings().trading_symbols || [];
+      const result = await getTradingDecision(providerId, req.body.prompt, {
+        responseSchema: buildDecisionJsonSchema(symbols),
+        usage: { source: 'api', purpose: 'test' },
+        markets: req.app.locals.tradingEngine?.markets || []
+      });
+
+      res.json({
+        provider_id: provider.id,
+        provider_name: provider.name,
+        provider_type: provider.provider_type,
+        model_name: provider.model_name,
+        decisions: result.decisions,
+        raw_response: result.rawResponse,
+        error: result.error || null,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      console.error('Error getting provider decision:', error);
+      res.status(500).json({ error: 'Failed to get decision', message: error.message });
+    }
+  }
+);
+
 module.exports = router;
 
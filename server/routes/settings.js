@@ -12,6 +12,15 @@ const db = require('../database/relational');
 
 const router = express.Router();
 
+/**
+ * Checks for settings the engine cannot run with an arbitrary value
+ * Each returns a problem description, or null when the value is usable.
+ */
+const SETTING_CHECKS = {
+  decision_concurrency: value =>
+    Number.isInteger(value) && value >= 1 ? null : 'decision_concurrency must be a whole number of at least 1'
+};
+
 /**
  * GET /api/settings - Get all system settings
  */
@@ -81,6 +90,11 @@ router.put('/:key',
       if (currentValue === null) {
         return res.status(404).json({ error: 'Setting not found' });
       }
+
+      const problem = SETTING_CHECKS[req.params.key]?.(req.body.value);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
       
       // Update setting
       db.updateSetting(req.params.key, req.body.value);
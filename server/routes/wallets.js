@@ -10,6 +10,7 @@ const { authenticateToken, requireRole } = require('../middleware/auth');
 const { encrypt, decrypt, redact } = require('../utils/encryption');
 const { createAuditLog } = require('../database/relational');
 const db = require('../database/relational');
+const { EXCHANGES, listExchanges } = require('../services/exchanges');
 
 const router = express.Router();
 
@@ -56,6 +57,16 @@ router.get('/',
   }
 );
 
+/**
+ * GET /api/wallets/exchanges - Exchanges bots can trade on
+ */
+router.get('/exchanges',
+  authenticateToken,
+  (req, res) => {
+    res.json(listExchanges());
+  }
+);
+
 /**
  * GET /api/wallets/bot/:botId - Get wallets for specific bot
  */
@@ -90,7 +101,7 @@ router.post('/',
   authenticateToken,
   requireRole('user'),
   body('bot_id').trim().notEmpty().withMessage('Bot ID is required'),
-  body('exchange').trim().notEmpty().withMessage('Exchange is required'),
+  body('exchange').trim().isIn(Object.keys(EXCHANGES)).withMessage(`Exchange must be one of: ${Object.keys(EXCHANGES).join(', ')}`),
   body('api_key').trim().notEmpty().withMessage('API key is required'),
   body('api_secret').trim().notEmpty().withMessage('API secret is required'),
   body('wallet_address').optional().trim(),
@@ -155,7 +166,7 @@ router.put('/:id',
   authenticateToken,
   requireRole('user'),
   param('id').isInt().withMessage('Wallet ID must be an integer'),
-  body('exchange').optional().trim().notEmpty().withMessage('Exchange cannot be empty'),
+  body('exchange').optional().trim().isIn(Object.keys(EXCHANGES)).withMessage(`Exchange must be one of: ${Object.keys(EXCHANGES).join(', ')}`),
   body('api_key').optional().trim().notEmpty().withMessage('API key cannot be empty if provided'),
   body('api_secret').optional().trim().notEmpty().withMessage('API secret cannot be empty if provided'),
   body('wallet_address').optional().trim(),
@@ -0,0 +1,60 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * Run the local mock futures exchange
+ *
+ *   node scripts/mock_exchange.js [--config path/to/config.json]
+ *
+ * The optional JSON config overrides DEFAULT_CONFIG in
+ * services/mockExchange.js (accounts, symbols, fees, price feed). It can also
+ * be given with MOCK_EXCHANGE_CONFIG. Listens on MOCK_EXCHANGE_PORT
+ * (default 3003), localhost only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { MockExchange, createMockExchangeApp } = require('../services/mockExchange');
+
+const configIndex = process.argv.indexOf('--config');
+const configPath = configIndex !== -1 ? process.argv[configIndex + 1] : process.env.MOCK_EXCHANGE_CONFIG;
+const port = parseInt(process.env.MOCK_EXCHANGE_PORT, 10) || 3003;
+
+let config = {};
+if (configPath) {
+  try {
+    config = JSON.parse(fs.readFileSync(path.resolve(configPath), 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read mock exchange config ${configPath}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const exchange = new MockExchange(config);
+const app = createMockExchangeApp(exchange);
+
+const server = app.listen(port, '127.0.0.1', () => {
+  console.log(`\n🧪 Mock futures exchange running on http://localhost:${port}`);
+  console.log(`   Price feed: ${exchange.config.priceFeed.type}`);
+  console.log(`   Symbols: ${[...exchange.symbols.keys()].join(', ')}`);
+  for (const account of exchange.accounts.values()) {
+    console.log(`   Account: key=${account.apiKey} secret=${account.apiSecret} balance=$${account.walletBalance}`);
+  }
+  console.log('');
+  exchange.start();
+});
+
+const shutdown = () => {
+  console.log('\n🛑 Stopping mock exchange...');
+  exchange.stop();
+  server.close(() => process.exit(0));
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
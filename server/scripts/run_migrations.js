@@ -0,0 +1,42 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * Apply pending schema migrations (004 and later)
+ * The server also runs this automatically on startup.
+ */
+
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { db, hasRelationalSchema, closeDatabase } = require('../database/relational');
+const { runPendingMigrations } = require('../database/migrations');
+
+console.log('\n🔧 Applying pending migrations...\n');
+
+try {
+  if (!hasRelationalSchema()) {
+    console.error('❌ Relational schema not found. Run: node scripts/migrate_to_relational.js');
+    process.exit(1);
+  }
+
+  const applied = runPendingMigrations(db);
+
+  if (applied.length === 0) {
+    console.log('✓ Database is up to date');
+  } else {
+    applied.forEach(name => console.log(`✓ Applied ${name}`));
+  }
+
+  console.log('\n✅ Migrations complete!\n');
+} catch (error) {
+  console.error('\n❌ Migration failed:');
+  console.error(error.message);
+  process.exit(1);
+} finally {
+  closeDatabase();
+}
@@ -6,12 +6,13 @@
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
-const crypto = require('crypto');
-const axios = require('axios');
 
 const config = require('./config');
-const { getArenaState, updateArenaState, initializeArenaState } = require('./database');
+const { getArenaState, initializeArenaState } = require('./database');
 const WebSocketServer = require('./websocket');
+const { getExchange, getExchangeForBot, getMarketDataExchange } = require('./services/exchanges');
+const llmService = require('./services/llmService');
+const llmUsage = require('./services/llmUsage');
 
 // Validate configuration before starting
 if (!config.validateConfig()) {
@@ -36,26 +37,26 @@ app.use((req, res, next) => {
   next();
 });
 
-/**
- * Create HMAC-SHA256 signature for Asterdex API
- */
-function createHmacSha256Signature(data, secret) {
-  return crypto
-    .createHmac('sha256', secret)
-    .update(data)
-    .digest('hex');
-}
-
 // ============ API ROUTES ============
 
 // Authentication routes (no /v2 prefix)
 const authRoutes = require('./routes/auth');
 app.use('/api/auth', authRoutes);
 
+/**
+ * Record a proxied call against the provider whose key it used
+ * The proxies always call the default endpoints, so the model is given.
+ */
+function recordProxyCall(providerType, modelName, call) {
+  const provider = { ...llmService.getActiveProvider(providerType), provider_type: providerType, model_name: modelName };
+  llmUsage.recordCall(provider, { source: 'api', purpose: 'proxy' }, call);
+}
+
 /**
  * POST /api/gemini - Forward requests to Google Gemini API
  */
 app.post('/api/gemini', async (req, res) => {
+  const start = Date.now();
   try {
     const { prompt } = req.body;
     
@@ -64,33 +65,7 @@ app.post('/api/gemini', async (req, res) => {
     }
     
     // Get Gemini API key from database (llm_providers table) or fallback to env var
-    const Database = require('better-sqlite3');
-    const { decrypt } = require('./utils/encryption');
-    const path = require('path');
-    
-    const dbPath = path.join(__dirname, '..', 'data', 'arena.db');
-    const db = new Database(dbPath);
-    
-    let apiKey = null;
-    
-    try {
-      // Try to get API key from database
-      const provider = db.prepare(`
-        SELECT api_key_encrypted 
-        FROM llm_providers 
-        WHERE provider_type = 'gemini' AND is_active = 1
-        LIMIT 1
-      `).get();
-      
-      if (provider && provider.api_key_encrypted) {
-        apiKey = decrypt(provider.api_key_encrypted);
-      } else {
-        // Fallback to environment variable
-        apiKey = config.geminiApiKey;
-      }
-    } finally {
-      db.close();
-    }
+    const apiKey = llmService.getProviderApiKey('gemini');
     
     if (!apiKey) {
       return res.status(503).json({ 
@@ -99,23 +74,15 @@ app.post('/api/gemini', async (req, res) => {
       });
     }
     
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`,
-      {
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: { responseMimeType: 'application/json' }
-      },
-      {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 30000
-      }
-    );
-    
-    const decisionText = response.data.candidates?.[0]?.content?.parts?.[0]?.text;
-    res.json({ text: decisionText });
+    const { text, usage } = await llmService.callGemini(prompt, apiKey);
+    recordProxyCall('gemini', llmService.GEMINI_MODEL, { prompt, response: text, usage, latencyMs: Date.now() - start });
+    res.json({ text });
     
   } catch (error) {
     console.error('Gemini API error:', error.message);
+    if (error.response || error.request) {
+      recordProxyCall('gemini', llmService.GEMINI_MODEL, { latencyMs: Date.now() - start, error });
+    }
     res.status(500).json({ 
       error: 'Error calling Gemini API',
       message: error.response?.data?.error?.message || error.message 
@@ -127,35 +94,10 @@ app.post('/api/gemini', async (req, res) => {
  * POST /api/grok - Forward requests to xAI Grok API
  */
 app.post('/api/grok', async (req, res) => {
+  const start = Date.now();
   try {
     // Get Grok API key from database (llm_providers table) or fallback to env var
-    const Database = require('better-sqlite3');
-    const { decrypt } = require('./utils/encryption');
-    const path = require('path');
-    
-    const dbPath = path.join(__dirname, '..', 'data', 'arena.db');
-    const db = new Database(dbPath);
-    
-    let apiKey = null;
-    
-    try {
-      // Try to get API key from database
-      const provider = db.prepare(`
-        SELECT api_key_encrypted 
-        FROM llm_providers 
-        WHERE provider_type = 'grok' AND is_active = 1
-        LIMIT 1
-      `).get();
-      
-      if (provider && provider.api_key_encrypted) {
-        apiKey = decrypt(provider.api_key_encrypted);
-      } else {
-        // Fallback to environment variable
-        apiKey = config.xaiApiKey;
-      }
-    } finally {
-      db.close();
-    }
+    const apiKey = llmService.getProviderApiKey('grok');
     
     if (!apiKey) {
       return res.status(503).json({ 
@@ -164,22 +106,20 @@ app.post('/api/grok', async (req, res) => {
       });
     }
     
-    const response = await axios.post(
-      'https://api.x.ai/v1/chat/completions',
-      req.body,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        timeout: 30000
-      }
-    );
-    
-    res.json(response.data);
+    const data = await llmService.callGrok(req.body, apiKey);
+    recordProxyCall('grok', req.body.model, {
+      prompt: JSON.stringify(req.body.messages),
+      response: data.choices?.[0]?.message?.content,
+      usage: llmService.extractUsage(data),
+      latencyMs: Date.now() - start
+    });
+    res.json(data);
     
   } catch (error) {
     console.error('Grok API error:', error.message);
+    if (error.response || error.request) {
+      recordProxyCall('grok', req.body.model, { latencyMs: Date.now() - start, error });
+    }
     res.status(error.response?.status || 500).json({ 
       error: 'Error calling Grok API',
       message: error.response?.data?.error?.message || error.message 
@@ -189,14 +129,19 @@ app.post('/api/grok', async (req, res) => {
 
 /**
  * GET /api/asterdex/exchangeInfo - Get exchange information
+ * Query params: exchange (default: the arena's market data source)
  */
 app.get('/api/asterdex/exchangeInfo', async (req, res) => {
   try {
-    const response = await axios.get('https://fapi.asterdex.com/fapi/v1/exchangeInfo', {
-      timeout: 10000
-    });
-    
-    res.json(response.data);
+    let exchange;
+    try {
+      exchange = req.query.exchange ? getExchange(req.query.exchange) : getMarketDataExchange();
+    } catch (error) {
+      return res.status(400).json({ error: 'Unsupported exchange', message: error.message });
+    }
+
+    const data = await exchange.getExchangeInfo();
+    res.json(data);
     
   } catch (error) {
     console.error('Asterdex exchangeInfo error:', error.message);
@@ -209,28 +154,21 @@ app.get('/api/asterdex/exchangeInfo', async (req, res) => {
 
 /**
  * GET /api/asterdex - Get public market data (24hr ticker)
+ * Query params: exchange (default: the arena's market data source, which
+ * may be the synthetic market)
  */
 app.get('/api/asterdex', async (req, res) => {
   try {
-    // Market data is public - no API key required
-    // Try to get API key if available, but don't fail if not found
-    let headers = {};
+    let exchange;
     try {
-      const { apiKey } = await config.getApiKeysForBot('bot_degen');
-      if (apiKey) {
-        headers = { 'X-MBX-APIKEY': apiKey };
-      }
-    } catch (err) {
-      // No API key configured - that's OK for public market data
-      console.log('No API key found for market data, using public endpoint');
+      exchange = req.query.exchange ? getExchange(req.query.exchange) : getMarketDataExchange();
+    } catch (error) {
+      return res.status(400).json({ error: 'Unsupported exchange', message: error.message });
     }
-    
-    const response = await axios.get('https://fapi.asterdex.com/fapi/v1/ticker/24hr', {
-      headers,
-      timeout: 10000
-    });
-    
-    res.json(response.data);
+
+    // Market data is public - no API key required
+    const data = await exchange.getTicker24hr();
+    res.json(data);
     
   } catch (error) {
     console.error('Asterdex market data error:', error.message);
@@ -243,6 +181,7 @@ app.get('/api/asterdex', async (req, res) => {
 
 /**
  * POST /api/aster/trade - Authenticated trading operations
+ * Sent to the exchange of the bot's wallet.
  */
 app.post('/api/aster/trade', async (req, res) => {
   try {
@@ -256,26 +195,7 @@ app.post('/api/aster/trade', async (req, res) => {
       return res.status(400).json({ error: 'Missing method or endpoint in request body' });
     }
     
-    // Get API keys for the specific bot (from database or environment)
-    const { apiKey, apiSecret } = await config.getApiKeysForBot(botId);
-    
-    // Add timestamp to params
-    const timestamp = Date.now();
-    const fullParams = { ...params, timestamp };
-    
-    // Create query string and signature
-    const queryString = new URLSearchParams(fullParams).toString();
-    const signature = createHmacSha256Signature(queryString, apiSecret);
-    const finalUrl = `https://fapi.asterdex.com${endpoint}?${queryString}&signature=${signature}`;
-    
-    // Make the request
-    const response = await axios({
-      method: method,
-      url: finalUrl,
-      headers: { 'X-MBX-APIKEY': apiKey },
-      timeout: 10000
-    });
-    
+    const response = await getExchangeForBot(botId).signedRequest(botId, method, endpoint, params);
     res.status(response.status).json(response.data);
     
   } catch (error) {
@@ -293,6 +213,11 @@ app.post('/api/aster/trade', async (req, res) => {
  */
 app.get('/api/state', async (req, res) => {
   try {
+    // Serve the live state while the trading engine is running
+    if (app.locals.tradingEngine) {
+      return res.json(app.locals.tradingEngine.getState());
+    }
+    
     const stateData = getArenaState();
     
     if (!stateData) {
@@ -308,32 +233,6 @@ app.get('/api/state', async (req, res) => {
   }
 });
 
-/**
- * POST /api/state - Update arena state (Broadcast mode only)
- */
-app.post('/api/state', async (req, res) => {
-  try {
-    const newState = req.body;
-    
-    // Basic validation
-    if (!newState || typeof newState !== 'object') {
-      return res.status(400).json({ error: 'Invalid state object' });
-    }
-    
-    // Update database
-    updateArenaState(newState);
-    
-    // Broadcast to all WebSocket clients
-    wsServer.broadcastState(newState);
-    
-    res.json({ success: true, clients: wsServer.getClientCount() });
-    
-  } catch (error) {
-    console.error('Error updating state:', error);
-    res.status(500).json({ error: 'Error updating arena state' });
-  }
-});
-
 /**
  * DELETE /api/state - Clear arena state
  */
@@ -360,11 +259,30 @@ app.delete('/api/state', async (req, res) => {
 
 // Check if relational schema exists, if so, mount new routes
 const relationalDb = require('./database/relational');
+const { runPendingMigrations } = require('./database/migrations');
 const apiRoutes = require('./routes');
+const TradingEngine = require('./services/tradingEngine');
+const experiments = require('./services/experiments');
 
 if (relationalDb.hasRelationalSchema()) {
+  const applied = runPendingMigrations(relationalDb.db);
+  applied.forEach(name => console.log(`✓ Applied migration ${name}`));
+
+  const interruptedBacktests = relationalDb.failInterruptedBacktestRuns();
+  if (interruptedBacktests > 0) {
+    console.log(`⚠️  Marked ${interruptedBacktests} interrupted backtest run(s) as failed`);
+  }
+  
+  const resumedExperiments = experiments.resumeExperiments();
+  if (resumedExperiments > 0) {
+    console.log(`🧫 Resumed ${resumedExperiments} running experiment(s)`);
+  }
+  
   app.use('/api/v2', apiRoutes);
   console.log('✓ Relational API (v2) routes loaded');
+  
+  // The trading engine reads bots, providers and settings from the relational schema
+  app.locals.tradingEngine = new TradingEngine({ wsServer, experiments });
 } else {
   console.log('⚠️  Relational schema not detected. Run migration to enable v2 API.');
   console.log('   Run: cd server && node scripts/migrate_to_relational.js');
@@ -404,6 +322,15 @@ initializeArenaState(defaultState);
 // Start WebSocket server
 wsServer.start();
 
+// Start the trading engine
+if (app.locals.tradingEngine) {
+  app.locals.tradingEngine.start().catch(error => {
+    console.error('❌ Failed to start trading engine:', error);
+  });
+} else {
+  console.log('⚠️  Trading engine disabled until the relational schema is migrated.');
+}
+
 // Start HTTP server
 app.listen(config.port, () => {
   console.log('\n🚀 BONERBOTS AI Arena Server');
@@ -416,12 +343,14 @@ app.listen(config.port, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing servers');
+  app.locals.tradingEngine?.stop();
   wsServer.close();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT signal received: closing servers');
+  app.locals.tradingEngine?.stop();
   wsServer.close();
   process.exit(0);
 });
@@ -0,0 +1,465 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const db = require('../database/relational');
+const { pairedTTest } = require('./statistics');
+
+/**
+ * Performance Analytics
+ *
+ * Computes bot and arena performance from the persisted history: the trades
+ * table for realized PnL and trade statistics, and bot_state_snapshots for
+ * portfolio value, drawdown and Sharpe ratio.
+ *
+ * A CLOSE trade counts as one completed trade (win when its net PnL is
+ * positive, as in the trading engine). Total PnL is everything booked in the
+ * range, including the fees of positions opened in it.
+ *
+ * Trades, decisions and snapshots carry the bot's prompt version, so the same
+ * statistics are also broken down per prompt version.
+ *
+ * Prompt experiments are scored from their own experiment_* tables with the
+ * same statistics, plus a paired t-test of each challenger against the
+ * control.
+ */
+
+const TIME_RANGES = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  'all': null
+};
+
+const MAX_HISTORY_POINTS = 500;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+/**
+ * Start of a time range as an ISO string, or undefined for 'all'
+ */
+function getRangeStart(timeRange, now = Date.now()) {
+  const duration = TIME_RANGES[timeRange];
+  return duration ? new Date(now - duration).toISOString() : undefined;
+}
+
+/**
+ * Pair each CLOSE trade with the OPEN trade of the same position
+ * @returns {Array<{open: Object|null, close: Object|null}>} Newest first
+ */
+function pairTrades(trades) {
+  const opens = new Map();
+  const pairs = [];
+  const chronological = [...trades].sort((a, b) => a.executed_at.localeCompare(b.executed_at));
+
+  for (const trade of chronological) {
+    if (trade.action === 'OPEN') {
+      const pair = { open: trade, close: null };
+      pairs.push(pair);
+      if (trade.position_id) opens.set(trade.position_id, pair);
+    } else {
+      const pair = trade.position_id ? opens.get(trade.position_id) : null;
+      if (pair && !pair.close) {
+        pair.close = trade;
+      } else {
+        pairs.push({ open: null, close: trade });
+      }
+    }
+  }
+
+  return pairs.reverse();
+}
+
+/**
+ * Trade statistics for the CLOSE trades in a list
+ */
+function summarizeTrades(trades, pairs = []) {
+  const closes = trades.filter(t => t.action === 'CLOSE');
+  const wins = closes.filter(t => t.pnl > 0);
+  const losses = closes.filter(t => t.pnl < 0);
+  const grossWin = wins.reduce((sum, t) => sum + t.pnl, 0);
+  const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+
+  const durations = pairs
+    .filter(p => p.open && p.close)
+    .map(p => Date.parse(p.close.executed_at) - Date.parse(p.open.executed_at));
+
+  return {
+    totalPnL: trades.reduce((sum, t) => sum + t.pnl, 0),
+    totalFees: trades.reduce((sum, t) => sum + t.fee, 0),
+    tradeCount: closes.length,
+    winningTrades: wins.length,
+    losingTrades: losses.length,
+    winRate: closes.length > 0 ? (wins.length / closes.length) * 100 : 0,
+    avgWin: wins.length > 0 ? grossWin / wins.length : 0,
+    avgLoss: losses.length > 0 ? -grossLoss / losses.length : 0,
+    profitFactor: grossLoss > 0 ? grossWin / grossLoss : null,
+    bestTrade: closes.length > 0 ? Math.max(...closes.map(t => t.pnl)) : 0,
+    worstTrade: closes.length > 0 ? Math.min(...closes.map(t => t.pnl)) : 0,
+    avgTradeDuration: durations.length > 0
+      ? durations.reduce((sum, d) => sum + d, 0) / durations.length / 3600000
+      : 0
+  };
+}
+
+/**
+ * Drawdown, Sharpe ratio and chart series from a bot's snapshots
+ * The Sharpe ratio is per snapshot interval with a zero risk-free rate.
+ */
+function summarizeSnapshots(snapshots) {
+  let peak = snapshots.length > 0 ? snapshots[0].total_value : 0;
+  let maxDrawdown = 0;
+  const valueHistory = [];
+  const drawdownHistory = [];
+  const returns = [];
+
+  // Charts need strictly increasing times; keep the last snapshot per bucket
+  const first = snapshots.length > 0 ? Date.parse(snapshots[0].timestamp) : 0;
+  const last = snapshots.length > 0 ? Date.parse(snapshots[snapshots.length - 1].timestamp) : 0;
+  const bucketMs = Math.max(1000, Math.ceil((last - first) / MAX_HISTORY_POINTS));
+
+  snapshots.forEach((snapshot, i) => {
+    const value = snapshot.total_value;
+    if (value > peak) peak = value;
+    const drawdown = peak > 0 ? ((peak - value) / peak) * 100 : 0;
+    if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+
+    if (i > 0 && snapshots[i - 1].total_value > 0) {
+      returns.push((value - snapshots[i - 1].total_value) / snapshots[i - 1].total_value * 100);
+    }
+
+    const time = first + Math.floor((Date.parse(snapshot.timestamp) - first) / bucketMs) * bucketMs;
+    if (valueHistory.length > 0 && valueHistory[valueHistory.length - 1].time === time) {
+      valueHistory[valueHistory.length - 1].value = value;
+      drawdownHistory[drawdownHistory.length - 1].value = drawdown;
+    } else {
+      valueHistory.push({ time, value });
+      drawdownHistory.push({ time, value: drawdown });
+    }
+  });
+
+  const avgReturn = returns.length > 0 ? returns.reduce((sum, r) => sum + r, 0) / returns.length : 0;
+  const variance = returns.length > 0
+    ? returns.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / returns.length
+    : 0;
+  const stdDev = Math.sqrt(variance);
+
+  return {
+    maxDrawdown,
+    sharpeRatio: stdDev !== 0 ? avgReturn / stdDev : 0,
+    valueHistory,
+    drawdownHistory
+  };
+}
+
+/**
+ * Performance of one bot over a time range
+ * @param {Object} bot - bots row (with provider_name and provider_type)
+ * @param {string} timeRange - '24h', '7d', '30d' or 'all'
+ */
+function getBotPerformance(bot, timeRange = 'all') {
+  const start = getRangeStart(timeRange);
+  const allTrades = db.getTrades(bot.id);
+  const trades = start ? allTrades.filter(t => t.executed_at >= start) : allTrades;
+  const pairs = pairTrades(allTrades).filter(p => !start || (p.close || p.open).executed_at >= start);
+  const snapshots = db.getBotSnapshots(bot.id, start);
+
+  const startSnapshot = (start && db.getLatestSnapshot(bot.id, start)) || snapshots[0];
+  const latestSnapshot = db.getLatestSnapshot(bot.id);
+  const initialBalance = db.getSettings().paper_bot_initial_balance || 10000;
+  const startValue = startSnapshot ? startSnapshot.total_value : initialBalance;
+
+  const tradeStats = summarizeTrades(trades, pairs);
+
+  return {
+    botId: bot.id,
+    botName: bot.name,
+    providerId: bot.provider_id,
+    providerName: bot.provider_name,
+    providerType: bot.provider_type,
+    tradingMode: bot.trading_mode,
+    timeRange,
+    ...tradeStats,
+    totalPnLPercent: startValue > 0 ? (tradeStats.totalPnL / startValue) * 100 : 0,
+    startValue,
+    currentValue: latestSnapshot ? latestSnapshot.total_value : initialBalance,
+    ...summarizeSnapshots(startSnapshot && startSnapshot !== snapshots[0] ? [startSnapshot, ...snapshots] : snapshots)
+  };
+}
+
+/**
+ * A bot's trades over a time range as round trips, newest first
+ * Positions that are still open have no exit price or closed_at.
+ */
+function getBotTrades(botId, timeRange = 'all', limit = 50) {
+  const start = getRangeStart(timeRange);
+
+  return pairTrades(db.getTrades(botId))
+    .filter(p => !start || (p.close || p.open).executed_at >= start)
+    .slice(0, limit)
+    .map(({ open, close }) => {
+      const trade = close || open;
+      return {
+        id: trade.id,
+        position_id: trade.position_id,
+        symbol: trade.symbol,
+        type: trade.trade_type,
+        entry_price: trade.entry_price,
+        exit_price: close ? close.exit_price : null,
+        size: trade.size,
+        leverage: trade.leverage,
+        quantity: trade.entry_price > 0 ? (trade.size * trade.leverage) / trade.entry_price : 0,
+        pnl: (close ? close.pnl : 0) + (open ? open.pnl : 0),
+        fee: (close ? close.fee : 0) + (open ? open.fee : 0),
+        timestamp: open ? open.executed_at : close.executed_at,
+        closed_at: close ? close.executed_at : null
+      };
+    });
+}
+
+/**
+ * Arena-wide performance: aggregate totals, a leaderboard and breakdowns
+ * by provider and by symbol
+ * The arena Sharpe ratio is the average of the bots' and its drawdown is the
+ * worst bot drawdown.
+ */
+function getArenaPerformance(timeRange = 'all') {
+  const start = getRangeStart(timeRange);
+  const bots = db.getBots();
+  const performances = bots.map(bot => getBotPerformance(bot, timeRange));
+
+  const trades = bots.flatMap(bot => {
+    const botTrades = db.getTrades(bot.id, { start_date: start });
+    return botTrades.map(t => ({ ...t, provider_id: bot.provider_id }));
+  });
+  const totals = summarizeTrades(trades);
+  const startValue = performances.reduce((sum, p) => sum + p.startValue, 0);
+  const withHistory = performances.filter(p => p.valueHistory.length > 1);
+
+  const leaderboard = [...performances]
+    .sort((a, b) => b.totalPnL - a.totalPnL)
+    .map((p, i) => ({
+      rank: i + 1,
+      botId: p.botId,
+      botName: p.botName,
+      providerName: p.providerName,
+      tradingMode: p.tradingMode,
+      totalPnL: p.totalPnL,
+      totalPnLPercent: p.totalPnLPercent,
+      currentValue: p.currentValue,
+      tradeCount: p.tradeCount,
+      winRate: p.winRate,
+      sharpeRatio: p.sharpeRatio,
+      maxDrawdown: p.maxDrawdown
+    }));
+
+  const byProvider = new Map();
+  for (const p of performances) {
+    if (!byProvider.has(p.providerId)) {
+      byProvider.set(p.providerId, {
+        providerId: p.providerId,
+        providerName: p.providerName,
+        providerType: p.providerType,
+        botCount: 0,
+        trades: []
+      });
+    }
+    byProvider.get(p.providerId).botCount++;
+  }
+  const bySymbol = new Map();
+  for (const trade of trades) {
+    byProvider.get(trade.provider_id)?.trades.push(trade);
+    if (!bySymbol.has(trade.symbol)) bySymbol.set(trade.symbol, []);
+    bySymbol.get(trade.symbol).push(trade);
+  }
+
+  return {
+    timeRange,
+    totalPnL: totals.totalPnL,
+    totalPnLPercent: startValue > 0 ? (totals.totalPnL / startValue) * 100 : 0,
+    totalFees: totals.totalFees,
+    totalTrades: totals.tradeCount,
+    winRate: totals.winRate,
+    avgWin: totals.avgWin,
+    avgLoss: totals.avgLoss,
+    profitFactor: totals.profitFactor,
+    sharpeRatio: withHistory.length > 0
+      ? withHistory.reduce((sum, p) => sum + p.sharpeRatio, 0) / withHistory.length
+      : 0,
+    maxDrawdown: performances.reduce((max, p) => Math.max(max, p.maxDrawdown), 0),
+    startValue,
+    currentValue: performances.reduce((sum, p) => sum + p.currentValue, 0),
+    botCount: bots.length,
+    leaderboard,
+    byProvider: [...byProvider.values()].map(({ trades: providerTrades, ...provider }) => {
+      const stats = summarizeTrades(providerTrades);
+      return { ...provider, totalPnL: stats.totalPnL, tradeCount: stats.tradeCount, winRate: stats.winRate, totalFees: stats.totalFees };
+    }).sort((a, b) => b.totalPnL - a.totalPnL),
+    bySymbol: [...bySymbol.entries()].map(([symbol, symbolTrades]) => {
+      const stats = summarizeTrades(symbolTrades);
+      return {
+        symbol,
+        totalPnL: stats.totalPnL,
+        tradeCount: stats.tradeCount,
+        winRate: stats.winRate,
+        totalFees: stats.totalFees,
+        volume: symbolTrades
+          .filter(t => t.action === 'OPEN')
+          .reduce((sum, t) => sum + t.size * t.leverage, 0)
+      };
+    }).sort((a, b) => b.totalPnL - a.totalPnL)
+  };
+}
+
+/**
+ * Performance of each of a bot's prompt versions, newest first
+ * A round trip counts toward the version that opened it, so a position closed
+ * by its stop-loss after a prompt change still scores for the prompt that
+ * took it. History from before prompt versions were tracked is reported as
+ * version null when there is any.
+ * @param {Object} bot - bots row
+ */
+function getPromptVersionPerformance(bot) {
+  const versions = db.getPromptVersions(bot.id);
+  const decisionStats = new Map(db.getDecisionStatsByPromptVersion(bot.id).map(d => [d.prompt_version, d]));
+
+  const tradesByVersion = new Map();
+  const pairsByVersion = new Map();
+  for (const pair of pairTrades(db.getTrades(bot.id))) {
+    const version = (pair.open || pair.close).prompt_version ?? null;
+    if (!tradesByVersion.has(version)) {
+      tradesByVersion.set(version, []);
+      pairsByVersion.set(version, []);
+    }
+    tradesByVersion.get(version).push(...[pair.open, pair.close].filter(Boolean));
+    pairsByVersion.get(version).push(pair);
+  }
+
+  const snapshotsByVersion = new Map();
+  for (const snapshot of db.getBotSnapshots(bot.id)) {
+    const version = snapshot.prompt_version ?? null;
+    if (!snapshotsByVersion.has(version)) snapshotsByVersion.set(version, []);
+    snapshotsByVersion.get(version).push(snapshot);
+  }
+
+  const rows = versions.map(v => ({
+    version: v.version,
+    createdAt: v.created_at,
+    authorName: v.author_name,
+    note: v.note,
+    isCurrent: v.version === bot.prompt_version
+  }));
+  if (decisionStats.has(null) || tradesByVersion.has(null) || snapshotsByVersion.has(null)) {
+    rows.push({ version: null, createdAt: null, authorName: null, note: 'Before prompt versions were tracked', isCurrent: false });
+  }
+
+  return rows.map(row => {
+    const decisions = decisionStats.get(row.version);
+    const snapshots = snapshotsByVersion.get(row.version) || [];
+    const { valueHistory, drawdownHistory, ...snapshotStats } = summarizeSnapshots(snapshots);
+    const startValue = snapshots.length > 0 ? snapshots[0].total_value : null;
+    const endValue = snapshots.length > 0 ? snapshots[snapshots.length - 1].total_value : null;
+
+    return {
+      ...row,
+      decisionCount: decisions?.decision_count || 0,
+      failedDecisionCount: decisions?.failed_count || 0,
+      avgLatencyMs: decisions?.avg_latency_ms ?? null,
+      firstDecisionAt: decisions?.first_at || null,
+      lastDecisionAt: decisions?.last_at || null,
+      ...summarizeTrades(tradesByVersion.get(row.version) || [], pairsByVersion.get(row.version) || []),
+      startValue,
+      endValue,
+      valueChangePercent: startValue > 0 ? ((endValue - startValue) / startValue) * 100 : 0,
+      ...snapshotStats
+    };
+  });
+}
+
+/**
+ * Comparative results of an experiment's variants, control first
+ * Every variant saw the same prices each turn, so the difference between a
+ * challenger's and the control's return in the same turn is a paired sample.
+ * A paired t-test over those differences gives the confidence that the
+ * challenger really is better or worse; with a p-value above
+ * SIGNIFICANCE_LEVEL the verdict is 'inconclusive'.
+ * @param {Object} experiment - experiments row
+ */
+function getExperimentReport(experiment) {
+  const variants = db.getExperimentVariants(experiment.id);
+  const equity = db.getExperimentEquity(experiment.id);
+  const trades = db.getExperimentTrades(experiment.id);
+  const decisionStats = new Map(db.getExperimentDecisionStats(experiment.id).map(d => [d.variant_id, d]));
+
+  const rows = variants.map(variant => {
+    const points = equity.filter(p => p.variant_id === variant.id);
+    const variantTrades = trades.filter(t => t.variant_id === variant.id);
+    const decisions = decisionStats.get(variant.id);
+    const { drawdownHistory, ...snapshotStats } = summarizeSnapshots(points);
+
+    // Return of each turn in percent, keyed by turn
+    const turnReturns = new Map();
+    points.forEach((point, i) => {
+      const previous = points[i - 1];
+      if (previous && previous.total_value > 0) {
+        turnReturns.set(point.turn, ((point.total_value - previous.total_value) / previous.total_value) * 100);
+      }
+    });
+
+    const finalValue = points.length > 0 ? points[points.length - 1].total_value : experiment.initial_balance;
+    return {
+      id: variant.id,
+      position: variant.position,
+      name: variant.name,
+      isControl: variant.position === 0,
+      prompt: variant.prompt,
+      providerId: variant.provider_id,
+      providerName: variant.provider_name,
+      finalValue,
+      returnPercent: ((finalValue - experiment.initial_balance) / experiment.initial_balance) * 100,
+      decisionCount: decisions?.decision_count || 0,
+      failedDecisionCount: decisions?.failed_count || 0,
+      avgLatencyMs: decisions?.avg_latency_ms ?? null,
+      ...summarizeTrades(variantTrades, pairTrades(variantTrades)),
+      ...snapshotStats,
+      turnReturns
+    };
+  });
+
+  const controlReturns = rows[0]?.turnReturns || new Map();
+  return {
+    significanceLevel: SIGNIFICANCE_LEVEL,
+    variants: rows.map(({ turnReturns, ...row }) => {
+      if (row.isControl) return { ...row, comparison: null };
+
+      const differences = [...turnReturns]
+        .filter(([turn]) => controlReturns.has(turn))
+        .map(([turn, value]) => value - controlReturns.get(turn));
+      const test = pairedTTest(differences, 1 - SIGNIFICANCE_LEVEL);
+
+      return {
+        ...row,
+        comparison: test && {
+          turns: test.n,
+          returnDifference: row.returnPercent - rows[0].returnPercent,
+          meanReturnDifference: test.meanDifference,
+          ciLow: test.ciLow,
+          ciHigh: test.ciHigh,
+          pValue: test.pValue,
+          probabilityBetter: test.probabilityBetter,
+          verdict: test.pValue >= SIGNIFICANCE_LEVEL ? 'inconclusive' : test.meanDifference > 0 ? 'better' : 'worse'
+        }
+      };
+    })
+  };
+}
+
+module.exports = {
+  TIME_RANGES,
+  getRangeStart,
+  getBotPerformance,
+  getBotTrades,
+  getArenaPerformance,
+  getPromptVersionPerformance,
+  getExperimentReport
+};
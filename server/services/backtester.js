@@ -0,0 +1,601 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const db = require('../database/relational');
+const TradingEngine = require('./tradingEngine');
+const { parseDecisions } = require('./llmService');
+const { parseRiskLimits } = require('./riskManager');
+const { parseEnsemble } = require('./ensemble');
+const { KLINE_INTERVALS } = require('./klines');
+const { getMemoryDigest } = require('./botMemory');
+
+/**
+ * Historical Backtester
+ *
+ * Replays a bot's prompt against stored prices, either the market_data ticks
+ * recorded by the trading engine or imported kline CSVs. Time advances tick by
+ * tick; paper stop-loss, take-profit and liquidation are checked on every
+ * tick and the bot takes a turn every turn_interval_ms of simulated time.
+ *
+ * Fills use the trading engine's own paper rules: BacktestEngine is a
+ * TradingEngine whose clock is the simulated time and whose history is
+ * written to the backtest_* tables instead of the live ones.
+ *
+ * Decisions come from the bot's provider ('provider') or from the bot's own
+ * history ('recorded'), replaying the responses the bot gave during the same
+ * turn window. A turn recorded as cassettes (llm_cassettes) is replayed
+ * request by request: the decision, ensemble members, judge and repair
+ * responses go back through parsing, the decision schema and execution, on
+ * the prices of the turn's market snapshot. Fills use the run's prices.
+ * Turns from before cassettes replay the final answer in bot_decisions.
+ *
+ * {{memory}} renders the bot's memory as it was at the simulated time;
+ * backtests never reflect on their trades or add to the memory.
+ *
+ * A bot with tools enabled calls them against the simulated run: candles up
+ * to the simulated time and the run's own trades. It trades alone, so it sees
+ * no other bots.
+ *
+ * An ensemble bot asks its whole committee; the run's provider is the judge.
+ * Recorded runs replay the committee's recorded answers.
+ */
+
+const DAY_MS = 86400000;
+const PRICE_CHUNK_MS = DAY_MS / 4; // Prices are loaded in chunks to bound memory
+const DEFAULT_MAX_TURNS = 500;
+
+// runId -> { botId: string, cancelled: boolean }
+const activeRuns = new Map();
+
+const toIso = (ms) => new Date(ms).toISOString();
+
+/**
+ * A recorded raw response as a provider request would have returned it
+ * @param {Object} [extra] - providerId, toolCalls, ensemble, error
+ */
+function replayResponse(rawResponse, extra = {}) {
+  if (!rawResponse || !rawResponse.trim()) {
+    return { decisions: [], rawResponse, ...extra };
+  }
+  try {
+    return { decisions: parseDecisions(rawResponse.trim()), rawResponse, ...extra, error: undefined };
+  } catch (error) {
+    return { decisions: [], rawResponse, ...extra, error: `JSON parse error: ${error.message}` };
+  }
+}
+
+// ============================================================================
+// KLINE IMPORT
+// ============================================================================
+
+/**
+ * Convert a CSV timestamp (seconds, milliseconds, microseconds or a date
+ * string) to Unix ms
+ * @returns {number} NaN if the field is not a timestamp
+ */
+function parseTimestamp(field) {
+  const value = Number(field);
+  if (Number.isFinite(value)) {
+    if (value < 1e11) return value * 1000;             // seconds
+    if (value > 1e14) return Math.floor(value / 1000); // microseconds (newer Binance dumps)
+    return value;
+  }
+  return Date.parse(field);
+}
+
+/**
+ * Parse kline CSV text
+ * Columns: open_time, open, high, low, close[, volume[, close_time, ...]],
+ * the layout of Binance kline dumps. Header lines are skipped.
+ * @param {string} csv - CSV text
+ * @param {string} symbol - e.g. 'BTCUSDT'
+ * @param {string} interval - Key of KLINE_INTERVALS
+ * @returns {Array<Object>} Rows for db.insertKlines
+ */
+function parseKlineCsv(csv, symbol, interval) {
+  const intervalMs = KLINE_INTERVALS[interval];
+  if (!intervalMs) {
+    throw new Error(`Unsupported interval '${interval}'`);
+  }
+
+  const klines = [];
+  csv.split(/\r?\n/).forEach((line, index) => {
+    const fields = line.split(',').map(f => f.trim());
+    if (fields.length < 5) return;
+
+    const openTime = parseTimestamp(fields[0]);
+    if (!Number.isFinite(openTime)) return; // Header
+
+    const [open, high, low, close] = fields.slice(1, 5).map(Number);
+    if (![open, high, low, close].every(Number.isFinite)) {
+      throw new Error(`Invalid prices on line ${index + 1}`);
+    }
+
+    const closeTime = fields[6] ? parseTimestamp(fields[6]) : NaN;
+    klines.push({
+      symbol,
+      interval,
+      open_time: openTime,
+      open,
+      high,
+      low,
+      close,
+      volume: fields[5] ? Number(fields[5]) : null,
+      close_time: Number.isFinite(closeTime) ? closeTime : openTime + intervalMs - 1,
+      source: 'import'
+    });
+  });
+
+  if (klines.length === 0) {
+    throw new Error('No candles found in CSV');
+  }
+  return klines;
+}
+
+// ============================================================================
+// PRICE REPLAY
+// ============================================================================
+
+/**
+ * Load the price ticks of a time range, grouped by timestamp
+ * @returns {Array<{timestamp: number, prices: Array<{symbol: string, price: number, price24hChange: number|null}>}>}
+ */
+function loadPriceTicks(run, symbols, fromMs, toMs) {
+  const rows = run.price_source === 'klines'
+    ? db.getKlinesRange(symbols, run.kline_interval, fromMs, toMs).map(k => ({
+        symbol: k.symbol,
+        price: k.close,
+        price24hChange: null, // Derived from the replayed candles
+        timestamp: k.close_time
+      }))
+    : db.getMarketDataRange(symbols, toIso(fromMs), toIso(toMs)).map(m => ({
+        symbol: m.symbol,
+        price: m.price,
+        price24hChange: m.price_24h_change,
+        timestamp: Date.parse(m.timestamp)
+      }));
+
+  const ticks = [];
+  for (const row of rows) {
+    const last = ticks[ticks.length - 1];
+    if (last && last.timestamp === row.timestamp) {
+      last.prices.push(row);
+    } else {
+      ticks.push({ timestamp: row.timestamp, prices: [row] });
+    }
+  }
+  return ticks;
+}
+
+/**
+ * Tracks the latest price per symbol and derives 24h changes for candles
+ */
+class PriceBook {
+  constructor(symbols) {
+    this.symbols = symbols;
+    this.latest = new Map();
+    this.history = new Map(symbols.map(s => [s, []]));
+  }
+
+  apply(tick) {
+    for (const { symbol, price, price24hChange } of tick.prices) {
+      const history = this.history.get(symbol);
+      history.push({ timestamp: tick.timestamp, price });
+      while (history.length > 1 && history[1].timestamp <= tick.timestamp - DAY_MS) {
+        history.shift();
+      }
+
+      const change = price24hChange ?? (history[0].price ? ((price - history[0].price) / history[0].price) * 100 : 0);
+      this.latest.set(symbol, { symbol, price, price24hChange: change });
+    }
+  }
+
+  getMarkets() {
+    return this.symbols.filter(s => this.latest.has(s)).map(s => this.latest.get(s));
+  }
+}
+
+// ============================================================================
+// BACKTEST ENGINE
+// ============================================================================
+
+/**
+ * TradingEngine running on simulated time against one backtest run
+ */
+class BacktestEngine extends TradingEngine {
+  /**
+   * @param {Object} run - backtest_runs row
+   * @param {Object} botRow - bots row the run belongs to
+   */
+  constructor(run, botRow) {
+    super({ wsServer: null });
+    this.run = run;
+    this.symbols = JSON.parse(run.symbols_json);
+    this.clock = Date.parse(run.start_time);
+    this.turn = 0;
+    this.stats = { opened: 0, closed: 0, wins: 0, fees: 0 };
+
+    this.bots = [this.createBotState({
+      id: botRow.id,
+      name: botRow.name,
+      prompt: run.prompt,
+      provider: botRow.provider_type,
+      providerId: run.provider_id,
+      providerName: botRow.provider_name,
+      avatarUrl: null,
+      tradingMode: 'paper',
+      isPaused: false,
+      riskLimits: parseRiskLimits(botRow.risk_limits_json),
+      toolsEnabled: Boolean(botRow.tools_enabled),
+      ensemble: parseEnsemble(botRow.ensemble_json)
+    })];
+  }
+
+  now() {
+    return this.clock;
+  }
+
+  getSettings() {
+    const settings = super.getSettings();
+    return {
+      ...settings,
+      paperInitialBalance: this.run.initial_balance,
+      turnIntervalMs: this.run.turn_interval_ms,
+      tradingSymbols: this.symbols,
+      // Re-prompting cannot change a recorded response; a recorded repair is replayed
+      decisionRepairEnabled: this.run.decision_source === 'provider'
+        ? settings.decisionRepairEnabled
+        : Boolean(this.replayCalls?.some(call => call.purpose === 'repair'))
+    };
+  }
+
+  persist() {
+    // Nothing to broadcast; results go to the backtest tables
+  }
+
+  async fetchBotDecision(bot) {
+    if (this.run.decision_source !== 'recorded') {
+      return super.fetchBotDecision(bot);
+    }
+
+    const snapshotId = db.getLatestCassetteSnapshot(bot.id, toIso(this.clock - this.run.turn_interval_ms), toIso(this.clock));
+    const snapshot = snapshotId && db.getMarketSnapshot(snapshotId);
+    if (snapshot) {
+      // The bot decides on the prices it saw in the arena
+      const markets = JSON.parse(snapshot.market_data_json).filter(m => this.symbols.includes(m.symbol));
+      this.turnSnapshot = { id: snapshotId, takenAt: Date.parse(snapshot.taken_at), markets };
+      this.replayCalls = db.getCassettes(snapshotId, bot.id);
+    }
+    try {
+      return await super.fetchBotDecision(bot);
+    } finally {
+      this.turnSnapshot = null;
+      this.replayCalls = null;
+    }
+  }
+
+  async requestDecision(bot, prompt, options) {
+    if (this.run.decision_source !== 'recorded' || this.replayCalls) {
+      // Cassettes are replayed request by request in requestWithCassette
+      return super.requestDecision(bot, prompt, options);
+    }
+
+    const recorded = db.getLatestDecisionBetween(bot.id, toIso(this.clock - this.run.turn_interval_ms), toIso(this.clock));
+    if (!recorded) {
+      // The bot did not trade in this window, which replays as a HOLD
+      return { decisions: [], rawResponse: null };
+    }
+
+    // The recorded tool calls and committee proposals are replayed with the response they led to
+    const toolCalls = recorded.tool_calls_json ? JSON.parse(recorded.tool_calls_json) : undefined;
+    const ensemble = recorded.ensemble_json ? JSON.parse(recorded.ensemble_json) : undefined;
+    const providerId = recorded.provider_id;
+    if (recorded.raw_response) {
+      return replayResponse(recorded.raw_response, { providerId, toolCalls, ensemble });
+    }
+    // Decisions recorded before raw responses were stored
+    return { decisions: JSON.parse(recorded.decisions_json), rawResponse: null, providerId };
+  }
+
+  async requestWithCassette(bot, prompt, options) {
+    if (!this.replayCalls) {
+      return super.requestWithCassette(bot, prompt, options);
+    }
+
+    // Requests are matched by purpose in the order they were made
+    const index = this.replayCalls.findIndex(call => call.purpose === options.purpose);
+    if (index === -1) {
+      return { decisions: [], rawResponse: null, providerId: null, error: `No recorded ${options.purpose} response in this turn` };
+    }
+    const [call] = this.replayCalls.splice(index, 1);
+    return replayResponse(call.raw_response, {
+      providerId: call.provider_id,
+      toolCalls: call.tool_calls_json ? JSON.parse(call.tool_calls_json) : undefined,
+      notes: call.notes_json ? JSON.parse(call.notes_json) : undefined,
+      error: call.error || undefined
+    });
+  }
+
+  recordCassette() {
+    // Replays are not recorded again
+  }
+
+  recordPositionOpened(bot, position, fee) {
+    this.stats.opened += 1;
+    this.stats.fees += fee;
+    db.createBacktestTrade({
+      id: `${this.run.id}_${position.id}_open`,
+      run_id: this.run.id,
+      position_id: position.id,
+      symbol: position.symbol,
+      trade_type: position.type,
+      action: 'OPEN',
+      entry_price: position.entryPrice,
+      size: position.size,
+      leverage: position.leverage,
+      pnl: -fee,
+      fee,
+      executed_at: toIso(this.clock)
+    });
+  }
+
+  recordPositionClosed(bot, position, { pnl, fee, exitPrice }) {
+    this.stats.closed += 1;
+    this.stats.fees += fee;
+    if (pnl > 0) this.stats.wins += 1;
+    db.createBacktestTrade({
+      id: `${this.run.id}_${position.id}_close`,
+      run_id: this.run.id,
+      position_id: position.id,
+      symbol: position.symbol,
+      trade_type: position.type,
+      action: 'CLOSE',
+      entry_price: position.entryPrice,
+      exit_price: exitPrice,
+      size: position.size,
+      leverage: position.leverage,
+      pnl,
+      fee,
+      executed_at: toIso(this.clock)
+    });
+  }
+
+  recordDecision(bot, { prompt, decisions, rawResponse, providerId, notes, latencyMs, toolCalls, ensemble, success }) {
+    db.createBacktestDecision({
+      run_id: this.run.id,
+      turn: this.turn,
+      prompt_sent: prompt,
+      decisions,
+      notes,
+      raw_response: rawResponse,
+      provider_id: providerId,
+      latency_ms: latencyMs,
+      tool_calls: toolCalls,
+      ensemble,
+      execution_success: success,
+      timestamp: toIso(this.clock)
+    });
+  }
+
+  recordEquity(bot) {
+    db.createBacktestEquityPoint({
+      run_id: this.run.id,
+      balance: bot.portfolio.balance,
+      unrealized_pnl: bot.portfolio.pnl,
+      total_value: bot.portfolio.totalValue,
+      timestamp: toIso(this.clock)
+    });
+  }
+
+  recordMarketData() {}
+
+  getMemoryDigest(bot) {
+    return getMemoryDigest(bot.id, { tokenBudget: this.getSettings().memoryTokenBudget, before: toIso(this.clock) });
+  }
+
+  getTradeHistory(bot, { symbol, limit } = {}) {
+    return db.getBacktestTrades(this.run.id)
+      .filter(t => !symbol || t.symbol === symbol)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  getUsageContext(bot, purpose) {
+    // Kept apart from the bot's arena spending and budgets
+    return { botId: bot.id, source: 'backtest', purpose };
+  }
+
+  lookupDayStartValue() {
+    // Each simulated day starts from the value first seen that day
+    return null;
+  }
+
+  autoPauseBot(bot, reason) {
+    // Paused for the rest of the run, as the live bot would stay paused
+    bot.isPaused = true;
+    bot.botLogs = [{ timestamp: this.clock, decisions: [], prompt: '', notes: [`PAUSED: ${reason}`] }, ...bot.botLogs];
+    db.createBacktestDecision({
+      run_id: this.run.id,
+      turn: this.turn,
+      prompt_sent: '',
+      decisions: [],
+      notes: [`PAUSED: ${reason}`],
+      raw_response: null,
+      latency_ms: 0,
+      execution_success: true,
+      timestamp: toIso(this.clock)
+    });
+  }
+
+  recordSnapshots() {}
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/**
+ * Step a run through its price history and store the results
+ * @param {string} runId
+ * @param {{botId: string, cancelled: boolean}} control - Set cancelled to stop the run
+ */
+async function executeRun(runId, control) {
+  const run = db.updateBacktestRun(runId, { status: 'running', started_at: toIso(Date.now()) });
+  const botRow = db.getBot(run.bot_id);
+  if (!botRow) throw new Error(`Bot ${run.bot_id} not found`);
+
+  const engine = new BacktestEngine(run, botRow);
+  const bot = engine.bots[0];
+  const prices = new PriceBook(engine.symbols);
+  const endMs = Date.parse(run.end_time);
+
+  let cursor = Date.parse(run.start_time);
+  let nextTurnAt = null;
+  let tickCount = 0;
+  let peakValue = run.initial_balance;
+  let maxDrawdown = 0;
+
+  console.log(`🧪 Backtest ${runId} started for ${botRow.name} (${run.price_source}, ${run.decision_source} decisions)`);
+
+  while (cursor <= endMs && engine.turn < run.max_turns && !control.cancelled) {
+    const chunkEnd = Math.min(cursor + PRICE_CHUNK_MS - 1, endMs);
+
+    for (const tick of loadPriceTicks(run, engine.symbols, cursor, chunkEnd)) {
+      if (control.cancelled || engine.turn >= run.max_turns) break;
+      tickCount += 1;
+
+      engine.clock = tick.timestamp;
+      prices.apply(tick);
+      engine.markets = prices.getMarkets();
+
+      engine.checkPaperTriggers(bot);
+      engine.markToMarket(bot);
+      engine.checkDailyLoss(bot);
+
+      peakValue = Math.max(peakValue, bot.portfolio.totalValue);
+      maxDrawdown = Math.max(maxDrawdown, ((peakValue - bot.portfolio.totalValue) / peakValue) * 100);
+
+      if (bot.isPaused) {
+        // The daily loss limit paused the bot; positions still run to SL/TP
+        continue;
+      }
+
+      if (nextTurnAt === null || tick.timestamp >= nextTurnAt) {
+        engine.turn += 1;
+        await engine.processBotTurn(bot);
+        engine.recordEquity(bot);
+        db.updateBacktestRun(runId, { turns_completed: engine.turn });
+
+        // Skip turns that fall in gaps in the price history
+        nextTurnAt = (nextTurnAt ?? tick.timestamp) + run.turn_interval_ms;
+        while (nextTurnAt <= tick.timestamp) nextTurnAt += run.turn_interval_ms;
+
+        // Let the server handle requests between turns
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    cursor = chunkEnd + 1;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  if (tickCount === 0) {
+    throw new Error('No price data found for the selected symbols and time range');
+  }
+
+  engine.recordEquity(bot);
+  const finalValue = bot.portfolio.totalValue;
+  const { opened, closed, wins, fees } = engine.stats;
+
+  db.updateBacktestRun(runId, {
+    status: control.cancelled ? 'cancelled' : 'completed',
+    final_value: finalValue,
+    total_pnl: finalValue - run.initial_balance,
+    return_pct: ((finalValue - run.initial_balance) / run.initial_balance) * 100,
+    trade_count: opened,
+    win_rate: closed > 0 ? (wins / closed) * 100 : 0,
+    max_drawdown: maxDrawdown,
+    total_fees: fees,
+    completed_at: toIso(Date.now())
+  });
+
+  console.log(`✅ Backtest ${runId} ${control.cancelled ? 'cancelled' : 'completed'}: ${engine.turn} turns, final value $${finalValue.toFixed(2)}`);
+}
+
+/**
+ * Create a backtest run and start it in the background
+ * @param {Object} options
+ * @param {Object} options.bot - bots row (with provider_type and provider_name)
+ * @param {string} options.priceSource - 'market_data' or 'klines'
+ * @param {string} [options.klineInterval] - Required for klines
+ * @param {string} options.decisionSource - 'provider' or 'recorded'
+ * @param {string} options.startTime - ISO 8601
+ * @param {string} options.endTime - ISO 8601
+ * @param {string[]} [options.symbols] - Defaults to the trading_symbols setting
+ * @param {number} [options.turnIntervalMs] - Defaults to the turn_interval_ms setting
+ * @param {number} [options.initialBalance] - Defaults to the paper bot balance
+ * @param {number} [options.maxTurns]
+ * @param {string} [options.prompt] - Defaults to the bot's prompt
+ * @returns {Object} The backtest_runs row
+ */
+function startBacktest(options) {
+  const settings = db.getSettings();
+
+  const run = db.createBacktestRun({
+    id: `bt_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
+    bot_id: options.bot.id,
+    price_source: options.priceSource,
+    kline_interval: options.klineInterval,
+    decision_source: options.decisionSource,
+    provider_id: options.bot.provider_id,
+    prompt: options.prompt || options.bot.prompt,
+    symbols: options.symbols?.length ? options.symbols : settings.trading_symbols,
+    start_time: toIso(Date.parse(options.startTime)),
+    end_time: toIso(Date.parse(options.endTime)),
+    turn_interval_ms: options.turnIntervalMs || settings.turn_interval_ms || 300000,
+    initial_balance: options.initialBalance || settings.paper_bot_initial_balance || 10000,
+    max_turns: options.maxTurns || DEFAULT_MAX_TURNS
+  });
+
+  const control = { botId: run.bot_id, cancelled: false };
+  activeRuns.set(run.id, control);
+
+  executeRun(run.id, control)
+    .catch(error => {
+      console.error(`❌ Backtest ${run.id} failed:`, error.message);
+      db.updateBacktestRun(run.id, { status: 'failed', error: error.message, completed_at: toIso(Date.now()) });
+    })
+    .finally(() => activeRuns.delete(run.id));
+
+  return run;
+}
+
+/**
+ * Ask a running backtest to stop after the current tick
+ * @returns {boolean} false if the run is not running in this process
+ */
+function cancelBacktest(runId) {
+  const control = activeRuns.get(runId);
+  if (!control) return false;
+  control.cancelled = true;
+  return true;
+}
+
+/**
+ * Whether a bot has a backtest running
+ */
+function isBotBacktesting(botId) {
+  return [...activeRuns.values()].some(control => control.botId === botId);
+}
+
+module.exports = {
+  KLINE_INTERVALS,
+  DEFAULT_MAX_TURNS,
+  parseKlineCsv,
+  startBacktest,
+  cancelBacktest,
+  isBotBacktesting,
+  BacktestEngine
+};
@@ -0,0 +1,287 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const db = require('../database/relational');
+const { callProvider } = require('./llmService');
+
+/**
+ * Bot Memory
+ *
+ * A bot only sees its last few turns and orders in the prompt. Its memory
+ * keeps what it learned for longer, in bot_memories:
+ *   reflection - the lesson the bot drew from a closed trade, asked for right
+ *                after the close
+ *   summary    - a condensed account of the bot's decisions, written every
+ *                memory_summary_interval turns
+ *   note       - written by a user on the bot's deep dive page
+ *
+ * The trading engine renders the memory into {{memory}} under the
+ * memory_token_budget setting: notes first, then the newest reflections and
+ * summaries that still fit. Reflections and summaries are extra provider
+ * calls, so they are only made for bots whose prompt uses {{memory}}. They run
+ * in the background and never hold up a turn; a failed call is logged and
+ * skipped.
+ */
+
+const CHARS_PER_TOKEN = 4; // Rough estimate that holds for English text across providers
+const DEFAULT_TOKEN_BUDGET = 600;
+const DEFAULT_SUMMARY_INTERVAL = 24;
+const MAX_REFLECTION_CHARS = 400;
+const MAX_SUMMARY_CHARS = 1200;
+const MAX_SUMMARY_DECISIONS = 100;
+const MAX_DECISION_LINE_CHARS = 300;
+const MAX_NOTE_CHARS = 2000;
+
+const MEMORY_HEADING = '\n\nYour Memory (notes, lessons from closed trades and summaries of earlier turns):\n';
+
+// Bot IDs with a summary being written
+const summarizing = new Set();
+
+const formatTime = (iso) => new Date(iso).toISOString().slice(0, 16).replace('T', ' ');
+const formatUsd = (value) => `${value < 0 ? '-' : '+'}$${Math.abs(value).toFixed(2)}`;
+
+/**
+ * Approximate number of tokens in a text
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Shorten text to a length, ending it with an ellipsis
+ */
+function truncate(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, maxChars - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Turn a provider's reply into one line of memory text
+ * Code fences, wrapping quotes and line breaks are removed.
+ */
+function cleanResponse(text, maxChars) {
+  const cleaned = (text || '')
+    .replace(/```[a-z]*\n?/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^["']+|["']+$/g, '')
+    .trim();
+  return cleaned ? truncate(cleaned, maxChars) : null;
+}
+
+// ============================================================================
+// DIGEST
+// ============================================================================
+
+/**
+ * One memory as a prompt line
+ */
+function formatMemoryLine(memory) {
+  switch (memory.kind) {
+    case 'reflection': {
+      const trade = [memory.symbol, memory.position_type].filter(Boolean).join(' ');
+      const pnl = memory.pnl === null ? '' : `, ${formatUsd(memory.pnl)}`;
+      return ` - [Lesson, ${trade || 'trade'}${pnl}, ${formatTime(memory.created_at)}] ${memory.content}`;
+    }
+    case 'summary':
+      return ` - [Summary, ${formatTime(memory.period_start || memory.created_at)} to ${formatTime(memory.period_end || memory.created_at)}] ${memory.content}`;
+    default:
+      return ` - [Note] ${memory.content}`;
+  }
+}
+
+/**
+ * Render memories as the {{memory}} section within a token budget
+ * Notes come first, then reflections and summaries from newest to oldest.
+ * Memories that do not fit are left out, so a long one never crowds out the
+ * rest.
+ * @param {Array<Object>} memories - bot_memories rows, newest first
+ * @param {number} tokenBudget - Approximate tokens for the whole section
+ * @returns {string} The section with its heading, or '' when nothing fits
+ */
+function buildMemoryDigest(memories, tokenBudget) {
+  const ordered = [
+    ...memories.filter(m => m.kind === 'note'),
+    ...memories.filter(m => m.kind !== 'note')
+  ];
+
+  let remaining = tokenBudget - estimateTokens(MEMORY_HEADING);
+  const lines = [];
+  for (const memory of ordered) {
+    const line = formatMemoryLine(memory);
+    const tokens = estimateTokens(line) + 1; // Line break
+    if (tokens > remaining) continue;
+    lines.push(line);
+    remaining -= tokens;
+  }
+
+  return lines.length > 0 ? MEMORY_HEADING + lines.join('\n') + '\n' : '';
+}
+
+/**
+ * A bot's {{memory}} section
+ * @param {Object} [options]
+ * @param {number} [options.tokenBudget]
+ * @param {string} [options.before] - Only memories written by this ISO time (backtests)
+ */
+function getMemoryDigest(botId, { tokenBudget = DEFAULT_TOKEN_BUDGET, before } = {}) {
+  return buildMemoryDigest(db.getBotMemories(botId, { before }), tokenBudget);
+}
+
+// ============================================================================
+// REFLECTIONS AND SUMMARIES
+// ============================================================================
+
+/**
+ * Send a memory prompt to a bot's provider
+ * @param {string} purpose - 'reflection' or 'summary', for the usage records
+ * @returns {Promise<string|null>} The cleaned reply, or null without a usable one
+ */
+async function askProvider(bot, prompt, maxChars, purpose) {
+  const provider = db.getProvider(bot.providerId);
+  if (!provider) {
+    throw new Error(`Provider ${bot.providerId} not found`);
+  }
+  return cleanResponse(await callProvider(provider, prompt, { usage: { botId: bot.id, source: 'arena', purpose } }), maxChars);
+}
+
+/**
+ * Ask a bot for the lesson of a closed trade and remember it
+ * Never throws.
+ * @param {Object} bot - Engine bot state
+ * @param {Object} trade
+ * @param {string} trade.symbol
+ * @param {string} trade.type - LONG or SHORT
+ * @param {number} trade.entryPrice
+ * @param {number} trade.exitPrice
+ * @param {number} trade.size - Margin in USD
+ * @param {number} trade.leverage
+ * @param {number} trade.pnl - Net PnL after fees
+ * @param {string} [trade.positionId] - positions.id
+ * @param {number} [trade.openedAt] - Unix ms the position was opened
+ * @param {string} [trade.reasoning] - The bot's reasoning when it opened the position
+ * @param {number} [trade.closedAt] - Unix ms the position was closed
+ * @returns {Promise<Object|null>} The saved memory, or null
+ */
+async function reflectOnTrade(bot, trade) {
+  const closedAt = trade.closedAt ?? Date.now();
+  const returnPct = trade.size > 0 ? (trade.pnl / trade.size) * 100 : 0;
+  const lines = [
+    `You are ${bot.name}, an autonomous crypto futures trading bot. One of your positions just closed:`,
+    ` - ${trade.type} ${trade.symbol} at ${trade.leverage}x leverage with $${trade.size.toFixed(2)} margin`,
+    ` - Entry $${trade.entryPrice.toFixed(4)}, exit $${trade.exitPrice.toFixed(4)}`,
+    ` - Net PnL after fees: ${formatUsd(trade.pnl)} (${returnPct.toFixed(2)}% of margin)`
+  ];
+  if (trade.openedAt) {
+    lines.push(` - Held for ${Math.max(0, Math.round((closedAt - trade.openedAt) / 60000))} minutes`);
+  }
+  if (trade.reasoning) {
+    lines.push('', `Your reasoning when you opened it: ${trade.reasoning}`);
+  }
+  lines.push(
+    '',
+    'Write the one lesson from this trade you want to remember for future trades, in at most two sentences.',
+    'Reply with the lesson only: plain text, no JSON.'
+  );
+
+  try {
+    const content = await askProvider(bot, lines.join('\n'), MAX_REFLECTION_CHARS, 'reflection');
+    if (!content) {
+      console.warn(`   ⚠️  [${bot.name}] Empty reflection on ${trade.symbol} trade, nothing remembered`);
+      return null;
+    }
+
+    const memory = db.createBotMemory({
+      bot_id: bot.id,
+      kind: 'reflection',
+      content,
+      symbol: trade.symbol,
+      position_type: trade.type,
+      position_id: trade.positionId,
+      pnl: trade.pnl,
+      created_at: new Date(closedAt).toISOString()
+    });
+    console.log(`   🧠 [${bot.name}] Remembered a lesson from its ${trade.symbol} ${trade.type}`);
+    return memory;
+  } catch (error) {
+    console.error(`   ❌ [${bot.name}] Reflection failed:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * One decision row as a line of the summary prompt
+ */
+function formatDecisionLine(row) {
+  const decisions = JSON.parse(row.decisions_json || '[]');
+  const notes = row.notes_json ? JSON.parse(row.notes_json) : [];
+  const actions = decisions.length > 0
+    ? decisions.map(d => `${d.action} ${d.symbol || d.closePositionId}${d.reasoning ? `: ${d.reasoning}` : ''}`).join('; ')
+    : 'HOLD';
+  const line = `[${formatTime(row.timestamp)}] ${actions}${notes.length > 0 ? ` | Notes: ${notes.join('; ')}` : ''}`;
+  return truncate(line, MAX_DECISION_LINE_CHARS);
+}
+
+/**
+ * Summarize a bot's decisions since its last summary once there are enough
+ * of them
+ * A backlog longer than MAX_SUMMARY_DECISIONS is summarized from its newest
+ * decisions. Never throws.
+ * @param {Object} bot - Engine bot state
+ * @param {number} interval - Decisions per summary
+ * @returns {Promise<Object|null>} The saved memory, or null
+ */
+async function summarizeDecisions(bot, interval = DEFAULT_SUMMARY_INTERVAL) {
+  if (summarizing.has(bot.id)) return null;
+  summarizing.add(bot.id);
+
+  try {
+    const [lastSummary] = db.getBotMemories(bot.id, { kind: 'summary', limit: 1 });
+    const rows = db.getBotDecisionsAfter(bot.id, lastSummary?.period_end, MAX_SUMMARY_DECISIONS);
+    if (rows.length < interval) return null;
+
+    const periodStart = rows[0].timestamp;
+    const periodEnd = rows[rows.length - 1].timestamp;
+    const prompt = [
+      `You are ${bot.name}, an autonomous crypto futures trading bot. These are your last ${rows.length} decisions, oldest first, from ${formatTime(periodStart)} to ${formatTime(periodEnd)} UTC, with the engine's notes on how they were executed:`,
+      '',
+      ...rows.map(formatDecisionLine),
+      '',
+      'Summarize them for your long-term memory in at most four sentences: what you traded, what worked, what did not and any pattern to keep or avoid.',
+      'Reply with the summary only: plain text, no JSON.'
+    ].join('\n');
+
+    const content = await askProvider(bot, prompt, MAX_SUMMARY_CHARS, 'summary');
+    if (!content) {
+      console.warn(`   ⚠️  [${bot.name}] Empty decision summary, nothing remembered`);
+      return null;
+    }
+
+    const memory = db.createBotMemory({
+      bot_id: bot.id,
+      kind: 'summary',
+      content,
+      period_start: periodStart,
+      period_end: periodEnd
+    });
+    console.log(`   🧠 [${bot.name}] Summarized ${rows.length} decisions into memory`);
+    return memory;
+  } catch (error) {
+    console.error(`   ❌ [${bot.name}] Decision summary failed:`, error.message);
+    return null;
+  } finally {
+    summarizing.delete(bot.id);
+  }
+}
+
+module.exports = {
+  DEFAULT_TOKEN_BUDGET,
+  DEFAULT_SUMMARY_INTERVAL,
+  MAX_NOTE_CHARS,
+  estimateTokens,
+  buildMemoryDigest,
+  getMemoryDigest,
+  reflectOnTrade,
+  summarizeDecisions
+};
@@ -0,0 +1,227 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * Trading Decision Schema
+ *
+ * The contract every provider's decisions must meet before the trading engine
+ * acts on them, whatever model or API produced them:
+ *   LONG/SHORT - symbol in the trading symbols, positive size, integer
+ *                leverage >= 1, stopLoss and takeProfit on the correct side
+ *                of the current price (below/above for LONG, the reverse for
+ *                SHORT)
+ *   CLOSE      - closePositionId of one of the bot's open positions
+ *
+ * Invalid decisions are rejected one by one with a reason; the valid ones
+ * still execute. The same schema is sent to providers that support native
+ * structured output (see structured_output in llmService.js).
+ */
+
+const ACTIONS = ['LONG', 'SHORT', 'CLOSE', 'HOLD'];
+
+/**
+ * JSON Schema for a decisions response
+ * Every field is required and nullable so it also satisfies OpenAI's strict
+ * structured output mode.
+ * @param {string[]} symbols - Trading symbols
+ */
+function buildDecisionJsonSchema(symbols) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: ['decisions'],
+    properties: {
+      decisions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['action', 'symbol', 'size', 'leverage', 'stopLoss', 'takeProfit', 'closePositionId', 'reasoning'],
+          properties: {
+            action: { type: 'string', enum: ACTIONS },
+            symbol: { type: ['string', 'null'], enum: [...symbols, null] },
+            size: { type: ['number', 'null'], description: 'Margin in USD' },
+            leverage: { type: ['integer', 'null'] },
+            stopLoss: { type: ['number', 'null'] },
+            takeProfit: { type: ['number', 'null'] },
+            closePositionId: { type: ['string', 'null'] },
+            reasoning: { type: 'string' }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Convert a JSON Schema to the OpenAPI subset Gemini's responseSchema accepts
+ */
+function toGeminiSchema(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const type = types.find(t => t !== 'null');
+  const converted = { type: type.toUpperCase() };
+
+  if (types.includes('null')) converted.nullable = true;
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) converted.enum = schema.enum.filter(value => value !== null);
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+    converted.required = schema.required;
+  }
+
+  return converted;
+}
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Read a numeric field, accepting numbers sent as strings
+ * @returns {number|null|undefined} undefined when missing, null when not a number
+ */
+function readNumber(value) {
+  if (isMissing(value)) return undefined;
+  const number = typeof value === 'string' ? Number(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Short label for a decision in notes, e.g. "LONG BTCUSDT"
+ */
+function describeDecision(decision) {
+  if (!decision || typeof decision !== 'object') return 'decision';
+  const action = typeof decision.action === 'string' ? decision.action.toUpperCase() : 'decision';
+  const target = decision.symbol || decision.closePositionId;
+  return target ? `${action} ${target}` : action;
+}
+
+/**
+ * Check one decision against the schema
+ * @param {Object} decision - Parsed decision
+ * @param {Object} context
+ * @param {string[]} context.symbols - Trading symbols
+ * @param {Array<{id: string}>} context.positions - The bot's open positions
+ * @param {Object<string, number>} context.prices - Current price by symbol
+ * @returns {{decision?: Object, reason?: string}} The normalized decision, or why it was rejected
+ */
+function checkDecision(decision, { symbols, positions, prices }) {
+  if (!decision || typeof decision !== 'object' || Array.isArray(decision)) {
+    return { reason: 'Decision is not an object' };
+  }
+
+  const action = typeof decision.action === 'string' ? decision.action.trim().toUpperCase() : decision.action;
+  if (!ACTIONS.includes(action) || action === 'HOLD') {
+    return { reason: `Unknown action '${decision.action}'` };
+  }
+
+  if (action === 'CLOSE') {
+    if (isMissing(decision.closePositionId)) {
+      return { reason: 'closePositionId is required' };
+    }
+    if (!positions.some(p => p.id === decision.closePositionId)) {
+      return { reason: `Position ${decision.closePositionId} is not open` };
+    }
+    return { decision: { ...decision, action } };
+  }
+
+  const symbol = typeof decision.symbol === 'string' ? decision.symbol.trim().toUpperCase() : null;
+  if (!symbol) {
+    return { reason: 'symbol is required' };
+  }
+  if (!symbols.includes(symbol)) {
+    return { reason: `${symbol} is not a trading symbol` };
+  }
+
+  const fields = {};
+  for (const field of ['size', 'leverage', 'stopLoss', 'takeProfit']) {
+    const value = readNumber(decision[field]);
+    if (value === undefined) return { reason: `${field} is required` };
+    if (value === null || value <= 0) return { reason: `${field} must be a positive number` };
+    fields[field] = value;
+  }
+
+  if (!Number.isInteger(fields.leverage) || fields.leverage < 1) {
+    return { reason: 'leverage must be a whole number of at least 1' };
+  }
+
+  const { stopLoss, takeProfit } = fields;
+  const price = prices[symbol];
+  if (action === 'LONG') {
+    if (price ? stopLoss >= price : stopLoss >= takeProfit) {
+      return { reason: `stopLoss ${stopLoss} must be below the ${price ? `current price ${price}` : `takeProfit ${takeProfit}`} for a LONG` };
+    }
+    if (price && takeProfit <= price) {
+      return { reason: `takeProfit ${takeProfit} must be above the current price ${price} for a LONG` };
+    }
+  } else {
+    if (price ? stopLoss <= price : stopLoss <= takeProfit) {
+      return { reason: `stopLoss ${stopLoss} must be above the ${price ? `current price ${price}` : `takeProfit ${takeProfit}`} for a SHORT` };
+    }
+    if (price && takeProfit >= price) {
+      return { reason: `takeProfit ${takeProfit} must be below the current price ${price} for a SHORT` };
+    }
+  }
+
+  return { decision: { ...decision, action, symbol, ...fields } };
+}
+
+/**
+ * Split decisions into those that meet the schema and those that do not
+ * @param {Array} decisions - Parsed decisions
+ * @param {Object} context - See checkDecision
+ * @returns {{accepted: Array, rejected: Array<{decision: Object, reason: string}>}}
+ */
+function validateDecisionSchema(decisions, context) {
+  const accepted = [];
+  const rejected = [];
+
+  for (const decision of decisions) {
+    const result = checkDecision(decision, context);
+    if (result.decision) {
+      accepted.push(result.decision);
+    } else {
+      rejected.push({ decision, reason: result.reason });
+    }
+  }
+
+  return { accepted, rejected };
+}
+
+/**
+ * Bot log note for a rejected decision
+ */
+function formatRejection({ decision, reason }) {
+  return `REJECTED ${describeDecision(decision)}: ${reason}.`;
+}
+
+/**
+ * Follow-up prompt asking the model to fix its previous response
+ * @param {string} prompt - The original prompt
+ * @param {string} rawResponse - The model's previous output
+ * @param {string[]} problems - Parse error or rejection reasons
+ */
+function buildRepairPrompt(prompt, rawResponse, problems) {
+  return `${prompt}
+
+Your previous response was:
+${rawResponse}
+
+It could not be used as-is:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Respond again with the complete, corrected JSON array of decisions. Fix or drop the decisions listed above and keep the valid ones. Respond with JSON only.`;
+}
+
+module.exports = {
+  ACTIONS,
+  buildDecisionJsonSchema,
+  toGeminiSchema,
+  checkDecision,
+  validateDecisionSchema,
+  formatRejection,
+  buildRepairPrompt
+};
@@ -0,0 +1,374 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const db = require('../database/relational');
+const { callProvider, callProviderWithTools, getToolProtocol, parseDecisions } = require('./llmService');
+const { KLINE_INTERVALS } = require('./klines');
+
+/**
+ * Decision Tools
+ *
+ * Bots with tools enabled get a multi-step turn: before giving its decisions
+ * the model may call tools that fetch more data than the prompt holds.
+ *   get_klines               - closed candles of a symbol and interval
+ *   get_trade_history        - the bot's own recent trades
+ *   get_position_details     - open positions with live PnL and risk levels
+ *   get_other_bots_positions - what the other arena bots hold
+ *
+ * Providers with native function calling get the tools as function
+ * declarations (see llmService.callProviderWithTools). Other providers, local
+ * models by default, use a text protocol: the model replies with a
+ * {"tool": ..., "arguments": ...} object to call a tool and the tool results
+ * are appended to the prompt for the next step.
+ *
+ * A turn may make at most tool_max_calls_per_turn calls and spend at most
+ * tool_time_budget_ms; after that the model is asked for its decisions with
+ * tools turned off. Every call is returned with its arguments, result and
+ * latency so the engine can record it with the turn.
+ *
+ * Tools read through the engine (now(), bot state, getTradeHistory,
+ * getOtherBots), so backtests and experiments answer from their own
+ * simulated history.
+ */
+
+const DEFAULT_MAX_CALLS = 5;
+const DEFAULT_TIME_BUDGET_MS = 60000;
+const DEFAULT_KLINES = 50;
+const MAX_KLINES = 200;
+const DEFAULT_TRADES = 20;
+const MAX_TRADES = 100;
+const MAX_RESULT_CHARS = 6000; // Per tool result, in the conversation and in the record
+
+const toIso = (ms) => new Date(ms).toISOString();
+const round = (value, decimals = 4) => (typeof value === 'number' ? Number(value.toFixed(decimals)) : value ?? null);
+
+/**
+ * Clamp an optional count argument
+ */
+function readLimit(value, defaultValue, max) {
+  const limit = Number.parseInt(value, 10);
+  return Number.isFinite(limit) && limit > 0 ? Math.min(limit, max) : defaultValue;
+}
+
+// ============================================================================
+// TOOLS
+// ============================================================================
+
+/**
+ * Tool definitions with JSON Schema parameters
+ * @param {string[]} symbols - Tradable symbols
+ */
+function buildToolDefinitions(symbols) {
+  return [
+    {
+      name: 'get_klines',
+      description: `Closed candles (open time, open, high, low, close, volume) of a symbol, oldest first. Up to ${MAX_KLINES} candles.`,
+      parameters: {
+        type: 'object',
+        properties: {
+          symbol: { type: 'string', enum: symbols },
+          interval: { type: 'string', enum: Object.keys(KLINE_INTERVALS) },
+          limit: { type: 'integer', description: `Number of candles, default ${DEFAULT_KLINES}` }
+        },
+        required: ['symbol', 'interval']
+      }
+    },
+    {
+      name: 'get_trade_history',
+      description: `Your own most recent trades (opens and closes with PnL), newest first. Up to ${MAX_TRADES} trades.`,
+      parameters: {
+        type: 'object',
+        properties: {
+          symbol: { type: 'string', enum: symbols, description: 'Only trades of this symbol' },
+          limit: { type: 'integer', description: `Number of trades, default ${DEFAULT_TRADES}` }
+        }
+      }
+    },
+    {
+      name: 'get_position_details',
+      description: 'Your open positions with current price, unrealized PnL, liquidation distance, stop-loss, take-profit and opening time.',
+      parameters: {
+        type: 'object',
+        properties: {
+          position_id: { type: 'string', description: 'Only this position' }
+        }
+      }
+    },
+    {
+      name: 'get_other_bots_positions',
+      description: 'Open positions and account value of the other bots in the arena.',
+      parameters: { type: 'object', properties: {} }
+    }
+  ];
+}
+
+const TOOL_HANDLERS = {
+  get_klines({ engine }, args) {
+    const { tradingSymbols } = engine.getSettings();
+    if (!tradingSymbols.includes(args.symbol)) throw new Error(`Unknown symbol '${args.symbol}'`);
+    if (!KLINE_INTERVALS[args.interval]) throw new Error(`Unknown interval '${args.interval}'`);
+
+    const candles = db.getRecentKlines(args.symbol, args.interval, engine.now(), readLimit(args.limit, DEFAULT_KLINES, MAX_KLINES));
+    return {
+      symbol: args.symbol,
+      interval: args.interval,
+      columns: ['openTime', 'open', 'high', 'low', 'close', 'volume'],
+      candles: candles.map(c => [toIso(c.open_time), c.open, c.high, c.low, c.close, c.volume]),
+      ...(candles.length === 0 && { note: 'No candles collected for this symbol and interval' })
+    };
+  },
+
+  get_trade_history({ engine, bot }, args) {
+    const trades = engine.getTradeHistory(bot, {
+      symbol: args.symbol || undefined,
+      limit: readLimit(args.limit, DEFAULT_TRADES, MAX_TRADES)
+    });
+    return {
+      trades: trades.map(t => ({
+        action: t.action,
+        type: t.trade_type,
+        symbol: t.symbol,
+        entryPrice: t.entry_price,
+        exitPrice: t.exit_price ?? null,
+        size: t.size,
+        leverage: t.leverage,
+        pnl: round(t.pnl, 2),
+        fee: round(t.fee, 2),
+        executedAt: t.executed_at
+      }))
+    };
+  },
+
+  get_position_details({ engine, bot }, args) {
+    const positions = args.position_id
+      ? bot.portfolio.positions.filter(p => p.id === args.position_id)
+      : bot.portfolio.positions;
+    if (args.position_id && positions.length === 0) throw new Error(`No open position '${args.position_id}'`);
+
+    return {
+      positions: positions.map(p => {
+        const currentPrice = engine.getDecisionMarkets().find(m => m.symbol === p.symbol)?.price ?? p.entryPrice;
+        const openOrder = bot.orders?.find(o => o.symbol === p.symbol && o.exitPrice === 0);
+        return {
+          id: p.id,
+          symbol: p.symbol,
+          type: p.type,
+          entryPrice: p.entryPrice,
+          currentPrice,
+          size: p.size,
+          leverage: p.leverage,
+          unrealizedPnl: round(p.pnl, 2),
+          pnlPercentOfMargin: p.size > 0 ? round((p.pnl / p.size) * 100, 2) : null,
+          liquidationPrice: round(p.liquidationPrice),
+          liquidationDistancePercent: p.liquidationPrice
+            ? round((Math.abs(currentPrice - p.liquidationPrice) / currentPrice) * 100, 2)
+            : null,
+          stopLoss: p.stopLoss ?? null,
+          takeProfit: p.takeProfit ?? null,
+          openedAt: openOrder ? toIso(openOrder.timestamp) : null
+        };
+      })
+    };
+  },
+
+  get_other_bots_positions({ engine, bot }) {
+    return {
+      bots: engine.getOtherBots(bot).map(other => ({
+        name: other.name,
+        tradingMode: other.tradingMode,
+        totalValue: round(other.portfolio.totalValue, 2),
+        positions: other.portfolio.positions.map(p => ({
+          symbol: p.symbol,
+          type: p.type,
+          size: p.size,
+          leverage: p.leverage,
+          entryPrice: p.entryPrice,
+          unrealizedPnl: round(p.pnl, 2)
+        }))
+      }))
+    };
+  }
+};
+
+/**
+ * Run one tool call
+ * @returns {{content: string, error?: string}} content is what the model sees
+ */
+function executeTool(context, name, args) {
+  const handler = TOOL_HANDLERS[name];
+  if (!handler) {
+    const error = `Unknown tool '${name}'`;
+    return { content: JSON.stringify({ error }), error };
+  }
+
+  try {
+    const content = JSON.stringify(handler(context, args || {}));
+    return {
+      content: content.length > MAX_RESULT_CHARS ? `${content.slice(0, MAX_RESULT_CHARS)}... [truncated]` : content
+    };
+  } catch (error) {
+    return { content: JSON.stringify({ error: error.message }), error: error.message };
+  }
+}
+
+// ============================================================================
+// TEXT PROTOCOL
+// ============================================================================
+
+/**
+ * One line per tool for the text protocol instructions
+ */
+function describeTool(tool) {
+  const { properties = {}, required = [] } = tool.parameters;
+  const params = Object.keys(properties).map(key => (required.includes(key) ? key : `${key}?`));
+  return ` - ${tool.name}(${params.join(', ')}): ${tool.description}`;
+}
+
+/**
+ * The prompt for the next text protocol step
+ * @param {boolean} final - No more tool calls are allowed
+ */
+function buildTextProtocolPrompt(prompt, tools, toolCalls, maxCalls, final) {
+  const lines = [prompt, '', 'Tools:'];
+  if (final) {
+    lines.push('You cannot call any more tools. Reply with your decisions now, as instructed above.');
+  } else {
+    lines.push(
+      `Before answering you may call tools for more data, one per reply and at most ${maxCalls} in total.`,
+      'To call a tool, reply with only this JSON object: {"tool": "<name>", "arguments": {...}}',
+      ...tools.map(describeTool),
+      'When you have what you need, reply with your decisions as instructed above.'
+    );
+  }
+
+  if (toolCalls.length > 0) {
+    lines.push('', 'Tool results so far:');
+    for (const call of toolCalls) {
+      lines.push(`[${call.name} ${JSON.stringify(call.arguments)}] ${call.result}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Read a text protocol reply as a tool call
+ * @returns {{name: string, arguments: Object}|null} null for a final answer
+ */
+function parseTextToolCall(text) {
+  const match = text.match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  try {
+    const parsed = JSON.parse(match[0]);
+    return typeof parsed.tool === 'string'
+      ? { name: parsed.tool, arguments: parsed.arguments && typeof parsed.arguments === 'object' ? parsed.arguments : {} }
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * One text protocol step, shaped like a native one
+ * @param {Object} callOptions - Passed to callProvider
+ */
+async function requestTextStep(provider, prompt, tools, toolCalls, maxCalls, final, step, callOptions) {
+  const text = await callProvider(provider, buildTextProtocolPrompt(prompt, tools, toolCalls, maxCalls, final), callOptions) || '';
+  const call = final ? null : parseTextToolCall(text);
+  return { text, toolCalls: call ? [{ id: `call_${step}`, ...call }] : [] };
+}
+
+// ============================================================================
+// DECISION LOOP
+// ============================================================================
+
+/**
+ * Get trading decisions from a provider that may call tools first
+ * Never throws; failures are reported via the error field, like
+ * getTradingDecision.
+ * @param {number} providerId - llm_providers.id of the bot's provider
+ * @param {string} prompt - Full prompt
+ * @param {Object} options
+ * @param {import('./tradingEngine')} options.engine - Engine the tools read from
+ * @param {Object} options.bot - Engine bot state
+ * @param {number} [options.maxCalls] - Most tool calls in the turn
+ * @param {number} [options.timeBudgetMs] - Time after which the model must answer
+ * @param {Object} [options.usage] - What the provider calls are recorded as (see llmUsage.recordCall)
+ * @returns {Promise<{decisions: Array, rawResponse: string|null, error?: string,
+ *   toolCalls: Array<{step: number, name: string, arguments: Object, result: string, error?: string, latencyMs: number}>}>}
+ */
+async function getToolAssistedDecision(providerId, prompt, { engine, bot, maxCalls = DEFAULT_MAX_CALLS, timeBudgetMs = DEFAULT_TIME_BUDGET_MS, usage }) {
+  const toolCalls = [];
+  const provider = db.getProvider(providerId);
+  if (!provider) {
+    return { decisions: [], rawResponse: null, error: `Provider ${providerId} not found`, toolCalls };
+  }
+
+  const label = provider.name;
+  const protocol = getToolProtocol(provider);
+  const tools = buildToolDefinitions(engine.getSettings().tradingSymbols);
+  const context = { engine, bot };
+  const started = Date.now();
+  const messages = [{
+    role: 'user',
+    content: `${prompt}\n\nBefore answering you may call the provided tools for more data, at most ${maxCalls} calls in total. ` +
+      'When you have what you need, reply with your decisions as instructed above.'
+  }];
+  let rawResponse = null;
+
+  try {
+    for (let step = 1; ; step++) {
+      const final = toolCalls.length >= maxCalls || Date.now() - started >= timeBudgetMs;
+      const reply = protocol === 'text'
+        ? await requestTextStep(provider, prompt, tools, toolCalls, maxCalls, final, step, { usage, markets: engine.getDecisionMarkets() })
+        : await callProviderWithTools(provider, messages, tools, { toolChoice: final ? 'none' : 'auto', usage });
+
+      if (final || reply.toolCalls.length === 0) {
+        rawResponse = reply.text || null;
+        if (!rawResponse || !rawResponse.trim()) {
+          return { decisions: [], rawResponse, error: `Empty response from ${label}`, toolCalls };
+        }
+        try {
+          return { decisions: parseDecisions(rawResponse.trim()), rawResponse, toolCalls };
+        } catch (parseError) {
+          return { decisions: [], rawResponse, error: `JSON parse error: ${parseError.message}`, toolCalls };
+        }
+      }
+
+      const results = [];
+      for (const call of reply.toolCalls) {
+        const callStart = Date.now();
+        const overBudget = toolCalls.length >= maxCalls || callStart - started >= timeBudgetMs;
+        const { content, error } = overBudget
+          ? { content: JSON.stringify({ error: 'Tool call limit reached' }), error: 'Tool call limit reached' }
+          : executeTool(context, call.name, call.arguments);
+
+        toolCalls.push({
+          step,
+          name: call.name,
+          arguments: call.arguments,
+          result: content,
+          ...(error && { error }),
+          latencyMs: Date.now() - callStart
+        });
+        results.push({ id: call.id, name: call.name, content });
+        console.log(`   🔧 [${bot.name}] ${call.name}(${JSON.stringify(call.arguments)})${error ? ` failed: ${error}` : ''}`);
+      }
+
+      messages.push({ role: 'assistant', content: reply.text, toolCalls: reply.toolCalls, raw: reply.raw });
+      messages.push({ role: 'tool', results });
+    }
+  } catch (error) {
+    const message = error.response?.data?.error?.message || error.response?.data?.error || error.message;
+    return { decisions: [], rawResponse, error: `${label} API error: ${message}`, toolCalls };
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_CALLS,
+  DEFAULT_TIME_BUDGET_MS,
+  buildToolDefinitions,
+  executeTool,
+  getToolAssistedDecision
+};
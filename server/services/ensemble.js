@@ -0,0 +1,209 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const { checkPrompt } = require('./promptBuilder');
+
+/**
+ * Ensemble Bots
+ *
+ * An ensemble bot asks a committee of members for proposals every turn and
+ * trades on their combined answer. Members are providers from llm_providers,
+ * each with the bot's prompt or a prompt of its own. The committee is stored
+ * as bots.ensemble_json:
+ *
+ *   {
+ *     "aggregation": "vote",
+ *     "members": [
+ *       { "provider_id": 1, "name": "Gemini" },
+ *       { "provider_id": 2, "name": "Grok", "prompt": "You are a contrarian..." }
+ *     ]
+ *   }
+ *
+ * aggregation:
+ *   vote  - a position is opened when a majority of the members that answered
+ *           propose the same direction on a symbol, with the median size,
+ *           leverage, stop loss and take profit of those proposals; a
+ *           position is closed when a majority propose closing it
+ *   judge - the bot's own provider gets the prompt and every member's
+ *           proposals and decides; if it fails the vote is used
+ *
+ * Members' proposals are checked against the decision schema before they
+ * count, and each member's raw response is recorded with the turn. The
+ * trading engine runs the committee (see TradingEngine.requestEnsembleDecision).
+ */
+
+const AGGREGATIONS = ['vote', 'judge'];
+const MIN_MEMBERS = 2;
+const MAX_MEMBERS = 5;
+const MAX_REASONING_CHARS = 600;
+
+/**
+ * Parse a bot's ensemble_json
+ * @returns {{aggregation: string, members: Array<{name: string, providerId: number, prompt: string|null}>}|null}
+ *   null for a single-model bot
+ */
+function parseEnsemble(json) {
+  if (!json) return null;
+  try {
+    const config = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!Array.isArray(config?.members) || config.members.length === 0) return null;
+    return {
+      aggregation: AGGREGATIONS.includes(config.aggregation) ? config.aggregation : 'vote',
+      members: config.members.map((member, i) => ({
+        name: member.name || `Member ${i + 1}`,
+        providerId: member.provider_id,
+        prompt: member.prompt || null
+      }))
+    };
+  } catch (error) {
+    console.warn('⚠️  Invalid ensemble_json, ignoring it');
+    return null;
+  }
+}
+
+/**
+ * Check an ensemble_json value from the API
+ * Whether the members' providers exist is left to the caller.
+ * @returns {string|null} What is wrong with it, or null when valid
+ */
+function checkEnsemble(json) {
+  let config;
+  try {
+    config = JSON.parse(json);
+  } catch (error) {
+    return 'Ensemble must be valid JSON';
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return 'Ensemble must be a JSON object';
+  }
+  if (!AGGREGATIONS.includes(config.aggregation)) {
+    return `Ensemble aggregation must be one of ${AGGREGATIONS.join(', ')}`;
+  }
+  if (!Array.isArray(config.members) || config.members.length < MIN_MEMBERS || config.members.length > MAX_MEMBERS) {
+    return `An ensemble needs ${MIN_MEMBERS} to ${MAX_MEMBERS} members`;
+  }
+
+  for (const [i, member] of config.members.entries()) {
+    const label = `Ensemble member ${i + 1}`;
+    if (!member || typeof member !== 'object') return `${label} must be an object`;
+    if (!Number.isInteger(member.provider_id) || member.provider_id < 1) return `${label} needs a provider_id`;
+    if (member.name !== undefined && (typeof member.name !== 'string' || member.name.length > 100)) {
+      return `${label} name must be a string of at most 100 characters`;
+    }
+    if (member.prompt !== undefined && member.prompt !== null) {
+      if (typeof member.prompt !== 'string' || member.prompt.trim().length < 10 || member.prompt.length > 10000) {
+        return `${label} prompt must be 10-10000 characters`;
+      }
+      const problem = checkPrompt(member.prompt);
+      if (problem) return `${label} prompt: ${problem}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Provider IDs an ensemble_json refers to
+ */
+function getEnsembleProviderIds(json) {
+  return (parseEnsemble(json)?.members || []).map(m => m.providerId);
+}
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+const median = (values) => {
+  const sorted = values.filter(v => typeof v === 'number' && Number.isFinite(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return undefined;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Reasoning of a committee decision: the vote and each voter's reasons
+ */
+function describeVote(action, voters, answered) {
+  const reasons = voters.map(v => `${v.name}: ${v.decision.reasoning || 'no reasoning'}`).join(' | ');
+  const text = `Ensemble ${voters.length}/${answered} ${action}. ${reasons}`;
+  return text.length > MAX_REASONING_CHARS ? `${text.slice(0, MAX_REASONING_CHARS - 1)}…` : text;
+}
+
+/**
+ * Combine the members' proposals by majority vote
+ * Each member votes at most once per symbol or position. Members that did
+ * not answer do not count towards the majority.
+ * @param {Array<{name: string, decisions: Array}>} proposals - Schema-checked decisions of the members that answered
+ * @returns {Array} Decisions
+ */
+function aggregateVotes(proposals) {
+  const answered = proposals.length;
+  const quorum = Math.floor(answered / 2) + 1;
+  const ballots = new Map(); // symbol or position ID -> { action -> voters }
+
+  for (const { name, decisions } of proposals) {
+    const voted = new Set();
+    for (const decision of decisions) {
+      const key = decision.action === 'CLOSE' ? `close:${decision.closePositionId}` : `open:${decision.symbol}`;
+      if (voted.has(key)) continue;
+      voted.add(key);
+
+      if (!ballots.has(key)) ballots.set(key, {});
+      const ballot = ballots.get(key);
+      (ballot[decision.action] = ballot[decision.action] || []).push({ name, decision });
+    }
+  }
+
+  const decisions = [];
+  for (const ballot of ballots.values()) {
+    const [action, voters] = Object.entries(ballot).find(([, v]) => v.length >= quorum) || [];
+    if (!action) continue;
+
+    if (action === 'CLOSE') {
+      decisions.push({
+        action,
+        closePositionId: voters[0].decision.closePositionId,
+        reasoning: describeVote(action, voters, answered)
+      });
+      continue;
+    }
+
+    const pick = (field) => median(voters.map(v => v.decision[field]));
+    decisions.push({
+      action,
+      symbol: voters[0].decision.symbol,
+      size: pick('size'),
+      leverage: Math.round(pick('leverage')),
+      stopLoss: pick('stopLoss'),
+      takeProfit: pick('takeProfit'),
+      reasoning: describeVote(action, voters, answered)
+    });
+  }
+  return decisions;
+}
+
+/**
+ * The judge's prompt: the bot's prompt followed by the committee's proposals
+ * @param {string} prompt - The bot's full prompt
+ * @param {Array<{name: string, decisions: Array, error?: string}>} members - Every member's result
+ */
+function buildJudgePrompt(prompt, members) {
+  const lines = members.map(member => (member.error
+    ? ` - ${member.name}: no usable answer (${member.error})`
+    : ` - ${member.name}: ${JSON.stringify(member.decisions)}`));
+
+  return `${prompt}\n\nYour committee has proposed these decisions for this turn (an empty list means HOLD):\n${lines.join('\n')}\n\n` +
+    'Weigh the proposals against the data above and reply with your final decisions in the required JSON format. ' +
+    'You may follow the majority, combine proposals or hold.';
+}
+
+module.exports = {
+  MIN_MEMBERS,
+  MAX_MEMBERS,
+  parseEnsemble,
+  checkEnsemble,
+  getEnsembleProviderIds,
+  aggregateVotes,
+  buildJudgePrompt
+};
@@ -0,0 +1,298 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../../config');
+
+/**
+ * Binance-Futures-Compatible Exchange Adapter
+ *
+ * Asterdex and Binance USDⓈ-M futures share one REST API (/fapi paths,
+ * HMAC-SHA256 signed query strings, X-MBX-APIKEY header), so one factory
+ * builds the adapter for either venue from its base URL. Public endpoints
+ * (ticker, exchange info) need no credentials; account and order endpoints
+ * are signed with the bot's wallet credentials for this exchange.
+ *
+ * Every adapter implements the same interface (see exchanges/index.js).
+ */
+
+/**
+ * Create HMAC-SHA256 signature for a signed request
+ */
+function createHmacSha256Signature(data, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(data)
+    .digest('hex');
+}
+
+/**
+ * Create an adapter for a Binance-futures-compatible venue
+ * @param {Object} options
+ * @param {string} options.id - Exchange ID, as stored in wallets.exchange
+ * @param {string} options.name - Display name
+ * @param {string|Function} options.baseUrl - REST API base URL, or a function
+ *   returning it when it comes from a setting
+ */
+function createBinanceFuturesAdapter({ id, name, baseUrl }) {
+  const getBaseUrl = typeof baseUrl === 'function' ? baseUrl : () => baseUrl;
+
+  /**
+   * Make a signed request on behalf of a bot
+   * @param {string} botId - Bot whose wallet credentials are used
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API path, e.g. '/fapi/v1/order'
+   * @param {Object} params - Query parameters
+   * @returns {Promise<{status: number, data: any}>}
+   */
+  async function signedRequest(botId, method, endpoint, params = {}) {
+    const { apiKey, apiSecret } = await config.getApiKeysForBot(botId, id);
+
+    // Add timestamp to params
+    const timestamp = Date.now();
+    const fullParams = { ...params, timestamp };
+
+    // Create query string and signature
+    const queryString = new URLSearchParams(fullParams).toString();
+    const signature = createHmacSha256Signature(queryString, apiSecret);
+    const finalUrl = `${getBaseUrl()}${endpoint}?${queryString}&signature=${signature}`;
+
+    const response = await axios({
+      method,
+      url: finalUrl,
+      headers: { 'X-MBX-APIKEY': apiKey },
+      timeout: 10000
+    });
+
+    return { status: response.status, data: response.data };
+  }
+
+  /**
+   * Signed request that unwraps the response and normalises exchange errors
+   */
+  async function callTradeApi(botId, method, endpoint, params = {}) {
+    try {
+      const { data } = await signedRequest(botId, method, endpoint, params);
+      return data;
+    } catch (error) {
+      const message = error.response?.data?.msg || error.message;
+      throw new Error(`${name} API Error (${endpoint}): ${message}`);
+    }
+  }
+
+  // ==========================================================================
+  // PUBLIC MARKET DATA
+  // ==========================================================================
+
+  /**
+   * Get the raw 24hr ticker for all symbols
+   */
+  async function getTicker24hr() {
+    const response = await axios.get(`${getBaseUrl()}/fapi/v1/ticker/24hr`, {
+      timeout: 10000
+    });
+    return response.data;
+  }
+
+  /**
+   * Get raw exchange information
+   */
+  async function getExchangeInfo() {
+    const response = await axios.get(`${getBaseUrl()}/fapi/v1/exchangeInfo`, {
+      timeout: 10000
+    });
+    return response.data;
+  }
+
+  /**
+   * Get recent candles for a symbol, oldest first (the last one may still be open)
+   * @param {string} symbol
+   * @param {string} interval - e.g. '1h'
+   * @param {number} limit - Number of candles, at most 1500
+   * @returns {Promise<Array<Object>>} Rows in the klines table shape
+   */
+  async function getKlines(symbol, interval, limit) {
+    const response = await axios.get(`${getBaseUrl()}/fapi/v1/klines`, {
+      params: { symbol, interval, limit },
+      timeout: 10000
+    });
+    return response.data.map(k => ({
+      symbol,
+      interval,
+      open_time: k[0],
+      open: parseFloat(k[1]),
+      high: parseFloat(k[2]),
+      low: parseFloat(k[3]),
+      close: parseFloat(k[4]),
+      volume: parseFloat(k[5]),
+      close_time: k[6]
+    }));
+  }
+
+  /**
+   * Get market data for the given symbols in the arena's Market shape
+   * @param {string[]} symbols - Symbols to keep
+   * @returns {Promise<Array<{symbol: string, price: number, price24hChange: number}>>}
+   */
+  async function getMarketData(symbols) {
+    const data = await getTicker24hr();
+    return data
+      .filter(d => symbols.includes(d.symbol))
+      .map(d => ({
+        symbol: d.symbol,
+        price: parseFloat(d.lastPrice),
+        price24hChange: parseFloat(d.priceChangePercent)
+      }));
+  }
+
+  /**
+   * Get quantity precision per symbol
+   * @returns {Promise<Map<string, {quantityPrecision: number}>>}
+   */
+  async function getSymbolPrecisions() {
+    const data = await getExchangeInfo();
+    const precisionMap = new Map();
+
+    if (data && data.symbols) {
+      for (const symbolInfo of data.symbols) {
+        precisionMap.set(symbolInfo.symbol, {
+          quantityPrecision: symbolInfo.quantityPrecision
+        });
+      }
+    }
+
+    return precisionMap;
+  }
+
+  // ==========================================================================
+  // ACCOUNT & ORDERS
+  // ==========================================================================
+
+  /**
+   * Get the bot's trade history as arena orders (newest first)
+   */
+  async function getTradeHistory(botId) {
+    const tradeData = await callTradeApi(botId, 'GET', '/fapi/v1/userTrades', { limit: 100 });
+
+    // The API returns trades from oldest to newest, so we reverse to show newest first.
+    return tradeData.reverse().map(t => {
+      const entryPrice = parseFloat(t.price);
+      // This is a simplification; for accurate exit price, one would need to match trades.
+      // But for history display, the realized PnL is the most crucial part.
+      const exitPrice = entryPrice + (parseFloat(t.realizedPnl) / parseFloat(t.qty));
+
+      return {
+        id: t.id.toString(),
+        symbol: t.symbol,
+        type: t.side === 'BUY' ? 'LONG' : 'SHORT',
+        size: parseFloat(t.quoteQty),
+        leverage: parseInt(t.leverage, 10) || 0, // Leverage isn't in this endpoint, default to 0
+        pnl: parseFloat(t.realizedPnl),
+        fee: parseFloat(t.commission),
+        timestamp: t.time,
+        entryPrice,
+        exitPrice
+      };
+    });
+  }
+
+  /**
+   * Get the bot's raw position risk rows (one per symbol, positionAmt signed)
+   */
+  async function getPositionRisk(botId) {
+    return callTradeApi(botId, 'GET', '/fapi/v2/positionRisk');
+  }
+
+  /**
+   * Get the bot's live portfolio from the exchange
+   */
+  async function getAccountState(botId) {
+    const [balanceData, positionData] = await Promise.all([
+      callTradeApi(botId, 'GET', '/fapi/v2/balance'),
+      getPositionRisk(botId)
+    ]);
+
+    const usdtBalance = balanceData.find(b => b.asset === 'USDT');
+    const availableBalance = usdtBalance ? parseFloat(usdtBalance.availableBalance) : 0;
+
+    const openPositions = positionData
+      .filter(p => parseFloat(p.positionAmt) !== 0)
+      .map(p => ({
+        id: p.symbol, // Use symbol as ID since there's one position per symbol
+        symbol: p.symbol,
+        type: parseFloat(p.positionAmt) > 0 ? 'LONG' : 'SHORT',
+        entryPrice: parseFloat(p.entryPrice),
+        size: Math.abs(parseFloat(p.notional)) / parseFloat(p.leverage), // Calculate margin size
+        leverage: parseFloat(p.leverage),
+        liquidationPrice: parseFloat(p.liquidationPrice),
+        pnl: parseFloat(p.unRealizedProfit)
+      }));
+
+    const unrealizedPnl = openPositions.reduce((acc, pos) => acc + (pos.pnl || 0), 0);
+    const totalMarginUsed = openPositions.reduce((acc, pos) => acc + pos.size, 0);
+
+    return {
+      balance: availableBalance,
+      pnl: unrealizedPnl,
+      // Equity is what's available, plus what's tied up in margin, plus open PnL.
+      totalValue: availableBalance + totalMarginUsed + unrealizedPnl,
+      positions: openPositions
+    };
+  }
+
+  /**
+   * Set leverage for a symbol
+   */
+  async function setLeverage(botId, symbol, leverage) {
+    const cappedLeverage = Math.min(Math.max(leverage, 1), 125); // Max possible leverage is 125, but brackets are the real source of truth
+    return callTradeApi(botId, 'POST', '/fapi/v1/leverage', { symbol, leverage: cappedLeverage });
+  }
+
+  /**
+   * Place an order
+   */
+  async function placeOrder(botId, params) {
+    return callTradeApi(botId, 'POST', '/fapi/v1/order', params);
+  }
+
+  /**
+   * Get all of the bot's open orders, including stop-loss and take-profit orders
+   */
+  async function getOpenOrders(botId) {
+    return callTradeApi(botId, 'GET', '/fapi/v1/openOrders');
+  }
+
+  /**
+   * Cancel all of the bot's open orders for a symbol
+   */
+  async function cancelAllOpenOrders(botId, symbol) {
+    return callTradeApi(botId, 'DELETE', '/fapi/v1/allOpenOrders', { symbol });
+  }
+
+  return {
+    id,
+    name,
+    getBaseUrl,
+    signedRequest,
+    getTicker24hr,
+    getExchangeInfo,
+    getKlines,
+    getMarketData,
+    getSymbolPrecisions,
+    getTradeHistory,
+    getAccountState,
+    getPositionRisk,
+    setLeverage,
+    placeOrder,
+    getOpenOrders,
+    cancelAllOpenOrders
+  };
+}
+
+module.exports = {
+  createHmacSha256Signature,
+  createBinanceFuturesAdapter
+};
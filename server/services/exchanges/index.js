@@ -0,0 +1,143 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const db = require('../../database/relational');
+const { createBinanceFuturesAdapter } = require('./binanceFutures');
+const { SyntheticMarket, createSyntheticMarketSource } = require('../syntheticMarket');
+
+/**
+ * Exchange Adapters
+ *
+ * Every venue the arena can trade on is an adapter with the same interface:
+ *
+ *   id, name
+ *   getMarketData(symbols)         - [{symbol, price, price24hChange}]
+ *   getExchangeInfo()              - raw exchange info
+ *   getKlines(symbol, interval, limit) - candles in the klines table shape
+ *   getSymbolPrecisions()          - Map<symbol, {quantityPrecision}>
+ *   getAccountState(botId)         - {balance, pnl, totalValue, positions}
+ *   getPositionRisk(botId)         - raw rows with a signed positionAmt
+ *   getTradeHistory(botId)         - arena orders, newest first
+ *   setLeverage(botId, symbol, leverage)
+ *   placeOrder(botId, params)      - Binance-style order params
+ *   getOpenOrders(botId)
+ *   cancelAllOpenOrders(botId, symbol)
+ *   signedRequest(botId, method, endpoint, params) - raw signed call
+ *
+ * A bot trades on the exchange of its active wallet (wallets.exchange, the
+ * lowest wallet ID if it has several); bots without a wallet use Asterdex.
+ * Arena prices come from the market_data_exchange setting, or from the
+ * synthetic market (services/syntheticMarket.js) when market_data_source is
+ * 'synthetic'. The synthetic source only has the market-data functions.
+ *
+ * The `mock` exchange is the local mock venue (services/mockExchange.js,
+ * `npm run mock-exchange`) at the mock_exchange_url setting, for running
+ * live bots offline.
+ *
+ * To add a venue, register an adapter in EXCHANGES. Binance-futures-
+ * compatible venues only need a base URL.
+ */
+
+const DEFAULT_EXCHANGE = 'asterdex';
+const DEFAULT_MOCK_EXCHANGE_URL = 'http://localhost:3003';
+
+const EXCHANGES = {
+  asterdex: createBinanceFuturesAdapter({
+    id: 'asterdex',
+    name: 'Asterdex',
+    baseUrl: 'https://fapi.asterdex.com'
+  }),
+  binance: createBinanceFuturesAdapter({
+    id: 'binance',
+    name: 'Binance',
+    baseUrl: 'https://fapi.binance.com'
+  }),
+  mock: createBinanceFuturesAdapter({
+    id: 'mock',
+    name: 'Mock Exchange',
+    baseUrl: () => db.getSetting('mock_exchange_url') || DEFAULT_MOCK_EXCHANGE_URL
+  })
+};
+
+/**
+ * Get an adapter by exchange ID
+ * @throws {Error} If the exchange is not supported
+ */
+function getExchange(exchangeId) {
+  const exchange = EXCHANGES[exchangeId];
+  if (!exchange) {
+    throw new Error(`Exchange '${exchangeId}' is not supported. Supported exchanges: ${Object.keys(EXCHANGES).join(', ')}`);
+  }
+  return exchange;
+}
+
+/**
+ * Supported exchanges for pickers and validation
+ * @returns {Array<{id: string, name: string}>}
+ */
+function listExchanges() {
+  return Object.values(EXCHANGES).map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Exchange ID a bot trades on
+ */
+function getExchangeIdForBot(botId) {
+  const [wallet] = db.getWalletsByBot(botId);
+  return wallet ? wallet.exchange : DEFAULT_EXCHANGE;
+}
+
+/**
+ * Adapter a bot trades on
+ * @throws {Error} If the bot's wallet is for an unsupported exchange
+ */
+function getExchangeForBot(botId) {
+  return getExchange(getExchangeIdForBot(botId));
+}
+
+let syntheticSource = null;
+let syntheticConfigKey = null;
+
+/**
+ * Synthetic market source, rebuilt when synthetic_market_config changes
+ */
+function getSyntheticMarketSource() {
+  const config = db.getSetting('synthetic_market_config') || {};
+  const configKey = JSON.stringify(config);
+  if (!syntheticSource || configKey !== syntheticConfigKey) {
+    let market;
+    try {
+      market = new SyntheticMarket(config);
+    } catch (error) {
+      console.warn(`⚠️  Invalid synthetic_market_config (${error.message}), using defaults`);
+      market = new SyntheticMarket();
+    }
+    syntheticSource = createSyntheticMarketSource(market);
+    syntheticConfigKey = configKey;
+    console.log(`📈 Synthetic market started (seed ${market.config.seed})`);
+  }
+  return syntheticSource;
+}
+
+/**
+ * Adapter that supplies the arena's market prices
+ */
+function getMarketDataExchange() {
+  if (db.getSetting('market_data_source') === 'synthetic') {
+    return getSyntheticMarketSource();
+  }
+  return getExchange(db.getSetting('market_data_exchange') || DEFAULT_EXCHANGE);
+}
+
+module.exports = {
+  DEFAULT_EXCHANGE,
+  EXCHANGES,
+  getExchange,
+  listExchanges,
+  getExchangeIdForBot,
+  getExchangeForBot,
+  getSyntheticMarketSource,
+  getMarketDataExchange
+};
@@ -0,0 +1,453 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const db = require('../database/relational');
+const TradingEngine = require('./tradingEngine');
+const { parseRiskLimits } = require('./riskManager');
+const { parseEnsemble } = require('./ensemble');
+const { getExperimentReport } = require('./analytics');
+const { getMemoryDigest } = require('./botMemory');
+
+/**
+ * Prompt Experiments
+ *
+ * An experiment clones a bot into paper variants, each with its own prompt
+ * and/or provider. Variant 0, the control, keeps the bot's prompt and
+ * provider as they were when the experiment started.
+ *
+ * Variants are not arena bots. Each experiment runs in an ExperimentEngine,
+ * a TradingEngine whose bots are the variants and whose history is written
+ * to the experiment_* tables. The live trading engine drives it: every price
+ * refresh marks the variants to market and checks their stop-loss,
+ * take-profit and liquidation, and every scheduled arena turn starts an
+ * experiment turn. All variants of a turn decide in parallel on one frozen
+ * copy of the market data, so they always see exactly the same prices.
+ *
+ * Each variant's paper account is saved after every turn and refresh, and
+ * running experiments resume when the server restarts.
+ *
+ * Every variant's {{memory}} is the base bot's memory; variants do not
+ * reflect on their own trades. Variants use tools when the base bot had them
+ * enabled at the start, and see only their own trades and positions.
+ *
+ * When the base bot is an ensemble, the control variant asks the committee
+ * it had at the start and the challengers stay single models, so an
+ * experiment can pit the committee against any one of its members.
+ */
+
+const DEFAULT_MAX_TURNS = 48;
+const MAX_CHALLENGERS = 5;
+const SAVED_BOT_LOGS = 5; // The prompt's decision history shows the last 5 turns
+const SAVED_ORDERS = 10;
+
+// experimentId -> ExperimentEngine
+const activeExperiments = new Map();
+
+const generateId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+const toIso = (ms) => new Date(ms).toISOString();
+
+// ============================================================================
+// EXPERIMENT ENGINE
+// ============================================================================
+
+/**
+ * TradingEngine running the paper variants of one experiment
+ */
+class ExperimentEngine extends TradingEngine {
+  /**
+   * @param {Object} experiment - experiments row
+   * @param {Array<Object>} variants - experiment_variants rows, control first
+   */
+  constructor(experiment, variants) {
+    super({ wsServer: null });
+    this.experiment = experiment;
+    this.symbols = JSON.parse(experiment.symbols_json);
+    this.turn = experiment.turns_completed;
+
+    const riskLimits = parseRiskLimits(experiment.risk_limits_json);
+    this.bots = variants.map(variant => {
+      const bot = this.createBotState({
+        id: variant.id,
+        name: variant.name,
+        prompt: variant.prompt,
+        promptVersion: null,
+        provider: variant.provider_type || 'none',
+        providerId: variant.provider_id,
+        providerName: variant.provider_name,
+        avatarUrl: null,
+        tradingMode: 'paper',
+        isPaused: false,
+        riskLimits,
+        toolsEnabled: Boolean(experiment.tools_enabled),
+        ensemble: variant.position === 0 ? parseEnsemble(experiment.ensemble_json) : null
+      });
+      return variant.state_json ? { ...bot, ...JSON.parse(variant.state_json) } : bot;
+    });
+  }
+
+  getSettings() {
+    return {
+      ...super.getSettings(),
+      paperInitialBalance: this.experiment.initial_balance,
+      tradingSymbols: this.symbols
+    };
+  }
+
+  /**
+   * Use the experiment's symbols from a market data list
+   */
+  setMarkets(markets) {
+    this.markets = markets.filter(m => this.symbols.includes(m.symbol));
+  }
+
+  persist() {
+    // Nothing to broadcast; state is saved with saveState()
+  }
+
+  /**
+   * Save every variant's paper account
+   */
+  saveState() {
+    for (const bot of this.bots) {
+      try {
+        db.saveExperimentVariantState(bot.id, {
+          portfolio: bot.portfolio,
+          orders: bot.orders.slice(0, SAVED_ORDERS),
+          botLogs: bot.botLogs.slice(0, SAVED_BOT_LOGS),
+          realizedPnl: bot.realizedPnl,
+          tradeCount: bot.tradeCount,
+          winRate: bot.winRate,
+          symbolCooldowns: bot.symbolCooldowns,
+          isPaused: bot.isPaused,
+          riskDayStart: bot.riskDayStart
+        });
+      } catch (error) {
+        console.error(`   ❌ [${bot.name}] Failed to save experiment variant:`, error.message);
+      }
+    }
+  }
+
+  recordPositionOpened(bot, position, fee) {
+    try {
+      db.createExperimentTrade({
+        id: generateId('xtrade'),
+        experiment_id: this.experiment.id,
+        variant_id: bot.id,
+        position_id: position.id,
+        symbol: position.symbol,
+        trade_type: position.type,
+        action: 'OPEN',
+        entry_price: position.entryPrice,
+        size: position.size,
+        leverage: position.leverage,
+        pnl: -fee,
+        fee,
+        executed_at: toIso(this.now())
+      });
+    } catch (error) {
+      console.error(`   ❌ [${bot.name}] Failed to record experiment trade:`, error.message);
+    }
+  }
+
+  recordPositionClosed(bot, position, { pnl, fee, exitPrice }) {
+    try {
+      db.createExperimentTrade({
+        id: generateId('xtrade'),
+        experiment_id: this.experiment.id,
+        variant_id: bot.id,
+        position_id: position.id,
+        symbol: position.symbol,
+        trade_type: position.type,
+        action: 'CLOSE',
+        entry_price: position.entryPrice,
+        exit_price: exitPrice,
+        size: position.size,
+        leverage: position.leverage,
+        pnl,
+        fee,
+        executed_at: toIso(this.now())
+      });
+    } catch (error) {
+      console.error(`   ❌ [${bot.name}] Failed to record experiment trade:`, error.message);
+    }
+  }
+
+  recordDecision(bot, { prompt, decisions, rawResponse, providerId, notes, latencyMs, toolCalls, ensemble, success }) {
+    try {
+      db.createExperimentDecision({
+        experiment_id: this.experiment.id,
+        variant_id: bot.id,
+        turn: this.turn,
+        prompt_sent: prompt,
+        decisions,
+        notes,
+        raw_response: rawResponse,
+        provider_id: providerId,
+        latency_ms: latencyMs,
+        tool_calls: toolCalls,
+        ensemble,
+        execution_success: success,
+        timestamp: toIso(this.now())
+      });
+    } catch (error) {
+      console.error(`   ❌ [${bot.name}] Failed to record experiment decision:`, error.message);
+    }
+  }
+
+  recordMarketData() {}
+
+  getMemoryDigest() {
+    // Variant prompts are built in the same tick, so all see the same memory
+    return getMemoryDigest(this.experiment.bot_id, { tokenBudget: this.getSettings().memoryTokenBudget });
+  }
+
+  getTradeHistory(bot, { symbol, limit } = {}) {
+    return db.getExperimentTrades(this.experiment.id)
+      .filter(t => t.variant_id === bot.id && (!symbol || t.symbol === symbol))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  getOtherBots() {
+    // Variants must not see each other's positions, or they stop being independent
+    return [];
+  }
+
+  getUsageContext(bot, purpose) {
+    // Variants spend on behalf of the experiment's bot, outside its arena budgets
+    return { botId: this.experiment.bot_id, source: 'experiment', purpose };
+  }
+
+  lookupDayStartValue() {
+    // Each day starts from the value first seen that day
+    return null;
+  }
+
+  autoPauseBot(bot, reason) {
+    // Paused for the rest of the experiment; its account is still compared
+    console.log(`   🛑 [${bot.name}] Experiment variant auto-paused: ${reason}`);
+    bot.isPaused = true;
+    bot.botLogs = [{ timestamp: this.now(), decisions: [], prompt: '', notes: [`PAUSED: ${reason}`] }, ...bot.botLogs];
+    this.recordDecision(bot, { prompt: '', decisions: [], rawResponse: null, notes: [`PAUSED: ${reason}`], latencyMs: 0, success: true });
+  }
+
+  /**
+   * Record every variant's account value for the current turn
+   */
+  recordSnapshots(bots) {
+    const timestamp = toIso(this.now());
+    for (const bot of bots) {
+      try {
+        db.createExperimentEquityPoint({
+          experiment_id: this.experiment.id,
+          variant_id: bot.id,
+          turn: this.turn,
+          balance: bot.portfolio.balance,
+          unrealized_pnl: bot.portfolio.pnl,
+          total_value: bot.portfolio.totalValue,
+          timestamp
+        });
+      } catch (error) {
+        console.error(`   ❌ [${bot.name}] Failed to record experiment equity:`, error.message);
+      }
+    }
+  }
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/**
+ * End an experiment and log how each challenger did against the control
+ * @param {string} experimentId
+ * @param {string} status - 'completed', 'stopped' or 'failed'
+ * @param {string} [error]
+ */
+function finishExperiment(experimentId, status, error) {
+  activeExperiments.delete(experimentId);
+  const experiment = db.updateExperiment(experimentId, { status, error, completed_at: toIso(Date.now()) });
+  if (!experiment) return;
+
+  console.log(`🧫 Experiment ${experiment.name} ${status} after ${experiment.turns_completed} turn(s)`);
+  for (const variant of getExperimentReport(experiment).variants.filter(v => v.comparison)) {
+    const { meanReturnDifference, pValue, verdict } = variant.comparison;
+    console.log(`   ${variant.name}: ${meanReturnDifference >= 0 ? '+' : ''}${meanReturnDifference.toFixed(3)}%/turn vs control (p=${pValue.toFixed(3)}, ${verdict})`);
+  }
+}
+
+/**
+ * One experiment turn: every unpaused variant decides on the same snapshot
+ */
+async function runExperimentTurn(engine, snapshot) {
+  const experimentId = engine.experiment.id;
+  const experiment = db.getExperiment(experimentId);
+  if (!experiment || experiment.status !== 'running') {
+    // Deleted with its bot, or ended elsewhere
+    activeExperiments.delete(experimentId);
+    return;
+  }
+
+  engine.turnInProgress = true;
+  try {
+    engine.setMarkets(snapshot);
+    engine.turn += 1;
+    console.log(`🧫 Experiment ${experiment.name}: turn ${engine.turn}/${experiment.max_turns}`);
+
+    await Promise.all(engine.bots.filter(bot => !bot.isPaused).map(async bot => {
+      try {
+        await engine.processBotTurn(bot);
+      } catch (error) {
+        console.error(`   ❌ [${bot.name}] Experiment turn failed:`, error.message);
+        bot.isLoading = false;
+      }
+    }));
+
+    engine.recordSnapshots(engine.bots);
+    engine.saveState();
+    db.updateExperiment(experimentId, { turns_completed: engine.turn });
+
+    if (engine.turn >= experiment.max_turns && activeExperiments.get(experimentId) === engine) {
+      finishExperiment(experimentId, 'completed');
+    }
+  } finally {
+    engine.turnInProgress = false;
+  }
+}
+
+/**
+ * Start a turn for every running experiment
+ * Called by the trading engine at the start of each scheduled arena turn.
+ * The turns run in the background; an experiment still busy with its
+ * previous turn skips this one.
+ * @param {Array<Object>} markets - Market data the arena turn uses
+ */
+function runExperimentTurns(markets) {
+  const snapshot = markets.map(m => ({ ...m }));
+  for (const engine of activeExperiments.values()) {
+    if (engine.turnInProgress) continue;
+    runExperimentTurn(engine, snapshot).catch(error => {
+      console.error(`❌ Experiment ${engine.experiment.id} failed:`, error.message);
+      finishExperiment(engine.experiment.id, 'failed', error.message);
+    });
+  }
+}
+
+/**
+ * Mark every running experiment to new prices
+ * Called by the trading engine after each market refresh. An experiment in
+ * the middle of a turn keeps the turn's snapshot.
+ * @param {Array<Object>} markets
+ */
+function updateExperimentPrices(markets) {
+  for (const engine of activeExperiments.values()) {
+    if (engine.turnInProgress) continue;
+    engine.setMarkets(markets);
+    for (const bot of engine.bots) {
+      engine.checkPaperTriggers(bot);
+      engine.markToMarket(bot);
+      engine.checkDailyLoss(bot);
+    }
+    engine.saveState();
+  }
+}
+
+/**
+ * Create an experiment and start running it with the arena's turns
+ * @param {Object} options
+ * @param {Object} options.bot - bots row to clone (with provider_type and provider_name)
+ * @param {string} [options.name] - Defaults to the bot's name and the date
+ * @param {Array<{name?: string, prompt?: string, providerId?: number}>} options.variants - Challengers;
+ *   each defaults to the bot's prompt and provider
+ * @param {number} [options.maxTurns]
+ * @param {number} [options.initialBalance] - Defaults to the paper bot balance
+ * @param {string} [options.createdBy] - User ID
+ * @returns {Object} The experiments row
+ */
+function startExperiment(options) {
+  const settings = db.getSettings();
+  const { bot } = options;
+  const id = generateId('exp');
+
+  const variants = [
+    { name: 'Control', prompt: bot.prompt, provider_id: bot.provider_id },
+    ...options.variants.map((variant, i) => ({
+      name: variant.name || `Variant ${String.fromCharCode(66 + i)}`,
+      prompt: variant.prompt || bot.prompt,
+      provider_id: variant.providerId || bot.provider_id
+    }))
+  ].map((variant, position) => ({ ...variant, id: `${id}_v${position}` }));
+
+  const experiment = db.createExperiment({
+    id,
+    bot_id: bot.id,
+    name: options.name || `${bot.name} ${new Date().toISOString().slice(0, 10)}`,
+    symbols: settings.trading_symbols,
+    initial_balance: options.initialBalance || settings.paper_bot_initial_balance || 10000,
+    risk_limits_json: bot.risk_limits_json,
+    tools_enabled: bot.tools_enabled,
+    ensemble_json: bot.ensemble_json,
+    max_turns: options.maxTurns || DEFAULT_MAX_TURNS,
+    created_by: options.createdBy
+  }, variants);
+
+  const engine = new ExperimentEngine(experiment, db.getExperimentVariants(id));
+  engine.recordSnapshots(engine.bots);
+  engine.saveState();
+  activeExperiments.set(id, engine);
+
+  console.log(`🧫 Experiment ${experiment.name} started: ${variants.length} variants of ${bot.name} for ${experiment.max_turns} turns`);
+  return experiment;
+}
+
+/**
+ * End a running experiment early; its results so far are kept
+ * @returns {boolean} false if the experiment is not running
+ */
+function stopExperiment(experimentId) {
+  if (!activeExperiments.has(experimentId)) return false;
+  finishExperiment(experimentId, 'stopped');
+  return true;
+}
+
+/**
+ * Reload the experiments that were running when the server stopped
+ * @returns {number} Experiments resumed
+ */
+function resumeExperiments() {
+  const running = db.getExperiments({ status: 'running' });
+  for (const experiment of running) {
+    activeExperiments.set(experiment.id, new ExperimentEngine(experiment, db.getExperimentVariants(experiment.id)));
+  }
+  return running.length;
+}
+
+/**
+ * Live paper state of a running experiment's variants
+ * @returns {Array<Object>|null} null if the experiment is not running
+ */
+function getLiveVariants(experimentId) {
+  const engine = activeExperiments.get(experimentId);
+  if (!engine) return null;
+  return engine.bots.map(bot => ({
+    id: bot.id,
+    portfolio: bot.portfolio,
+    isPaused: bot.isPaused,
+    isLoading: bot.isLoading,
+    lastLog: bot.botLogs[0] || null
+  }));
+}
+
+module.exports = {
+  DEFAULT_MAX_TURNS,
+  MAX_CHALLENGERS,
+  startExperiment,
+  stopExperiment,
+  resumeExperiments,
+  runExperimentTurns,
+  updateExperimentPrices,
+  getLiveVariants,
+  ExperimentEngine
+};
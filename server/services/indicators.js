@@ -0,0 +1,159 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * Technical Indicators
+ *
+ * Pure functions over candles ({ open, high, low, close, volume }, oldest
+ * first). Each returns null when there are not enough candles for its
+ * period, so prompts can show "n/a" instead of a misleading number.
+ */
+
+const VWAP_LOOKBACK = 20;
+
+const sum = (values) => values.reduce((acc, v) => acc + v, 0);
+
+/**
+ * Exponential moving average series (seeded with the SMA of the first period)
+ * @returns {number[]} One value per input from index period - 1, or [] if too short
+ */
+function emaSeries(values, period) {
+  if (values.length < period) return [];
+  const k = 2 / (period + 1);
+  const series = [sum(values.slice(0, period)) / period];
+  for (let i = period; i < values.length; i++) {
+    series.push(values[i] * k + series[series.length - 1] * (1 - k));
+  }
+  return series;
+}
+
+/**
+ * Relative Strength Index with Wilder smoothing
+ */
+function rsi(closes, period = 14) {
+  if (closes.length <= period) return null;
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    if (change > 0) gain += change; else loss -= change;
+  }
+  gain /= period;
+  loss /= period;
+
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+
+  if (loss === 0) return gain === 0 ? 50 : 100;
+  return 100 - 100 / (1 + gain / loss);
+}
+
+/**
+ * MACD line, signal line and histogram
+ */
+function macd(closes, fast = 12, slow = 26, signal = 9) {
+  const slowSeries = emaSeries(closes, slow);
+  if (slowSeries.length < signal) return null;
+
+  const fastSeries = emaSeries(closes, fast).slice(slow - fast);
+  const macdSeries = slowSeries.map((value, i) => fastSeries[i] - value);
+  const signalSeries = emaSeries(macdSeries, signal);
+  const macdValue = macdSeries[macdSeries.length - 1];
+  const signalValue = signalSeries[signalSeries.length - 1];
+  return { macd: macdValue, signal: signalValue, histogram: macdValue - signalValue };
+}
+
+/**
+ * Average True Range with Wilder smoothing
+ */
+function atr(candles, period = 14) {
+  if (candles.length <= period) return null;
+
+  const trueRanges = candles.slice(1).map((c, i) => {
+    const previousClose = candles[i].close;
+    return Math.max(c.high - c.low, Math.abs(c.high - previousClose), Math.abs(c.low - previousClose));
+  });
+
+  let value = sum(trueRanges.slice(0, period)) / period;
+  for (let i = period; i < trueRanges.length; i++) {
+    value = (value * (period - 1) + trueRanges[i]) / period;
+  }
+  return value;
+}
+
+/**
+ * Volume-weighted average (typical) price over the candles
+ * @returns {number|null} null when the candles have no volume
+ */
+function vwap(candles) {
+  const volume = sum(candles.map(c => c.volume || 0));
+  if (volume <= 0) return null;
+  return sum(candles.map(c => ((c.high + c.low + c.close) / 3) * (c.volume || 0))) / volume;
+}
+
+/**
+ * Bollinger bands and %B of the last close
+ */
+function bollinger(closes, period = 20, deviations = 2) {
+  if (closes.length < period) return null;
+
+  const window = closes.slice(-period);
+  const middle = sum(window) / period;
+  const deviation = Math.sqrt(sum(window.map(c => (c - middle) ** 2)) / period);
+  const upper = middle + deviations * deviation;
+  const lower = middle - deviations * deviation;
+  const last = closes[closes.length - 1];
+  return { upper, middle, lower, percentB: upper === lower ? 0.5 : (last - lower) / (upper - lower) };
+}
+
+/**
+ * Highest high and lowest low of the last candles
+ */
+function highLow(candles, lookback = 20) {
+  if (candles.length === 0) return null;
+  const window = candles.slice(-lookback);
+  return {
+    high: Math.max(...window.map(c => c.high)),
+    low: Math.min(...window.map(c => c.low)),
+    candles: window.length
+  };
+}
+
+/**
+ * Every indicator for one series of candles
+ * @param {Array<Object>} candles - Oldest first
+ */
+function computeIndicators(candles) {
+  const closes = candles.map(c => c.close);
+  const last = closes[closes.length - 1] ?? null;
+  const atrValue = atr(candles);
+  return {
+    candles: candles.length,
+    close: last,
+    rsi: rsi(closes),
+    macd: macd(closes),
+    atr: atrValue,
+    atrPct: atrValue !== null && last ? (atrValue / last) * 100 : null,
+    vwap: vwap(candles.slice(-VWAP_LOOKBACK)),
+    bollinger: bollinger(closes),
+    range: highLow(candles)
+  };
+}
+
+module.exports = {
+  VWAP_LOOKBACK,
+  emaSeries,
+  rsi,
+  macd,
+  atr,
+  vwap,
+  bollinger,
+  highLow,
+  computeIndicators
+};
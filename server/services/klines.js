@@ -0,0 +1,83 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * Kline (Candle) Helpers
+ *
+ * Candle intervals and helpers shared by the kline collector in the trading
+ * engine, the backtester and the synthetic and mock price sources. Kept free
+ * of database access so the standalone mock exchange can use it.
+ *
+ * The trading engine keeps the klines table up to date for every trading
+ * symbol at each interval of the kline_intervals setting, and prompts read the
+ * stored candles through the {{candles:...}} and {{indicators}} template
+ * variables (see promptBuilder.js).
+ */
+
+const KLINE_INTERVALS = {
+  '1m': 60000,
+  '3m': 180000,
+  '5m': 300000,
+  '15m': 900000,
+  '30m': 1800000,
+  '1h': 3600000,
+  '2h': 7200000,
+  '4h': 14400000,
+  '6h': 21600000,
+  '8h': 28800000,
+  '12h': 43200000,
+  '1d': 86400000
+};
+
+const DEFAULT_KLINE_INTERVALS = ['15m', '1h', '4h'];
+const BACKFILL_LIMIT = 200;
+const MAX_FETCH_LIMIT = 500;
+
+/**
+ * Build candles from price samples, for sources without real candles
+ * @param {Array<{time: number, price: number, volume?: number}>} samples - Oldest first
+ * @param {Object} options
+ * @param {string} options.symbol
+ * @param {string} options.interval - Key of KLINE_INTERVALS
+ * @param {number} [options.limit] - Most recent candles to return
+ * @returns {Array<Object>} Candles oldest first, the last one possibly still open
+ */
+function aggregateKlines(samples, { symbol, interval, limit = MAX_FETCH_LIMIT }) {
+  const intervalMs = KLINE_INTERVALS[interval];
+  const candles = [];
+
+  for (const { time, price, volume = 0 } of samples) {
+    const openTime = Math.floor(time / intervalMs) * intervalMs;
+    const last = candles[candles.length - 1];
+    if (last && last.open_time === openTime) {
+      last.high = Math.max(last.high, price);
+      last.low = Math.min(last.low, price);
+      last.close = price;
+      last.volume += volume;
+    } else {
+      candles.push({
+        symbol,
+        interval,
+        open_time: openTime,
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        volume,
+        close_time: openTime + intervalMs - 1
+      });
+    }
+  }
+
+  return candles.slice(-limit);
+}
+
+module.exports = {
+  KLINE_INTERVALS,
+  DEFAULT_KLINE_INTERVALS,
+  BACKFILL_LIMIT,
+  MAX_FETCH_LIMIT,
+  aggregateKlines
+};
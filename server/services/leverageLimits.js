@@ -1,9 +1,13 @@
-// leverageLimits.ts
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
 // This file contains the hardcoded maximum leverage limits for each trading symbol.
 // This is used as the single source of truth to prevent bots from requesting
 // leverage amounts that would be rejected by the exchange.
 
-export const leverageLimits = new Map<string, number>([
+const leverageLimits = new Map([
     ["INJUSDT", 25], ["EIGENUSDT", 2], ["ENSOUSDT", 5], ["ZORAUSDT", 5],
     ["SBETUSDT", 10], ["ARIAUSDT", 5], ["BANKUSDT", 5], ["ZRXUSDT", 25],
     ["OPBUSD", 25], ["EVAAUSDT", 5], ["WAVESUSDT", 25], ["TSLAUSDT", 10],
@@ -71,4 +75,6 @@ export const leverageLimits = new Map<string, number>([
     ["ZILUSDT", 25], ["AXSUSDT", 25], ["DYDXUSDT", 25], ["OCEANUSDT", 25],
     ["TOSHIUSDT", 5], ["CHZUSDT", 25], ["CTSIUSDT", 25], ["XPLUSDT", 5],
     ["NEIROUSDT", 5]
-]);
\ No newline at end of file
+]);
+
+module.exports = { leverageLimits };
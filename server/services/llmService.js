@@ -0,0 +1,853 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const axios = require('axios');
+const config = require('../config');
+const { getProviders, getProvider } = require('../database/relational');
+const { decrypt } = require('../utils/encryption');
+const { toGeminiSchema } = require('./decisionSchema');
+const llmUsage = require('./llmUsage');
+const providerHealth = require('./providerHealth');
+const mockProvider = require('./mockProvider');
+
+/**
+ * LLM Provider Service
+ *
+ * Calls the configured LLM providers and turns their responses into trading
+ * decisions. API keys come from the llm_providers table, with the legacy
+ * environment variables as a fallback.
+ *
+ * Every provider is called with its own stored endpoint, model name and
+ * decrypted API key:
+ *   gemini    - generateContent endpoint
+ *   openai    - chat completions endpoint
+ *   grok      - chat completions endpoint (xAI)
+ *   anthropic - messages endpoint
+ *   local     - Ollama or an OpenAI-compatible server, see below
+ *   custom    - any chat completions or messages API; config_json.api_style
+ *               picks 'openai' (default) or 'anthropic'
+ *   mock      - no API; answers from the script in config_json, using the
+ *               turn's market data passed as options.markets (see
+ *               mockProvider.js)
+ *
+ * config_json accepts for all providers:
+ *   temperature       - sampling temperature
+ *   max_tokens        - response token limit
+ *   timeout_ms        - request timeout
+ *   max_retries       - retries of a failed call, overriding the
+ *                       provider_max_retries setting
+ *   structured_output - constrain the response to the decision JSON schema
+ *                       with the API's native mechanism: Gemini
+ *                       responseSchema, OpenAI-style json_schema response
+ *                       format, a forced Anthropic tool call or an Ollama
+ *                       format schema. Off by default since not every model
+ *                       supports it.
+ *   tool_protocol     - how bots with tools enabled call tools: 'native'
+ *                       function calling (default for hosted providers) or
+ *                       'text', a JSON convention in plain replies (default
+ *                       for local providers). Native tool calls from local
+ *                       providers need api_style 'openai'.
+ *
+ * Local providers (provider_type 'local') talk to Ollama's /api/generate or
+ * /api/chat, or to any OpenAI-compatible /v1/chat/completions server such as
+ * llama.cpp, LM Studio or vLLM. Their config_json also accepts:
+ *   context_length - context window (Ollama num_ctx)
+ *   json_mode      - ask the server for JSON output (default true)
+ *   grammar        - GBNF grammar (llama.cpp), overrides json_mode
+ *   api_style      - 'ollama_generate', 'ollama_chat' or 'openai'; inferred
+ *                    from the endpoint path when omitted
+ *
+ * Every call made through callProvider or callProviderWithTools is recorded
+ * with its token usage, estimated cost, latency and outcome (see
+ * llmUsage.js). Callers say what the call was for with options.usage.
+ * Failed calls are retried with backoff and unhealthy providers are skipped
+ * (see providerHealth.js); each attempt is recorded.
+ */
+
+const GEMINI_MODEL = 'gemini-2.5-flash';
+const GEMINI_ENDPOINT = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent`;
+const GROK_MODEL = 'grok-3-mini-beta';
+const GROK_ENDPOINT = 'https://api.x.ai/v1/chat/completions';
+const GROK_TEMPERATURE = 0.9;
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_MAX_TOKENS = 4096; // Required by the messages API
+const HOSTED_TIMEOUT_MS = 30000;
+const LOCAL_TIMEOUT_MS = 120000; // Local models on consumer hardware can be slow
+
+// Provider types that may run without an API key
+const KEYLESS_PROVIDER_TYPES = ['local', 'custom', 'mock'];
+
+const ENV_API_KEYS = {
+  gemini: () => config.geminiApiKey,
+  grok: () => config.xaiApiKey
+};
+
+/**
+ * Get the first active provider of a type that has an API key
+ * @param {string} providerType - e.g. 'gemini' or 'grok'
+ * @returns {Object|undefined} llm_providers row
+ */
+function getActiveProvider(providerType) {
+  return getProviders({ provider_type: providerType, active: true })
+    .find(p => p.api_key_encrypted);
+}
+
+/**
+ * Get the API key for a provider type
+ * Uses the first active provider of that type, then the environment fallback.
+ * @param {string} providerType - e.g. 'gemini' or 'grok'
+ * @returns {string|null}
+ */
+function getProviderApiKey(providerType) {
+  const provider = getActiveProvider(providerType);
+
+  if (provider) {
+    return decrypt(provider.api_key_encrypted);
+  }
+
+  const envKey = ENV_API_KEYS[providerType];
+  return envKey ? envKey() || null : null;
+}
+
+/**
+ * Get the API key stored on a provider, with the environment fallback
+ * @param {Object} provider - llm_providers row
+ * @returns {string|null}
+ */
+function getApiKeyForProvider(provider) {
+  if (provider.api_key_encrypted) {
+    return decrypt(provider.api_key_encrypted);
+  }
+
+  const envKey = ENV_API_KEYS[provider.provider_type];
+  return envKey ? envKey() || null : null;
+}
+
+/**
+ * Token counts from a provider response body, whatever its API
+ * @returns {{promptTokens: number, completionTokens: number}|null} null when the response has none
+ */
+function extractUsage(data) {
+  if (!data) return null;
+  if (data.usage?.prompt_tokens !== undefined) {
+    // Chat completions
+    return { promptTokens: data.usage.prompt_tokens, completionTokens: data.usage.completion_tokens || 0 };
+  }
+  if (data.usage?.input_tokens !== undefined) {
+    // Anthropic messages
+    return { promptTokens: data.usage.input_tokens, completionTokens: data.usage.output_tokens || 0 };
+  }
+  if (data.usageMetadata?.promptTokenCount !== undefined) {
+    // Gemini bills thinking tokens as output
+    const { promptTokenCount, candidatesTokenCount = 0, thoughtsTokenCount = 0 } = data.usageMetadata;
+    return { promptTokens: promptTokenCount, completionTokens: candidatesTokenCount + thoughtsTokenCount };
+  }
+  if (data.prompt_eval_count !== undefined || data.eval_count !== undefined) {
+    // Ollama
+    return { promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count || 0 };
+  }
+  return null;
+}
+
+/**
+ * Call Google Gemini and return the generated text with its token usage
+ * @param {string} prompt - Full prompt
+ * @param {string} apiKey - Gemini API key
+ * @param {string} [endpoint] - generateContent URL, defaults to GEMINI_MODEL
+ * @param {Object} [providerConfig] - Parsed config_json
+ * @param {Object} [responseSchema] - JSON Schema for structured output
+ * @returns {Promise<{text: string|undefined, usage: Object|null}>}
+ */
+async function callGemini(prompt, apiKey, endpoint = GEMINI_ENDPOINT, providerConfig = {}, responseSchema) {
+  const generationConfig = { responseMimeType: 'application/json' };
+  if (responseSchema) generationConfig.responseSchema = toGeminiSchema(responseSchema);
+  if (providerConfig.temperature !== undefined) generationConfig.temperature = providerConfig.temperature;
+  if (providerConfig.max_tokens !== undefined) generationConfig.maxOutputTokens = providerConfig.max_tokens;
+
+  const response = await axios.post(
+    endpoint,
+    {
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig
+    },
+    {
+      params: { key: apiKey },
+      headers: { 'Content-Type': 'application/json' },
+      timeout: providerConfig.timeout_ms || HOSTED_TIMEOUT_MS
+    }
+  );
+
+  return { text: response.data.candidates?.[0]?.content?.parts?.[0]?.text, usage: extractUsage(response.data) };
+}
+
+/**
+ * Call the xAI chat completions API and return the raw response body
+ */
+async function callGrok(body, apiKey) {
+  const response = await axios.post(GROK_ENDPOINT, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    timeout: HOSTED_TIMEOUT_MS
+  });
+
+  return response.data;
+}
+
+/**
+ * Parse a provider's config_json column
+ * @returns {Object}
+ */
+function parseProviderConfig(provider) {
+  if (!provider.config_json) return {};
+  try {
+    return JSON.parse(provider.config_json);
+  } catch (error) {
+    console.warn(`⚠️  Invalid config_json for provider ${provider.name}, ignoring it`);
+    return {};
+  }
+}
+
+/**
+ * Call an OpenAI-style chat completions endpoint and return the generated
+ * text with its token usage
+ * Used for OpenAI, xAI, OpenAI-compatible local servers and custom providers.
+ * @param {Object} provider - llm_providers row
+ * @param {string} prompt - Full prompt
+ * @param {string|null} apiKey - Bearer token, omitted when null
+ * @param {Object} [options]
+ * @param {string} [options.defaultModel] - Model when the provider has none
+ * @param {number} [options.defaultTemperature] - Temperature when config_json has none
+ * @param {boolean} [options.jsonModeDefault] - Request JSON output unless config_json says otherwise
+ * @param {number} [options.timeoutMs] - Timeout when config_json has none
+ * @param {Object} [options.responseSchema] - JSON Schema for structured output
+ * @returns {Promise<{text: string|undefined, usage: Object|null}>}
+ */
+async function callChatCompletions(provider, prompt, apiKey, options = {}) {
+  const providerConfig = parseProviderConfig(provider);
+  const model = provider.model_name || options.defaultModel;
+  if (!model) {
+    throw new Error(`Provider ${provider.name} has no model name configured`);
+  }
+
+  const body = {
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    stream: false
+  };
+
+  const temperature = providerConfig.temperature ?? options.defaultTemperature;
+  if (temperature !== undefined) body.temperature = temperature;
+  if (providerConfig.max_tokens !== undefined) body.max_tokens = providerConfig.max_tokens;
+
+  if (providerConfig.grammar) {
+    // llama.cpp server extension: constrain sampling with a GBNF grammar
+    body.grammar = providerConfig.grammar;
+  } else if (options.responseSchema) {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: 'trading_decisions', strict: true, schema: options.responseSchema }
+    };
+  } else if (providerConfig.json_mode ?? options.jsonModeDefault) {
+    body.response_format = { type: 'json_object' };
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const response = await axios.post(provider.api_endpoint, body, {
+    headers,
+    timeout: providerConfig.timeout_ms || options.timeoutMs || HOSTED_TIMEOUT_MS
+  });
+  return { text: response.data.choices?.[0]?.message?.content, usage: extractUsage(response.data) };
+}
+
+/**
+ * Call the Anthropic messages API and return the generated text with its
+ * token usage
+ * With a response schema the model is forced to call a tool whose input is
+ * the decisions object, and that input is returned as JSON text.
+ * @param {Object} provider - llm_providers row
+ * @param {string} prompt - Full prompt
+ * @param {string} apiKey - Anthropic API key
+ * @param {Object} [responseSchema] - JSON Schema for structured output
+ * @returns {Promise<{text: string|undefined, usage: Object|null}>}
+ */
+async function callAnthropic(provider, prompt, apiKey, responseSchema) {
+  if (!provider.model_name) {
+    throw new Error(`Provider ${provider.name} has no model name configured`);
+  }
+
+  const providerConfig = parseProviderConfig(provider);
+  const body = {
+    model: provider.model_name,
+    max_tokens: providerConfig.max_tokens || ANTHROPIC_MAX_TOKENS,
+    messages: [{ role: 'user', content: prompt }]
+  };
+  if (providerConfig.temperature !== undefined) body.temperature = providerConfig.temperature;
+  if (responseSchema) {
+    body.tools = [{ name: 'submit_decisions', description: 'Submit your trading decisions', input_schema: responseSchema }];
+    body.tool_choice = { type: 'tool', name: 'submit_decisions' };
+  }
+
+  const response = await axios.post(provider.api_endpoint, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': ANTHROPIC_VERSION
+    },
+    timeout: providerConfig.timeout_ms || HOSTED_TIMEOUT_MS
+  });
+
+  const usage = extractUsage(response.data);
+  const toolUse = (response.data.content || []).find(block => block.type === 'tool_use');
+  if (toolUse) {
+    return { text: JSON.stringify(toolUse.input), usage };
+  }
+
+  const textBlocks = (response.data.content || []).filter(block => block.type === 'text');
+  return { text: textBlocks.length > 0 ? textBlocks.map(block => block.text).join('') : undefined, usage };
+}
+
+/**
+ * Work out which API a local provider speaks
+ */
+function getLocalApiStyle(provider, providerConfig) {
+  if (providerConfig.api_style) return providerConfig.api_style;
+
+  const endpoint = provider.api_endpoint.replace(/\/+$/, '');
+  if (endpoint.endsWith('/api/generate')) return 'ollama_generate';
+  if (endpoint.endsWith('/api/chat')) return 'ollama_chat';
+  return 'openai';
+}
+
+/**
+ * Call a local model server and return the generated text with its token usage
+ * @param {Object} provider - llm_providers row
+ * @param {string} prompt - Full prompt
+ * @param {string|null} apiKey - Local servers rarely need a key, but some proxies do
+ * @param {Object} [responseSchema] - JSON Schema for structured output
+ * @returns {Promise<{text: string|undefined, usage: Object|null}>}
+ */
+async function callLocal(provider, prompt, apiKey, responseSchema) {
+  if (!provider.model_name) {
+    throw new Error(`Provider ${provider.name} has no model name configured`);
+  }
+
+  const providerConfig = parseProviderConfig(provider);
+  const apiStyle = getLocalApiStyle(provider, providerConfig);
+
+  if (apiStyle === 'openai') {
+    return callChatCompletions(provider, prompt, apiKey, {
+      jsonModeDefault: true,
+      timeoutMs: LOCAL_TIMEOUT_MS,
+      responseSchema
+    });
+  }
+
+  if (apiStyle !== 'ollama_generate' && apiStyle !== 'ollama_chat') {
+    throw new Error(`Unknown api_style '${apiStyle}' for provider ${provider.name}`);
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+  const requestOptions = { headers, timeout: providerConfig.timeout_ms || LOCAL_TIMEOUT_MS };
+
+  const options = {};
+  if (providerConfig.temperature !== undefined) options.temperature = providerConfig.temperature;
+  if (providerConfig.context_length !== undefined) options.num_ctx = providerConfig.context_length;
+  if (providerConfig.max_tokens !== undefined) options.num_predict = providerConfig.max_tokens;
+
+  const body = { model: provider.model_name, stream: false, options };
+  if (responseSchema) {
+    body.format = responseSchema;
+  } else if (providerConfig.json_mode !== false) {
+    body.format = 'json';
+  }
+
+  if (apiStyle === 'ollama_generate') {
+    const response = await axios.post(provider.api_endpoint, { ...body, prompt }, requestOptions);
+    return { text: response.data.response, usage: extractUsage(response.data) };
+  }
+
+  const response = await axios.post(provider.api_endpoint, {
+    ...body,
+    messages: [{ role: 'user', content: prompt }]
+  }, requestOptions);
+  return { text: response.data.message?.content, usage: extractUsage(response.data) };
+}
+
+/**
+ * Send a prompt to the API of a provider's type
+ * Dispatches on provider_type using the provider's stored endpoint, model
+ * and key.
+ * @returns {Promise<{text: string|undefined, usage: Object|null}>}
+ */
+async function sendPrompt(provider, prompt, options) {
+  const apiKey = getApiKeyForProvider(provider);
+  if (!apiKey && !KEYLESS_PROVIDER_TYPES.includes(provider.provider_type)) {
+    throw new Error('API key not configured');
+  }
+
+  const providerConfig = parseProviderConfig(provider);
+  const responseSchema = providerConfig.structured_output ? options.responseSchema : undefined;
+
+  switch (provider.provider_type) {
+    case 'gemini':
+      return callGemini(prompt, apiKey, provider.api_endpoint || GEMINI_ENDPOINT, providerConfig, responseSchema);
+
+    case 'grok':
+      return callChatCompletions(
+        { ...provider, api_endpoint: provider.api_endpoint || GROK_ENDPOINT },
+        prompt,
+        apiKey,
+        { defaultModel: GROK_MODEL, defaultTemperature: GROK_TEMPERATURE, responseSchema }
+      );
+
+    case 'openai':
+      return callChatCompletions(provider, prompt, apiKey, { responseSchema });
+
+    case 'anthropic':
+      return callAnthropic(provider, prompt, apiKey, responseSchema);
+
+    case 'local':
+      return callLocal(provider, prompt, apiKey, responseSchema);
+
+    case 'custom': {
+      const apiStyle = providerConfig.api_style || 'openai';
+      if (apiStyle === 'anthropic') {
+        if (!apiKey) throw new Error('API key not configured');
+        return callAnthropic(provider, prompt, apiKey, responseSchema);
+      }
+      if (apiStyle !== 'openai') {
+        throw new Error(`Unknown api_style '${apiStyle}' for provider ${provider.name}`);
+      }
+      return callChatCompletions(provider, prompt, apiKey, { responseSchema });
+    }
+
+    case 'mock':
+      return mockProvider.respond(provider, options);
+
+    default:
+      throw new Error(`Provider type '${provider.provider_type}' is not supported`);
+  }
+}
+
+/**
+ * Send a prompt to a provider and return the generated text
+ * Retried on transient failures; every attempt is recorded with its usage,
+ * whether it succeeds or not.
+ * @param {Object} provider - llm_providers row
+ * @param {string} prompt - Full prompt
+ * @param {Object} [options]
+ * @param {Object} [options.responseSchema] - JSON Schema for the response, used
+ *   when the provider has structured_output enabled
+ * @param {Object} [options.usage] - What the call is for: { botId, source, purpose } (see llmUsage.recordCall)
+ * @param {Array<Object>} [options.markets] - Market data of the turn, for mock providers
+ * @returns {Promise<string|undefined>}
+ */
+async function callProvider(provider, prompt, options = {}) {
+  return providerHealth.callWithRetries(provider, parseProviderConfig(provider), async () => {
+    const start = Date.now();
+    try {
+      const { text, usage } = await sendPrompt(provider, prompt, options);
+      llmUsage.recordCall(provider, options.usage, { prompt, response: text, usage, latencyMs: Date.now() - start });
+      return text;
+    } catch (error) {
+      llmUsage.recordCall(provider, options.usage, { prompt, latencyMs: Date.now() - start, error });
+      throw error;
+    }
+  });
+}
+
+/**
+ * How a provider's bots call tools: 'native' or 'text'
+ */
+function getToolProtocol(provider) {
+  const { tool_protocol: protocol } = parseProviderConfig(provider);
+  if (protocol) return protocol;
+  return ['local', 'mock'].includes(provider.provider_type) ? 'text' : 'native';
+}
+
+/**
+ * Parse tool call arguments sent as a JSON string
+ */
+function parseToolArguments(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Tool-calling conversation as chat completions messages
+ * See callProviderWithTools for the provider-neutral message format.
+ */
+function toChatCompletionsMessages(messages) {
+  return messages.flatMap(message => {
+    if (message.role === 'tool') {
+      return message.results.map(r => ({ role: 'tool', tool_call_id: r.id, content: r.content }));
+    }
+    if (message.role === 'assistant' && message.toolCalls?.length > 0) {
+      return [{
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+        }))
+      }];
+    }
+    return [{ role: message.role, content: message.content || '' }];
+  });
+}
+
+/**
+ * Tool-calling turn on an OpenAI-style chat completions endpoint
+ */
+async function callChatCompletionsWithTools(provider, messages, tools, apiKey, { toolChoice, defaultModel, defaultTemperature, timeoutMs }) {
+  const providerConfig = parseProviderConfig(provider);
+  const model = provider.model_name || defaultModel;
+  if (!model) {
+    throw new Error(`Provider ${provider.name} has no model name configured`);
+  }
+
+  const body = {
+    model,
+    messages: toChatCompletionsMessages(messages),
+    tools: tools.map(tool => ({ type: 'function', function: tool })),
+    tool_choice: toolChoice,
+    stream: false
+  };
+  const temperature = providerConfig.temperature ?? defaultTemperature;
+  if (temperature !== undefined) body.temperature = temperature;
+  if (providerConfig.max_tokens !== undefined) body.max_tokens = providerConfig.max_tokens;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const response = await axios.post(provider.api_endpoint, body, {
+    headers,
+    timeout: providerConfig.timeout_ms || timeoutMs || HOSTED_TIMEOUT_MS
+  });
+  const message = response.data.choices?.[0]?.message || {};
+  return {
+    text: message.content || '',
+    usage: extractUsage(response.data),
+    toolCalls: (message.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function?.name,
+      arguments: parseToolArguments(call.function?.arguments)
+    }))
+  };
+}
+
+/**
+ * Tool-calling turn on the Anthropic messages API
+ */
+async function callAnthropicWithTools(provider, messages, tools, apiKey, { toolChoice }) {
+  if (!provider.model_name) {
+    throw new Error(`Provider ${provider.name} has no model name configured`);
+  }
+
+  const providerConfig = parseProviderConfig(provider);
+  const body = {
+    model: provider.model_name,
+    max_tokens: providerConfig.max_tokens || ANTHROPIC_MAX_TOKENS,
+    messages: messages.map(message => {
+      if (message.role === 'tool') {
+        return {
+          role: 'user',
+          content: message.results.map(r => ({ type: 'tool_result', tool_use_id: r.id, content: r.content }))
+        };
+      }
+      if (message.role === 'assistant') {
+        return {
+          role: 'assistant',
+          content: [
+            ...(message.content ? [{ type: 'text', text: message.content }] : []),
+            ...(message.toolCalls || []).map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments }))
+          ]
+        };
+      }
+      return { role: 'user', content: message.content };
+    }),
+    tools: tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters })),
+    tool_choice: { type: toolChoice }
+  };
+  if (providerConfig.temperature !== undefined) body.temperature = providerConfig.temperature;
+
+  const response = await axios.post(provider.api_endpoint, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': ANTHROPIC_VERSION
+    },
+    timeout: providerConfig.timeout_ms || HOSTED_TIMEOUT_MS
+  });
+
+  const blocks = response.data.content || [];
+  return {
+    text: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+    toolCalls: blocks
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+    usage: extractUsage(response.data)
+  };
+}
+
+/**
+ * Tool-calling turn on Gemini generateContent
+ * Gemini has no call IDs; a model turn is sent back with its original parts.
+ */
+async function callGeminiWithTools(provider, messages, tools, apiKey, { toolChoice }) {
+  const providerConfig = parseProviderConfig(provider);
+  const generationConfig = {};
+  if (providerConfig.temperature !== undefined) generationConfig.temperature = providerConfig.temperature;
+  if (providerConfig.max_tokens !== undefined) generationConfig.maxOutputTokens = providerConfig.max_tokens;
+
+  const contents = messages.map(message => {
+    if (message.role === 'tool') {
+      return {
+        role: 'user',
+        parts: message.results.map(r => ({ functionResponse: { name: r.name, response: { content: r.content } } }))
+      };
+    }
+    if (message.role === 'assistant') {
+      return {
+        role: 'model',
+        parts: message.raw || [
+          ...(message.content ? [{ text: message.content }] : []),
+          ...(message.toolCalls || []).map(call => ({ functionCall: { name: call.name, args: call.arguments } }))
+        ]
+      };
+    }
+    return { role: 'user', parts: [{ text: message.content }] };
+  });
+
+  const functionDeclarations = tools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    // Gemini rejects object schemas without properties
+    ...(Object.keys(tool.parameters.properties || {}).length > 0 && { parameters: toGeminiSchema(tool.parameters) })
+  }));
+
+  const response = await axios.post(
+    provider.api_endpoint || GEMINI_ENDPOINT,
+    {
+      contents,
+      tools: [{ functionDeclarations }],
+      toolConfig: { functionCallingConfig: { mode: toolChoice === 'none' ? 'NONE' : 'AUTO' } },
+      generationConfig
+    },
+    {
+      params: { key: apiKey },
+      headers: { 'Content-Type': 'application/json' },
+      timeout: providerConfig.timeout_ms || HOSTED_TIMEOUT_MS
+    }
+  );
+
+  const parts = response.data.candidates?.[0]?.content?.parts || [];
+  return {
+    text: parts.filter(part => part.text).map(part => part.text).join(''),
+    toolCalls: parts
+      .filter(part => part.functionCall)
+      .map((part, i) => ({ id: `call_${i}`, name: part.functionCall.name, arguments: part.functionCall.args || {} })),
+    raw: parts,
+    usage: extractUsage(response.data)
+  };
+}
+
+/**
+ * Send one tool-calling step to the API of a provider's type
+ */
+async function sendToolStep(provider, messages, tools, toolChoice) {
+  const apiKey = getApiKeyForProvider(provider);
+  if (!apiKey && !KEYLESS_PROVIDER_TYPES.includes(provider.provider_type)) {
+    throw new Error('API key not configured');
+  }
+
+  const providerConfig = parseProviderConfig(provider);
+  const options = { toolChoice };
+
+  switch (provider.provider_type) {
+    case 'gemini':
+      return callGeminiWithTools(provider, messages, tools, apiKey, options);
+
+    case 'grok':
+      return callChatCompletionsWithTools(
+        { ...provider, api_endpoint: provider.api_endpoint || GROK_ENDPOINT },
+        messages,
+        tools,
+        apiKey,
+        { ...options, defaultModel: GROK_MODEL, defaultTemperature: GROK_TEMPERATURE }
+      );
+
+    case 'openai':
+      return callChatCompletionsWithTools(provider, messages, tools, apiKey, options);
+
+    case 'anthropic':
+      return callAnthropicWithTools(provider, messages, tools, apiKey, options);
+
+    case 'local': {
+      const apiStyle = getLocalApiStyle(provider, providerConfig);
+      if (apiStyle !== 'openai') {
+        throw new Error(`Native tool calling needs api_style 'openai' for provider ${provider.name}; use tool_protocol 'text'`);
+      }
+      return callChatCompletionsWithTools(provider, messages, tools, apiKey, { ...options, timeoutMs: LOCAL_TIMEOUT_MS });
+    }
+
+    case 'custom': {
+      const apiStyle = providerConfig.api_style || 'openai';
+      if (apiStyle === 'anthropic') {
+        if (!apiKey) throw new Error('API key not configured');
+        return callAnthropicWithTools(provider, messages, tools, apiKey, options);
+      }
+      if (apiStyle !== 'openai') {
+        throw new Error(`Unknown api_style '${apiStyle}' for provider ${provider.name}`);
+      }
+      return callChatCompletionsWithTools(provider, messages, tools, apiKey, options);
+    }
+
+    case 'mock':
+      throw new Error(`Mock provider ${provider.name} has no native tool calling; use tool_protocol 'text'`);
+
+    default:
+      throw new Error(`Provider type '${provider.provider_type}' is not supported`);
+  }
+}
+
+/**
+ * Send one step of a tool-calling conversation with the provider's native
+ * function calling
+ *
+ * Messages use a provider-neutral format:
+ *   { role: 'user', content }
+ *   { role: 'assistant', content, toolCalls: [{ id, name, arguments }], raw }
+ *   { role: 'tool', results: [{ id, name, content }] }
+ * where raw is the provider's own form of the assistant turn, when it needs
+ * it back. Structured output is not applied to tool-calling turns. Retried and
+ * recorded like callProvider.
+ * @param {Object} provider - llm_providers row
+ * @param {Array<Object>} messages - Conversation so far
+ * @param {Array<{name: string, description: string, parameters: Object}>} tools - Tools with JSON Schema parameters
+ * @param {Object} [options]
+ * @param {string} [options.toolChoice] - 'auto', or 'none' to force a final answer
+ * @param {Object} [options.usage] - What the call is for, as for callProvider
+ * @returns {Promise<{text: string, toolCalls: Array<{id: string, name: string, arguments: Object}>, raw?: any, usage: Object|null}>}
+ */
+async function callProviderWithTools(provider, messages, tools, { toolChoice = 'auto', usage } = {}) {
+  const prompt = JSON.stringify(messages);
+  return providerHealth.callWithRetries(provider, parseProviderConfig(provider), async () => {
+    const start = Date.now();
+    try {
+      const reply = await sendToolStep(provider, messages, tools, toolChoice);
+      llmUsage.recordCall(provider, usage, { prompt, response: reply.text, usage: reply.usage, latencyMs: Date.now() - start });
+      return reply;
+    } catch (error) {
+      llmUsage.recordCall(provider, usage, { prompt, latencyMs: Date.now() - start, error });
+      throw error;
+    }
+  });
+}
+
+/**
+ * Parse an LLM response into a list of non-HOLD decisions
+ * Accepts a bare JSON array, text with an embedded array, or an object
+ * wrapping the array (JSON modes that only allow objects produce these).
+ * @param {string} text - Raw model output
+ * @returns {Array} Decisions
+ */
+function parseDecisions(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    const match = text.match(/(\[[\s\S]*\])/);
+    if (!match) {
+      throw new Error('No JSON array found in response');
+    }
+    parsed = JSON.parse(match[0]);
+  }
+
+  if (!Array.isArray(parsed) && parsed && typeof parsed === 'object') {
+    if (Array.isArray(parsed.decisions)) {
+      parsed = parsed.decisions;
+    } else if (parsed.action) {
+      parsed = [parsed];
+    }
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw new Error('Response is not a JSON array');
+  }
+
+  // Models write HOLD in any case; a hold is not a decision, so it is not checked
+  return parsed.filter(d => d && !(typeof d.action === 'string' && d.action.trim().toUpperCase() === 'HOLD'));
+}
+
+/**
+ * Get trading decisions for a prompt from a bot's provider
+ * Never throws; failures are reported via the error field.
+ * @param {number} providerId - llm_providers.id of the bot's provider
+ * @param {string} prompt - Full prompt
+ * @param {Object} [options] - Passed to callProvider
+ * @returns {Promise<{decisions: Array, rawResponse: string|null, error?: string}>}
+ */
+async function getTradingDecision(providerId, prompt, options = {}) {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    return { decisions: [], rawResponse: null, error: `Provider ${providerId} not found` };
+  }
+
+  const label = provider.name;
+  let rawResponse = null;
+
+  try {
+    rawResponse = await callProvider(provider, prompt, options) || null;
+
+    if (!rawResponse || !rawResponse.trim()) {
+      return { decisions: [], rawResponse, error: `Empty response from ${label}` };
+    }
+
+    try {
+      return { decisions: parseDecisions(rawResponse.trim()), rawResponse };
+    } catch (parseError) {
+      return { decisions: [], rawResponse, error: `JSON parse error: ${parseError.message}` };
+    }
+  } catch (error) {
+    const message = error.response?.data?.error?.message || error.response?.data?.error || error.message;
+    return { decisions: [], rawResponse, error: `${label} API error: ${message}` };
+  }
+}
+
+module.exports = {
+  GEMINI_MODEL,
+  getActiveProvider,
+  getProviderApiKey,
+  getApiKeyForProvider,
+  callGemini,
+  callGrok,
+  callChatCompletions,
+  callAnthropic,
+  callLocal,
+  extractUsage,
+  callProvider,
+  getToolProtocol,
+  callProviderWithTools,
+  parseDecisions,
+  getTradingDecision
+};
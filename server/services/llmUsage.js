@@ -0,0 +1,271 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const db = require('../database/relational');
+
+/**
+ * LLM Usage Accounting
+ *
+ * Every provider call made through llmService is recorded in llm_calls with
+ * its prompt and completion tokens, estimated cost, latency and outcome.
+ * Tokens come from the usage the API reports; when it reports none they are
+ * estimated from the text length and the row is flagged.
+ *
+ * Costs use the provider's own prices (llm_providers.input_price_per_mtok and
+ * output_price_per_mtok, USD per million tokens) or, when those are empty,
+ * the built-in price of its model below. Local and mock providers cost
+ * nothing. Calls to a model without a known price are recorded without a
+ * cost.
+ *
+ * Each call says what it was for:
+ *   botId   - the bot it was made for; experiment variants count as their base bot
+ *   source  - 'arena', 'backtest', 'experiment' or 'api' (outside the engines)
+ *   purpose - 'decision', 'repair', 'judge', 'reflection', 'summary', 'test' or 'proxy'
+ *
+ * A bot's daily and monthly budgets cap the estimated cost of its arena calls
+ * per UTC day and calendar month; the trading engine pauses a bot that
+ * reaches one (see TradingEngine.checkBudget).
+ */
+
+const CHARS_PER_TOKEN = 4; // Same rough estimate as the memory digest
+const SOURCES = ['arena', 'backtest', 'experiment', 'api'];
+const MAX_ERROR_CHARS = 500;
+const DAY_MS = 86400000;
+
+// List prices in USD per million tokens (input, output), matched against the
+// start of the model name. More specific names come first. Set the prices on
+// a provider to override them or to price a model missing here.
+const MODEL_PRICES = [
+  ['gemini-2.5-flash-lite', 0.10, 0.40],
+  ['gemini-2.5-flash', 0.30, 2.50],
+  ['gemini-2.5-pro', 1.25, 10],
+  ['gemini-2.0-flash', 0.10, 0.40],
+  ['grok-3-mini', 0.30, 0.50],
+  ['grok-3', 3, 15],
+  ['grok-4', 3, 15],
+  ['gpt-4o-mini', 0.15, 0.60],
+  ['gpt-4o', 2.50, 10],
+  ['gpt-4.1-nano', 0.10, 0.40],
+  ['gpt-4.1-mini', 0.40, 1.60],
+  ['gpt-4.1', 2, 8],
+  ['claude-3-5-haiku', 0.80, 4],
+  ['claude-haiku-4', 1, 5],
+  ['claude-sonnet-4', 3, 15],
+  ['claude-opus-4', 15, 75]
+];
+
+/**
+ * Approximate number of tokens in a text
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Model a provider calls; Gemini may carry it in the endpoint URL only
+ */
+function getModelName(provider) {
+  if (provider.model_name) return provider.model_name;
+  return provider.api_endpoint?.match(/models\/([^:/]+):/)?.[1] || null;
+}
+
+/**
+ * Token prices of a provider
+ * @param {Object} provider - llm_providers row
+ * @returns {{input: number, output: number, builtIn: boolean}|null} USD per million tokens, or null when unknown
+ */
+function getPrices(provider) {
+  if (provider.input_price_per_mtok != null || provider.output_price_per_mtok != null) {
+    return { input: provider.input_price_per_mtok || 0, output: provider.output_price_per_mtok || 0, builtIn: false };
+  }
+  if (provider.provider_type === 'local' || provider.provider_type === 'mock') {
+    return { input: 0, output: 0, builtIn: true };
+  }
+
+  const model = (getModelName(provider) || '').toLowerCase();
+  const match = MODEL_PRICES.find(([prefix]) => model.startsWith(prefix));
+  return match ? { input: match[1], output: match[2], builtIn: true } : null;
+}
+
+/**
+ * Estimated cost of a call in USD, or null without a known price
+ */
+function estimateCost(provider, promptTokens, completionTokens) {
+  const prices = getPrices(provider);
+  if (!prices) return null;
+  return (promptTokens * prices.input + completionTokens * prices.output) / 1e6;
+}
+
+/**
+ * Record a provider call
+ * Never throws; accounting must not break a turn.
+ * @param {Object|null} provider - llm_providers row; null for the environment key fallback
+ * @param {Object} [context] - What the call was for
+ * @param {string} [context.botId]
+ * @param {string} [context.source] - Defaults to 'api'
+ * @param {string} [context.purpose] - Defaults to 'other'
+ * @param {Object} call
+ * @param {string} [call.prompt] - Text sent, for the estimate when the API reports no usage
+ * @param {string} [call.response] - Text received, likewise
+ * @param {{promptTokens: number, completionTokens: number}|null} [call.usage] - Usage reported by the API
+ * @param {number} call.latencyMs
+ * @param {Error} [call.error] - Set when the call failed
+ */
+function recordCall(provider, context = {}, { prompt, response, usage, latencyMs, error }) {
+  try {
+    const estimated = !usage && !error;
+    const promptTokens = usage?.promptTokens ?? (error ? 0 : estimateTokens(prompt));
+    const completionTokens = usage?.completionTokens ?? (error ? 0 : estimateTokens(response));
+    const timedOut = error && (error.code === 'ECONNABORTED' || /timeout/i.test(error.message));
+    const message = error && (error.response?.data?.error?.message || error.message);
+
+    db.createLlmCall({
+      bot_id: context.botId,
+      provider_id: provider?.id,
+      model_name: provider ? getModelName(provider) : null,
+      source: SOURCES.includes(context.source) ? context.source : 'api',
+      purpose: context.purpose || 'other',
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      tokens_estimated: estimated,
+      cost_usd: provider ? estimateCost(provider, promptTokens, completionTokens) : null,
+      latency_ms: latencyMs,
+      outcome: timedOut ? 'timeout' : error ? 'error' : 'success',
+      error: message ? String(message).slice(0, MAX_ERROR_CHARS) : null
+    });
+  } catch (recordError) {
+    console.error('   ❌ Failed to record LLM call:', recordError.message);
+  }
+}
+
+// ============================================================================
+// BUDGETS
+// ============================================================================
+
+/**
+ * Start of the UTC day and calendar month of a time, as ISO strings
+ */
+function getBudgetPeriods(now) {
+  const date = new Date(now);
+  return {
+    dayStart: new Date(Math.floor(now / DAY_MS) * DAY_MS).toISOString(),
+    monthStart: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)).toISOString()
+  };
+}
+
+/**
+ * A bot's estimated arena spending today and this month
+ * @param {number} [now] - Unix ms
+ * @returns {{today: number, month: number}} USD
+ */
+function getBotSpend(botId, now = Date.now()) {
+  const { dayStart, monthStart } = getBudgetPeriods(now);
+  return {
+    today: db.getLlmSpend(botId, dayStart, 'arena'),
+    month: db.getLlmSpend(botId, monthStart, 'arena')
+  };
+}
+
+/**
+ * Check a bot's arena spending against its budgets
+ * @param {{daily: number|null, monthly: number|null}} budget - USD
+ * @param {number} [now] - Unix ms
+ * @returns {string|null} Which budget was reached, or null when within budget
+ */
+function checkBudget(botId, { daily, monthly }, now = Date.now()) {
+  if (!daily && !monthly) return null;
+
+  const spend = getBotSpend(botId, now);
+  if (daily && spend.today >= daily) {
+    return `spent $${spend.today.toFixed(2)} on its provider today, reaching the $${daily.toFixed(2)} daily budget`;
+  }
+  if (monthly && spend.month >= monthly) {
+    return `spent $${spend.month.toFixed(2)} on its provider this month, reaching the $${monthly.toFixed(2)} monthly budget`;
+  }
+  return null;
+}
+
+/**
+ * Check a budget value from the API
+ * @returns {string|null} What is wrong with it, or null when valid
+ */
+function checkBudgetValue(value) {
+  if (value === null || value === undefined) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    return 'Budget must be a positive amount in USD, or empty for no budget';
+  }
+  return null;
+}
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+/**
+ * Usage and spending over the last days, grouped by day, bot, provider and
+ * purpose, with every budgeted bot's spending against its budgets
+ * @param {Object} [options]
+ * @param {number} [options.days] - Days back, including today
+ * @param {string} [options.botId] - Only this bot's calls
+ * @param {string} [options.source] - Only calls from this source
+ */
+function getUsageReport({ days = 30, botId, source } = {}) {
+  const now = Date.now();
+  const since = new Date(Math.floor(now / DAY_MS) * DAY_MS - (days - 1) * DAY_MS).toISOString();
+  const filters = { since, bot_id: botId, source };
+
+  const bots = new Map(db.getBots().map(b => [b.id, b]));
+  const providers = new Map(db.getProviders().map(p => [p.id, p]));
+  const withKey = (name, rows) => rows.map(({ key, ...row }) => ({ [name]: key, ...row }));
+
+  const totals = db.getLlmUsage('all', filters).map(({ key, ...row }) => row)[0]
+    || { calls: 0, failures: 0, timeouts: 0, prompt_tokens: 0, completion_tokens: 0, estimated_calls: 0, cost_usd: 0, unpriced_calls: 0, avg_latency_ms: null, max_latency_ms: null };
+
+  const budgets = [...bots.values()]
+    .filter(b => (!botId || b.id === botId) && (b.llm_daily_budget_usd || b.llm_monthly_budget_usd))
+    .map(b => {
+      const spend = getBotSpend(b.id, now);
+      return {
+        bot_id: b.id,
+        bot_name: b.name,
+        is_paused: Boolean(b.is_paused),
+        daily_budget_usd: b.llm_daily_budget_usd,
+        monthly_budget_usd: b.llm_monthly_budget_usd,
+        today_usd: spend.today,
+        month_usd: spend.month
+      };
+    });
+
+  return {
+    since,
+    days,
+    totals,
+    byDay: withKey('day', db.getLlmUsage('day', filters)),
+    byBot: withKey('bot_id', db.getLlmUsage('bot', filters))
+      .map(row => ({ ...row, bot_name: bots.get(row.bot_id)?.name || row.bot_id }))
+      .sort((a, b) => b.cost_usd - a.cost_usd),
+    byProvider: withKey('provider_id', db.getLlmUsage('provider', filters))
+      .map(row => {
+        const provider = providers.get(row.provider_id);
+        return { ...row, provider_name: provider?.name || null, model_name: provider ? getModelName(provider) : null, prices: provider ? getPrices(provider) : null };
+      })
+      .sort((a, b) => b.cost_usd - a.cost_usd),
+    byPurpose: withKey('purpose', db.getLlmUsage('purpose', filters)),
+    budgets
+  };
+}
+
+module.exports = {
+  MODEL_PRICES,
+  estimateTokens,
+  getPrices,
+  estimateCost,
+  recordCall,
+  getBotSpend,
+  checkBudget,
+  checkBudgetValue,
+  getUsageReport
+};
@@ -0,0 +1,752 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { createHmacSha256Signature } = require('./exchanges/binanceFutures');
+const { leverageLimits } = require('./leverageLimits');
+const { KLINE_INTERVALS, aggregateKlines } = require('./klines');
+
+/**
+ * Mock Futures Exchange
+ *
+ * An in-memory USDⓈ-M futures venue that speaks the subset of the
+ * Binance-style /fapi API the exchange adapters use, so live ("real") bots can
+ * run end to end without touching real money. Run it with
+ * `npm run mock-exchange` and give bots a wallet on the `mock` exchange.
+ *
+ * - Signed endpoints check the X-MBX-APIKEY header, the timestamp and the
+ *   HMAC-SHA256 signature exactly like the real API, and answer with the
+ *   same {code, msg} errors.
+ * - Each API key has its own account: one-way positions per symbol, cross
+ *   margin, per-symbol leverage, open orders and trade history.
+ * - MARKET orders fill at the current price with a taker fee.
+ *   STOP_MARKET / TAKE_PROFIT_MARKET orders wait and fill when the price
+ *   crosses their stopPrice. Positions are liquidated when the price crosses
+ *   their (isolated-style, approximate) liquidation price.
+ * - Prices come from a configurable feed: `random_walk`, `follow` (copy a real
+ *   exchange's prices) or `manual` (only POST /mock/prices moves them).
+ *
+ * State lives in memory and is lost on restart. The /mock/* control
+ * endpoints are unauthenticated, so only bind the server to localhost.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_SAMPLE_MS = 60 * 1000;
+const DEFAULT_LEVERAGE = 20;
+
+const DEFAULT_CONFIG = {
+  accounts: [{ apiKey: 'mock-api-key', apiSecret: 'mock-api-secret', balance: 10000 }],
+  symbols: {
+    BTCUSDT: { price: 100000, quantityPrecision: 3, pricePrecision: 1 },
+    ETHUSDT: { price: 3500, quantityPrecision: 3, pricePrecision: 2 },
+    SOLUSDT: { price: 180, quantityPrecision: 2, pricePrecision: 3 },
+    BNBUSDT: { price: 650, quantityPrecision: 2, pricePrecision: 2 },
+    DOGEUSDT: { price: 0.2, quantityPrecision: 0, pricePrecision: 5 },
+    XRPUSDT: { price: 2.5, quantityPrecision: 1, pricePrecision: 4 }
+  },
+  feeRate: 0.0005,
+  maintenanceMarginRate: 0.005,
+  recvWindowMs: 5000,
+  priceFeed: {
+    type: 'random_walk', // 'random_walk', 'follow' or 'manual'
+    intervalMs: 1000,
+    volatility: 0.0005, // Standard deviation of each random-walk step
+    exchange: 'asterdex' // Exchange copied by the 'follow' feed
+  }
+};
+
+/**
+ * Error answered as {code, msg} like the real API
+ */
+function exchangeError(code, msg, status = 400) {
+  const error = new Error(msg);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+/**
+ * Standard normal random number (Box-Muller)
+ */
+function randomNormal() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// ============================================================================
+// EXCHANGE STATE
+// ============================================================================
+
+class MockExchange {
+  /**
+   * @param {Object} [config] - Overrides for DEFAULT_CONFIG
+   */
+  constructor(config = {}) {
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...config,
+      priceFeed: { ...DEFAULT_CONFIG.priceFeed, ...config.priceFeed }
+    };
+    this.symbols = new Map(Object.entries(this.config.symbols).map(([symbol, info]) => [
+      symbol,
+      { maxLeverage: leverageLimits.get(symbol) ?? 25, ...info }
+    ]));
+    this.feedTimer = null;
+    this.reset();
+  }
+
+  /**
+   * Restore starting prices and fresh accounts
+   */
+  reset() {
+    this.nextId = 1;
+    this.prices = new Map();
+    this.history = new Map();
+    for (const [symbol, info] of this.symbols) {
+      this.prices.set(symbol, info.price);
+      this.history.set(symbol, [{ time: Date.now(), price: info.price }]);
+    }
+    this.accounts = new Map();
+    for (const account of this.config.accounts) {
+      this.createAccount(account);
+    }
+  }
+
+  /**
+   * Add an account, replacing any account with the same API key
+   */
+  createAccount({ apiKey, apiSecret, balance = 10000 }) {
+    const account = {
+      apiKey,
+      apiSecret,
+      walletBalance: balance,
+      positions: new Map(), // symbol -> {amount (signed), entryPrice}
+      leverage: new Map(),
+      orders: new Map(),
+      trades: []
+    };
+    this.accounts.set(apiKey, account);
+    return account;
+  }
+
+  getSymbolInfo(symbol) {
+    const info = this.symbols.get(symbol);
+    if (!info) throw exchangeError(-1121, 'Invalid symbol.');
+    return info;
+  }
+
+  // ==========================================================================
+  // PRICE FEED
+  // ==========================================================================
+
+  /**
+   * Start moving prices with the configured feed
+   */
+  start() {
+    const { type, intervalMs } = this.config.priceFeed;
+    if (type === 'manual' || this.feedTimer) return;
+
+    this.feedTimer = setInterval(() => {
+      this.tickFeed().catch(error => console.warn('⚠️  Mock exchange price feed failed:', error.message));
+    }, intervalMs);
+  }
+
+  stop() {
+    if (this.feedTimer) {
+      clearInterval(this.feedTimer);
+      this.feedTimer = null;
+    }
+  }
+
+  async tickFeed() {
+    const { type, volatility, exchange } = this.config.priceFeed;
+
+    if (type === 'random_walk') {
+      for (const [symbol, price] of this.prices) {
+        this.setPrice(symbol, price * (1 + randomNormal() * volatility));
+      }
+    } else if (type === 'follow') {
+      // Loaded lazily: only this feed needs the adapters (and the database)
+      const { getExchange } = require('./exchanges');
+      const markets = await getExchange(exchange).getMarketData([...this.symbols.keys()]);
+      markets.forEach(m => this.setPrice(m.symbol, m.price));
+    }
+  }
+
+  /**
+   * Move a symbol's price, then fill triggered orders and liquidations
+   */
+  setPrice(symbol, price) {
+    const info = this.getSymbolInfo(symbol);
+    if (!(price > 0)) throw exchangeError(-1013, `Invalid price for ${symbol}.`);
+
+    const rounded = round(price, info.pricePrecision) || price;
+    const now = Date.now();
+    this.prices.set(symbol, rounded);
+
+    const history = this.history.get(symbol);
+    if (now - history[history.length - 1].time >= HISTORY_SAMPLE_MS) {
+      history.push({ time: now, price: rounded });
+    }
+    while (history.length > 1 && history[1].time <= now - DAY_MS) {
+      history.shift();
+    }
+
+    for (const account of this.accounts.values()) {
+      this.checkTriggers(account, symbol);
+      this.checkLiquidation(account, symbol);
+    }
+  }
+
+  // ==========================================================================
+  // ACCOUNT VIEWS
+  // ==========================================================================
+
+  getLeverage(account, symbol) {
+    return account.leverage.get(symbol) ?? Math.min(DEFAULT_LEVERAGE, this.getSymbolInfo(symbol).maxLeverage);
+  }
+
+  getUnrealizedPnl(account, symbol) {
+    const position = account.positions.get(symbol);
+    if (!position || position.amount === 0) return 0;
+    return (this.prices.get(symbol) - position.entryPrice) * position.amount;
+  }
+
+  getLiquidationPrice(account, symbol) {
+    const position = account.positions.get(symbol);
+    if (!position || position.amount === 0) return 0;
+    const leverage = this.getLeverage(account, symbol);
+    const { maintenanceMarginRate } = this.config;
+    return position.amount > 0
+      ? position.entryPrice * (1 - 1 / leverage + maintenanceMarginRate)
+      : position.entryPrice * (1 + 1 / leverage - maintenanceMarginRate);
+  }
+
+  /**
+   * Margin, unrealized PnL and what is left to open new positions
+   */
+  getMarginSummary(account) {
+    let unrealizedPnl = 0;
+    let initialMargin = 0;
+    for (const [symbol, position] of account.positions) {
+      if (position.amount === 0) continue;
+      unrealizedPnl += this.getUnrealizedPnl(account, symbol);
+      initialMargin += Math.abs(position.amount) * this.prices.get(symbol) / this.getLeverage(account, symbol);
+    }
+    return {
+      unrealizedPnl,
+      initialMargin,
+      availableBalance: account.walletBalance + unrealizedPnl - initialMargin
+    };
+  }
+
+  getBalance(account) {
+    const { unrealizedPnl, availableBalance } = this.getMarginSummary(account);
+    return [{
+      accountAlias: 'mock',
+      asset: 'USDT',
+      balance: account.walletBalance.toFixed(8),
+      crossWalletBalance: account.walletBalance.toFixed(8),
+      crossUnPnl: unrealizedPnl.toFixed(8),
+      availableBalance: Math.max(0, availableBalance).toFixed(8),
+      maxWithdrawAmount: Math.max(0, availableBalance).toFixed(8),
+      marginAvailable: true,
+      updateTime: Date.now()
+    }];
+  }
+
+  getPositionRisk(account) {
+    return [...this.symbols.entries()].map(([symbol, info]) => {
+      const position = account.positions.get(symbol) || { amount: 0, entryPrice: 0 };
+      const markPrice = this.prices.get(symbol);
+      return {
+        symbol,
+        positionAmt: position.amount.toFixed(info.quantityPrecision),
+        entryPrice: position.entryPrice.toFixed(info.pricePrecision),
+        markPrice: markPrice.toFixed(info.pricePrecision),
+        unRealizedProfit: this.getUnrealizedPnl(account, symbol).toFixed(8),
+        liquidationPrice: this.getLiquidationPrice(account, symbol).toFixed(info.pricePrecision),
+        leverage: String(this.getLeverage(account, symbol)),
+        maxNotionalValue: '1000000000',
+        marginType: 'cross',
+        isolatedMargin: '0.00000000',
+        isAutoAddMargin: 'false',
+        positionSide: 'BOTH',
+        notional: (position.amount * markPrice).toFixed(8),
+        updateTime: Date.now()
+      };
+    });
+  }
+
+  getTicker24hr(symbol) {
+    const symbols = symbol ? [symbol] : [...this.symbols.keys()];
+    return symbols.map(s => {
+      const info = this.getSymbolInfo(s);
+      const history = this.history.get(s);
+      const lastPrice = this.prices.get(s);
+      const openPrice = history[0].price;
+      const prices = [...history.map(h => h.price), lastPrice];
+      return {
+        symbol: s,
+        priceChange: (lastPrice - openPrice).toFixed(info.pricePrecision),
+        priceChangePercent: (((lastPrice - openPrice) / openPrice) * 100).toFixed(3),
+        lastPrice: lastPrice.toFixed(info.pricePrecision),
+        openPrice: openPrice.toFixed(info.pricePrecision),
+        highPrice: Math.max(...prices).toFixed(info.pricePrecision),
+        lowPrice: Math.min(...prices).toFixed(info.pricePrecision),
+        volume: '0',
+        quoteVolume: '0',
+        openTime: history[0].time,
+        closeTime: Date.now()
+      };
+    });
+  }
+
+  /**
+   * Candles built from the one-minute price samples of the last 24h
+   * @returns {Array<Array>} Rows in the /fapi/v1/klines array layout
+   */
+  getKlines(symbol, interval, limit = 500) {
+    const info = this.getSymbolInfo(symbol);
+    if (!KLINE_INTERVALS[interval]) throw exchangeError(-1120, 'Invalid interval.');
+
+    const samples = [...this.history.get(symbol), { time: Date.now(), price: this.prices.get(symbol) }];
+    return aggregateKlines(samples, { symbol, interval, limit: Math.min(Number(limit) || 500, 1500) }).map(k => [
+      k.open_time,
+      k.open.toFixed(info.pricePrecision),
+      k.high.toFixed(info.pricePrecision),
+      k.low.toFixed(info.pricePrecision),
+      k.close.toFixed(info.pricePrecision),
+      '0',
+      k.close_time
+    ]);
+  }
+
+  getExchangeInfo() {
+    return {
+      timezone: 'UTC',
+      serverTime: Date.now(),
+      symbols: [...this.symbols.entries()].map(([symbol, info]) => ({
+        symbol,
+        pair: symbol,
+        contractType: 'PERPETUAL',
+        status: 'TRADING',
+        baseAsset: symbol.replace(/USDT$/, ''),
+        quoteAsset: 'USDT',
+        marginAsset: 'USDT',
+        pricePrecision: info.pricePrecision,
+        quantityPrecision: info.quantityPrecision,
+        orderTypes: ['MARKET', 'STOP_MARKET', 'TAKE_PROFIT_MARKET']
+      }))
+    };
+  }
+
+  // ==========================================================================
+  // ORDERS
+  // ==========================================================================
+
+  setLeverage(account, symbol, leverage) {
+    const info = this.getSymbolInfo(symbol);
+    const value = Number(leverage);
+    if (!Number.isInteger(value) || value < 1 || value > info.maxLeverage) {
+      throw exchangeError(-4028, `Leverage ${leverage} is not valid`);
+    }
+    account.leverage.set(symbol, value);
+    return { symbol, leverage: value, maxNotionalValue: '1000000000' };
+  }
+
+  /**
+   * Parse and check an order quantity against the symbol's precision
+   */
+  parseQuantity(info, quantity) {
+    if (quantity === undefined) {
+      throw exchangeError(-1102, "Mandatory parameter 'quantity' was not sent, was empty/null, or malformed.");
+    }
+    const decimals = (String(quantity).split('.')[1] || '').replace(/0+$/, '').length;
+    if (decimals > info.quantityPrecision) {
+      throw exchangeError(-1111, 'Precision is over the maximum defined for this asset.');
+    }
+    const value = Number(quantity);
+    if (!(value > 0)) throw exchangeError(-4003, 'Quantity less than or equal to zero.');
+    return value;
+  }
+
+  /**
+   * POST /fapi/v1/order
+   * @param {Object} params - Binance-style order parameters (strings)
+   */
+  placeOrder(account, params) {
+    const { symbol, side, type } = params;
+    const info = this.getSymbolInfo(symbol);
+    if (side !== 'BUY' && side !== 'SELL') throw exchangeError(-1117, 'Invalid side.');
+
+    const reduceOnly = params.reduceOnly === 'true' || params.reduceOnly === true;
+    const closePosition = params.closePosition === 'true' || params.closePosition === true;
+
+    if (type === 'MARKET') {
+      const quantity = this.parseQuantity(info, params.quantity);
+      const orderId = this.nextId++;
+      const trade = this.executeMarket(account, symbol, side, quantity, { reduceOnly, orderId });
+      return this.formatOrder({
+        orderId, symbol, side, type, reduceOnly, closePosition: false, stopPrice: 0,
+        origQty: quantity, executedQty: trade.qty, avgPrice: trade.price, status: 'FILLED', time: trade.time
+      }, info);
+    }
+
+    if (type === 'STOP_MARKET' || type === 'TAKE_PROFIT_MARKET') {
+      const stopPrice = Number(params.stopPrice);
+      if (!(stopPrice > 0)) {
+        throw exchangeError(-1102, "Mandatory parameter 'stopPrice' was not sent, was empty/null, or malformed.");
+      }
+      const quantity = closePosition ? 0 : this.parseQuantity(info, params.quantity);
+      const order = {
+        orderId: this.nextId++, symbol, side, type, reduceOnly: reduceOnly || closePosition, closePosition,
+        stopPrice, origQty: quantity, executedQty: 0, avgPrice: 0, status: 'NEW', time: Date.now()
+      };
+      if (this.isTriggered(order, this.prices.get(symbol))) {
+        throw exchangeError(-2021, 'Order would immediately trigger.');
+      }
+      account.orders.set(order.orderId, order);
+      return this.formatOrder(order, info);
+    }
+
+    throw exchangeError(-1116, 'Invalid orderType.');
+  }
+
+  /**
+   * Fill a market order at the current price
+   * @returns {Object} The trade
+   */
+  executeMarket(account, symbol, side, quantity, { reduceOnly, orderId }) {
+    const info = this.getSymbolInfo(symbol);
+    const price = this.prices.get(symbol);
+    const position = account.positions.get(symbol) || { amount: 0, entryPrice: 0 };
+    const signedQty = side === 'BUY' ? quantity : -quantity;
+    const reduces = position.amount !== 0 && Math.sign(position.amount) !== Math.sign(signedQty);
+
+    let qty = quantity;
+    if (reduceOnly) {
+      if (!reduces) throw exchangeError(-2022, 'ReduceOnly Order is rejected.');
+      qty = Math.min(quantity, Math.abs(position.amount));
+    }
+
+    // Only the part that opens or adds to a position needs margin
+    const openingQty = reduces ? Math.max(0, qty - Math.abs(position.amount)) : qty;
+    if (openingQty > 0) {
+      const required = openingQty * price / this.getLeverage(account, symbol) + openingQty * price * this.config.feeRate;
+      if (required > this.getMarginSummary(account).availableBalance) {
+        throw exchangeError(-2019, 'Margin is insufficient.');
+      }
+    }
+
+    return this.fill(account, symbol, side, qty, price, orderId, info);
+  }
+
+  /**
+   * Apply a fill to the account's position, balance and trade history
+   */
+  fill(account, symbol, side, qty, price, orderId, info) {
+    const position = account.positions.get(symbol) || { amount: 0, entryPrice: 0 };
+    const signedQty = side === 'BUY' ? qty : -qty;
+    let realizedPnl = 0;
+    let entryPrice = position.entryPrice;
+
+    if (position.amount !== 0 && Math.sign(position.amount) !== Math.sign(signedQty)) {
+      const closedQty = Math.min(qty, Math.abs(position.amount));
+      realizedPnl = (price - position.entryPrice) * closedQty * Math.sign(position.amount);
+      if (qty > Math.abs(position.amount)) entryPrice = price; // Flipped to the other side
+    } else {
+      entryPrice = (Math.abs(position.amount) * position.entryPrice + qty * price) / (Math.abs(position.amount) + qty);
+    }
+
+    const amount = round(position.amount + signedQty, info.quantityPrecision);
+    account.positions.set(symbol, { amount, entryPrice: amount === 0 ? 0 : entryPrice });
+
+    const commission = qty * price * this.config.feeRate;
+    account.walletBalance += realizedPnl - commission;
+
+    const trade = {
+      id: this.nextId++,
+      orderId,
+      symbol,
+      side,
+      price,
+      qty,
+      quoteQty: qty * price,
+      realizedPnl,
+      commission,
+      commissionAsset: 'USDT',
+      leverage: this.getLeverage(account, symbol),
+      positionSide: 'BOTH',
+      buyer: side === 'BUY',
+      maker: false,
+      time: Date.now()
+    };
+    account.trades.push(trade);
+
+    // Like the real venue, closing a position cancels its reduce-only orders
+    if (amount === 0) {
+      for (const order of account.orders.values()) {
+        if (order.symbol === symbol && order.reduceOnly) account.orders.delete(order.orderId);
+      }
+    }
+
+    return trade;
+  }
+
+  isTriggered(order, price) {
+    const fallingTrigger = (order.side === 'SELL') === (order.type === 'STOP_MARKET');
+    return fallingTrigger ? price <= order.stopPrice : price >= order.stopPrice;
+  }
+
+  /**
+   * Fill the account's conditional orders on a symbol whose stop price was crossed
+   */
+  checkTriggers(account, symbol) {
+    const price = this.prices.get(symbol);
+    for (const order of [...account.orders.values()]) {
+      if (order.symbol !== symbol || !account.orders.has(order.orderId) || !this.isTriggered(order, price)) continue;
+
+      account.orders.delete(order.orderId);
+      const position = account.positions.get(symbol);
+      const quantity = order.closePosition ? Math.abs(position?.amount || 0) : order.origQty;
+      if (quantity === 0) continue;
+
+      try {
+        this.executeMarket(account, symbol, order.side, quantity, { reduceOnly: order.reduceOnly, orderId: order.orderId });
+      } catch (error) {
+        // Expired, e.g. a reduce-only order whose position is gone
+      }
+    }
+  }
+
+  /**
+   * Close a position whose liquidation price was crossed
+   */
+  checkLiquidation(account, symbol) {
+    const position = account.positions.get(symbol);
+    if (!position || position.amount === 0) return;
+
+    const price = this.prices.get(symbol);
+    const liquidationPrice = this.getLiquidationPrice(account, symbol);
+    const liquidated = position.amount > 0 ? price <= liquidationPrice : price >= liquidationPrice;
+    if (!liquidated) return;
+
+    this.fill(account, symbol, position.amount > 0 ? 'SELL' : 'BUY', Math.abs(position.amount), price, this.nextId++, this.getSymbolInfo(symbol));
+    account.walletBalance = Math.max(0, account.walletBalance);
+  }
+
+  cancelOrder(account, orderId) {
+    const order = account.orders.get(Number(orderId));
+    if (!order) throw exchangeError(-2011, 'Unknown order sent.');
+    account.orders.delete(order.orderId);
+    return this.formatOrder({ ...order, status: 'CANCELED' }, this.getSymbolInfo(order.symbol));
+  }
+
+  cancelAllOpenOrders(account, symbol) {
+    this.getSymbolInfo(symbol);
+    for (const order of [...account.orders.values()]) {
+      if (order.symbol === symbol) account.orders.delete(order.orderId);
+    }
+    return { code: 200, msg: 'The operation of cancel all open order is done.' };
+  }
+
+  getOpenOrders(account, symbol) {
+    return [...account.orders.values()]
+      .filter(o => !symbol || o.symbol === symbol)
+      .map(o => this.formatOrder(o, this.getSymbolInfo(o.symbol)));
+  }
+
+  getUserTrades(account, { symbol, limit = 500 }) {
+    return account.trades
+      .filter(t => !symbol || t.symbol === symbol)
+      .slice(-Math.min(Number(limit) || 500, 1000))
+      .map(t => {
+        const info = this.getSymbolInfo(t.symbol);
+        return {
+          ...t,
+          price: t.price.toFixed(info.pricePrecision),
+          qty: t.qty.toFixed(info.quantityPrecision),
+          quoteQty: t.quoteQty.toFixed(8),
+          realizedPnl: t.realizedPnl.toFixed(8),
+          commission: t.commission.toFixed(8)
+        };
+      });
+  }
+
+  formatOrder(order, info) {
+    return {
+      orderId: order.orderId,
+      symbol: order.symbol,
+      status: order.status,
+      type: order.type,
+      origType: order.type,
+      side: order.side,
+      positionSide: 'BOTH',
+      reduceOnly: order.reduceOnly,
+      closePosition: order.closePosition,
+      stopPrice: order.stopPrice.toFixed(info.pricePrecision),
+      origQty: order.origQty.toFixed(info.quantityPrecision),
+      executedQty: order.executedQty.toFixed(info.quantityPrecision),
+      avgPrice: order.avgPrice.toFixed(info.pricePrecision),
+      time: order.time,
+      updateTime: Date.now()
+    };
+  }
+
+  /**
+   * Snapshot of every account for the /mock/state endpoint
+   */
+  getState() {
+    return {
+      priceFeed: this.config.priceFeed.type,
+      prices: Object.fromEntries(this.prices),
+      accounts: [...this.accounts.values()].map(account => ({
+        apiKey: account.apiKey,
+        walletBalance: account.walletBalance,
+        ...this.getMarginSummary(account),
+        positions: this.getPositionRisk(account).filter(p => Number(p.positionAmt) !== 0),
+        openOrders: this.getOpenOrders(account),
+        tradeCount: account.trades.length
+      }))
+    };
+  }
+}
+
+// ============================================================================
+// HTTP API
+// ============================================================================
+
+/**
+ * Express app serving a MockExchange over the /fapi API
+ * @param {MockExchange} exchange
+ */
+function createMockExchangeApp(exchange) {
+  const app = express();
+  app.use(express.text({ type: 'application/x-www-form-urlencoded' }));
+  app.use('/mock', express.json());
+
+  /**
+   * Check the API key, timestamp and signature of a signed request
+   * Signed params may be in the query string, the form body or both.
+   */
+  const signed = (req, res, next) => {
+    try {
+      const account = exchange.accounts.get(req.get('X-MBX-APIKEY'));
+      if (!account) throw exchangeError(-2015, 'Invalid API-key, IP, or permissions for action.', 401);
+
+      const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?') + 1) : '';
+      const body = typeof req.body === 'string' ? req.body : '';
+      const parts = `${query}${query && body ? '&' : ''}${body}`.split('&').filter(Boolean);
+      const signaturePart = parts.find(p => p.startsWith('signature='));
+      const payload = parts.filter(p => p !== signaturePart).join('&');
+      const params = Object.fromEntries(new URLSearchParams(payload));
+
+      if (!params.timestamp) {
+        throw exchangeError(-1102, "Mandatory parameter 'timestamp' was not sent, was empty/null, or malformed.");
+      }
+      const recvWindow = Number(params.recvWindow) || exchange.config.recvWindowMs;
+      const drift = Date.now() - Number(params.timestamp);
+      if (drift > recvWindow || drift < -1000) {
+        throw exchangeError(-1021, "Timestamp for this request is outside of the recvWindow.");
+      }
+
+      const expected = createHmacSha256Signature(payload, account.apiSecret);
+      const signature = signaturePart ? signaturePart.slice('signature='.length) : '';
+      if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw exchangeError(-1022, 'Signature for this request is not valid.');
+      }
+
+      req.account = account;
+      req.signedParams = params;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  const handle = (fn) => (req, res, next) => {
+    try {
+      res.json(fn(req));
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Public market data
+  app.get('/fapi/v1/ping', handle(() => ({})));
+  app.get('/fapi/v1/time', handle(() => ({ serverTime: Date.now() })));
+  app.get('/fapi/v1/exchangeInfo', handle(() => exchange.getExchangeInfo()));
+  app.get('/fapi/v1/ticker/24hr', handle(req => {
+    const tickers = exchange.getTicker24hr(req.query.symbol);
+    return req.query.symbol ? tickers[0] : tickers;
+  }));
+  app.get('/fapi/v1/klines', handle(req => exchange.getKlines(req.query.symbol, req.query.interval, req.query.limit)));
+  app.get('/fapi/v1/ticker/price', handle(req => {
+    const prices = exchange.getTicker24hr(req.query.symbol).map(t => ({ symbol: t.symbol, price: t.lastPrice, time: t.closeTime }));
+    return req.query.symbol ? prices[0] : prices;
+  }));
+
+  // Signed account and order endpoints
+  app.get('/fapi/v2/balance', signed, handle(req => exchange.getBalance(req.account)));
+  app.get('/fapi/v2/positionRisk', signed, handle(req => {
+    const rows = exchange.getPositionRisk(req.account);
+    return req.signedParams.symbol ? rows.filter(r => r.symbol === req.signedParams.symbol) : rows;
+  }));
+  app.get('/fapi/v1/userTrades', signed, handle(req => exchange.getUserTrades(req.account, req.signedParams)));
+  app.post('/fapi/v1/leverage', signed, handle(req => exchange.setLeverage(req.account, req.signedParams.symbol, req.signedParams.leverage)));
+  app.post('/fapi/v1/order', signed, handle(req => exchange.placeOrder(req.account, req.signedParams)));
+  app.delete('/fapi/v1/order', signed, handle(req => exchange.cancelOrder(req.account, req.signedParams.orderId)));
+  app.get('/fapi/v1/openOrders', signed, handle(req => exchange.getOpenOrders(req.account, req.signedParams.symbol)));
+  app.delete('/fapi/v1/allOpenOrders', signed, handle(req => {
+    if (!req.signedParams.symbol) {
+      throw exchangeError(-1102, "Mandatory parameter 'symbol' was not sent, was empty/null, or malformed.");
+    }
+    return exchange.cancelAllOpenOrders(req.account, req.signedParams.symbol);
+  }));
+
+  // Local control endpoints (unauthenticated)
+  app.get('/mock/state', handle(() => exchange.getState()));
+  app.post('/mock/prices', handle(req => {
+    for (const [symbol, price] of Object.entries(req.body.prices || {})) {
+      exchange.setPrice(symbol, Number(price));
+    }
+    return exchange.getState();
+  }));
+  app.post('/mock/accounts', handle(req => {
+    const { apiKey, apiSecret, balance } = req.body;
+    if (!apiKey || !apiSecret) throw exchangeError(-1102, 'apiKey and apiSecret are required.');
+    exchange.createAccount({ apiKey, apiSecret, balance: balance !== undefined ? Number(balance) : undefined });
+    return { apiKey, balance: exchange.accounts.get(apiKey).walletBalance };
+  }));
+  app.post('/mock/reset', handle(() => {
+    exchange.reset();
+    return exchange.getState();
+  }));
+
+  app.use((req, res) => {
+    res.status(404).json({ code: -5000, msg: `Path ${req.method} ${req.path} is not supported by the mock exchange.` });
+  });
+
+  app.use((err, _req, res, _next) => {
+    if (err.code === undefined || typeof err.code !== 'number') {
+      console.error('❌ Mock exchange error:', err.message);
+      return res.status(500).json({ code: -1000, msg: err.message });
+    }
+    res.status(err.status || 400).json({ code: err.code, msg: err.message });
+  });
+
+  return app;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  MockExchange,
+  createMockExchangeApp
+};
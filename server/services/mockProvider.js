@@ -0,0 +1,347 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * Mock Provider
+ *
+ * A provider of type 'mock' calls no API: its responses come from a script
+ * in config_json, for demos, training and running bots offline without an
+ * API key. Each bot steps through the script on its own; a bot's progress
+ * starts over when the script is changed or the server restarts.
+ *
+ *   { "script": { "mode": "rules", "rules": [...] } }
+ *
+ * Modes:
+ *   sequence  - responses: a list of decision arrays, or raw strings sent as
+ *               they are, returned in order. With "loop": false the bot
+ *               holds once they run out.
+ *   rules     - rules: checked in order against the market data of the
+ *               turn; the first rule that matches a symbol trades it:
+ *                 { "symbol": "BTCUSDT", "field": "change_24h", "op": ">",
+ *                   "value": 2, "action": "LONG", "size": 200, "leverage": 3,
+ *                   "stop_loss_pct": 2, "take_profit_pct": 4 }
+ *               field is 'change_24h' (percent) or 'price'.
+ *   random    - trades each symbol with trade_probability (default 0.3),
+ *               drawing size, leverage, stop_loss_pct and take_profit_pct
+ *               from [min, max] bounds; symbols limits the symbols.
+ *   malformed - answers with each of kinds in turn (default all of them):
+ *                 invalid_json     - truncated JSON
+ *                 prose            - text without JSON
+ *                 empty            - an empty response
+ *                 wrong_shape      - a JSON object instead of an array
+ *                 invalid_decision - an array failing the decision schema
+ *                 server_error     - an HTTP 500, which is retried
+ *                 timeout          - a timed out request, which is retried
+ *
+ * Any mode also accepts:
+ *   seed           - seed of the random numbers, so runs repeat exactly
+ *   malformed_rate - chance (0-1) of answering with the next malformed kind
+ *   latency_ms     - time each response takes
+ *   reflection     - text returned for reflections and memory summaries
+ *
+ * Stop loss and take profit are set from the current price. Without market
+ * data (e.g. a prompt sent from the API with no engine running) rules and
+ * random scripts hold.
+ */
+
+const { createRandom } = require('./syntheticMarket');
+
+const MODES = ['sequence', 'rules', 'random', 'malformed'];
+
+const MALFORMED_KINDS = ['invalid_json', 'prose', 'empty', 'wrong_shape', 'invalid_decision', 'server_error', 'timeout'];
+const RULE_FIELDS = { change_24h: 'price24hChange', price: 'price' };
+const RULE_OPS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b
+};
+const ACTIONS = ['LONG', 'SHORT'];
+const MAX_RULES = 50;
+const MAX_RESPONSES = 500;
+const MAX_LATENCY_MS = 60000;
+const MOCK_ENDPOINT = 'mock://script';
+
+const DEFAULTS = {
+  trade_probability: 0.3,
+  size: [50, 300],
+  leverage: [1, 5],
+  stop_loss_pct: [1, 3],
+  take_profit_pct: [2, 6]
+};
+
+// "providerId:botId" -> { config, position, malformedIndex, random }
+const states = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ============================================================================
+// SCRIPTS
+// ============================================================================
+
+/**
+ * Parse a mock provider's config_json
+ * @returns {Object|null} The script, or null without one
+ */
+function parseScript(configJson) {
+  if (!configJson) return null;
+  try {
+    const config = typeof configJson === 'string' ? JSON.parse(configJson) : configJson;
+    return config?.script && typeof config.script === 'object' ? config.script : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+const isBetween = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+const isPositive = (value) => isBetween(value, Number.MIN_VALUE, Infinity);
+
+// [min, max] with 0 < min <= max
+const isBounds = (value) => Array.isArray(value) && value.length === 2 && value.every(isPositive) && value[0] <= value[1];
+
+/**
+ * Check a rules script's rules
+ */
+function checkRules(rules) {
+  if (!Array.isArray(rules) || rules.length === 0 || rules.length > MAX_RULES) {
+    return `A rules script needs 1 to ${MAX_RULES} rules`;
+  }
+  for (const [i, rule] of rules.entries()) {
+    const label = `Rule ${i + 1}`;
+    if (!rule || typeof rule !== 'object') return `${label} must be an object`;
+    if (typeof rule.symbol !== 'string' || !rule.symbol) return `${label} needs a symbol`;
+    if (!RULE_FIELDS[rule.field]) return `${label} field must be one of ${Object.keys(RULE_FIELDS).join(', ')}`;
+    if (!RULE_OPS[rule.op]) return `${label} op must be one of ${Object.keys(RULE_OPS).join(' ')}`;
+    if (typeof rule.value !== 'number' || !Number.isFinite(rule.value)) return `${label} value must be a number`;
+    if (!ACTIONS.includes(rule.action)) return `${label} action must be LONG or SHORT`;
+    for (const key of ['size', 'leverage', 'stop_loss_pct', 'take_profit_pct']) {
+      if (rule[key] !== undefined && !isPositive(rule[key])) return `${label} ${key} must be a positive number`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a mock provider's config_json from the API
+ * @returns {string|null} What is wrong with it, or null when valid
+ */
+function checkScript(configJson) {
+  let config;
+  try {
+    config = configJson ? JSON.parse(configJson) : null;
+  } catch (error) {
+    return 'Config must be valid JSON';
+  }
+  const script = config?.script;
+  if (!script || typeof script !== 'object' || Array.isArray(script)) {
+    return 'A mock provider needs a script object in its config';
+  }
+  if (!MODES.includes(script.mode)) {
+    return `Script mode must be one of ${MODES.join(', ')}`;
+  }
+
+  if (script.mode === 'sequence') {
+    const { responses } = script;
+    if (!Array.isArray(responses) || responses.length === 0 || responses.length > MAX_RESPONSES) {
+      return `A sequence script needs 1 to ${MAX_RESPONSES} responses`;
+    }
+    if (responses.some(r => typeof r !== 'string' && !Array.isArray(r))) {
+      return 'Each response must be an array of decisions or a raw string';
+    }
+  }
+  if (script.mode === 'rules') {
+    const problem = checkRules(script.rules);
+    if (problem) return problem;
+  }
+  if (script.mode === 'random') {
+    if (script.symbols !== undefined && (!Array.isArray(script.symbols) || script.symbols.some(s => typeof s !== 'string'))) {
+      return 'Script symbols must be a list of symbols';
+    }
+    if (script.trade_probability !== undefined && !isBetween(script.trade_probability, 0, 1)) {
+      return 'trade_probability must be between 0 and 1';
+    }
+    for (const key of ['size', 'leverage', 'stop_loss_pct', 'take_profit_pct']) {
+      if (script[key] !== undefined && !isBounds(script[key])) {
+        return `${key} must be [min, max] with 0 < min <= max`;
+      }
+    }
+  }
+  if (script.kinds !== undefined && (!Array.isArray(script.kinds) || script.kinds.length === 0 || script.kinds.some(k => !MALFORMED_KINDS.includes(k)))) {
+    return `Malformed kinds must be a list of ${MALFORMED_KINDS.join(', ')}`;
+  }
+
+  if (script.seed !== undefined && !Number.isInteger(script.seed)) {
+    return 'Script seed must be an integer';
+  }
+  if (script.malformed_rate !== undefined && !isBetween(script.malformed_rate, 0, 1)) {
+    return 'malformed_rate must be between 0 and 1';
+  }
+  if (script.latency_ms !== undefined && !isBetween(script.latency_ms, 0, MAX_LATENCY_MS)) {
+    return `latency_ms must be between 0 and ${MAX_LATENCY_MS}`;
+  }
+  if (script.reflection !== undefined && typeof script.reflection !== 'string') {
+    return 'Script reflection must be a string';
+  }
+  return null;
+}
+
+// ============================================================================
+// RESPONSES
+// ============================================================================
+
+/**
+ * A bot's progress through a provider's script; starts over when the script changes
+ */
+function getState(provider, botId) {
+  const key = `${provider.id}:${botId || ''}`;
+  const state = states.get(key);
+  if (state && state.config === provider.config_json) return state;
+
+  const script = parseScript(provider.config_json) || {};
+  const fresh = {
+    config: provider.config_json,
+    position: 0,
+    malformedIndex: 0,
+    random: createRandom(script.seed ?? Date.now())
+  };
+  states.set(key, fresh);
+  return fresh;
+}
+
+const round = (value, price) => Number(value.toFixed(price >= 10 ? 2 : 6));
+const between = (random, [min, max]) => min + random() * (max - min);
+
+/**
+ * An order on a market with stop loss and take profit a percentage away
+ */
+function buildOrder(action, market, { size, leverage, stopLossPct, takeProfitPct, reasoning }) {
+  const direction = action === 'LONG' ? 1 : -1;
+  return {
+    action,
+    symbol: market.symbol,
+    size: Math.round(size),
+    leverage: Math.max(1, Math.round(leverage)),
+    stopLoss: round(market.price * (1 - direction * stopLossPct / 100), market.price),
+    takeProfit: round(market.price * (1 + direction * takeProfitPct / 100), market.price),
+    reasoning
+  };
+}
+
+function applyRules(script, markets) {
+  const decisions = [];
+  const traded = new Set();
+  for (const rule of script.rules) {
+    const market = markets.find(m => m.symbol === rule.symbol);
+    if (!market || traded.has(market.symbol)) continue;
+    const actual = market[RULE_FIELDS[rule.field]];
+    if (typeof actual !== 'number' || !RULE_OPS[rule.op](actual, rule.value)) continue;
+
+    traded.add(market.symbol);
+    decisions.push(buildOrder(rule.action, market, {
+      size: rule.size ?? 100,
+      leverage: rule.leverage ?? 2,
+      stopLossPct: rule.stop_loss_pct ?? 2,
+      takeProfitPct: rule.take_profit_pct ?? 4,
+      reasoning: rule.reasoning || `Mock rule: ${rule.field} ${actual} ${rule.op} ${rule.value}`
+    }));
+  }
+  return decisions;
+}
+
+function drawRandom(script, markets, random) {
+  const options = { ...DEFAULTS, ...script };
+  return markets
+    .filter(m => !script.symbols || script.symbols.includes(m.symbol))
+    .filter(() => random() < options.trade_probability)
+    .map(market => buildOrder(random() < 0.5 ? 'LONG' : 'SHORT', market, {
+      size: between(random, options.size),
+      leverage: between(random, options.leverage),
+      stopLossPct: between(random, options.stop_loss_pct),
+      takeProfitPct: between(random, options.take_profit_pct),
+      reasoning: 'Mock random trade'
+    }));
+}
+
+/**
+ * Malformed output of a kind; errors are thrown as the HTTP client would
+ */
+function malformed(kind) {
+  switch (kind) {
+    case 'invalid_json':
+      return '[{"action": "LONG", "symbol": "BTCUSDT", "size": 100,';
+    case 'prose':
+      return 'The market looks bullish to me, so I would buy some Bitcoin and hold it for a while.';
+    case 'empty':
+      return '';
+    case 'wrong_shape':
+      return '{"decision": "LONG BTCUSDT", "confidence": "high"}';
+    case 'invalid_decision':
+      return JSON.stringify([{ action: 'BUY', symbol: 'BTCUSDT', size: -100, leverage: 500, reasoning: 'Mock invalid decision' }]);
+    case 'server_error': {
+      const error = new Error('Request failed with status code 500');
+      error.response = { status: 500, data: { error: { message: 'Mock server error' } } };
+      throw error;
+    }
+    case 'timeout': {
+      const error = new Error('timeout of 30000ms exceeded');
+      error.code = 'ECONNABORTED';
+      throw error;
+    }
+    default:
+      throw new Error(`Unknown malformed kind '${kind}'`);
+  }
+}
+
+/**
+ * Answer a prompt from a mock provider's script
+ * @param {Object} provider - llm_providers row of type 'mock'
+ * @param {Object} [options]
+ * @param {Array<{symbol: string, price: number, price24hChange: number}>} [options.markets] - Market data of the turn
+ * @param {Object} [options.usage] - What the call is for: { botId, purpose }
+ * @returns {Promise<{text: string, usage: null}>}
+ */
+async function respond(provider, { markets = [], usage = {} } = {}) {
+  const script = parseScript(provider.config_json);
+  if (!script) {
+    throw new Error(`Mock provider ${provider.name} has no script`);
+  }
+  const state = getState(provider, usage.botId);
+  if (script.latency_ms) await sleep(script.latency_ms);
+
+  if (usage.purpose === 'reflection' || usage.purpose === 'summary') {
+    return { text: script.reflection || 'No lesson: this is a scripted mock provider.', usage: null };
+  }
+
+  const kinds = script.kinds || MALFORMED_KINDS;
+  if (script.mode === 'malformed' || (script.malformed_rate && state.random() < script.malformed_rate)) {
+    const kind = kinds[state.malformedIndex++ % kinds.length];
+    return { text: malformed(kind), usage: null };
+  }
+
+  let response;
+  if (script.mode === 'sequence') {
+    const { responses } = script;
+    const index = script.loop === false ? state.position : state.position % responses.length;
+    state.position++;
+    response = responses[index] ?? [];
+  } else if (script.mode === 'rules') {
+    response = applyRules(script, markets);
+  } else if (script.mode === 'random') {
+    response = drawRandom(script, markets, state.random);
+  } else {
+    throw new Error(`Unknown mock script mode '${script.mode}'`);
+  }
+  return { text: typeof response === 'string' ? response : JSON.stringify(response), usage: null };
+}
+
+module.exports = {
+  MODES,
+  MALFORMED_KINDS,
+  MOCK_ENDPOINT,
+  parseScript,
+  checkScript,
+  respond
+};
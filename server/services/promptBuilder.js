@@ -0,0 +1,323 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const { KLINE_INTERVALS } = require('./klines');
+const { VWAP_LOOKBACK, computeIndicators } = require('./indicators');
+const { renderTemplate, lintTemplate, usesVariable } = require('./promptTemplate');
+
+/**
+ * Prompt Builder
+ *
+ * Renders a bot's prompt template (see promptTemplate.js for the syntax) with
+ * the current portfolio, market data, decision history and symbol cooldowns.
+ * PROMPT_VARIABLES is the catalog of everything a prompt can use; the prompt
+ * editor reads it for autocompletion and lintPrompt() checks a prompt
+ * against it before it is saved.
+ *
+ * The decision history and cooldown sections are only included where the
+ * prompt places {{decisionHistory}} and {{cooldowns}}. {{memory}} is the bot's
+ * persistent memory (see botMemory.js), read only when the prompt uses it.
+ *
+ * Candle variables are opt-in; candles are only read when the prompt uses them:
+ *   {{candles:BTCUSDT:1h}}     - last 20 closed candles (or {{candles:BTCUSDT:1h:50}})
+ *   {{indicators}}             - RSI, MACD, ATR, VWAP, Bollinger bands and the
+ *                                recent high/low for every symbol and interval
+ *   {{indicators:BTCUSDT}}     - one symbol, every interval
+ *   {{indicators:BTCUSDT:4h}}  - one symbol and interval
+ */
+
+const DEFAULT_PROMPT_CANDLES = 20;
+const MAX_PROMPT_CANDLES = 200;
+const INDICATOR_CANDLES = 100; // Enough history for MACD's 26 + 9 warm-up
+
+// ============================================================================
+// VARIABLE CATALOG
+// ============================================================================
+
+const PROMPT_VARIABLES = [
+  { name: 'totalValue', kind: 'value', description: 'Portfolio value (balance plus open position margin and PnL) in USD', example: '10250.00' },
+  { name: 'availableBalance', kind: 'value', description: 'Balance available for new positions in USD', example: '8400.00' },
+  { name: 'unrealizedPnl', kind: 'value', description: 'Unrealized PnL of the open positions in USD', example: '-35.20' },
+  { name: 'currentDate', kind: 'value', description: 'Current time in UTC (historical during backtests)', example: 'Mon, 19 Oct 2026 12:00:00 GMT' },
+  { name: 'openPositions', kind: 'text', description: "One line per open position, or 'None'", example: ' - ID: pos_1, Symbol: BTCUSDT, Type: LONG, Size: $500, Leverage: 10x, ...' },
+  { name: 'marketData', kind: 'text', description: 'One line per market with price and 24h change', example: ' - BTCUSDT: $67000.0000 (24h change: 1.25%)' },
+  { name: 'decisionHistory', kind: 'section', description: 'Your decisions of the last 5 turns, with a heading; empty when there are none', example: 'Your Recent Decision History (last 5 cycles): ...' },
+  { name: 'cooldowns', kind: 'section', description: 'Symbols on cooldown, with a heading; empty when there are none', example: 'Symbols Currently on Cooldown: ...' },
+  { name: 'memory', kind: 'section', description: 'Your notes, lessons from closed trades and summaries of earlier turns, with a heading, cut to the memory token budget; empty when there are none', example: 'Your Memory (notes, lessons from closed trades and summaries of earlier turns): ...' },
+  {
+    name: 'positions',
+    kind: 'list',
+    description: 'Open positions, for {{#each positions}}',
+    fields: [
+      { name: 'id', description: 'Position ID, used to close it' },
+      { name: 'symbol', description: 'Symbol' },
+      { name: 'type', description: 'LONG or SHORT' },
+      { name: 'size', description: 'Margin in USD' },
+      { name: 'leverage', description: 'Leverage' },
+      { name: 'entryPrice', description: 'Entry price' },
+      { name: 'stopLoss', description: "Stop loss price or 'N/A'" },
+      { name: 'takeProfit', description: "Take profit price or 'N/A'" },
+      { name: 'minutesOpen', description: "Minutes since the position was opened or '?'" }
+    ],
+    example: '{{#each positions}} - {{symbol}} {{type}} at {{entryPrice}}\n{{else}}No positions\n{{/each}}'
+  },
+  {
+    name: 'markets',
+    kind: 'list',
+    description: 'Traded markets, for {{#each markets}}',
+    fields: [
+      { name: 'symbol', description: 'Symbol' },
+      { name: 'price', description: 'Last price' },
+      { name: 'change24h', description: '24h change in percent' }
+    ],
+    example: '{{#each markets}} - {{symbol}}: {{price}} ({{change24h}}%)\n{{/each}}'
+  },
+  {
+    name: 'activeCooldowns',
+    kind: 'list',
+    description: 'Symbols on cooldown, for {{#each activeCooldowns}}',
+    fields: [
+      { name: 'symbol', description: 'Symbol' },
+      { name: 'minutesLeft', description: 'Minutes until the symbol can be traded again' }
+    ],
+    example: '{{#each activeCooldowns}}{{symbol}} ({{minutesLeft}}m) {{/each}}'
+  },
+  {
+    name: 'candles',
+    kind: 'function',
+    description: `Last closed candles of a symbol: {{candles:SYMBOL:INTERVAL}} or {{candles:SYMBOL:INTERVAL:COUNT}} (default ${DEFAULT_PROMPT_CANDLES}, at most ${MAX_PROMPT_CANDLES})`,
+    args: ['symbol', 'interval', 'count?'],
+    example: '{{candles:BTCUSDT:1h}}'
+  },
+  {
+    name: 'indicators',
+    kind: 'function',
+    description: 'RSI, MACD, ATR, VWAP, Bollinger bands and recent high/low: {{indicators}}, {{indicators:SYMBOL}} or {{indicators:SYMBOL:INTERVAL}}',
+    args: ['symbol?', 'interval?'],
+    example: '{{indicators:BTCUSDT:4h}}'
+  }
+];
+
+const formatNumber = (value, decimals = 4) => (value === null || value === undefined ? 'n/a' : value.toFixed(decimals));
+const formatCandleTime = (ms) => new Date(ms).toISOString().slice(0, 16).replace('T', ' ');
+
+/**
+ * Format the last closed candles of a symbol
+ */
+function formatCandles(symbol, interval, limit, getCandles) {
+  if (!KLINE_INTERVALS[interval]) return `${symbol} ${interval}: unknown interval`;
+  const candles = getCandles(symbol, interval, Math.min(limit, MAX_PROMPT_CANDLES));
+  if (candles.length === 0) return `${symbol} ${interval}: no candles collected yet`;
+
+  return `${symbol} ${interval} candles (oldest first; open time UTC, open, high, low, close, volume):\n` +
+    candles.map(c => ` - ${formatCandleTime(c.open_time)}, ${formatNumber(c.open)}, ${formatNumber(c.high)}, ${formatNumber(c.low)}, ${formatNumber(c.close)}, ${formatNumber(c.volume, 2)}`).join('\n');
+}
+
+/**
+ * Format one line of indicators for a symbol and interval
+ */
+function formatIndicatorLine(symbol, interval, getCandles) {
+  if (!KLINE_INTERVALS[interval]) return ` - ${symbol} ${interval}: unknown interval`;
+  const candles = getCandles(symbol, interval, INDICATOR_CANDLES);
+  if (candles.length === 0) return ` - ${symbol} ${interval}: no candles collected yet`;
+
+  const i = computeIndicators(candles);
+  const macd = i.macd
+    ? `${formatNumber(i.macd.macd)}/${formatNumber(i.macd.signal)} hist ${formatNumber(i.macd.histogram)}`
+    : 'n/a';
+  const bands = i.bollinger
+    ? `${formatNumber(i.bollinger.lower)}-${formatNumber(i.bollinger.upper)} %B ${formatNumber(i.bollinger.percentB, 2)}`
+    : 'n/a';
+  return ` - ${symbol} ${interval}: RSI(14) ${formatNumber(i.rsi, 1)}, MACD(12,26,9) ${macd}, ` +
+    `ATR(14) ${formatNumber(i.atr)} (${formatNumber(i.atrPct, 2)}%), VWAP(${VWAP_LOOKBACK}) ${formatNumber(i.vwap)}, ` +
+    `BB(20,2) ${bands}, ${i.range.candles}-candle high/low ${formatNumber(i.range.high)}/${formatNumber(i.range.low)}`;
+}
+
+/**
+ * Build the full prompt sent to the LLM
+ * @param {Object} portfolio - Bot portfolio ({ balance, pnl, totalValue, positions })
+ * @param {Array} marketData - Markets ({ symbol, price, price24hChange })
+ * @param {string} basePrompt - The bot's prompt template
+ * @param {Array} [recentLogs] - Most recent bot logs, newest first
+ * @param {Object} [cooldowns] - Map of symbol -> cooldown end timestamp
+ * @param {Array} [recentOrders] - Most recent orders, newest first
+ * @param {number} [now] - Current time, historical during backtests
+ * @param {Object} [klines] - Candle access for the candle variables
+ * @param {string[]} klines.intervals - Intervals {{indicators}} covers
+ * @param {Function} klines.getCandles - (symbol, interval, limit) => closed candles, oldest first
+ * @param {Function} [memory] - () => the {{memory}} section, called only when the prompt uses it
+ * @returns {string}
+ */
+function generateFullPrompt(portfolio, marketData, basePrompt, recentLogs, cooldowns, recentOrders, now = Date.now(), klines = null, memory = null) {
+  // Defensive null checks
+  if (!portfolio || !marketData) {
+    console.error('Invalid portfolio or marketData passed to generateFullPrompt');
+    return basePrompt;
+  }
+
+  const markets = marketData.map(m => ({
+    symbol: m.symbol,
+    price: m.price?.toFixed(4) || '0.0000',
+    change24h: m.price24hChange?.toFixed(2) || '0.00'
+  }));
+  const formattedMarketData = markets.map(m => ` - ${m.symbol}: $${m.price} (24h change: ${m.change24h}%)`).join('\n');
+
+  const positions = (portfolio.positions || []).map(p => {
+    // Try to find when this position was opened from recent orders
+    const openOrder = recentOrders?.find(o => o.symbol === p.symbol && o.exitPrice === 0);
+    return {
+      id: p.id,
+      symbol: p.symbol,
+      type: p.type,
+      size: p.size || 0,
+      leverage: p.leverage,
+      entryPrice: p.entryPrice?.toFixed(4) || '0.0000',
+      stopLoss: p.stopLoss?.toFixed(4) || 'N/A',
+      takeProfit: p.takeProfit?.toFixed(4) || 'N/A',
+      minutesOpen: openOrder ? Math.floor((now - openOrder.timestamp) / 60000) : '?'
+    };
+  });
+  const formattedPositions = positions.length > 0
+    ? positions.map(p => ` - ID: ${p.id}, Symbol: ${p.symbol}, Type: ${p.type}, Size: $${p.size}, Leverage: ${p.leverage}x, Entry: $${p.entryPrice}, SL: $${p.stopLoss}, TP: $${p.takeProfit}, Open for: ${p.minutesOpen} minutes`).join('\n')
+    : 'None';
+
+  // Format recent decision history
+  let decisionHistory = '';
+  if (recentLogs && recentLogs.length > 0) {
+    decisionHistory = '\n\nYour Recent Decision History (last 5 cycles):\n';
+    recentLogs.forEach(log => {
+      const minutesAgo = Math.floor((now - log.timestamp) / 60000);
+      decisionHistory += `\n[${minutesAgo} minutes ago]:\n`;
+      if (log.decisions.length === 0) {
+        // Logs without a prompt are engine events (manual closes, SL/TP fills), not turns
+        if (log.prompt) decisionHistory += '  - HOLD (no action taken)\n';
+      } else {
+        log.decisions.forEach(d => {
+          decisionHistory += `  - ${d.action} ${d.symbol || d.closePositionId}: ${d.reasoning}\n`;
+        });
+      }
+      if (log.notes && log.notes.length > 0) {
+        decisionHistory += `  Notes: ${log.notes.join('; ')}\n`;
+      }
+    });
+  }
+
+  // Format active cooldowns
+  const activeCooldowns = Object.entries(cooldowns || {})
+    .filter(([, endTime]) => now < endTime)
+    .map(([symbol, endTime]) => ({ symbol, minutesLeft: Math.ceil((endTime - now) / 60000) }));
+  const cooldownInfo = activeCooldowns.length > 0
+    ? '\n\nSymbols Currently on Cooldown:\n' + activeCooldowns.map(c => `${c.symbol} (${c.minutesLeft} minutes remaining)`).join(', ') + '\n'
+    : '';
+
+  const getCandles = klines?.getCandles || (() => []);
+  const intervals = klines?.intervals || [];
+
+  return renderTemplate(basePrompt, {
+    totalValue: (portfolio.totalValue ?? 0).toFixed(2),
+    availableBalance: (portfolio.balance ?? 0).toFixed(2),
+    unrealizedPnl: (portfolio.pnl ?? 0).toFixed(2),
+    currentDate: new Date(now).toUTCString(),
+    openPositions: formattedPositions,
+    marketData: formattedMarketData,
+    decisionHistory,
+    cooldowns: cooldownInfo,
+    memory: () => (memory ? memory() : ''),
+    positions,
+    markets,
+    activeCooldowns,
+    candles: ([symbol, interval, limit]) => {
+      if (!symbol || !interval) return null;
+      const count = /^\d+$/.test(limit || '') ? parseInt(limit, 10) : DEFAULT_PROMPT_CANDLES;
+      return formatCandles(symbol.toUpperCase(), interval, count, getCandles);
+    },
+    indicators: ([symbol, interval]) => {
+      const symbols = symbol ? [symbol.toUpperCase()] : markets.map(m => m.symbol);
+      const lines = symbols.flatMap(s => (interval ? [interval] : intervals).map(i => formatIndicatorLine(s, i, getCandles)));
+      return lines.length > 0 ? lines.join('\n') : ' - No candle intervals configured';
+    }
+  });
+}
+
+// ============================================================================
+// LINTING
+// ============================================================================
+
+/**
+ * Check the symbol and interval arguments of a candle variable
+ */
+function checkCandleArgs(symbol, interval, { symbols, intervals }) {
+  const errors = [];
+  const warnings = [];
+  if (symbol && symbols && !symbols.includes(symbol.toUpperCase())) {
+    warnings.push(`${symbol.toUpperCase()} is not a trading symbol, so it has no candles`);
+  }
+  if (interval && !KLINE_INTERVALS[interval]) {
+    errors.push(`Unknown interval '${interval}'. Use one of ${Object.keys(KLINE_INTERVALS).join(', ')}`);
+  } else if (interval && intervals && !intervals.includes(interval)) {
+    warnings.push(`${interval} candles are not collected; add it to the kline_intervals setting`);
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Check a prompt template against PROMPT_VARIABLES
+ * Errors make the prompt unusable (bad syntax, unknown variables, invalid
+ * arguments); warnings point at variables that will render without data.
+ * @param {string} template
+ * @param {Object} [options]
+ * @param {string[]} [options.symbols] - Trading symbols
+ * @param {string[]} [options.intervals] - Collected kline intervals
+ * @returns {{errors: Array<{line: number, message: string}>, warnings: Array<{line: number, message: string}>}}
+ */
+function lintPrompt(template, options = {}) {
+  const validators = {
+    candles: ([symbol, interval, limit, ...rest]) => {
+      if (!symbol || !interval) {
+        return { errors: ['candles needs a symbol and an interval, e.g. {{candles:BTCUSDT:1h}}'], warnings: [] };
+      }
+      const result = checkCandleArgs(symbol, interval, options);
+      if (limit !== undefined && !(/^\d+$/.test(limit) && parseInt(limit, 10) >= 1)) {
+        result.errors.push(`Candle count '${limit}' must be a positive whole number`);
+      } else if (limit !== undefined && parseInt(limit, 10) > MAX_PROMPT_CANDLES) {
+        result.warnings.push(`At most ${MAX_PROMPT_CANDLES} candles are included`);
+      }
+      if (rest.length > 0) result.errors.push('candles takes at most a symbol, an interval and a count');
+      return result;
+    },
+    indicators: ([symbol, interval, ...rest]) => {
+      const result = checkCandleArgs(symbol, interval, options);
+      if (rest.length > 0) result.errors.push('indicators takes at most a symbol and an interval');
+      return result;
+    }
+  };
+
+  return lintTemplate(template, PROMPT_VARIABLES.map(v => ({ ...v, validateArgs: validators[v.name] })));
+}
+
+/**
+ * Validate a prompt template before it is saved
+ * @returns {string|null} The errors, or null if the prompt has none
+ */
+function checkPrompt(template) {
+  const { errors } = lintPrompt(template);
+  if (errors.length === 0) return null;
+  return 'Prompt template errors: ' + errors.map(e => `line ${e.line}: ${e.message}`).join('; ');
+}
+
+/**
+ * Whether a prompt template renders the bot's memory
+ */
+function usesMemory(template) {
+  return usesVariable(template, 'memory');
+}
+
+module.exports = {
+  PROMPT_VARIABLES,
+  generateFullPrompt,
+  usesMemory,
+  lintPrompt,
+  checkPrompt
+};
@@ -0,0 +1,312 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * Prompt Template Engine
+ *
+ * A small Handlebars-style language for bot prompts:
+ *
+ *   {{name}}                        - variable; every occurrence is replaced
+ *   {{name:ARG:ARG}}                - variable with arguments, e.g. {{candles:BTCUSDT:1h}}
+ *   {{#if name}} ... {{else}} ... {{/if}}
+ *   {{#if !name}} ... {{/if}}       - negated condition
+ *   {{#each list}} ... {{else}} ... {{/each}}
+ *                                   - inside, the item's fields are variables,
+ *                                     plus {{@index}} (0-based) and {{@number}} (1-based)
+ *   {{! comment }}                  - removed from the output
+ *
+ * A block tag alone on its line removes the whole line, so blocks can be laid
+ * out one tag per line without leaving blank lines behind.
+ *
+ * Which variables exist is up to the caller: lintTemplate() checks a template
+ * against a catalog and renderTemplate() resolves names against a context.
+ * Unknown variables render unchanged, so a typo stays visible in the prompt.
+ */
+
+const TAG_PATTERN = /\{\{([^{}]*)\}\}/g;
+const NAME_PATTERN = /^@?[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Line number (1-based) of an offset
+ */
+const lineAt = (template, index) => template.slice(0, index).split('\n').length;
+
+/**
+ * Split a variable tag into its name and arguments
+ */
+function parseVariable(content) {
+  const [name, ...args] = content.split(':').map(part => part.trim());
+  return { name, args };
+}
+
+function isBlockTag(content) {
+  return content.startsWith('#') || content.startsWith('/') || content.startsWith('!') || content === 'else';
+}
+
+/**
+ * Split a template into text and tag tokens, removing the lines that hold
+ * only a block tag
+ */
+function tokenize(template) {
+  const tokens = [];
+  let last = 0;
+  let match;
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    if (match.index > last) tokens.push({ type: 'text', value: template.slice(last, match.index) });
+    tokens.push({ type: 'tag', content: match[1].trim(), line: lineAt(template, match.index) });
+    last = match.index + match[0].length;
+  }
+  if (last < template.length) tokens.push({ type: 'text', value: template.slice(last) });
+
+  // Decide against the original text first, so consecutive block lines all
+  // count as standalone, then trim
+  const trims = tokens.map(() => ({ start: 0, end: 0 }));
+  tokens.forEach((token, i) => {
+    if (token.type !== 'tag' || !isBlockTag(token.content)) return;
+
+    const before = tokens[i - 1];
+    const after = tokens[i + 1];
+
+    let prefix = 0;
+    if (before) {
+      if (before.type !== 'text') return;
+      const lineStart = before.value.lastIndexOf('\n') + 1;
+      if (lineStart === 0 && i > 1) return;
+      if (!/^[ \t]*$/.test(before.value.slice(lineStart))) return;
+      prefix = before.value.length - lineStart;
+    }
+
+    let suffix = 0;
+    if (after) {
+      if (after.type !== 'text') return;
+      const newline = after.value.indexOf('\n');
+      if (newline === -1 && i + 1 < tokens.length - 1) return;
+      const lineEnd = newline === -1 ? after.value.length : newline + 1;
+      if (!/^[ \t]*\r?\n?$/.test(after.value.slice(0, lineEnd))) return;
+      suffix = lineEnd;
+    }
+
+    if (before) trims[i - 1].end = prefix;
+    if (after) trims[i + 1].start = suffix;
+  });
+
+  return tokens.map((token, i) => {
+    if (token.type !== 'text') return token;
+    const { start, end } = trims[i];
+    return { type: 'text', value: token.value.slice(start, Math.max(start, token.value.length - end)) };
+  });
+}
+
+/**
+ * Parse a template into a syntax tree
+ * @returns {{nodes: Array<Object>, errors: Array<{line: number, message: string}>}}
+ */
+function parseTemplate(template) {
+  const errors = [];
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const target = () => {
+    const node = current();
+    return node.inElse ? node.elseChildren : node.children;
+  };
+
+  for (const token of tokenize(template || '')) {
+    if (token.type === 'text') {
+      if (token.value) target().push({ type: 'text', value: token.value });
+      continue;
+    }
+
+    const { content, line } = token;
+    if (content.startsWith('!')) continue;
+
+    if (content.startsWith('#')) {
+      const [keyword, ...rest] = content.slice(1).split(/\s+/);
+      let name = rest.join(' ');
+      const negate = keyword === 'if' && name.startsWith('!');
+      if (negate) name = name.slice(1);
+
+      if (keyword !== 'if' && keyword !== 'each') {
+        errors.push({ line, message: `Unknown block '{{#${keyword}}}'. Use {{#if}} or {{#each}}` });
+        continue;
+      }
+      if (!NAME_PATTERN.test(name)) {
+        errors.push({ line, message: `{{#${keyword}}} needs a variable name` });
+      }
+      const node = { type: keyword, name, negate, line, children: [], elseChildren: [], inElse: false };
+      target().push(node);
+      stack.push(node);
+      continue;
+    }
+
+    if (content === 'else') {
+      const node = current();
+      if (node.type === 'root' || node.inElse) {
+        errors.push({ line, message: '{{else}} outside an {{#if}} or {{#each}} block' });
+      } else {
+        node.inElse = true;
+      }
+      continue;
+    }
+
+    if (content.startsWith('/')) {
+      const keyword = content.slice(1).trim();
+      const node = current();
+      if (node.type === 'root') {
+        errors.push({ line, message: `{{/${keyword}}} has no matching {{#${keyword}}}` });
+      } else if (node.type !== keyword) {
+        errors.push({ line, message: `{{/${keyword}}} closes {{#${node.type}}} from line ${node.line}` });
+        stack.pop();
+      } else {
+        stack.pop();
+      }
+      continue;
+    }
+
+    const { name, args } = parseVariable(content);
+    if (!NAME_PATTERN.test(name)) {
+      errors.push({ line, message: `'{{${content}}}' is not a valid variable` });
+      target().push({ type: 'text', value: `{{${content}}}` });
+      continue;
+    }
+    target().push({ type: 'variable', name, args, raw: `{{${content}}}`, line });
+  }
+
+  for (const node of stack.slice(1)) {
+    errors.push({ line: node.line, message: `{{#${node.type}}} is never closed with {{/${node.type}}}` });
+  }
+
+  return { nodes: root.children, errors };
+}
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+/**
+ * Look a name up in the innermost scope that has it
+ */
+function lookup(scopes, name) {
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (scopes[i] && Object.prototype.hasOwnProperty.call(scopes[i], name)) return scopes[i][name];
+  }
+  return undefined;
+}
+
+function renderNodes(nodes, scopes) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      let value = lookup(scopes, node.name);
+      if (typeof value === 'function') value = value(node.args);
+      output += value === undefined || value === null || Array.isArray(value) ? node.raw : String(value);
+    } else if (node.type === 'if') {
+      let value = lookup(scopes, node.name);
+      if (typeof value === 'function') value = value([]);
+      const condition = isTruthy(value) !== node.negate;
+      output += renderNodes(condition ? node.children : node.elseChildren, scopes);
+    } else if (node.type === 'each') {
+      const list = lookup(scopes, node.name);
+      if (Array.isArray(list) && list.length > 0) {
+        list.forEach((item, index) => {
+          output += renderNodes(node.children, [...scopes, { ...item, '@index': index, '@number': index + 1 }]);
+        });
+      } else {
+        output += renderNodes(node.elseChildren, scopes);
+      }
+    }
+  }
+  return output;
+}
+
+/**
+ * Render a template against a context
+ * Context values may be strings, numbers, lists of objects (for {{#each}}) or
+ * functions of the tag's arguments, called only when the tag is rendered.
+ * @param {string} template
+ * @param {Object} context
+ * @returns {string}
+ */
+function renderTemplate(template, context) {
+  const { nodes } = parseTemplate(template);
+  return renderNodes(nodes, [context]);
+}
+
+/**
+ * Check a template against a variable catalog
+ * @param {string} template
+ * @param {Array<Object>} catalog - { name, kind: 'value'|'section'|'list'|'function', fields?, validateArgs? }
+ *   validateArgs(args) returns { errors: string[], warnings: string[] }
+ * @returns {{errors: Array<{line: number, message: string}>, warnings: Array<{line: number, message: string}>}}
+ */
+function lintTemplate(template, catalog) {
+  const { nodes, errors } = parseTemplate(template);
+  const warnings = [];
+  const variables = new Map(catalog.map(v => [v.name, v]));
+
+  const visit = (children, listFields) => {
+    for (const node of children) {
+      if (node.type === 'text') continue;
+
+      const field = listFields.find(f => f.name === node.name);
+      const variable = variables.get(node.name);
+
+      if (node.type === 'each') {
+        if (!variable) {
+          errors.push({ line: node.line, message: `Unknown list '${node.name}'` });
+        } else if (variable.kind !== 'list') {
+          errors.push({ line: node.line, message: `'${node.name}' is not a list and cannot be used with {{#each}}` });
+        }
+        const fields = [...(variable?.fields || []), { name: '@index' }, { name: '@number' }];
+        visit(node.children, [...listFields, ...fields]);
+        visit(node.elseChildren, listFields);
+        continue;
+      }
+
+      if (!field && !variable) {
+        errors.push({ line: node.line, message: `Unknown variable '${node.name}'` });
+      } else if (node.type === 'variable' && !field) {
+        if (variable.kind === 'list') {
+          errors.push({ line: node.line, message: `'${node.name}' is a list; use {{#each ${node.name}}}` });
+        } else if (variable.kind !== 'function' && node.args.length > 0) {
+          errors.push({ line: node.line, message: `'${node.name}' does not take arguments` });
+        } else if (variable.validateArgs) {
+          const result = variable.validateArgs(node.args);
+          result.errors.forEach(message => errors.push({ line: node.line, message }));
+          result.warnings.forEach(message => warnings.push({ line: node.line, message }));
+        }
+      }
+
+      if (node.type === 'if') {
+        visit(node.children, listFields);
+        visit(node.elseChildren, listFields);
+      }
+    }
+  };
+  visit(nodes, []);
+
+  errors.sort((a, b) => a.line - b.line);
+  return { errors, warnings };
+}
+
+/**
+ * Whether a template refers to a variable, in a tag or a block condition
+ * Lets callers skip work for variables a template never renders.
+ */
+function usesVariable(template, name) {
+  const visit = (nodes) => nodes.some(node =>
+    (node.type !== 'text' && node.name === name) ||
+    (node.children && (visit(node.children) || visit(node.elseChildren)))
+  );
+  return visit(parseTemplate(template).nodes);
+}
+
+module.exports = {
+  parseTemplate,
+  renderTemplate,
+  lintTemplate,
+  usesVariable
+};
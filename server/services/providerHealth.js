@@ -0,0 +1,240 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const db = require('../database/relational');
+
+/**
+ * Provider Health
+ *
+ * Every call made through llmService goes through callWithRetries:
+ *
+ * Retries - a call that timed out, lost its connection, was rate limited
+ *   (429) or hit a server error (5xx) is retried up to provider_max_retries
+ *   times. The first retry waits provider_retry_base_ms, each further one
+ *   twice as long, with up to 50% random jitter so bots sharing a provider
+ *   do not retry in lockstep. A provider's config_json max_retries overrides
+ *   the setting. Other errors (bad request, bad key) fail at once.
+ *
+ * Circuit breaker - a provider whose calls fail provider_circuit_threshold
+ *   times in a row, after their retries, is marked unhealthy (circuit open)
+ *   and calls to it fail at once for provider_circuit_cooldown_ms. Then one
+ *   trial call goes through (half open): success closes the circuit, failure
+ *   opens it for another cooldown. Only failures retries would apply to
+ *   count. Circuits are kept in memory and start closed on a restart.
+ *
+ * A bot may list fallback providers in bots.fallback_providers_json, e.g.
+ * [2, 5] for Grok then a local Ollama. When its provider gives no answer,
+ * after retries or because its circuit is open, the next one is asked (see
+ * TradingEngine.requestWithFallback).
+ */
+
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+const DEFAULT_CIRCUIT_THRESHOLD = 5;
+const DEFAULT_CIRCUIT_COOLDOWN_MS = 60000;
+const MAX_ERROR_CHARS = 300;
+const MAX_FALLBACKS = 3;
+
+// Provider id -> { failures, openUntil, trialInFlight, lastError, lastFailureAt }
+const circuits = new Map();
+
+// ============================================================================
+// FALLBACK CHAINS
+// ============================================================================
+
+/**
+ * Parse a bot's fallback_providers_json
+ * @returns {number[]} Provider IDs in order; empty without fallbacks
+ */
+function parseFallbackProviders(json) {
+  if (!json) return [];
+  try {
+    const ids = typeof json === 'string' ? JSON.parse(json) : json;
+    return Array.isArray(ids) ? ids.filter(id => Number.isInteger(id)) : [];
+  } catch (error) {
+    console.warn('⚠️  Invalid fallback_providers_json, ignoring it');
+    return [];
+  }
+}
+
+/**
+ * Check a fallback_providers_json value from the API
+ * Whether the providers exist is left to the caller.
+ * @returns {string|null} What is wrong with it, or null when valid
+ */
+function checkFallbackProviders(json) {
+  let ids;
+  try {
+    ids = JSON.parse(json);
+  } catch (error) {
+    return 'Fallback providers must be valid JSON';
+  }
+  if (!Array.isArray(ids) || ids.length > MAX_FALLBACKS) {
+    return `Fallback providers must be an array of at most ${MAX_FALLBACKS} provider IDs`;
+  }
+  if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+    return 'Fallback providers must be provider IDs';
+  }
+  if (new Set(ids).size !== ids.length) {
+    return 'A fallback provider may only be listed once';
+  }
+  return null;
+}
+
+// ============================================================================
+// RETRIES AND CIRCUITS
+// ============================================================================
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Retry and circuit settings, with a provider's own max_retries
+ * @param {Object} [providerConfig] - Parsed config_json
+ */
+function getPolicy(providerConfig = {}) {
+  const setting = (key, fallback) => db.getSetting(key) ?? fallback;
+  return {
+    maxRetries: providerConfig.max_retries ?? setting('provider_max_retries', DEFAULT_MAX_RETRIES),
+    retryBaseMs: setting('provider_retry_base_ms', DEFAULT_RETRY_BASE_MS),
+    threshold: setting('provider_circuit_threshold', DEFAULT_CIRCUIT_THRESHOLD),
+    cooldownMs: setting('provider_circuit_cooldown_ms', DEFAULT_CIRCUIT_COOLDOWN_MS)
+  };
+}
+
+/**
+ * Whether a failed call may succeed if tried again
+ */
+function isRetryable(error) {
+  if (['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'].includes(error.code)) return true;
+  if (/timeout/i.test(error.message)) return true;
+  const status = error.response?.status;
+  if (!status) return Boolean(error.request); // Sent, but no response
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Delay before a retry: exponential backoff with jitter
+ * A Retry-After header from a rate limit wins when it is longer.
+ * @param {number} retry - 0 for the first retry
+ */
+function getRetryDelay(retry, baseMs, error) {
+  const backoff = Math.min(MAX_RETRY_DELAY_MS, baseMs * 2 ** retry);
+  const delay = Math.round(backoff * (1 + Math.random() * 0.5));
+  const retryAfter = Number(error?.response?.headers?.['retry-after']) * 1000;
+  return Number.isFinite(retryAfter) && retryAfter > delay ? Math.min(retryAfter, MAX_RETRY_DELAY_MS) : delay;
+}
+
+const getCircuit = (providerId) => {
+  if (!circuits.has(providerId)) {
+    circuits.set(providerId, { failures: 0, openUntil: null, trialInFlight: false, lastError: null, lastFailureAt: null });
+  }
+  return circuits.get(providerId);
+};
+
+/**
+ * Claim a call on a provider's circuit
+ * @throws {Error} With code 'CIRCUIT_OPEN' while the provider is unhealthy
+ */
+function enterCircuit(provider) {
+  const circuit = getCircuit(provider.id);
+  if (!circuit.openUntil) return;
+
+  if (Date.now() < circuit.openUntil || circuit.trialInFlight) {
+    const error = new Error(`${provider.name} is unhealthy after ${circuit.failures} failed calls (last: ${circuit.lastError}); ` +
+      `skipped until ${new Date(circuit.openUntil).toISOString()}`);
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+  circuit.trialInFlight = true; // Half open: this call decides
+}
+
+function recordSuccess(provider) {
+  const circuit = getCircuit(provider.id);
+  if (circuit.openUntil) {
+    console.log(`   💚 ${provider.name} is healthy again`);
+  }
+  circuits.set(provider.id, { ...circuit, failures: 0, openUntil: null, trialInFlight: false });
+}
+
+function recordFailure(provider, error, policy) {
+  const circuit = getCircuit(provider.id);
+  circuit.trialInFlight = false;
+  if (!isRetryable(error)) {
+    // Not the provider's fault; a half-open circuit waits for the next call
+    return;
+  }
+
+  circuit.failures++;
+  circuit.lastError = String(error.response?.data?.error?.message || error.message).slice(0, MAX_ERROR_CHARS);
+  circuit.lastFailureAt = Date.now();
+  if (circuit.openUntil || circuit.failures >= policy.threshold) {
+    circuit.openUntil = Date.now() + policy.cooldownMs;
+    console.warn(`   💔 ${provider.name} marked unhealthy after ${circuit.failures} failed calls; skipped for ${Math.round(policy.cooldownMs / 1000)}s`);
+  }
+}
+
+/**
+ * Make a provider call with retries, through the provider's circuit
+ * @param {Object} provider - llm_providers row
+ * @param {Object} providerConfig - Parsed config_json
+ * @param {function(): Promise<T>} attempt - Makes one call
+ * @returns {Promise<T>}
+ * @template T
+ */
+async function callWithRetries(provider, providerConfig, attempt) {
+  const policy = getPolicy(providerConfig);
+  enterCircuit(provider);
+
+  for (let retry = 0; ; retry++) {
+    try {
+      const result = await attempt();
+      recordSuccess(provider);
+      return result;
+    } catch (error) {
+      if (retry >= policy.maxRetries || !isRetryable(error)) {
+        recordFailure(provider, error, policy);
+        throw error;
+      }
+      const delay = getRetryDelay(retry, policy.retryBaseMs, error);
+      console.warn(`   🔁 ${provider.name} failed (${error.message}); retry ${retry + 1}/${policy.maxRetries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Circuit state of every provider that has been called
+ * @returns {Array<{provider_id: number, state: string, consecutive_failures: number, open_until: string|null, last_error: string|null, last_failure_at: string|null}>}
+ */
+function getHealth() {
+  const now = Date.now();
+  return [...circuits.entries()].map(([providerId, circuit]) => ({
+    provider_id: providerId,
+    state: !circuit.openUntil ? 'closed' : now < circuit.openUntil ? 'open' : 'half_open',
+    consecutive_failures: circuit.failures,
+    open_until: circuit.openUntil ? new Date(circuit.openUntil).toISOString() : null,
+    last_error: circuit.lastError,
+    last_failure_at: circuit.lastFailureAt ? new Date(circuit.lastFailureAt).toISOString() : null
+  }));
+}
+
+/**
+ * Mark a provider healthy, e.g. after fixing its key
+ */
+function resetHealth(providerId) {
+  circuits.delete(providerId);
+}
+
+module.exports = {
+  MAX_FALLBACKS,
+  parseFallbackProviders,
+  checkFallbackProviders,
+  isRetryable,
+  getRetryDelay,
+  callWithRetries,
+  getHealth,
+  resetHealth
+};
@@ -0,0 +1,198 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * Per-Bot Risk Manager
+ *
+ * Enforces the guardrails stored in bots.risk_limits_json on top of the
+ * arena-wide rules (minimum trade size, exchange leverage caps). Every limit
+ * is optional; null or missing disables it.
+ *
+ *   max_position_size_pct  - margin of one new position, % of account value
+ *   max_total_exposure_pct - notional (margin x leverage) of all open
+ *                            positions, % of account value
+ *   max_open_positions     - concurrent open positions
+ *   max_leverage           - leverage cap for this bot
+ *   max_stop_loss_pct      - stop loss must be within this % of the entry price
+ *   daily_loss_limit_pct   - loss since the start of the UTC day, % of the
+ *                            value at day start; reaching it pauses the bot
+ *   enforce_cooldown       - reject new positions on symbols on cooldown
+ *
+ * Sizes and leverage above a limit are scaled down with a NOTE; decisions
+ * that cannot be brought within the limits are REJECTED.
+ */
+
+const RISK_LIMIT_DEFAULTS = {
+  max_position_size_pct: null,
+  max_total_exposure_pct: null,
+  max_open_positions: null,
+  max_leverage: null,
+  max_stop_loss_pct: null,
+  daily_loss_limit_pct: null,
+  enforce_cooldown: false
+};
+
+/**
+ * Parse a bot's risk_limits_json column
+ * @returns {Object} Every limit, null when disabled
+ */
+function parseRiskLimits(json) {
+  if (!json) return { ...RISK_LIMIT_DEFAULTS };
+  try {
+    const limits = typeof json === 'string' ? JSON.parse(json) : json;
+    const parsed = { ...RISK_LIMIT_DEFAULTS };
+    for (const key of Object.keys(RISK_LIMIT_DEFAULTS)) {
+      if (limits[key] !== undefined && limits[key] !== null && limits[key] !== '') {
+        parsed[key] = key === 'enforce_cooldown' ? Boolean(limits[key]) : Number(limits[key]);
+      }
+    }
+    return parsed;
+  } catch (error) {
+    console.warn('⚠️  Invalid risk_limits_json, ignoring it');
+    return { ...RISK_LIMIT_DEFAULTS };
+  }
+}
+
+/**
+ * Check a risk_limits_json value from the API
+ * @returns {string|null} What is wrong with it, or null when valid
+ */
+function checkRiskLimits(json) {
+  let limits;
+  try {
+    limits = JSON.parse(json);
+  } catch (error) {
+    return 'Risk limits must be valid JSON';
+  }
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    return 'Risk limits must be a JSON object';
+  }
+
+  for (const [key, value] of Object.entries(limits)) {
+    if (!(key in RISK_LIMIT_DEFAULTS)) return `Unknown risk limit '${key}'`;
+    if (value === null || key === 'enforce_cooldown') continue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      return `${key} must be a positive number or null`;
+    }
+    if (key.endsWith('_pct') && key !== 'max_total_exposure_pct' && value > 100) {
+      return `${key} cannot be more than 100`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether any limit is enabled
+ */
+function hasRiskLimits(limits) {
+  return Object.entries(limits || {}).some(([key, value]) => value !== RISK_LIMIT_DEFAULTS[key]);
+}
+
+/**
+ * Apply a bot's risk limits to the turn's decisions, in order
+ * Positions opened or closed earlier in the same turn count towards the
+ * limits of later decisions.
+ * @param {Object} bot - Bot state, with riskLimits
+ * @param {Array<{decision: Object, adjustedLeverage: number}>} validatedDecisions
+ * @param {Object} context
+ * @param {string[]} context.notes - Bot log notes, appended to
+ * @param {Object<string, number>} context.prices - Current price by symbol
+ * @param {number} context.now - Current time (ms)
+ * @param {number} context.minimumTradeSizeUsd
+ * @returns {Array<{decision: Object, adjustedLeverage: number}>} Decisions within the limits
+ */
+function applyRiskLimits(bot, validatedDecisions, { notes, prices, now, minimumTradeSizeUsd }) {
+  const limits = bot.riskLimits;
+  if (!hasRiskLimits(limits)) return validatedDecisions;
+
+  const equity = bot.portfolio.totalValue;
+  let openPositions = [...bot.portfolio.positions];
+  const allowed = [];
+
+  for (const entry of validatedDecisions) {
+    const { decision } = entry;
+
+    if (decision.action === 'CLOSE') {
+      openPositions = openPositions.filter(p => p.id !== decision.closePositionId);
+      allowed.push(entry);
+      continue;
+    }
+
+    const label = `${decision.action} ${decision.symbol}`;
+    const reject = (reason) => notes.push(`REJECTED ${label}: Risk limit - ${reason}.`);
+
+    const cooldownUntil = bot.symbolCooldowns?.[decision.symbol];
+    if (limits.enforce_cooldown && cooldownUntil && cooldownUntil > now) {
+      reject(`${decision.symbol} is on cooldown for ${Math.ceil((cooldownUntil - now) / 60000)} more minute(s)`);
+      continue;
+    }
+
+    if (limits.max_open_positions !== null && openPositions.length >= limits.max_open_positions) {
+      reject(`already at the maximum of ${limits.max_open_positions} open position(s)`);
+      continue;
+    }
+
+    const price = prices[decision.symbol];
+    if (limits.max_stop_loss_pct !== null && price && decision.stopLoss) {
+      const distancePct = Math.abs(price - decision.stopLoss) / price * 100;
+      if (distancePct > limits.max_stop_loss_pct) {
+        reject(`stop loss is ${distancePct.toFixed(2)}% from entry, maximum is ${limits.max_stop_loss_pct}%`);
+        continue;
+      }
+    }
+
+    let leverage = entry.adjustedLeverage;
+    if (limits.max_leverage !== null && leverage > limits.max_leverage) {
+      notes.push(`NOTE: Risk limit - leverage for ${decision.symbol} reduced from ${leverage}x to ${limits.max_leverage}x.`);
+      leverage = limits.max_leverage;
+    }
+
+    let size = decision.size;
+    if (limits.max_position_size_pct !== null) {
+      const maxSize = equity * limits.max_position_size_pct / 100;
+      if (size > maxSize) {
+        notes.push(`NOTE: Risk limit - size for ${decision.symbol} reduced from $${size.toFixed(2)} to $${maxSize.toFixed(2)} (${limits.max_position_size_pct}% of account value).`);
+        size = maxSize;
+      }
+    }
+
+    if (limits.max_total_exposure_pct !== null) {
+      const exposure = openPositions.reduce((sum, p) => sum + p.size * p.leverage, 0);
+      const maxSize = Math.max(0, equity * limits.max_total_exposure_pct / 100 - exposure) / leverage;
+      if (size > maxSize) {
+        notes.push(`NOTE: Risk limit - size for ${decision.symbol} reduced from $${size.toFixed(2)} to $${maxSize.toFixed(2)} to stay within ${limits.max_total_exposure_pct}% total exposure.`);
+        size = maxSize;
+      }
+    }
+
+    if (size < minimumTradeSizeUsd) {
+      reject(`size after limits $${size.toFixed(2)} is below the minimum of $${minimumTradeSizeUsd}`);
+      continue;
+    }
+
+    openPositions.push({ id: null, symbol: decision.symbol, size, leverage });
+    allowed.push({ decision: { ...decision, size }, adjustedLeverage: leverage });
+  }
+
+  return allowed;
+}
+
+/**
+ * Loss since the start of the day as a % of the day-start value
+ * @returns {number} Positive for a loss, 0 or negative otherwise
+ */
+function getDailyLossPct(dayStartValue, currentValue) {
+  if (!dayStartValue || dayStartValue <= 0) return 0;
+  return (dayStartValue - currentValue) / dayStartValue * 100;
+}
+
+module.exports = {
+  RISK_LIMIT_DEFAULTS,
+  parseRiskLimits,
+  checkRiskLimits,
+  hasRiskLimits,
+  applyRiskLimits,
+  getDailyLossPct
+};
@@ -0,0 +1,149 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * Statistics
+ *
+ * Student's t distribution and a paired t-test, used to say how confident an
+ * experiment's result is. Pure functions; no dependencies.
+ */
+
+const sum = (values) => values.reduce((acc, v) => acc + v, 0);
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ */
+function logGamma(x) {
+  const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const c of coefficients) series += c / ++y;
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Continued fraction for the incomplete beta function (modified Lentz)
+ */
+function betaContinuedFraction(x, a, b) {
+  const TINY = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+/**
+ * P(T <= t) for Student's t distribution
+ * @param {number} t
+ * @param {number} df - Degrees of freedom
+ */
+function studentTCdf(t, df) {
+  const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return t > 0 ? 1 - tail : tail;
+}
+
+/**
+ * Value of t with P(T <= t) = p, found by bisection
+ */
+function studentTQuantile(p, df) {
+  let low = -1000;
+  let high = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (studentTCdf(mid, df) < p) low = mid; else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Paired t-test on per-observation differences (A - B)
+ * probabilityBetter is the one-sided confidence that the true mean
+ * difference is above zero, i.e. that A beats B.
+ * @param {number[]} differences
+ * @param {number} [confidence] - Level of the confidence interval
+ * @returns {{n: number, meanDifference: number, standardError: number, tStatistic: number|null,
+ *   pValue: number, probabilityBetter: number, ciLow: number, ciHigh: number}|null} null with fewer than 2 observations
+ */
+function pairedTTest(differences, confidence = 0.95) {
+  const n = differences.length;
+  if (n < 2) return null;
+
+  const meanDifference = sum(differences) / n;
+  const variance = sum(differences.map(d => Math.pow(d - meanDifference, 2))) / (n - 1);
+  const standardError = Math.sqrt(variance / n);
+
+  if (standardError === 0) {
+    // Every difference is the same; there is nothing to be unsure about
+    return {
+      n,
+      meanDifference,
+      standardError,
+      tStatistic: null,
+      pValue: meanDifference === 0 ? 1 : 0,
+      probabilityBetter: meanDifference > 0 ? 1 : meanDifference < 0 ? 0 : 0.5,
+      ciLow: meanDifference,
+      ciHigh: meanDifference
+    };
+  }
+
+  const df = n - 1;
+  const tStatistic = meanDifference / standardError;
+  const cdf = studentTCdf(tStatistic, df);
+  const margin = studentTQuantile(1 - (1 - confidence) / 2, df) * standardError;
+
+  return {
+    n,
+    meanDifference,
+    standardError,
+    tStatistic,
+    pValue: 2 * Math.min(cdf, 1 - cdf),
+    probabilityBetter: cdf,
+    ciLow: meanDifference - margin,
+    ciHigh: meanDifference + margin
+  };
+}
+
+module.exports = {
+  studentTCdf,
+  studentTQuantile,
+  pairedTTest
+};
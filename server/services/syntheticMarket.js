@@ -0,0 +1,360 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * Synthetic Market Data
+ *
+ * Generates arena prices without an exchange, for offline development and
+ * demos. Selected with market_data_source = 'synthetic' and configured with
+ * the synthetic_market_config setting (JSON, every key optional):
+ *
+ *   seed            - PRNG seed; the same seed and start time give the same prices
+ *   tickMs          - simulated time step (default 5000)
+ *   correlation     - share of each move that is market-wide (0-1, default 0.6)
+ *   regimeSwitching - switch between calm, trending and volatile regimes (default true)
+ *   symbols         - { BTCUSDT: { price, volatility, quantityPrecision, pricePrecision } }
+ *                     volatility is the daily standard deviation of returns
+ *   scenarios       - [{ type: 'crash' | 'pump', magnitude_pct, duration_minutes,
+ *                        start_in_minutes, symbols }] moves scripted from the start
+ *
+ * Prices follow geometric Brownian motion on a fixed tick grid. The market
+ * regime scales drift and volatility, and active crash/pump scenarios add a
+ * drift that moves the price by magnitude_pct over their duration. The market
+ * starts with 24 hours of generated history so 24h changes are meaningful
+ * from the first tick.
+ *
+ * createSyntheticMarketSource() wraps a market in the public market-data half
+ * of the exchange adapter interface (see exchanges/index.js).
+ */
+
+const { aggregateKlines } = require('./klines');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_SAMPLE_MS = 60 * 1000;
+
+const DEFAULT_SYNTHETIC_CONFIG = {
+  seed: 1,
+  tickMs: 5000,
+  correlation: 0.6,
+  regimeSwitching: true,
+  symbols: {
+    BTCUSDT: { price: 100000, volatility: 0.03, quantityPrecision: 3, pricePrecision: 1 },
+    ETHUSDT: { price: 3500, volatility: 0.04, quantityPrecision: 3, pricePrecision: 2 },
+    SOLUSDT: { price: 180, volatility: 0.06, quantityPrecision: 2, pricePrecision: 3 },
+    BNBUSDT: { price: 650, volatility: 0.035, quantityPrecision: 2, pricePrecision: 2 },
+    DOGEUSDT: { price: 0.2, volatility: 0.07, quantityPrecision: 0, pricePrecision: 5 },
+    XRPUSDT: { price: 2.5, volatility: 0.06, quantityPrecision: 1, pricePrecision: 4 }
+  },
+  scenarios: []
+};
+
+/**
+ * Market regimes: daily drift, volatility multiplier and mean duration
+ */
+const REGIMES = {
+  calm: { drift: 0, volatility: 0.5, meanMinutes: 240 },
+  trending_up: { drift: 0.04, volatility: 1, meanMinutes: 180 },
+  trending_down: { drift: -0.04, volatility: 1, meanMinutes: 180 },
+  volatile: { drift: 0, volatility: 2.5, meanMinutes: 60 }
+};
+
+const SCENARIO_TYPES = ['crash', 'pump'];
+
+/**
+ * Seeded PRNG (mulberry32), uniform in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Merge a synthetic_market_config value over the defaults
+ * Invalid JSON falls back to the defaults with a warning.
+ */
+function parseSyntheticConfig(json) {
+  let config = {};
+  try {
+    config = (typeof json === 'string' ? JSON.parse(json) : json) || {};
+  } catch (error) {
+    console.warn('⚠️  Invalid synthetic_market_config, using defaults');
+  }
+  return { ...DEFAULT_SYNTHETIC_CONFIG, ...config, symbols: config.symbols || DEFAULT_SYNTHETIC_CONFIG.symbols };
+}
+
+class SyntheticMarket {
+  /**
+   * @param {Object} [config] - Overrides for DEFAULT_SYNTHETIC_CONFIG
+   * @param {number} [startTime] - When the market goes live (ms)
+   */
+  constructor(config = {}, startTime = Date.now()) {
+    this.config = parseSyntheticConfig(config);
+    this.startTime = startTime;
+    this.random = createRandom(Number(this.config.seed) || 0);
+    this.spareNormal = null;
+    this.regime = 'calm';
+    this.scenarios = (this.config.scenarios || []).map(s => this.normalizeScenario(s, startTime));
+    this.symbols = new Map(Object.entries(this.config.symbols).map(([symbol, info]) => [symbol, {
+      volatility: 0.04,
+      quantityPrecision: 3,
+      pricePrecision: 2,
+      ...info
+    }]));
+
+    this.prices = new Map();
+    this.history = new Map();
+    this.time = startTime - DAY_MS;
+    for (const [symbol, info] of this.symbols) {
+      this.prices.set(symbol, info.price);
+      this.history.set(symbol, [{ time: this.time, price: info.price, volume: 0 }]);
+    }
+
+    this.advanceTo(startTime);
+  }
+
+  /**
+   * Standard normal random number (Box-Muller on the seeded PRNG)
+   */
+  randomNormal() {
+    if (this.spareNormal !== null) {
+      const spare = this.spareNormal;
+      this.spareNormal = null;
+      return spare;
+    }
+    const u = 1 - this.random();
+    const v = this.random();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    this.spareNormal = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * Check a scenario and convert it to absolute times
+   * @throws {Error} If the scenario is invalid
+   */
+  normalizeScenario(scenario, now) {
+    const { type, magnitude_pct, duration_minutes, start_in_minutes = 0, symbols = null } = scenario;
+    if (!SCENARIO_TYPES.includes(type)) {
+      throw new Error(`Scenario type must be one of: ${SCENARIO_TYPES.join(', ')}`);
+    }
+    if (!(magnitude_pct > 0) || (type === 'crash' && magnitude_pct >= 100)) {
+      throw new Error('Scenario magnitude_pct must be positive (and below 100 for a crash)');
+    }
+    if (!(duration_minutes > 0)) {
+      throw new Error('Scenario duration_minutes must be positive');
+    }
+
+    const startAt = now + start_in_minutes * 60000;
+    const factor = type === 'crash' ? 1 - magnitude_pct / 100 : 1 + magnitude_pct / 100;
+    return {
+      type,
+      magnitude_pct,
+      duration_minutes,
+      symbols,
+      startAt,
+      endAt: startAt + duration_minutes * 60000,
+      // Log-return per ms that moves the price by magnitude_pct over the duration
+      logDriftPerMs: Math.log(factor) / (duration_minutes * 60000)
+    };
+  }
+
+  /**
+   * Start a crash or pump now (or start_in_minutes from now)
+   * @returns {Object} The scheduled scenario
+   */
+  injectScenario(scenario, now = Date.now()) {
+    this.advanceTo(now);
+    const normalized = this.normalizeScenario(scenario, now);
+    this.scenarios.push(normalized);
+    return normalized;
+  }
+
+  /**
+   * Generate ticks up to a time
+   */
+  advanceTo(now) {
+    const { tickMs } = this.config;
+    while (this.time + tickMs <= now) {
+      this.tick(this.time + tickMs);
+    }
+  }
+
+  tick(time) {
+    const { tickMs, correlation, regimeSwitching } = this.config;
+    const dtDays = tickMs / DAY_MS;
+
+    if (regimeSwitching) {
+      const { meanMinutes } = REGIMES[this.regime];
+      if (this.random() < tickMs / (meanMinutes * 60000)) {
+        const others = Object.keys(REGIMES).filter(r => r !== this.regime);
+        this.regime = others[Math.floor(this.random() * others.length)];
+      }
+    }
+    const regime = REGIMES[this.regime];
+    const marketShock = this.randomNormal();
+
+    for (const [symbol, info] of this.symbols) {
+      const shock = Math.sqrt(correlation) * marketShock + Math.sqrt(1 - correlation) * this.randomNormal();
+      let volatility = info.volatility * regime.volatility;
+      let scenarioDrift = 0;
+      for (const scenario of this.scenarios) {
+        if (time > scenario.startAt && time - tickMs < scenario.endAt && (!scenario.symbols || scenario.symbols.includes(symbol))) {
+          const overlapMs = Math.min(time, scenario.endAt) - Math.max(time - tickMs, scenario.startAt);
+          scenarioDrift += scenario.logDriftPerMs * overlapMs;
+          volatility = Math.max(volatility, info.volatility * 2);
+        }
+      }
+
+      const logReturn = (regime.drift - volatility * volatility / 2) * dtDays
+        + volatility * Math.sqrt(dtDays) * shock
+        + scenarioDrift;
+      const price = this.prices.get(symbol) * Math.exp(logReturn);
+      this.prices.set(symbol, price);
+
+      // Turnover grows with the size of the move
+      const volume = (1 + Math.abs(shock)) * 1000000 * (tickMs / 60000) / price;
+      const history = this.history.get(symbol);
+      const last = history[history.length - 1];
+      if (time - last.time >= HISTORY_SAMPLE_MS) {
+        history.push({ time, price, volume });
+      } else {
+        last.volume += volume;
+      }
+      while (history.length > 1 && history[1].time <= time - DAY_MS) {
+        history.shift();
+      }
+    }
+
+    this.scenarios = this.scenarios.filter(s => s.endAt > time);
+    this.time = time;
+  }
+
+  /**
+   * 24hr ticker rows in the exchange API's shape
+   */
+  getTicker24hr(now = Date.now()) {
+    this.advanceTo(now);
+    return [...this.symbols.entries()].map(([symbol, info]) => {
+      const history = this.history.get(symbol);
+      const lastPrice = this.prices.get(symbol);
+      const openPrice = history[0].price;
+      const prices = [...history.map(h => h.price), lastPrice];
+      const volume = history.reduce((sum, h) => sum + h.volume, 0);
+      const format = (value) => value.toFixed(info.pricePrecision);
+      return {
+        symbol,
+        priceChange: format(lastPrice - openPrice),
+        priceChangePercent: (((lastPrice - openPrice) / openPrice) * 100).toFixed(3),
+        lastPrice: format(lastPrice),
+        openPrice: format(openPrice),
+        highPrice: format(Math.max(...prices)),
+        lowPrice: format(Math.min(...prices)),
+        volume: volume.toFixed(info.quantityPrecision),
+        quoteVolume: (volume * lastPrice).toFixed(2),
+        openTime: history[0].time,
+        closeTime: this.time
+      };
+    });
+  }
+
+  /**
+   * Candles built from the last 24h of one-minute samples
+   */
+  getKlines(symbol, interval, limit, now = Date.now()) {
+    this.advanceTo(now);
+    const history = this.history.get(symbol);
+    if (!history) throw new Error(`Unknown synthetic symbol ${symbol}`);
+    return aggregateKlines([...history, { time: this.time, price: this.prices.get(symbol) }], { symbol, interval, limit });
+  }
+
+  getExchangeInfo() {
+    return {
+      timezone: 'UTC',
+      serverTime: this.time,
+      symbols: [...this.symbols.entries()].map(([symbol, info]) => ({
+        symbol,
+        pair: symbol,
+        contractType: 'PERPETUAL',
+        status: 'TRADING',
+        baseAsset: symbol.replace(/USDT$/, ''),
+        quoteAsset: 'USDT',
+        pricePrecision: info.pricePrecision,
+        quantityPrecision: info.quantityPrecision
+      }))
+    };
+  }
+
+  /**
+   * Current regime, prices and scheduled scenarios
+   */
+  getState(now = Date.now()) {
+    this.advanceTo(now);
+    return {
+      seed: this.config.seed,
+      startTime: this.startTime,
+      time: this.time,
+      regime: this.regime,
+      prices: Object.fromEntries(this.prices),
+      scenarios: this.scenarios.map(({ logDriftPerMs, ...scenario }) => scenario)
+    };
+  }
+}
+
+/**
+ * Market-data source over a synthetic market, shaped like an exchange adapter
+ * @param {SyntheticMarket} market
+ */
+function createSyntheticMarketSource(market) {
+  return {
+    id: 'synthetic',
+    name: 'Synthetic',
+    market,
+
+    async getTicker24hr() {
+      return market.getTicker24hr();
+    },
+
+    async getExchangeInfo() {
+      return market.getExchangeInfo();
+    },
+
+    async getKlines(symbol, interval, limit) {
+      return market.getKlines(symbol, interval, limit);
+    },
+
+    async getMarketData(symbols) {
+      return market.getTicker24hr()
+        .filter(t => symbols.includes(t.symbol))
+        .map(t => ({
+          symbol: t.symbol,
+          price: parseFloat(t.lastPrice),
+          price24hChange: parseFloat(t.priceChangePercent)
+        }));
+    },
+
+    async getSymbolPrecisions() {
+      return new Map([...market.symbols.entries()].map(([symbol, info]) => [
+        symbol,
+        { quantityPrecision: info.quantityPrecision }
+      ]));
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_SYNTHETIC_CONFIG,
+  REGIMES,
+  SCENARIO_TYPES,
+  parseSyntheticConfig,
+  createRandom,
+  SyntheticMarket,
+  createSyntheticMarketSource
+};
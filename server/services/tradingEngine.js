@@ -0,0 +1,1862 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const { getArenaState, updateArenaState } = require('../database');
+const db = require('../database/relational');
+const { DEFAULT_EXCHANGE, getExchange, getExchangeForBot, getMarketDataExchange } = require('./exchanges');
+const { getTradingDecision } = require('./llmService');
+const { generateFullPrompt, usesMemory } = require('./promptBuilder');
+const { buildDecisionJsonSchema, validateDecisionSchema, formatRejection, buildRepairPrompt } = require('./decisionSchema');
+const { leverageLimits } = require('./leverageLimits');
+const { parseRiskLimits, applyRiskLimits, getDailyLossPct } = require('./riskManager');
+const { KLINE_INTERVALS, DEFAULT_KLINE_INTERVALS, BACKFILL_LIMIT, MAX_FETCH_LIMIT } = require('./klines');
+const botMemory = require('./botMemory');
+const decisionTools = require('./decisionTools');
+const { parseEnsemble, aggregateVotes, buildJudgePrompt } = require('./ensemble');
+const llmUsage = require('./llmUsage');
+const { parseFallbackProviders } = require('./providerHealth');
+
+/**
+ * Server-side Trading Engine
+ *
+ * Owns the market refresh and trading turn timers. Bots, providers and
+ * settings are read from the relational database; the resulting arena state
+ * is persisted to arena_state and broadcast to every WebSocket client. The
+ * browser is only a viewer/controller.
+ *
+ * History is written to the relational tables as it happens: positions and
+ * trades on every open and close, one bot_decisions row per bot turn, one
+ * market_data row per symbol per refresh and one bot_state_snapshots row per
+ * bot per turn. Trades, decisions and snapshots are tagged with the bot's
+ * prompt version in force. Closed candles are collected into klines for the
+ * kline_intervals setting (see klines.js).
+ *
+ * Bots whose prompt uses {{memory}} reflect on every closed trade and have
+ * their decisions summarized every memory_summary_interval turns (see
+ * botMemory.js).
+ *
+ * Bots with tools enabled may call data tools before they decide, up to
+ * tool_max_calls_per_turn calls within tool_time_budget_ms per turn (see
+ * decisionTools.js). The calls are recorded with the turn.
+ *
+ * Ensemble bots decide by committee: several providers or prompts propose
+ * decisions that are combined by majority vote or by a judge (see
+ * ensemble.js). Every member's proposal is recorded with the turn.
+ *
+ * Every provider call is recorded with its tokens, cost and latency (see
+ * llmUsage.js); a bot that reaches its daily or monthly budget is paused.
+ * Failed calls are retried, and a bot whose provider fails or is unhealthy
+ * asks its fallback providers in order (see providerHealth.js). The provider
+ * that answered is recorded with the turn.
+ *
+ * Each arena turn freezes the prices into a market snapshot (market_snapshots)
+ * and fetches every bot's decisions against it, decision_concurrency bots at
+ * a time. The decisions are then executed one bot at a time in bot ID order,
+ * so a turn plays out the same way whichever provider answers first. Each
+ * decision records the snapshot it was based on.
+ *
+ * The prompt and raw response of every provider request in an arena turn are
+ * recorded as a cassette in llm_cassettes, keyed by bot, snapshot and
+ * sequence (cassette_recording_enabled). Backtests replaying recorded
+ * decisions feed them back through the same pipeline (see backtester.js).
+ *
+ * Running prompt experiments (see experiments.js) follow the arena: they are
+ * marked to market on every refresh and take a turn with every scheduled
+ * arena turn.
+ */
+
+const DEFAULT_TRADING_SYMBOLS = ['BTCUSDT', 'ETHUSDT', 'SOLUSDT', 'BNBUSDT', 'DOGEUSDT', 'XRPUSDT'];
+const MAX_VALUE_HISTORY_POINTS = 300;
+const MAX_BOT_LOGS = 50;
+const TRADE_FEE_RATE = 0.03; // 3% fee on the margin, charged on entry and on exit
+const DEFAULT_MAX_LEVERAGE = 25;
+const KLINE_RETRY_MS = 60000;
+const DEFAULT_DECISION_CONCURRENCY = 4;
+
+const generateId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+
+/**
+ * Whether executing a turn's decisions produced an error note
+ */
+const hasExecutionErrors = (notes) => notes.some(note => note.startsWith('ERROR') || note.startsWith('Execution Error'));
+
+/**
+ * Map items with an async function, at most limit at a time
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
+class TradingEngine {
+  /**
+   * @param {Object} options
+   * @param {import('../websocket')} options.wsServer - Server used to broadcast state
+   * @param {import('./experiments')} [options.experiments] - Prompt experiments driven by this engine's refreshes and turns
+   */
+  constructor({ wsServer, experiments = null }) {
+    this.wsServer = wsServer;
+    this.experiments = experiments;
+    this.bots = [];
+    this.markets = [];
+    this.symbolPrecisions = new Map(); // exchange ID -> Map<symbol, {quantityPrecision}>
+    this.isRunning = false;
+    this.isPaused = false;
+    this.killSwitchEngagedAt = null;
+    this.turnInProgress = false;
+    this.turnSnapshot = null; // Market snapshot of the arena turn in progress
+    this.cassetteSequences = new Map(); // bot ID -> next cassette sequence in this turn
+    this.lastTurnAt = null;
+    this.nextTurnAt = null;
+    this.refreshTimer = null;
+    this.klineCollection = null;
+    this.klineRetryAt = 0;
+  }
+
+  // ============================================================================
+  // LIFECYCLE
+  // ============================================================================
+
+  /**
+   * Load bots, resume saved state and start the refresh loop
+   */
+  async start() {
+    if (this.isRunning) return;
+
+    console.log('🚀 Starting trading engine...');
+    this.isPaused = db.getSetting('trading_paused') === true;
+
+    this.loadBots();
+    await this.syncLiveBots();
+
+    this.isRunning = true;
+    await this.refresh();
+
+    // Skip the first turn if any bot already decided within the turn interval
+    const { turnIntervalMs } = this.getSettings();
+    const lastDecisionAt = Math.max(0, ...this.bots.map(b => b.botLogs?.find(log => log.prompt)?.timestamp || 0));
+    this.nextTurnAt = Date.now() - lastDecisionAt < turnIntervalMs
+      ? lastDecisionAt + turnIntervalMs
+      : Date.now();
+
+    this.scheduleRefresh();
+    console.log(`✅ Trading engine started with ${this.bots.length} bot(s)${this.isPaused ? ' (paused)' : ''}`);
+  }
+
+  /**
+   * Stop all timers
+   */
+  stop() {
+    this.isRunning = false;
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Pause or resume trading turns for every bot
+   * Market data keeps refreshing while paused so viewers stay up to date.
+   * Resuming does not release the kill switch; see releaseKillSwitch.
+   * @param {boolean} paused
+   */
+  setPaused(paused) {
+    this.isPaused = paused;
+    db.updateSetting('trading_paused', paused);
+    if (!paused && this.nextTurnAt && this.nextTurnAt < Date.now()) {
+      this.nextTurnAt = Date.now();
+    }
+    this.persist();
+  }
+
+  /**
+   * Current time for trading logic
+   * Backtests override this to step through historical time.
+   */
+  now() {
+    return Date.now();
+  }
+
+  /**
+   * Read engine settings from system_settings
+   */
+  getSettings() {
+    const settings = db.getSettings();
+    return {
+      paperInitialBalance: settings.paper_bot_initial_balance ?? 10000,
+      liveInitialBalance: settings.live_bot_initial_balance ?? 950,
+      turnIntervalMs: settings.turn_interval_ms ?? 300000,
+      refreshIntervalMs: settings.refresh_interval_ms ?? 5000,
+      minimumTradeSizeUsd: settings.minimum_trade_size_usd ?? 50,
+      symbolCooldownMs: settings.symbol_cooldown_ms ?? 1800000,
+      tradingSymbols: settings.trading_symbols || DEFAULT_TRADING_SYMBOLS,
+      decisionRepairEnabled: settings.decision_repair_enabled ?? false,
+      klineIntervals: settings.kline_intervals || DEFAULT_KLINE_INTERVALS,
+      memoryTokenBudget: settings.memory_token_budget ?? botMemory.DEFAULT_TOKEN_BUDGET,
+      memoryReflectionsEnabled: settings.memory_reflections_enabled ?? true,
+      memorySummaryInterval: settings.memory_summary_interval ?? botMemory.DEFAULT_SUMMARY_INTERVAL,
+      toolMaxCallsPerTurn: settings.tool_max_calls_per_turn ?? decisionTools.DEFAULT_MAX_CALLS,
+      toolTimeBudgetMs: settings.tool_time_budget_ms ?? decisionTools.DEFAULT_TIME_BUDGET_MS,
+      decisionConcurrency: Number.isInteger(settings.decision_concurrency) && settings.decision_concurrency >= 1
+        ? settings.decision_concurrency
+        : DEFAULT_DECISION_CONCURRENCY,
+      cassetteRecordingEnabled: settings.cassette_recording_enabled ?? true
+    };
+  }
+
+  /**
+   * Run one refresh and, when due, one trading turn, then re-arm the timer
+   * The interval is re-read every tick so settings changes apply without a restart.
+   */
+  scheduleRefresh() {
+    if (!this.isRunning) return;
+
+    const { refreshIntervalMs } = this.getSettings();
+    this.refreshTimer = setTimeout(async () => {
+      try {
+        await this.refresh();
+        if (!this.isPaused && this.nextTurnAt && Date.now() >= this.nextTurnAt) {
+          await this.runTradingTurn();
+        }
+      } catch (error) {
+        console.error('❌ Trading engine tick failed:', error.message);
+      } finally {
+        this.scheduleRefresh();
+      }
+    }, refreshIntervalMs);
+  }
+
+  // ============================================================================
+  // BOT CONFIGURATION
+  // ============================================================================
+
+  /**
+   * Create a fresh bot state
+   */
+  createBotState(config) {
+    const { paperInitialBalance, liveInitialBalance } = this.getSettings();
+    const initialBalance = config.tradingMode === 'real' ? liveInitialBalance : paperInitialBalance;
+
+    return {
+      ...config,
+      portfolio: {
+        balance: initialBalance,
+        pnl: 0,
+        totalValue: initialBalance,
+        positions: []
+      },
+      orders: [],
+      botLogs: [],
+      valueHistory: [{ timestamp: this.now(), value: initialBalance }],
+      isLoading: false,
+      realizedPnl: 0,
+      tradeCount: 0,
+      winRate: 0,
+      symbolCooldowns: {}
+    };
+  }
+
+  /**
+   * Read active bot configurations from the database
+   */
+  getBotConfigs() {
+    return db.getBots({ active: true }).map(bot => ({
+      id: bot.id,
+      name: bot.name,
+      prompt: bot.prompt,
+      promptVersion: bot.prompt_version,
+      provider: bot.provider_type,
+      providerId: bot.provider_id,
+      providerName: bot.provider_name,
+      avatarUrl: bot.avatar_image,
+      tradingMode: bot.trading_mode,
+      isPaused: Boolean(bot.is_paused),
+      riskLimits: parseRiskLimits(bot.risk_limits_json),
+      toolsEnabled: Boolean(bot.tools_enabled),
+      ensemble: parseEnsemble(bot.ensemble_json),
+      llmBudget: { daily: bot.llm_daily_budget_usd, monthly: bot.llm_monthly_budget_usd },
+      fallbackProviderIds: parseFallbackProviders(bot.fallback_providers_json)
+    }));
+  }
+
+  /**
+   * Build the bot list, resuming from the saved arena state when possible
+   */
+  loadBots() {
+    const configs = this.getBotConfigs();
+    const saved = getArenaState()?.state;
+    const savedBots = new Map((saved?.bots || []).map(b => [b.id, b]));
+
+    if (saved?.marketData?.length > 0) {
+      this.markets = saved.marketData;
+    }
+
+    this.bots = configs.map(config => {
+      const savedBot = savedBots.get(config.id);
+      if (savedBot) {
+        return { ...savedBot, ...config, isLoading: false, symbolCooldowns: savedBot.symbolCooldowns || {} };
+      }
+      return this.createBotState(config);
+    });
+
+    console.log(savedBots.size > 0 ? '   Resumed from saved arena state' : '   No saved state found, starting fresh');
+  }
+
+  /**
+   * Apply configuration changes (pause, prompt, provider, new or removed bots)
+   * from the database to the running bots
+   */
+  syncBotConfigs() {
+    const configs = this.getBotConfigs();
+    const current = new Map(this.bots.map(b => [b.id, b]));
+
+    this.bots = configs.map(config => {
+      const bot = current.get(config.id);
+      if (!bot) {
+        console.log(`   ➕ Bot ${config.name} added to the arena`);
+        return this.createBotState(config);
+      }
+      return Object.assign(bot, config);
+    });
+  }
+
+  /**
+   * Re-read bot configuration and broadcast immediately
+   * Called by the API after a bot is created, edited, paused or deleted.
+   */
+  reloadBots() {
+    this.syncBotConfigs();
+    this.persist();
+  }
+
+  /**
+   * Get a running bot by ID
+   */
+  getBot(botId) {
+    return this.bots.find(b => b.id === botId) || null;
+  }
+
+  // ============================================================================
+  // EXCHANGE SYNC
+  // ============================================================================
+
+  /**
+   * Load symbol quantity precisions from an exchange
+   */
+  async loadSymbolPrecisions(exchange) {
+    try {
+      this.symbolPrecisions.set(exchange.id, await exchange.getSymbolPrecisions());
+    } catch (error) {
+      console.warn(`⚠️  Failed to fetch ${exchange.name} exchange info (exchange API may not be reachable):`, error.message);
+    }
+  }
+
+  /**
+   * Exchange adapter a live bot trades on, with its symbol precisions loaded
+   * @throws {Error} If the bot's wallet is for an unsupported exchange
+   */
+  async getBotExchange(bot) {
+    const exchange = getExchangeForBot(bot.id);
+    if (!this.symbolPrecisions.has(exchange.id)) {
+      await this.loadSymbolPrecisions(exchange);
+    }
+    return exchange;
+  }
+
+  /**
+   * Round a quantity down to the symbol's precision on an exchange
+   */
+  getAdjustedQuantity(exchangeId, symbol, rawQuantity) {
+    const precision = this.symbolPrecisions.get(exchangeId)?.get(symbol)?.quantityPrecision ?? 3;
+    const factor = Math.pow(10, precision);
+    return Math.floor(rawQuantity * factor) / factor;
+  }
+
+  /**
+   * One-time sync of live bots with the exchange on startup
+   */
+  async syncLiveBots() {
+    for (const bot of this.bots.filter(b => b.tradingMode === 'real')) {
+      try {
+        console.log(`   [${bot.name}] Performing initial sync with live exchange...`);
+        const exchange = getExchangeForBot(bot.id);
+        const [portfolio, orders] = await Promise.all([
+          exchange.getAccountState(bot.id),
+          exchange.getTradeHistory(bot.id)
+        ]);
+
+        bot.portfolio = portfolio;
+        bot.orders = orders;
+        bot.realizedPnl = orders.reduce((acc, o) => acc + o.pnl, 0);
+        // Start the chart at the true current value rather than the default balance
+        bot.valueHistory = [{ timestamp: this.now(), value: portfolio.totalValue }];
+      } catch (error) {
+        console.warn(`   ⚠️  [${bot.name}] Failed initial sync with exchange (credentials may not be configured):`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Fetch market data and update every bot's portfolio
+   */
+  async refresh() {
+    this.syncBotConfigs();
+
+    const { tradingSymbols, klineIntervals } = this.getSettings();
+    let marketData;
+    let source;
+    try {
+      source = getMarketDataExchange();
+      marketData = await source.getMarketData(tradingSymbols);
+    } catch (error) {
+      console.error('❌ Failed to fetch market data:', error.message);
+      return this.markets;
+    }
+    if (!marketData || marketData.length === 0) return this.markets;
+    this.markets = marketData;
+    this.recordMarketData(marketData);
+    this.experiments?.updateExperimentPrices(marketData);
+
+    // Collected in the background so a slow candle backfill never delays a refresh
+    if (!this.klineCollection && this.now() >= this.klineRetryAt) {
+      this.klineCollection = this.collectKlines(source, tradingSymbols, klineIntervals)
+        .finally(() => { this.klineCollection = null; });
+    }
+
+    for (const bot of this.bots) {
+      if (bot.tradingMode === 'real') {
+        // For real trading, the exchange is the single source of truth.
+        const previousPositions = bot.portfolio.positions;
+        try {
+          const exchange = getExchangeForBot(bot.id);
+          bot.portfolio = await exchange.getAccountState(bot.id);
+          bot.orders = await exchange.getTradeHistory(bot.id);
+          bot.realizedPnl = bot.orders.reduce((acc, order) => acc + order.pnl, 0);
+        } catch (error) {
+          console.error(`   ❌ [${bot.name}] Failed to refresh live account:`, error.message);
+          continue;
+        }
+        this.reconcileLivePositions(bot, previousPositions);
+      } else {
+        this.checkPaperTriggers(bot);
+        this.markToMarket(bot);
+      }
+      this.checkDailyLoss(bot);
+
+      // The performance chart plots the true account value over time.
+      bot.valueHistory = [...bot.valueHistory, { timestamp: this.now(), value: bot.portfolio.totalValue }]
+        .slice(-MAX_VALUE_HISTORY_POINTS);
+    }
+
+    this.persist();
+    return marketData;
+  }
+
+  /**
+   * Recalculate unrealized PnL for a paper bot at current prices
+   */
+  markToMarket(bot) {
+    const { portfolio } = bot;
+    let unrealizedPnl = 0;
+    let totalMarginUsed = 0;
+
+    const positions = portfolio.positions.map(pos => {
+      const currentPrice = this.markets.find(m => m.symbol === pos.symbol)?.price ?? pos.entryPrice;
+      const assetQuantity = (pos.size * pos.leverage) / pos.entryPrice;
+      const pnl = (currentPrice - pos.entryPrice) * assetQuantity * (pos.type === 'LONG' ? 1 : -1);
+      unrealizedPnl += pnl;
+      totalMarginUsed += pos.size;
+      return { ...pos, pnl };
+    });
+
+    bot.portfolio = {
+      ...portfolio,
+      pnl: unrealizedPnl,
+      totalValue: portfolio.balance + totalMarginUsed + unrealizedPnl,
+      positions
+    };
+  }
+
+  // ============================================================================
+  // TRADING TURNS
+  // ============================================================================
+
+  /**
+   * Run a trading turn for all unpaused bots, or for one bot
+   * @param {string} [specificBotId] - Only process this bot
+   */
+  async runTradingTurn(specificBotId) {
+    if (this.turnInProgress) {
+      console.log('⏳ Trading turn already in progress, skipping');
+      return false;
+    }
+
+    if (this.markets.length === 0) {
+      console.warn('⚠️  Market data not loaded yet, skipping trading turn');
+      return false;
+    }
+
+    if (this.killSwitchEngagedAt) {
+      console.warn('🛑 Kill switch engaged, skipping trading turn');
+      return false;
+    }
+
+    this.turnInProgress = true;
+    console.log(specificBotId ? `🎲 Running trading turn for bot: ${specificBotId}...` : '🎲 Running trading turn for all active bots...');
+
+    try {
+      const botsToProcess = specificBotId ? this.bots.filter(b => b.id === specificBotId) : this.bots;
+      this.turnSnapshot = this.takeMarketSnapshot();
+      this.cassetteSequences = new Map();
+
+      if (!specificBotId) {
+        // Experiment variants decide in the background on this turn's prices
+        this.experiments?.runExperimentTurns(this.turnSnapshot.markets);
+      }
+
+      const activeBots = botsToProcess
+        .filter(bot => {
+          if (bot.isPaused) console.log(`   ⏭️  Skipping ${bot.name} - paused`);
+          return !bot.isPaused;
+        })
+        .sort((a, b) => a.id.localeCompare(b.id));
+
+      const fetchStart = Date.now();
+      const turns = await mapWithConcurrency(activeBots, this.getSettings().decisionConcurrency, async bot => {
+        try {
+          return await this.fetchBotDecision(bot);
+        } catch (error) {
+          console.error(`   ❌ [${bot.name}] Turn failed:`, error.message);
+          bot.isLoading = false;
+          return null;
+        }
+      });
+      console.log(`   📸 Decisions on snapshot ${this.turnSnapshot.id} fetched in ${Date.now() - fetchStart}ms`);
+
+      for (const [i, bot] of activeBots.entries()) {
+        if (!turns[i]) continue;
+        try {
+          await this.executeBotDecision(bot, turns[i]);
+        } catch (error) {
+          console.error(`   ❌ [${bot.name}] Turn failed:`, error.message);
+          bot.isLoading = false;
+        }
+        this.persist();
+      }
+
+      this.recordSnapshots(botsToProcess);
+
+      if (!specificBotId) {
+        this.lastTurnAt = Date.now();
+        this.nextTurnAt = this.lastTurnAt + this.getSettings().turnIntervalMs;
+      }
+      return true;
+    } finally {
+      this.turnInProgress = false;
+      this.turnSnapshot = null;
+    }
+  }
+
+  /**
+   * Freeze the current prices for a turn and record them
+   * @returns {{id: string, takenAt: number, markets: Array<Object>}}
+   */
+  takeMarketSnapshot() {
+    const snapshot = { id: generateId('snap'), takenAt: this.now(), markets: this.markets.map(m => ({ ...m })) };
+    try {
+      db.createMarketSnapshot(snapshot);
+    } catch (error) {
+      console.error('   ❌ Failed to record market snapshot:', error.message);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Prices bots decide on: the snapshot during an arena turn, otherwise the
+   * current prices
+   */
+  getDecisionMarkets() {
+    return this.turnSnapshot?.markets ?? this.markets;
+  }
+
+  /**
+   * Get decisions for a prompt from the bot's provider
+   * Bots with tools enabled may call tools first, unless useTools is false.
+   * Ensemble bots ask their committee, unless useEnsemble is false.
+   * @param {Object} [options]
+   * @param {boolean} [options.useTools]
+   * @param {boolean} [options.useEnsemble]
+   * @param {function(string): string} [options.renderPrompt] - Renders a member's own prompt template for this turn
+   * @param {string} [options.purpose] - What the call is for in the usage records
+   * @returns {Promise<{decisions: Array, rawResponse: string|null, error?: string, providerId: number|null,
+   *   toolCalls?: Array, ensemble?: Object, notes?: string[]}>} providerId is the provider that answered
+   */
+  requestDecision(bot, prompt, { useTools = true, useEnsemble = true, renderPrompt, purpose = 'decision' } = {}) {
+    if (useEnsemble && bot.ensemble) {
+      return this.requestEnsembleDecision(bot, prompt, { useTools, renderPrompt });
+    }
+    return this.requestWithCassette(bot, prompt, { useTools, purpose });
+  }
+
+  /**
+   * Ask the bot's providers and record the request as a cassette
+   */
+  async requestWithCassette(bot, prompt, { useTools, purpose }) {
+    // Numbered before the call so ensemble members keep the order they were asked in
+    const sequence = this.claimCassetteSequence(bot);
+    const start = Date.now();
+    const result = await this.requestWithFallback(bot, prompt, { useTools, purpose });
+    if (sequence !== null) {
+      this.recordCassette(bot, { sequence, prompt, purpose, result, latencyMs: Date.now() - start });
+    }
+    return result;
+  }
+
+  /**
+   * Ask the bot's provider, then each of its fallback providers in turn until
+   * one answers
+   * A provider that answered ends the chain even if its decisions are
+   * unusable; repairs deal with those. Each fallback is noted on the turn.
+   */
+  async requestWithFallback(bot, prompt, { useTools, purpose }) {
+    const chain = [bot.providerId, ...(bot.fallbackProviderIds || [])];
+    const notes = [];
+
+    for (const [i, providerId] of chain.entries()) {
+      const result = await this.requestProviderDecision({ ...bot, providerId }, prompt, { useTools, purpose });
+      const answered = Boolean(result.rawResponse?.trim());
+      if (answered || i === chain.length - 1) {
+        return { ...result, providerId: answered ? providerId : null, notes: notes.length > 0 ? notes : undefined };
+      }
+
+      const next = db.getProvider(chain[i + 1])?.name || `provider ${chain[i + 1]}`;
+      console.warn(`   ↪️  [${bot.name}] ${result.error}; falling back to ${next}`);
+      notes.push(`FALLBACK: ${result.error}; asked ${next} instead`);
+    }
+  }
+
+  /**
+   * Next cassette sequence of a bot in this arena turn
+   * @returns {number|null} null outside arena turns or when recording is off
+   */
+  claimCassetteSequence(bot) {
+    if (!this.turnSnapshot || !this.getSettings().cassetteRecordingEnabled) return null;
+    const sequence = this.cassetteSequences.get(bot.id) ?? 0;
+    this.cassetteSequences.set(bot.id, sequence + 1);
+    return sequence;
+  }
+
+  /**
+   * Record a provider request of an arena turn with its prompt and raw response
+   */
+  recordCassette(bot, { sequence, prompt, purpose, result, latencyMs }) {
+    try {
+      db.createCassette({
+        bot_id: bot.id,
+        snapshot_id: this.turnSnapshot.id,
+        turn_at: new Date(this.turnSnapshot.takenAt).toISOString(),
+        sequence,
+        purpose,
+        provider_id: result.providerId,
+        prompt,
+        raw_response: result.rawResponse,
+        error: result.error,
+        tool_calls: result.toolCalls,
+        notes: result.notes,
+        latency_ms: latencyMs
+      });
+    } catch (error) {
+      console.error(`   ❌ [${bot.name}] Failed to record cassette:`, error.message);
+    }
+  }
+
+  /**
+   * Get decisions for a prompt from one provider, with tools if the bot uses them
+   */
+  requestProviderDecision(bot, prompt, { useTools, purpose }) {
+    const usage = this.getUsageContext(bot, purpose);
+    if (useTools && bot.toolsEnabled) {
+      const { toolMaxCallsPerTurn, toolTimeBudgetMs } = this.getSettings();
+      return decisionTools.getToolAssistedDecision(bot.providerId, prompt, {
+        engine: this,
+        bot,
+        maxCalls: toolMaxCallsPerTurn,
+        timeBudgetMs: toolTimeBudgetMs,
+        usage
+      });
+    }
+    return getTradingDecision(bot.providerId, prompt, {
+      responseSchema: buildDecisionJsonSchema(this.getSettings().tradingSymbols),
+      usage,
+      markets: this.getDecisionMarkets() // What a mock provider's rules trade on
+    });
+  }
+
+  /**
+   * What a bot's provider calls are recorded as
+   * @param {string} purpose - 'decision', 'repair', 'judge', ...
+   */
+  getUsageContext(bot, purpose) {
+    return { botId: bot.id, source: 'arena', purpose };
+  }
+
+  /**
+   * Check decisions against the shared decision schema for this bot
+   * @returns {{accepted: Array, rejected: Array<{decision: Object, reason: string}>}}
+   */
+  checkDecisionSchema(bot, decisions) {
+    return validateDecisionSchema(decisions, {
+      symbols: this.getSettings().tradingSymbols,
+      positions: bot.portfolio.positions,
+      prices: Object.fromEntries(this.getDecisionMarkets().map(m => [m.symbol, m.price]))
+    });
+  }
+
+  /**
+   * Ask a bot's provider for decisions and execute them
+   */
+  async processBotTurn(bot) {
+    const turn = await this.fetchBotDecision(bot);
+    if (turn) await this.executeBotDecision(bot, turn);
+  }
+
+  /**
+   * Ask a bot's provider for decisions, repairing an unusable answer
+   * Nothing is executed; see executeBotDecision.
+   * @returns {Promise<Object|null>} The turn so far, or null when the bot does not trade this turn
+   */
+  async fetchBotDecision(bot) {
+    console.log(`   🤖 Processing turn for ${bot.name} (${bot.tradingMode} mode)...`);
+
+    // Safety check: Skip if bot portfolio is not properly initialized
+    if (!bot.portfolio || bot.portfolio.balance == null) {
+      console.log(`   ⚠️  Skipping ${bot.name} - portfolio not initialized`);
+      return null;
+    }
+
+    if (this.checkDailyLoss(bot) || this.checkBudget(bot)) return null;
+
+    bot.isLoading = true;
+    this.persist();
+
+    const klines = {
+      intervals: this.getSettings().klineIntervals,
+      getCandles: (symbol, interval, limit) => db.getRecentKlines(symbol, interval, this.now(), limit)
+    };
+    const promptVersion = bot.promptVersion;
+    const snapshotId = this.turnSnapshot?.id ?? null;
+    const memory = () => this.getMemoryDigest(bot);
+    // Taken now so ensemble members' own prompts show the same state as the bot's
+    const { portfolio, symbolCooldowns } = bot;
+    const markets = this.getDecisionMarkets();
+    const recentLogs = bot.botLogs.slice(0, 5);
+    const recentOrders = bot.orders.slice(0, 10);
+    const now = this.now();
+    const renderPrompt = (template) => generateFullPrompt(portfolio, markets, template, recentLogs, symbolCooldowns, recentOrders, now, klines, memory);
+    const prompt = renderPrompt(bot.prompt);
+    const decisionStart = Date.now();
+    const result = await this.requestDecision(bot, prompt, { renderPrompt });
+    let { decisions, rawResponse, error } = result;
+    const { toolCalls, ensemble, providerId } = result;
+    let latencyMs = Date.now() - decisionStart;
+    console.log(`   ⏱️  Decision received from ${bot.ensemble ? 'ENSEMBLE' : bot.provider.toUpperCase()} in ${latencyMs}ms`);
+
+    const notes = [...(result.notes || [])];
+    let { accepted, rejected } = this.checkDecisionSchema(bot, decisions);
+
+    // One repair attempt when the model answered but the answer was unusable
+    if (rawResponse && (error || rejected.length > 0) && this.getSettings().decisionRepairEnabled) {
+      const problems = error ? [error] : rejected.map(formatRejection);
+      console.log(`   🔧 Asking ${bot.name} to repair its response (${problems.length} problem(s))`);
+
+      const repairStart = Date.now();
+      // The repair only fixes the format, so it gets no tools and goes to the provider that answered
+      const repairBot = { ...bot, providerId: providerId ?? bot.providerId, fallbackProviderIds: null };
+      const repair = await this.requestDecision(repairBot, buildRepairPrompt(prompt, rawResponse, problems), { useTools: false, useEnsemble: false, purpose: 'repair' });
+      latencyMs += Date.now() - repairStart;
+
+      if (repair.rawResponse && !repair.error) {
+        notes.push(`REPAIR: Re-prompted after: ${problems.join(' ')}`);
+        ({ decisions, rawResponse } = repair);
+        error = undefined;
+        ({ accepted, rejected } = this.checkDecisionSchema(bot, decisions));
+      } else {
+        notes.push(`REPAIR FAILED: ${repair.error || 'Empty response'}`);
+      }
+    }
+
+    return { prompt, promptVersion, snapshotId, decisions, rawResponse, error, toolCalls, ensemble, providerId, notes, accepted, rejected, latencyMs };
+  }
+
+  /**
+   * Execute the decisions fetched for a bot and record the turn
+   * @param {Object} turn - From fetchBotDecision
+   */
+  async executeBotDecision(bot, turn) {
+    const { prompt, promptVersion, snapshotId, decisions, rawResponse, error, toolCalls, ensemble, providerId, notes, accepted, rejected, latencyMs } = turn;
+
+    if (error) {
+      console.error(`   ❌ API Error for ${bot.name}: ${error}`);
+      notes.push(`⚠️ API ERROR: ${error}`);
+    }
+    notes.push(...rejected.map(formatRejection));
+
+    const validatedDecisions = applyRiskLimits(bot, this.validateDecisions(accepted, notes), {
+      notes,
+      prices: Object.fromEntries(this.markets.map(m => [m.symbol, m.price])),
+      now: this.now(),
+      minimumTradeSizeUsd: this.getSettings().minimumTradeSizeUsd
+    });
+
+    if (this.killSwitchEngagedAt) {
+      // The kill switch fired while this bot was waiting for its provider
+      notes.push('KILL SWITCH: Trading halted, decisions not executed.');
+    } else if (bot.tradingMode === 'real') {
+      await this.executeRealDecisions(bot, validatedDecisions, notes);
+    } else {
+      this.executePaperDecisions(bot, validatedDecisions, notes);
+    }
+
+    // Results stay in bot_decisions; the arena state only shows which tools were used
+    const toolSummary = toolCalls?.map(({ result, ...call }) => call);
+    const ensembleSummary = ensemble && {
+      aggregation: ensemble.aggregation,
+      members: ensemble.members.map(({ name, decisions: proposals, error: memberError }) => ({ name, decisions: proposals, error: memberError }))
+    };
+    const fallbackProvider = providerId && providerId !== bot.providerId ? db.getProvider(providerId)?.name : undefined;
+    bot.botLogs = [{ timestamp: this.now(), decisions, prompt, notes, toolCalls: toolSummary, ensemble: ensembleSummary, fallbackProvider, snapshotId: snapshotId ?? undefined }, ...bot.botLogs].slice(0, MAX_BOT_LOGS);
+    bot.isLoading = false;
+
+    this.recordDecision(bot, { prompt, promptVersion, snapshotId, decisions, rawResponse, providerId, notes, latencyMs, toolCalls, ensemble, success: !error && !hasExecutionErrors(notes) });
+  }
+
+  /**
+   * Apply the minimum size rule and cap leverage at the exchange maximum
+   * @returns {Array<{decision: Object, adjustedLeverage: number}>}
+   */
+  validateDecisions(decisions, notes) {
+    const { minimumTradeSizeUsd } = this.getSettings();
+    const validated = [];
+
+    for (const decision of decisions) {
+      const isOpen = decision.action === 'LONG' || decision.action === 'SHORT';
+
+      // Rule: Minimum trade size
+      if (isOpen && decision.size && decision.size < minimumTradeSizeUsd) {
+        notes.push(`REJECTED ${decision.action} ${decision.symbol}: Margin $${decision.size.toFixed(2)} is below minimum of $${minimumTradeSizeUsd}.`);
+        continue;
+      }
+
+      // NOTE: Cooldowns are enforced after validation - applyRiskLimits rejects new positions on a
+      // symbol in cooldown when the bot's risk limits enable enforce_cooldown; bots also see them in their prompt
+
+      // Rule: Adjust Leverage
+      let adjustedLeverage = decision.leverage || 1;
+      if (isOpen && decision.symbol) {
+        const maxLeverage = leverageLimits.get(decision.symbol) ?? DEFAULT_MAX_LEVERAGE;
+        if (adjustedLeverage > maxLeverage) {
+          notes.push(`NOTE: Leverage for ${decision.symbol} adjusted from ${adjustedLeverage}x to exchange max of ${maxLeverage}x.`);
+          adjustedLeverage = maxLeverage;
+        }
+      }
+
+      validated.push({ decision, adjustedLeverage });
+    }
+
+    return validated;
+  }
+
+  /**
+   * Fit a requested margin to the available balance
+   * @returns {number|null} The trade size, or null if the trade must be rejected
+   */
+  fitTradeSize(decision, availableBalance, notes) {
+    const { minimumTradeSizeUsd } = this.getSettings();
+    let tradeSize = decision.size;
+
+    // STAGE 1: Check if balance can even cover the minimum trade.
+    if (availableBalance < minimumTradeSizeUsd) {
+      notes.push(`REJECTED ${decision.action} ${decision.symbol}: Available balance $${availableBalance.toFixed(2)} is below the minimum trade size of $${minimumTradeSizeUsd}.`);
+      return null;
+    }
+
+    // STAGE 2: Adjust trade size if it exceeds available balance.
+    if (tradeSize > availableBalance) {
+      notes.push(`NOTE: Trade size for ${decision.symbol} adjusted from $${tradeSize.toFixed(2)} to fit available margin of $${availableBalance.toFixed(2)}.`);
+      tradeSize = availableBalance;
+    }
+
+    // Final check to ensure adjusted size is still valid.
+    if (tradeSize < minimumTradeSizeUsd) {
+      notes.push(`REJECTED ${decision.action} ${decision.symbol}: Adjusted trade size $${tradeSize.toFixed(2)} is below minimum of $${minimumTradeSizeUsd}.`);
+      return null;
+    }
+
+    return tradeSize;
+  }
+
+  /**
+   * Execute decisions against the simulated paper portfolio
+   */
+  executePaperDecisions(bot, validatedDecisions, notes) {
+    for (const { decision, adjustedLeverage } of validatedDecisions) {
+      if ((decision.action === 'LONG' || decision.action === 'SHORT') && decision.size && decision.symbol) {
+        const market = this.markets.find(m => m.symbol === decision.symbol);
+        if (!market) continue;
+
+        const tradeSize = this.fitTradeSize(decision, bot.portfolio.balance, notes);
+        if (tradeSize === null) continue;
+
+        // Liquidation when the loss equals the margin (100% loss)
+        const isLong = decision.action === 'LONG';
+        const liquidationPrice = isLong
+          ? market.price * (1 - (1 / adjustedLeverage))
+          : market.price * (1 + (1 / adjustedLeverage));
+
+        const position = {
+          id: generateId('pos'),
+          symbol: decision.symbol,
+          type: decision.action,
+          entryPrice: market.price,
+          size: tradeSize,
+          leverage: adjustedLeverage,
+          liquidationPrice,
+          stopLoss: decision.stopLoss,
+          takeProfit: decision.takeProfit,
+          pnl: 0
+        };
+        bot.portfolio.positions.push(position);
+        bot.portfolio.balance -= tradeSize;
+        bot.tradeCount = (bot.tradeCount || 0) + 1;
+
+        // Entry order record for history (entry has negative PnL: just the fee)
+        const entryFee = tradeSize * TRADE_FEE_RATE;
+        bot.orders = [{
+          id: generateId('order'),
+          symbol: decision.symbol,
+          type: decision.action,
+          size: tradeSize,
+          leverage: adjustedLeverage,
+          pnl: -entryFee,
+          fee: entryFee,
+          timestamp: this.now(),
+          entryPrice: market.price,
+          exitPrice: 0 // Not closed yet
+        }, ...(bot.orders || [])];
+        this.recordPositionOpened(bot, position, entryFee);
+
+        notes.push(`SUCCESS: Opened ${decision.action} ${decision.symbol} position with $${tradeSize.toFixed(2)} margin at $${market.price.toFixed(2)}.`);
+        // DO NOT set cooldown when opening - only when closing!
+      } else if (decision.action === 'CLOSE' && decision.closePositionId) {
+        const position = bot.portfolio.positions.find(p => p.id === decision.closePositionId);
+        if (!position) {
+          notes.push(`NOTE: Position ${decision.closePositionId} not found, may have been auto-closed.`);
+          continue;
+        }
+
+        const result = this.closePaperPosition(bot, position);
+        if (result) {
+          notes.push(`SUCCESS: Closed ${position.symbol} position. PnL: $${result.pnl.toFixed(2)} (fee: $${result.fee.toFixed(2)})`);
+        }
+      }
+    }
+
+    this.markToMarket(bot);
+  }
+
+  /**
+   * Close a paper position at the current market price
+   * @param {Object} [options]
+   * @param {number} [options.exitPrice] - Fill price, defaults to the market price
+   * @param {boolean} [options.liquidation] - The whole margin is lost and no exit fee is charged
+   * @returns {{pnl: number, fee: number, exitPrice: number}|null} null if no price is available
+   */
+  closePaperPosition(bot, position, { exitPrice, liquidation = false } = {}) {
+    const market = this.markets.find(m => m.symbol === position.symbol);
+    if (!market) return null;
+    const fillPrice = exitPrice ?? market.price;
+
+    const assetQuantity = (position.size * position.leverage) / position.entryPrice;
+    const unrealizedPnl = position.type === 'LONG'
+      ? (fillPrice - position.entryPrice) * assetQuantity
+      : (position.entryPrice - fillPrice) * assetQuantity;
+
+    const exitFee = liquidation ? 0 : position.size * TRADE_FEE_RATE;
+    const netPnl = liquidation ? -position.size : unrealizedPnl - exitFee;
+
+    bot.portfolio.balance += position.size + netPnl;
+    bot.portfolio.positions = bot.portfolio.positions.filter(p => p.id !== position.id);
+    bot.realizedPnl = (bot.realizedPnl || 0) + netPnl;
+
+    bot.orders = [{
+      id: generateId('order'),
+      symbol: position.symbol,
+      type: position.type,
+      size: position.size,
+      leverage: position.leverage,
+      pnl: netPnl,
+      fee: exitFee,
+      timestamp: this.now(),
+      entryPrice: position.entryPrice,
+      exitPrice: fillPrice
+    }, ...(bot.orders || [])];
+
+    if (netPnl > 0) {
+      const wins = (bot.tradeCount || 0) * (bot.winRate || 0);
+      bot.winRate = (wins + 1) / (bot.tradeCount || 1);
+    }
+
+    // Track cooldown for informational purposes (shown in bot's next prompt)
+    bot.symbolCooldowns[position.symbol] = this.now() + this.getSettings().symbolCooldownMs;
+
+    const result = { pnl: netPnl, fee: exitFee, exitPrice: fillPrice };
+    this.recordPositionClosed(bot, position, result);
+    return result;
+  }
+
+  /**
+   * Fill paper stop-loss, take-profit and liquidation orders hit by the
+   * latest prices, the way the exchange fills them for live bots
+   * Stops and targets fill at the current market price, so a price that gaps
+   * through a stop slips past it. Liquidation is checked first and loses the
+   * whole margin. Each fill is logged so the bot sees it in its next prompt.
+   */
+  checkPaperTriggers(bot) {
+    const fills = [];
+
+    for (const position of [...bot.portfolio.positions]) {
+      const price = this.markets.find(m => m.symbol === position.symbol)?.price;
+      if (price === undefined) continue;
+
+      const isLong = position.type === 'LONG';
+      const crossedDown = (level) => level != null && (isLong ? price <= level : price >= level);
+      const crossedUp = (level) => level != null && (isLong ? price >= level : price <= level);
+
+      let label;
+      let result;
+      if (crossedDown(position.liquidationPrice)) {
+        label = 'LIQUIDATED';
+        result = this.closePaperPosition(bot, position, { exitPrice: position.liquidationPrice, liquidation: true });
+      } else if (crossedDown(position.stopLoss)) {
+        label = 'STOP-LOSS';
+        result = this.closePaperPosition(bot, position);
+      } else if (crossedUp(position.takeProfit)) {
+        label = 'TAKE-PROFIT';
+        result = this.closePaperPosition(bot, position);
+      }
+
+      if (result) {
+        fills.push(`${label}: ${position.type} ${position.symbol} closed at $${result.exitPrice.toFixed(2)}. PnL: $${result.pnl.toFixed(2)} (fee: $${result.fee.toFixed(2)})`);
+      }
+    }
+
+    if (fills.length > 0) {
+      console.log(`   🎯 [${bot.name}] ${fills.join(' | ')}`);
+      bot.botLogs = [{ timestamp: this.now(), decisions: [], prompt: '', notes: fills }, ...bot.botLogs].slice(0, MAX_BOT_LOGS);
+    }
+  }
+
+  /**
+   * Execute decisions on the live exchange
+   */
+  async executeRealDecisions(bot, validatedDecisions, notes) {
+    let exchange;
+    try {
+      exchange = await this.getBotExchange(bot);
+    } catch (error) {
+      notes.push(`Execution Error: ${error.message}`);
+      return;
+    }
+
+    // The kill switch can fire during any exchange call below; stop before
+    // sending anything else to an account it may already have flattened
+    const halted = () => {
+      if (!this.killSwitchEngagedAt) return false;
+      notes.push('KILL SWITCH: Trading halted, remaining decisions not executed.');
+      return true;
+    };
+
+    for (const { decision, adjustedLeverage } of validatedDecisions) {
+      if (halted()) return;
+      try {
+        if ((decision.action === 'LONG' || decision.action === 'SHORT') && decision.size && decision.symbol) {
+          const market = this.markets.find(m => m.symbol === decision.symbol);
+          if (!market) continue;
+
+          const tradeSize = this.fitTradeSize(decision, bot.portfolio.balance, notes);
+          if (tradeSize === null) continue;
+
+          // 1. Set Leverage
+          await exchange.setLeverage(bot.id, decision.symbol, adjustedLeverage);
+          if (halted()) return;
+
+          // 2. Open Position with MARKET order
+          const quantity = this.getAdjustedQuantity(exchange.id, decision.symbol, (tradeSize * adjustedLeverage) / market.price);
+          if (quantity <= 0) {
+            notes.push(`Execution Warning: Calculated quantity for ${decision.symbol} is 0.`);
+            continue;
+          }
+
+          await exchange.placeOrder(bot.id, { symbol: decision.symbol, side: decision.action === 'LONG' ? 'BUY' : 'SELL', type: 'MARKET', quantity });
+          notes.push(`SUCCESS: Opened ${decision.action} ${decision.symbol} position.`);
+          this.recordPositionOpened(bot, {
+            id: generateId('pos'),
+            symbol: decision.symbol,
+            type: decision.action,
+            entryPrice: market.price,
+            size: tradeSize,
+            leverage: adjustedLeverage,
+            stopLoss: decision.stopLoss,
+            takeProfit: decision.takeProfit
+          }, 0);
+          if (halted()) return;
+
+          // 3. Place Stop-Loss and Take-Profit orders
+          const orderSide = decision.action === 'LONG' ? 'SELL' : 'BUY';
+          const protectiveOrders = [];
+          if (decision.stopLoss) {
+            protectiveOrders.push(['Stop-Loss', { symbol: decision.symbol, side: orderSide, type: 'STOP_MARKET', stopPrice: decision.stopLoss, quantity, reduceOnly: 'true' }]);
+          }
+          if (decision.takeProfit) {
+            protectiveOrders.push(['Take-Profit', { symbol: decision.symbol, side: orderSide, type: 'TAKE_PROFIT_MARKET', stopPrice: decision.takeProfit, quantity, reduceOnly: 'true' }]);
+          }
+
+          const results = await Promise.allSettled(protectiveOrders.map(([, params]) => exchange.placeOrder(bot.id, params)));
+          results.forEach((result, i) => {
+            const type = protectiveOrders[i][0];
+            if (result.status === 'fulfilled') {
+              notes.push(`SUCCESS: ${type} order placed for ${decision.symbol}.`);
+            } else {
+              notes.push(`ERROR: Failed to place ${type} order for ${decision.symbol}: ${result.reason.message}`);
+            }
+          });
+        } else if (decision.action === 'CLOSE' && decision.closePositionId) {
+          const position = bot.portfolio.positions.find(p => p.id === decision.closePositionId);
+          if (position && await this.closeRealPosition(bot, position)) {
+            notes.push(`SUCCESS: Closed ${position.symbol} position.`);
+          }
+        }
+      } catch (error) {
+        if (error.message && error.message.includes('ReduceOnly Order is rejected')) {
+          notes.push(`NOTE: Attempted to close ${decision.closePositionId}, but position no longer exists on exchange.`);
+        } else {
+          console.error(`   ❌ [${bot.name}] Error executing real trade:`, error.message);
+          notes.push(`Execution Error: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Close a live position with a reduce-only market order
+   * @returns {Promise<boolean>} false if the calculated quantity is zero
+   */
+  async closeRealPosition(bot, position) {
+    const exchange = await this.getBotExchange(bot);
+    const quantity = this.getAdjustedQuantity(exchange.id, position.symbol, Math.abs((position.size * position.leverage) / position.entryPrice));
+    if (quantity <= 0) return false;
+
+    await exchange.placeOrder(bot.id, {
+      symbol: position.symbol,
+      side: position.type === 'LONG' ? 'SELL' : 'BUY',
+      type: 'MARKET',
+      quantity,
+      reduceOnly: 'true'
+    });
+
+    bot.portfolio.positions = bot.portfolio.positions.filter(p => p.id !== position.id);
+    // Track cooldown for informational purposes (shown in bot's next prompt)
+    bot.symbolCooldowns[position.symbol] = this.now() + this.getSettings().symbolCooldownMs;
+
+    const exitPrice = this.markets.find(m => m.symbol === position.symbol)?.price ?? position.entryPrice;
+    this.recordPositionClosed(bot, position, { pnl: position.pnl || 0, fee: 0, exitPrice });
+    return true;
+  }
+
+  // ============================================================================
+  // MANUAL CONTROLS
+  // ============================================================================
+
+  /**
+   * Manually close one of a bot's positions
+   * @returns {Promise<{pnl?: number, fee?: number}>}
+   */
+  async closePosition(botId, positionId) {
+    const bot = this.getBot(botId);
+    if (!bot) throw new Error(`Bot ${botId} not found`);
+
+    const position = bot.portfolio.positions.find(p => p.id === positionId);
+    if (!position) throw new Error('Position not found. It may have already been closed.');
+
+    if (!this.markets.some(m => m.symbol === position.symbol)) {
+      throw new Error('Cannot close position: Market data not available.');
+    }
+
+    let result;
+    if (bot.tradingMode === 'real') {
+      if (!await this.closeRealPosition(bot, position)) {
+        throw new Error('Cannot close position: Invalid quantity calculated.');
+      }
+      result = {};
+    } else {
+      result = this.closePaperPosition(bot, position);
+      this.markToMarket(bot);
+      bot.botLogs = [{
+        timestamp: this.now(),
+        decisions: [],
+        prompt: '',
+        notes: [`MANUAL CLOSE: Closed ${position.symbol} position. PnL: $${result.pnl.toFixed(2)} (fee: $${result.fee.toFixed(2)})`]
+      }, ...bot.botLogs].slice(0, MAX_BOT_LOGS);
+    }
+
+    this.persist();
+    return result;
+  }
+
+  /**
+   * Kill switch: halt all trading and flatten every live account
+   * Halts the engine, leaving each bot's own pause state as it was, then for
+   * every active wallet, on its own exchange, and every live bot on
+   * environment credentials, cancels all open orders
+   * (stop-loss and take-profit included) and market-closes each open position
+   * with a reduce-only order for the exchange's own position amount. Accounts are
+   * handled in parallel and failures are reported, not thrown, so one bad
+   * wallet cannot stop the rest. Paper positions are left open. Trading stays
+   * halted until the kill switch is released.
+   * @returns {Promise<Object>} What was cancelled and closed, per account
+   */
+  async engageKillSwitch() {
+    this.killSwitchEngagedAt = Date.now();
+    this.setPaused(true);
+    console.log('🛑 KILL SWITCH ENGAGED: trading paused, flattening all live accounts...');
+
+    const accounts = db.getActiveWallets().map(wallet => ({
+      botId: wallet.bot_id,
+      botName: wallet.bot_name || wallet.bot_id,
+      walletId: wallet.id,
+      exchange: wallet.exchange
+    }));
+    for (const bot of this.bots.filter(b => b.tradingMode === 'real' && !accounts.some(a => a.botId === b.id))) {
+      accounts.push({ botId: bot.id, botName: bot.name, walletId: null, exchange: DEFAULT_EXCHANGE });
+    }
+
+    const results = await Promise.all(accounts.map(account => this.flattenAccount(account)));
+
+    for (const result of results) {
+      const bot = this.getBot(result.botId);
+      if (!bot) continue;
+      const failed = result.errors.length + [...result.cancelledOrders, ...result.closedPositions].filter(r => !r.success).length;
+      bot.botLogs = [{
+        timestamp: this.now(),
+        decisions: [],
+        prompt: '',
+        notes: [`KILL SWITCH: Closed ${result.closedPositions.filter(r => r.success).length} position(s), cancelled orders on ${result.cancelledOrders.filter(r => r.success).length} symbol(s)${failed > 0 ? `, ${failed} failure(s)` : ''}.`]
+      }, ...bot.botLogs].slice(0, MAX_BOT_LOGS);
+    }
+    this.persist();
+
+    const items = results.flatMap(r => [...r.cancelledOrders, ...r.closedPositions]);
+    const failures = results.reduce((sum, r) => sum + r.errors.length, 0) + items.filter(r => !r.success).length;
+    console.log(`🛑 Kill switch finished: ${results.length} account(s), ${failures} failure(s)`);
+
+    return {
+      success: failures === 0,
+      engagedAt: new Date(this.killSwitchEngagedAt).toISOString(),
+      accountCount: results.length,
+      positionsClosed: results.reduce((sum, r) => sum + r.closedPositions.filter(p => p.success).length, 0),
+      orderSymbolsCancelled: results.reduce((sum, r) => sum + r.cancelledOrders.filter(o => o.success).length, 0),
+      failures,
+      accounts: results
+    };
+  }
+
+  /**
+   * Release the kill switch and resume trading
+   * @returns {boolean} false if the kill switch was not engaged
+   */
+  releaseKillSwitch() {
+    if (!this.killSwitchEngagedAt) return false;
+    this.killSwitchEngagedAt = null;
+    this.setPaused(false);
+    console.log('✅ Kill switch released, trading resumed');
+    return true;
+  }
+
+  /**
+   * Cancel all open orders and market-close all positions on one account
+   * @param {{botId: string, botName: string, walletId: number|null, exchange: string}} account
+   */
+  async flattenAccount(account) {
+    const result = { ...account, cancelledOrders: [], closedPositions: [], errors: [] };
+
+    let exchange;
+    let orders;
+    let positions;
+    try {
+      exchange = getExchange(account.exchange);
+      [orders, positions] = await Promise.all([exchange.getOpenOrders(account.botId), exchange.getPositionRisk(account.botId)]);
+    } catch (error) {
+      console.error(`   ❌ [${account.botName}] Kill switch could not read the account:`, error.message);
+      result.errors.push(error.message);
+      return result;
+    }
+
+    // Cancel first so no stop-loss or take-profit fires against the closes
+    const orderSymbols = [...new Set(orders.map(o => o.symbol))];
+    for (const symbol of orderSymbols) {
+      const orderCount = orders.filter(o => o.symbol === symbol).length;
+      try {
+        await exchange.cancelAllOpenOrders(account.botId, symbol);
+        result.cancelledOrders.push({ symbol, orderCount, success: true });
+      } catch (error) {
+        result.cancelledOrders.push({ symbol, orderCount, success: false, error: error.message });
+      }
+    }
+
+    for (const position of positions.filter(p => parseFloat(p.positionAmt) !== 0)) {
+      const isLong = parseFloat(position.positionAmt) > 0;
+      // Keep the exchange's own string so the quantity matches its precision
+      const quantity = String(position.positionAmt).replace('-', '');
+      try {
+        await exchange.placeOrder(account.botId, {
+          symbol: position.symbol,
+          side: isLong ? 'SELL' : 'BUY',
+          type: 'MARKET',
+          quantity,
+          reduceOnly: 'true'
+        });
+        result.closedPositions.push({ symbol: position.symbol, type: isLong ? 'LONG' : 'SHORT', quantity, success: true });
+      } catch (error) {
+        result.closedPositions.push({ symbol: position.symbol, type: isLong ? 'LONG' : 'SHORT', quantity, success: false, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Reset a paper bot to a fresh state
+   * The bot is rebuilt from its stored configuration, so every config field
+   * carries over.
+   */
+  resetBot(botId) {
+    if (!this.getBot(botId)) return;
+    const config = this.getBotConfigs().find(c => c.id === botId);
+    if (!config) return;
+
+    const fresh = this.createBotState(config);
+    this.bots = this.bots.map(b => b.id === botId ? fresh : b);
+    this.persist();
+  }
+
+  // ============================================================================
+  // RISK
+  // ============================================================================
+
+  /**
+   * Account value at the start of the current UTC day
+   * Looked up once per day, then kept on the bot state.
+   */
+  getDayStartValue(bot) {
+    const dayStart = new Date(this.now()).setUTCHours(0, 0, 0, 0);
+    if (bot.riskDayStart?.time !== dayStart) {
+      const value = this.lookupDayStartValue(bot, new Date(dayStart).toISOString());
+      bot.riskDayStart = { time: dayStart, value: value ?? bot.portfolio.totalValue };
+    }
+    return bot.riskDayStart.value;
+  }
+
+  /**
+   * Last recorded account value before a time, or null when there is none
+   */
+  lookupDayStartValue(bot, beforeIso) {
+    return db.getLatestSnapshot(bot.id, beforeIso)?.total_value ?? null;
+  }
+
+  /**
+   * Pause a bot that has reached its daily loss limit
+   * @returns {boolean} Whether the bot is (now) paused for its daily loss
+   */
+  checkDailyLoss(bot) {
+    const limit = bot.riskLimits?.daily_loss_limit_pct;
+    if (!limit || bot.isPaused) return false;
+
+    const lossPct = getDailyLossPct(this.getDayStartValue(bot), bot.portfolio.totalValue);
+    if (lossPct < limit) return false;
+
+    this.autoPauseBot(bot, `Risk limit - daily loss of ${lossPct.toFixed(2)}% reached the ${limit}% limit. Bot paused; open positions are kept.`);
+    return true;
+  }
+
+  /**
+   * Pause a bot that has reached its daily or monthly provider budget
+   * @returns {boolean} Whether the bot is (now) paused for its budget
+   */
+  checkBudget(bot) {
+    const { daily, monthly } = bot.llmBudget || {};
+    if ((!daily && !monthly) || bot.isPaused) return false;
+
+    const problem = llmUsage.checkBudget(bot.id, { daily, monthly }, this.now());
+    if (!problem) return false;
+
+    this.autoPauseBot(bot, `Budget - ${problem}. Bot paused; open positions are kept.`);
+    return true;
+  }
+
+  /**
+   * Pause a bot on behalf of the risk manager or its budget and log why
+   */
+  autoPauseBot(bot, reason) {
+    console.log(`   🛑 [${bot.name}] Auto-paused: ${reason}`);
+    bot.isPaused = true;
+    bot.botLogs = [{ timestamp: this.now(), decisions: [], prompt: '', notes: [`PAUSED: ${reason}`] }, ...bot.botLogs].slice(0, MAX_BOT_LOGS);
+
+    try {
+      db.toggleBotPause(bot.id, true);
+      db.createAuditLog({
+        event_type: 'bot_auto_paused',
+        entity_type: 'bot',
+        entity_id: bot.id,
+        details: { reason, total_value: bot.portfolio.totalValue, day_start_value: bot.riskDayStart?.value }
+      });
+    } catch (error) {
+      console.error(`   ❌ [${bot.name}] Failed to save auto-pause:`, error.message);
+    }
+    this.persist();
+  }
+
+  // ============================================================================
+  // ENSEMBLES
+  // ============================================================================
+
+  /**
+   * Ask an ensemble bot's members in parallel and combine their proposals
+   * Members use the bot's tools setting; the judge and repairs do not.
+   * @param {Object} options
+   * @param {boolean} options.useTools
+   * @param {function(string): string} [options.renderPrompt] - Renders members' own prompts
+   * @returns {Promise<Object>} As requestDecision, with ensemble: { aggregation, members } for the record
+   */
+  async requestEnsembleDecision(bot, prompt, { useTools, renderPrompt }) {
+    const { aggregation, members: config } = bot.ensemble;
+    const members = await Promise.all(config.map(async (member) => {
+      const memberPrompt = member.prompt && renderPrompt ? renderPrompt(member.prompt) : prompt;
+      const start = Date.now();
+      // Members do not fall back, or a failing member would duplicate another's vote
+      const result = await this.requestDecision({ ...bot, providerId: member.providerId, ensemble: null, fallbackProviderIds: null }, memberPrompt, { useTools });
+
+      // Only proposals that pass the schema take part
+      const { accepted, rejected } = this.checkDecisionSchema(bot, result.decisions);
+      return {
+        name: member.name,
+        providerId: member.providerId,
+        ownPrompt: Boolean(member.prompt),
+        decisions: accepted,
+        rejected: rejected.map(formatRejection),
+        rawResponse: result.rawResponse,
+        error: result.error,
+        toolCalls: result.toolCalls,
+        latencyMs: Date.now() - start
+      };
+    }));
+
+    const notes = members.filter(m => m.error).map(m => `ENSEMBLE: ${m.name} failed: ${m.error}`);
+    const answered = members.filter(m => !m.error);
+    const toolCalls = members.some(m => m.toolCalls)
+      ? members.flatMap(m => (m.toolCalls || []).map(call => ({ member: m.name, ...call })))
+      : undefined;
+    const ensemble = { aggregation, members: members.map(({ toolCalls: memberCalls, ...member }) => member) };
+
+    if (answered.length === 0) {
+      return { decisions: [], rawResponse: null, error: 'No ensemble member gave a usable answer', providerId: null, toolCalls, ensemble, notes };
+    }
+
+    if (aggregation === 'judge') {
+      const judged = await this.requestDecision(bot, buildJudgePrompt(prompt, members), { useTools: false, useEnsemble: false, purpose: 'judge' });
+      notes.push(...(judged.notes || []));
+      if (!judged.error) {
+        return { decisions: judged.decisions, rawResponse: judged.rawResponse, providerId: judged.providerId, toolCalls, ensemble, notes };
+      }
+      notes.push(`ENSEMBLE: Judge failed (${judged.error}), used the majority vote`);
+    }
+
+    const decisions = aggregateVotes(answered);
+    return { decisions, rawResponse: JSON.stringify(decisions), providerId: null, toolCalls, ensemble, notes };
+  }
+
+  // ============================================================================
+  // TOOLS
+  // ============================================================================
+
+  /**
+   * A bot's recent trades for the get_trade_history tool, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.symbol]
+   * @param {number} [filters.limit]
+   */
+  getTradeHistory(bot, { symbol, limit } = {}) {
+    return db.getTrades(bot.id, { symbol, limit });
+  }
+
+  /**
+   * The bots a bot sees through the get_other_bots_positions tool
+   */
+  getOtherBots(bot) {
+    return this.bots.filter(b => b.id !== bot.id);
+  }
+
+  // ============================================================================
+  // MEMORY
+  // ============================================================================
+
+  /**
+   * The bot's {{memory}} section for its next prompt
+   */
+  getMemoryDigest(bot) {
+    return botMemory.getMemoryDigest(bot.id, { tokenBudget: this.getSettings().memoryTokenBudget });
+  }
+
+  /**
+   * Ask a bot that uses {{memory}} for the lesson of a closed trade
+   * Runs in the background; the reflection is saved when the provider answers.
+   * @param {{pnl: number, exitPrice: number, positionId?: string}} result
+   */
+  reflectOnTrade(bot, position, { pnl, exitPrice, positionId }) {
+    if (!this.getSettings().memoryReflectionsEnabled || !usesMemory(bot.prompt)) return;
+
+    // Newest entry order and opening decision for the symbol
+    const openOrder = bot.orders?.find(o => o.symbol === position.symbol && o.exitPrice === 0);
+    const openDecision = bot.botLogs
+      .flatMap(log => log.decisions)
+      .find(d => d.symbol === position.symbol && d.action === position.type);
+
+    botMemory.reflectOnTrade(bot, {
+      symbol: position.symbol,
+      type: position.type,
+      entryPrice: position.entryPrice,
+      exitPrice,
+      size: position.size,
+      leverage: position.leverage,
+      pnl,
+      positionId,
+      openedAt: openOrder?.timestamp,
+      reasoning: openDecision?.reasoning,
+      closedAt: this.now()
+    });
+  }
+
+  /**
+   * Summarize a bot's older decisions into its memory when enough have built up
+   * Runs in the background.
+   */
+  summarizeMemory(bot) {
+    const { memorySummaryInterval } = this.getSettings();
+    if (!memorySummaryInterval || !usesMemory(bot.prompt)) return;
+    botMemory.summarizeDecisions(bot, memorySummaryInterval);
+  }
+
+  // ============================================================================
+  // HISTORY
+  // ============================================================================
+  //
+  // Write-through to the relational tables. A failed write is logged and
+  // never interrupts trading; arena_state remains the live source of truth.
+
+  /**
+   * Find the open positions row for an in-memory position
+   * Live positions are keyed by symbol on the exchange, so they are matched
+   * by symbol; paper positions by ID.
+   */
+  findOpenPositionRecord(bot, position) {
+    const openPositions = db.getPositions(bot.id, 'open');
+    return bot.tradingMode === 'real'
+      ? openPositions.find(p => p.symbol === position.symbol)
+      : openPositions.find(p => p.id === position.id);
+  }
+
+  /**
+   * Record a newly opened position and its OPEN trade
+   * @param {Object} position - In-memory position
+   * @param {number} fee - Entry fee charged
+   */
+  recordPositionOpened(bot, position, fee) {
+    try {
+      // Adding to a live position on the same symbol keeps the existing row
+      let positionId = bot.tradingMode === 'real' ? this.findOpenPositionRecord(bot, position)?.id : null;
+      if (!positionId) {
+        positionId = position.id;
+        db.createPosition({
+          id: positionId,
+          bot_id: bot.id,
+          symbol: position.symbol,
+          position_type: position.type,
+          entry_price: position.entryPrice,
+          size: position.size,
+          leverage: position.leverage,
+          liquidation_price: position.liquidationPrice,
+          stop_loss: position.stopLoss,
+          take_profit: position.takeProfit
+        });
+      }
+
+      db.createTrade({
+        id: generateId('trade'),
+        bot_id: bot.id,
+        position_id: positionId,
+        symbol: position.symbol,
+        trade_type: position.type,
+        action: 'OPEN',
+        entry_price: position.entryPrice,
+        size: position.size,
+        leverage: position.leverage,
+        pnl: -fee,
+        fee,
+        prompt_version: bot.promptVersion
+      });
+    } catch (error) {
+      console.error(`   ❌ [${bot.name}] Failed to record opened position:`, error.message);
+    }
+  }
+
+  /**
+   * Close a position's row and record its CLOSE trade
+   * @param {Object} position - In-memory position
+   * @param {{pnl: number, fee: number, exitPrice: number}} result - Net PnL after fees
+   */
+  recordPositionClosed(bot, position, { pnl, fee, exitPrice }) {
+    let record;
+    try {
+      record = this.findOpenPositionRecord(bot, position);
+      if (record) {
+        db.updatePosition(record.id, { unrealized_pnl: pnl + fee });
+        db.closePosition(record.id);
+      }
+
+      db.createTrade({
+        id: generateId('trade'),
+        bot_id: bot.id,
+        position_id: record?.id,
+        symbol: position.symbol,
+        trade_type: position.type,
+        action: 'CLOSE',
+        entry_price: position.entryPrice,
+        exit_price: exitPrice,
+        size: position.size,
+        leverage: position.leverage,
+        pnl,
+        fee,
+        prompt_version: bot.promptVersion
+      });
+    } catch (error) {
+      console.error(`   ❌ [${bot.name}] Failed to record closed position:`, error.message);
+    }
+
+    this.reflectOnTrade(bot, position, { pnl, exitPrice, positionId: record?.id });
+  }
+
+  /**
+   * Bring a live bot's position rows in line with the exchange
+   * Positions closed on the exchange (stop-loss, take-profit, liquidation or
+   * by hand) are closed at their last known PnL; positions opened outside the
+   * engine get a row so later closes can be matched. Exact fills and fees
+   * stay in the exchange's trade history.
+   * @param {Array} previousPositions - Positions before this refresh
+   */
+  reconcileLivePositions(bot, previousPositions) {
+    try {
+      const exchangeSymbols = new Set(bot.portfolio.positions.map(p => p.symbol));
+      const openRecords = db.getPositions(bot.id, 'open');
+
+      for (const record of openRecords.filter(r => !exchangeSymbols.has(r.symbol))) {
+        const lastKnown = previousPositions.find(p => p.symbol === record.symbol);
+        const exitPrice = this.markets.find(m => m.symbol === record.symbol)?.price ?? record.entry_price;
+        this.recordPositionClosed(bot, {
+          symbol: record.symbol,
+          type: record.position_type,
+          entryPrice: record.entry_price,
+          size: record.size,
+          leverage: record.leverage
+        }, { pnl: lastKnown?.pnl || 0, fee: 0, exitPrice });
+      }
+
+      const recordedSymbols = new Set(openRecords.map(r => r.symbol));
+      for (const position of bot.portfolio.positions.filter(p => !recordedSymbols.has(p.symbol))) {
+        db.createPosition({
+          id: generateId('pos'),
+          bot_id: bot.id,
+          symbol: position.symbol,
+          position_type: position.type,
+          entry_price: position.entryPrice,
+          size: position.size,
+          leverage: position.leverage,
+          liquidation_price: position.liquidationPrice
+        });
+      }
+    } catch (error) {
+      console.error(`   ❌ [${bot.name}] Failed to reconcile live positions:`, error.message);
+    }
+  }
+
+  /**
+   * Record one bot turn in bot_decisions
+   */
+  recordDecision(bot, { prompt, promptVersion, snapshotId, decisions, rawResponse, providerId, notes, latencyMs, toolCalls, ensemble, success }) {
+    try {
+      db.createDecision({
+        bot_id: bot.id,
+        prompt_sent: prompt,
+        prompt_version: promptVersion,
+        snapshot_id: snapshotId,
+        decisions,
+        notes,
+        raw_response: rawResponse,
+        provider_id: providerId,
+        latency_ms: latencyMs,
+        tool_calls: toolCalls,
+        ensemble,
+        execution_success: success
+      });
+    } catch (error) {
+      console.error(`   ❌ [${bot.name}] Failed to record decision:`, error.message);
+    }
+
+    // Summaries are read back from bot_decisions, so they follow the write
+    this.summarizeMemory(bot);
+  }
+
+  /**
+   * Record the current price of every symbol
+   */
+  recordMarketData(marketData) {
+    try {
+      const timestamp = new Date().toISOString();
+      db.insertMarketDataBatch(marketData.map(m => ({
+        symbol: m.symbol,
+        price: m.price,
+        price_24h_change: m.price24hChange,
+        timestamp
+      })));
+    } catch (error) {
+      console.error('❌ Failed to record market data:', error.message);
+    }
+  }
+
+  /**
+   * Store the candles that closed since the last collection
+   * A symbol and interval is only fetched once a new candle has closed; the
+   * first fetch backfills BACKFILL_LIMIT candles. After a failure collection
+   * pauses for KLINE_RETRY_MS.
+   * @returns {Promise<number>} Candles stored
+   */
+  async collectKlines(source, symbols, intervals) {
+    if (!source.getKlines) return 0;
+
+    let stored = 0;
+    for (const interval of intervals) {
+      const intervalMs = KLINE_INTERVALS[interval];
+      if (!intervalMs) continue;
+
+      for (const symbol of symbols) {
+        const now = this.now();
+        const lastCloseTime = db.getLatestKlineCloseTime(symbol, interval);
+        if (lastCloseTime !== null && lastCloseTime + intervalMs >= now) continue;
+
+        const limit = lastCloseTime === null
+          ? BACKFILL_LIMIT
+          : Math.min(Math.ceil((now - lastCloseTime) / intervalMs) + 1, MAX_FETCH_LIMIT);
+
+        try {
+          const klines = await source.getKlines(symbol, interval, limit);
+          const closed = klines
+            .filter(k => k.close_time < now)
+            .map(k => ({ ...k, source: source.id }));
+          if (closed.length > 0) stored += db.insertKlines(closed);
+        } catch (error) {
+          console.error(`❌ Failed to collect ${symbol} ${interval} klines:`, error.message);
+          this.klineRetryAt = this.now() + KLINE_RETRY_MS;
+          return stored;
+        }
+      }
+    }
+    return stored;
+  }
+
+  /**
+   * Record a performance snapshot for each bot
+   */
+  recordSnapshots(bots) {
+    const timestamp = new Date().toISOString();
+    for (const bot of bots) {
+      try {
+        db.createSnapshot({
+          bot_id: bot.id,
+          balance: bot.portfolio.balance,
+          unrealized_pnl: bot.portfolio.pnl,
+          realized_pnl: bot.realizedPnl || 0,
+          total_value: bot.portfolio.totalValue,
+          trade_count: bot.tradeCount || 0,
+          win_rate: bot.winRate || 0,
+          prompt_version: bot.promptVersion,
+          timestamp
+        });
+      } catch (error) {
+        console.error(`   ❌ [${bot.name}] Failed to record snapshot:`, error.message);
+      }
+    }
+  }
+
+  // ============================================================================
+  // STATE
+  // ============================================================================
+
+  /**
+   * Engine status shown to controllers
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isPaused: this.isPaused,
+      killSwitchEngagedAt: this.killSwitchEngagedAt,
+      turnInProgress: this.turnInProgress,
+      lastTurnAt: this.lastTurnAt,
+      nextTurnAt: this.nextTurnAt
+    };
+  }
+
+  /**
+   * Current arena state as sent to clients
+   */
+  getState() {
+    return {
+      bots: this.bots,
+      marketData: this.markets,
+      engine: this.getStatus()
+    };
+  }
+
+  /**
+   * Save the arena state and broadcast it to all clients
+   */
+  persist() {
+    const state = this.getState();
+    try {
+      updateArenaState(state);
+    } catch (error) {
+      console.error('❌ Failed to persist arena state:', error.message);
+    }
+    this.wsServer.broadcastState(state);
+  }
+}
+
+module.exports = TradingEngine;
@@ -0,0 +1,91 @@
+// services/backtestService.ts
+import type { BacktestRun, BacktestDetail, KlineDataset } from '../types';
+import { API_URL } from '../config';
+
+/**
+ * Client for historical backtests.
+ * Runs execute on the server; the browser starts them and polls for results.
+ */
+
+const BACKTESTS_URL = `${API_URL}/api/v2/backtests`;
+
+export interface StartBacktestRequest {
+  bot_id: string;
+  price_source: 'market_data' | 'klines';
+  kline_interval?: string;
+  decision_source: 'provider' | 'recorded';
+  start_time: string;
+  end_time: string;
+  symbols?: string[];
+  turn_interval_ms?: number;
+  initial_balance?: number;
+  max_turns?: number;
+  prompt?: string;
+}
+
+const getAuthHeaders = (): HeadersInit => {
+  const token = localStorage.getItem('auth_token');
+  return {
+    'Content-Type': 'application/json',
+    ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+  };
+};
+
+const request = async <T>(url: string, options: RequestInit = {}): Promise<T> => {
+  const response = await fetch(url, { ...options, headers: getAuthHeaders() });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return data as T;
+};
+
+/**
+ * List a bot's backtest runs, newest first
+ */
+export const getBacktests = (botId: string, limit = 20): Promise<BacktestRun[]> =>
+  request<BacktestRun[]>(`${BACKTESTS_URL}?bot_id=${encodeURIComponent(botId)}&limit=${limit}`);
+
+/**
+ * Get a run with its equity curve and simulated trades
+ */
+export const getBacktest = (runId: string): Promise<BacktestDetail> =>
+  request<BacktestDetail>(`${BACKTESTS_URL}/${runId}`);
+
+/**
+ * Start a backtest; it runs in the background
+ */
+export const startBacktest = (options: StartBacktestRequest): Promise<BacktestRun> =>
+  request<BacktestRun>(BACKTESTS_URL, {
+    method: 'POST',
+    body: JSON.stringify(options),
+  });
+
+/**
+ * Stop a running backtest after its current turn
+ */
+export const cancelBacktest = (runId: string): Promise<{ success: boolean }> =>
+  request(`${BACKTESTS_URL}/${runId}/cancel`, { method: 'POST' });
+
+/**
+ * Delete a finished run and its results
+ */
+export const deleteBacktest = (runId: string): Promise<{ success: boolean }> =>
+  request(`${BACKTESTS_URL}/${runId}`, { method: 'DELETE' });
+
+/**
+ * List imported candle datasets
+ */
+export const getKlineDatasets = (): Promise<KlineDataset[]> =>
+  request<KlineDataset[]>(`${BACKTESTS_URL}/klines`);
+
+/**
+ * Import candles for one symbol and interval from CSV text
+ */
+export const importKlines = (symbol: string, interval: string, csv: string): Promise<{ imported: number }> =>
+  request(`${BACKTESTS_URL}/klines`, {
+    method: 'POST',
+    body: JSON.stringify({ symbol, interval, csv }),
+  });
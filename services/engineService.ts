@@ -0,0 +1,91 @@
+// services/engineService.ts
+import { EngineStatus, KillSwitchReport } from '../types';
+import { API_URL } from '../config';
+
+/**
+ * Controls for the server-side trading engine.
+ * The engine runs the trading loop; the browser only sends commands.
+ */
+
+const ENGINE_URL = `${API_URL}/api/v2/engine`;
+
+const getAuthHeaders = (): HeadersInit => {
+  const token = localStorage.getItem('auth_token');
+  return {
+    'Content-Type': 'application/json',
+    ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+  };
+};
+
+const request = async <T>(url: string, options: RequestInit = {}): Promise<T> => {
+  const response = await fetch(url, { ...options, headers: getAuthHeaders() });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return data as T;
+};
+
+/**
+ * Get the trading engine status
+ */
+export const getEngineStatus = (): Promise<EngineStatus> =>
+  request<EngineStatus>(`${ENGINE_URL}/status`);
+
+/**
+ * Pause or resume trading for all bots
+ */
+export const setTradingPaused = (paused: boolean): Promise<EngineStatus> =>
+  request<EngineStatus>(`${ENGINE_URL}/pause`, {
+    method: 'POST',
+    body: JSON.stringify({ paused }),
+  });
+
+/**
+ * Kill switch: halt the trading engine, cancel all orders and market-close every live position (admin only)
+ */
+export const engageKillSwitch = (): Promise<KillSwitchReport> =>
+  request<KillSwitchReport>(`${ENGINE_URL}/kill-switch`, {
+    method: 'POST',
+    body: JSON.stringify({ confirm: true }),
+  });
+
+/**
+ * Release the kill switch and resume trading (admin only)
+ */
+export const releaseKillSwitch = (): Promise<EngineStatus> =>
+  request<EngineStatus>(`${ENGINE_URL}/kill-switch`, {
+    method: 'DELETE',
+  });
+
+/**
+ * Force a trading turn for one bot, or for all bots when no ID is given
+ */
+export const forceTradingTurn = (botId?: string): Promise<{ success: boolean }> =>
+  request(`${ENGINE_URL}/turn`, {
+    method: 'POST',
+    body: JSON.stringify(botId ? { bot_id: botId } : {}),
+  });
+
+/**
+ * Manually close one of a bot's open positions
+ */
+export const closeBotPosition = (botId: string, positionId: string): Promise<{ success: boolean, pnl?: number, fee?: number }> =>
+  request(`${ENGINE_URL}/bots/${botId}/positions/${positionId}/close`, { method: 'POST' });
+
+/**
+ * Pause or resume a single bot
+ */
+export const setBotPaused = (botId: string, paused: boolean): Promise<unknown> =>
+  request(`${API_URL}/api/v2/bots/${botId}/pause`, {
+    method: 'POST',
+    body: JSON.stringify({ paused }),
+  });
+
+/**
+ * Reset a paper trading bot to its initial balance
+ */
+export const resetBotState = (botId: string): Promise<unknown> =>
+  request(`${API_URL}/api/v2/bots/${botId}/reset`, { method: 'POST' });
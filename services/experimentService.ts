@@ -0,0 +1,98 @@
+// services/experimentService.ts
+import type { Experiment, ExperimentDetail, AiDecision, ToolCall, EnsembleSummary } from '../types';
+import { API_URL } from '../config';
+
+/**
+ * Client for prompt A/B experiments.
+ * Experiments run on the server with the arena's turns; the browser starts,
+ * stops and polls them.
+ */
+
+const EXPERIMENTS_URL = `${API_URL}/api/v2/experiments`;
+
+export interface ExperimentVariantRequest {
+  name?: string;
+  prompt?: string;
+  provider_id?: number;
+}
+
+export interface StartExperimentRequest {
+  bot_id: string;
+  name?: string;
+  max_turns?: number;
+  initial_balance?: number;
+  variants: ExperimentVariantRequest[];
+}
+
+export interface ExperimentDecision {
+  id: number;
+  variant_id: string;
+  turn: number;
+  prompt_sent: string;
+  decisions: AiDecision[];
+  notes: string[];
+  raw_response: string | null;
+  latency_ms: number | null;
+  execution_success: number;
+  tool_calls: ToolCall[] | null;
+  ensemble: EnsembleSummary | null;
+  timestamp: string;
+}
+
+const getAuthHeaders = (): HeadersInit => {
+  const token = localStorage.getItem('auth_token');
+  return {
+    'Content-Type': 'application/json',
+    ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+  };
+};
+
+const request = async <T>(url: string, options: RequestInit = {}): Promise<T> => {
+  const response = await fetch(url, { ...options, headers: getAuthHeaders() });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return data as T;
+};
+
+/**
+ * List experiments, newest first
+ */
+export const getExperiments = (botId?: string, limit = 50): Promise<Experiment[]> =>
+  request<Experiment[]>(`${EXPERIMENTS_URL}?limit=${limit}${botId ? `&bot_id=${encodeURIComponent(botId)}` : ''}`);
+
+/**
+ * Get an experiment with its comparative report
+ */
+export const getExperiment = (experimentId: string): Promise<ExperimentDetail> =>
+  request<ExperimentDetail>(`${EXPERIMENTS_URL}/${experimentId}`);
+
+/**
+ * Get one variant's turns, newest first
+ */
+export const getExperimentDecisions = (experimentId: string, variantId: string, limit = 20): Promise<ExperimentDecision[]> =>
+  request<ExperimentDecision[]>(`${EXPERIMENTS_URL}/${experimentId}/decisions?variant_id=${encodeURIComponent(variantId)}&limit=${limit}`);
+
+/**
+ * Clone a bot into paper variants; the bot itself is the control
+ */
+export const startExperiment = (options: StartExperimentRequest): Promise<Experiment> =>
+  request<Experiment>(EXPERIMENTS_URL, {
+    method: 'POST',
+    body: JSON.stringify(options),
+  });
+
+/**
+ * End a running experiment early
+ */
+export const stopExperiment = (experimentId: string): Promise<Experiment> =>
+  request<Experiment>(`${EXPERIMENTS_URL}/${experimentId}/stop`, { method: 'POST' });
+
+/**
+ * Delete a finished experiment and its results
+ */
+export const deleteExperiment = (experimentId: string): Promise<{ success: boolean }> =>
+  request(`${EXPERIMENTS_URL}/${experimentId}`, { method: 'DELETE' });
@@ -0,0 +1,61 @@
+// services/memoryService.ts
+import type { BotMemory, BotMemoryOverview } from '../types';
+import { API_URL } from '../config';
+
+/**
+ * Client for a bot's persistent memory: its post-trade reflections, decision
+ * summaries and user notes.
+ */
+
+const BOTS_URL = `${API_URL}/api/v2/bots`;
+
+const getAuthHeaders = (): HeadersInit => {
+  const token = localStorage.getItem('auth_token');
+  return {
+    'Content-Type': 'application/json',
+    ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+  };
+};
+
+const request = async <T>(url: string, options: RequestInit = {}): Promise<T> => {
+  const response = await fetch(url, { ...options, headers: getAuthHeaders() });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return data as T;
+};
+
+const memoryUrl = (botId: string) => `${BOTS_URL}/${encodeURIComponent(botId)}/memory`;
+
+/**
+ * Get a bot's memories, newest first, with the {{memory}} section they render to
+ */
+export const getBotMemory = (botId: string): Promise<BotMemoryOverview> =>
+  request<BotMemoryOverview>(memoryUrl(botId));
+
+/**
+ * Add a note to a bot's memory
+ */
+export const addBotMemoryNote = (botId: string, content: string): Promise<BotMemory> =>
+  request<BotMemory>(memoryUrl(botId), {
+    method: 'POST',
+    body: JSON.stringify({ content }),
+  });
+
+/**
+ * Rewrite a memory of any kind
+ */
+export const updateBotMemory = (botId: string, memoryId: number, content: string): Promise<BotMemory> =>
+  request<BotMemory>(`${memoryUrl(botId)}/${memoryId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ content }),
+  });
+
+/**
+ * Delete a memory
+ */
+export const deleteBotMemory = (botId: string, memoryId: number): Promise<{ success: boolean }> =>
+  request(`${memoryUrl(botId)}/${memoryId}`, { method: 'DELETE' });
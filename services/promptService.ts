@@ -0,0 +1,65 @@
+// services/promptService.ts
+import type { PromptVariable, PromptLintResult, PromptVersion, PromptVersionPerformance } from '../types';
+import { API_URL } from '../config';
+
+/**
+ * Client for the prompt template catalog and linter, and bot prompt versions.
+ */
+
+const BOTS_URL = `${API_URL}/api/v2/bots`;
+const ANALYTICS_URL = `${API_URL}/api/v2/analytics`;
+
+const getAuthHeaders = (): HeadersInit => {
+  const token = localStorage.getItem('auth_token');
+  return {
+    'Content-Type': 'application/json',
+    ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+  };
+};
+
+const request = async <T>(url: string, options: RequestInit = {}): Promise<T> => {
+  const response = await fetch(url, { ...options, headers: getAuthHeaders() });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return data as T;
+};
+
+/**
+ * Get every variable a prompt template can use
+ */
+export const getPromptVariables = (): Promise<PromptVariable[]> =>
+  request<PromptVariable[]>(`${BOTS_URL}/prompt-variables`);
+
+/**
+ * Check a prompt template; errors block saving, warnings do not
+ */
+export const lintPrompt = (prompt: string): Promise<PromptLintResult> =>
+  request<PromptLintResult>(`${BOTS_URL}/prompt/lint`, {
+    method: 'POST',
+    body: JSON.stringify({ prompt }),
+  });
+
+/**
+ * Get a bot's prompt versions, newest first
+ */
+export const getPromptVersions = (botId: string): Promise<PromptVersion[]> =>
+  request<PromptVersion[]>(`${BOTS_URL}/${encodeURIComponent(botId)}/prompt-versions`);
+
+/**
+ * Restore an earlier prompt; it is saved as a new version
+ */
+export const rollbackPromptVersion = (botId: string, version: number, note?: string): Promise<void> =>
+  request<void>(`${BOTS_URL}/${encodeURIComponent(botId)}/prompt-versions/${version}/rollback`, {
+    method: 'POST',
+    body: JSON.stringify(note ? { note } : {}),
+  });
+
+/**
+ * Performance of each of a bot's prompt versions, newest first
+ */
+export const getPromptVersionPerformance = (botId: string): Promise<PromptVersionPerformance[]> =>
+  request<PromptVersionPerformance[]>(`${ANALYTICS_URL}/performance/${encodeURIComponent(botId)}/prompt-versions`);
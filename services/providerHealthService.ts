@@ -0,0 +1,41 @@
+// services/providerHealthService.ts
+import type { ProviderHealth } from '../types';
+import { API_URL } from '../config';
+
+/**
+ * Client for provider health: the circuit breaker state of each provider and
+ * resetting a provider that was marked unhealthy.
+ */
+
+const PROVIDERS_URL = `${API_URL}/api/v2/providers`;
+
+const getAuthHeaders = (): HeadersInit => {
+  const token = localStorage.getItem('auth_token');
+  return {
+    'Content-Type': 'application/json',
+    ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+  };
+};
+
+const request = async <T>(url: string, options: RequestInit = {}): Promise<T> => {
+  const response = await fetch(url, { ...options, headers: getAuthHeaders() });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return data as T;
+};
+
+/**
+ * Get the health of every provider called since the server started
+ */
+export const getProviderHealth = (): Promise<ProviderHealth[]> =>
+  request<ProviderHealth[]>(`${PROVIDERS_URL}/health`);
+
+/**
+ * Mark an unhealthy provider healthy before its cooldown ends
+ */
+export const resetProviderHealth = (providerId: number): Promise<{ success: boolean }> =>
+  request<{ success: boolean }>(`${PROVIDERS_URL}/${providerId}/health/reset`, { method: 'POST' });
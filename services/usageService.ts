@@ -0,0 +1,43 @@
+// services/usageService.ts
+import type { LlmCallSource, LlmUsageReport } from '../types';
+import { API_URL } from '../config';
+
+/**
+ * Client for LLM usage accounting: tokens, estimated cost and latency of
+ * every provider call, and bots' spending against their budgets.
+ */
+
+const USAGE_URL = `${API_URL}/api/v2/analytics/llm-usage`;
+
+const getAuthHeaders = (): HeadersInit => {
+  const token = localStorage.getItem('auth_token');
+  return {
+    'Content-Type': 'application/json',
+    ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+  };
+};
+
+const request = async <T>(url: string, options: RequestInit = {}): Promise<T> => {
+  const response = await fetch(url, { ...options, headers: getAuthHeaders() });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return data as T;
+};
+
+/**
+ * Get usage over the last days, optionally for one bot or source
+ */
+export const getLlmUsage = (
+  { days, botId, source }: { days?: number; botId?: string; source?: LlmCallSource } = {},
+): Promise<LlmUsageReport> => {
+  const params = new URLSearchParams();
+  if (days) params.set('days', String(days));
+  if (botId) params.set('bot_id', botId);
+  if (source) params.set('source', source);
+  const qs = params.toString();
+  return request<LlmUsageReport>(qs ? `${USAGE_URL}?${qs}` : USAGE_URL);
+};
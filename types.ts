@@ -53,11 +53,39 @@ export interface AiDecision {
   reasoning: string;
 }
 
+// A data tool the model called before deciding; result is only kept in the decision history
+export interface ToolCall {
+  step?: number;
+  member?: string; // Ensemble member that made the call
+  name: string;
+  arguments: Record<string, unknown>;
+  result?: string;
+  error?: string;
+  latencyMs: number;
+}
+
+// One committee member's schema-checked proposals for an ensemble bot's turn
+export interface EnsembleProposal {
+  name: string;
+  decisions: AiDecision[];
+  error?: string;
+}
+
+// The recorded decision adds each member's providerId, rawResponse, rejected proposals and latencyMs
+export interface EnsembleSummary {
+  aggregation: 'vote' | 'judge';
+  members: EnsembleProposal[];
+}
+
 export interface BotLog {
   timestamp: number;
   decisions: AiDecision[];
   prompt: string;
   notes?: string[];
+  toolCalls?: ToolCall[];
+  ensemble?: EnsembleSummary;
+  fallbackProvider?: string; // Name of the fallback provider that answered, when the bot's own did not
+  snapshotId?: string; // Market snapshot of the arena turn the decisions were based on
 }
 
 export interface Order {
@@ -78,11 +106,13 @@ export interface ValueHistoryPoint {
   value: number;
 }
 
+export type ProviderType = 'openai' | 'anthropic' | 'gemini' | 'grok' | 'local' | 'custom' | 'mock';
+
 export interface BotState {
   id: string;
   name: string;
   prompt: string;
-  provider: 'gemini' | 'grok';
+  provider: ProviderType;
   providerName?: string; // Human-readable provider name from database
   avatarUrl?: string | null; // Base64 encoded image or URL from database
   tradingMode: 'real' | 'paper';
@@ -96,14 +126,332 @@ export interface BotState {
   tradeCount: number;
   winRate: number;
   symbolCooldowns: Record<string, number>; // Maps symbol to cooldown end timestamp
-  getDecision: (portfolio: Portfolio, marketData: Market[], recentLogs?: BotLog[], cooldowns?: Record<string, number>, recentOrders?: Order[]) => Promise<{ prompt: string, decisions: AiDecision[], error?: string }>;
 }
 
-export type SerializableBotState = Omit<BotState, 'getDecision'>;
+// Bot state is produced by the server-side trading engine and is fully serializable.
+export type SerializableBotState = BotState;
+
+export interface EngineStatus {
+  isRunning: boolean;
+  isPaused: boolean;
+  killSwitchEngagedAt: number | null;
+  turnInProgress: boolean;
+  lastTurnAt: number | null;
+  nextTurnAt: number | null;
+}
+
+export interface KillSwitchItem {
+  symbol: string;
+  success: boolean;
+  error?: string;
+}
+
+export interface KillSwitchAccount {
+  botId: string;
+  botName: string;
+  walletId: number | null;
+  exchange: string;
+  cancelledOrders: (KillSwitchItem & { orderCount: number })[];
+  closedPositions: (KillSwitchItem & { type: 'LONG' | 'SHORT'; quantity: string })[];
+  errors: string[];
+}
+
+export interface KillSwitchReport {
+  success: boolean;
+  engagedAt: string;
+  accountCount: number;
+  positionsClosed: number;
+  orderSymbolsCancelled: number;
+  failures: number;
+  accounts: KillSwitchAccount[];
+  status: EngineStatus;
+}
+
+export type BacktestStatus = 'pending' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+export interface BacktestRun {
+  id: string;
+  bot_id: string;
+  status: BacktestStatus;
+  price_source: 'market_data' | 'klines';
+  kline_interval: string | null;
+  decision_source: 'provider' | 'recorded';
+  provider_id: number | null;
+  prompt: string;
+  symbols: string[];
+  start_time: string;
+  end_time: string;
+  turn_interval_ms: number;
+  initial_balance: number;
+  max_turns: number;
+  turns_completed: number;
+  final_value: number | null;
+  total_pnl: number | null;
+  return_pct: number | null;
+  trade_count: number | null;
+  win_rate: number | null;
+  max_drawdown: number | null;
+  total_fees: number | null;
+  error: string | null;
+  created_at: string;
+  started_at: string | null;
+  completed_at: string | null;
+}
+
+export interface BacktestTrade {
+  id: string;
+  position_id: string | null;
+  symbol: string;
+  trade_type: 'LONG' | 'SHORT';
+  action: 'OPEN' | 'CLOSE';
+  entry_price: number;
+  exit_price: number | null;
+  size: number;
+  leverage: number;
+  pnl: number;
+  fee: number;
+  executed_at: string;
+}
+
+export interface BacktestEquityPoint {
+  balance: number;
+  unrealized_pnl: number;
+  total_value: number;
+  timestamp: string;
+}
+
+export interface BacktestDetail extends BacktestRun {
+  equity: BacktestEquityPoint[];
+  trades: BacktestTrade[];
+}
+
+export interface KlineDataset {
+  symbol: string;
+  interval: string;
+  source: string;
+  count: number;
+  first_open_time: number;
+  last_close_time: number;
+}
+
+export interface PromptVariableField {
+  name: string;
+  description: string;
+}
+
+export interface PromptVariable {
+  name: string;
+  kind: 'value' | 'text' | 'section' | 'list' | 'function';
+  description: string;
+  fields?: PromptVariableField[];
+  args?: string[];
+  example: string;
+}
+
+export interface PromptLintIssue {
+  line: number;
+  message: string;
+}
+
+export interface PromptLintResult {
+  errors: PromptLintIssue[];
+  warnings: PromptLintIssue[];
+}
+
+export interface PromptVersion {
+  id: number;
+  bot_id: string;
+  version: number;
+  prompt: string;
+  author_id: string | null;
+  author_name: string | null;
+  note: string | null;
+  created_at: string;
+}
+
+export interface PromptVersionPerformance {
+  version: number | null; // null: history from before prompt versions were tracked
+  createdAt: string | null;
+  authorName: string | null;
+  note: string | null;
+  isCurrent: boolean;
+  decisionCount: number;
+  failedDecisionCount: number;
+  avgLatencyMs: number | null;
+  firstDecisionAt: string | null;
+  lastDecisionAt: string | null;
+  totalPnL: number;
+  totalFees: number;
+  tradeCount: number;
+  winningTrades: number;
+  losingTrades: number;
+  winRate: number;
+  avgWin: number;
+  avgLoss: number;
+  profitFactor: number | null;
+  bestTrade: number;
+  worstTrade: number;
+  avgTradeDuration: number;
+  startValue: number | null;
+  endValue: number | null;
+  valueChangePercent: number;
+  maxDrawdown: number;
+  sharpeRatio: number;
+}
+
+export type BotMemoryKind = 'reflection' | 'summary' | 'note';
+
+export interface BotMemory {
+  id: number;
+  bot_id: string;
+  kind: BotMemoryKind;
+  content: string;
+  symbol: string | null;
+  position_type: 'LONG' | 'SHORT' | null;
+  position_id: string | null;
+  pnl: number | null;
+  period_start: string | null; // summaries: first and last decision covered
+  period_end: string | null;
+  created_by: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface BotMemoryOverview {
+  memories: BotMemory[];
+  digest: string; // {{memory}} as the bot's next prompt gets it
+  digestTokens: number;
+  tokenBudget: number;
+  usesMemory: boolean; // whether the bot's prompt uses {{memory}}
+}
+
+export type LlmCallSource = 'arena' | 'backtest' | 'experiment' | 'api';
+
+export interface LlmUsageTotals {
+  calls: number;
+  failures: number; // errors and timeouts
+  timeouts: number;
+  prompt_tokens: number;
+  completion_tokens: number;
+  estimated_calls: number; // calls whose tokens were estimated from the text length
+  cost_usd: number;
+  unpriced_calls: number; // calls to a model without a known price
+  avg_latency_ms: number | null;
+  max_latency_ms: number | null;
+}
+
+export interface LlmUsageBudget {
+  bot_id: string;
+  bot_name: string;
+  is_paused: boolean;
+  daily_budget_usd: number | null;
+  monthly_budget_usd: number | null;
+  today_usd: number; // arena spending only
+  month_usd: number;
+}
+
+export interface LlmUsageReport {
+  since: string;
+  days: number;
+  totals: LlmUsageTotals;
+  byDay: Array<LlmUsageTotals & { day: string }>;
+  byBot: Array<LlmUsageTotals & { bot_id: string | null; bot_name: string | null }>;
+  byProvider: Array<LlmUsageTotals & {
+    provider_id: number | null;
+    provider_name: string | null;
+    model_name: string | null;
+    prices: { input: number; output: number; builtIn: boolean } | null; // USD per million tokens
+  }>;
+  byPurpose: Array<LlmUsageTotals & { purpose: string }>;
+  budgets: LlmUsageBudget[];
+}
+
+// Circuit breaker state of a provider called since the server started
+export interface ProviderHealth {
+  provider_id: number;
+  provider_name: string | null;
+  state: 'closed' | 'open' | 'half_open'; // open: unhealthy and skipped; half_open: the next call is a trial
+  consecutive_failures: number;
+  open_until: string | null;
+  last_error: string | null;
+  last_failure_at: string | null;
+}
+
+export type ExperimentStatus = 'running' | 'completed' | 'stopped' | 'failed';
+
+export interface Experiment {
+  id: string;
+  bot_id: string;
+  bot_name: string;
+  name: string;
+  status: ExperimentStatus;
+  symbols: string[];
+  initial_balance: number;
+  max_turns: number;
+  turns_completed: number;
+  error: string | null;
+  created_by: string | null;
+  created_at: string;
+  completed_at: string | null;
+  variants?: { id: string; name: string; provider_name: string | null }[];
+}
+
+/**
+ * A challenger against the control, from a paired t-test on per-turn returns
+ */
+export interface ExperimentComparison {
+  turns: number;
+  returnDifference: number;      // Total return minus the control's, in percentage points
+  meanReturnDifference: number;  // Mean per-turn return difference, in percentage points
+  ciLow: number;
+  ciHigh: number;
+  pValue: number;
+  probabilityBetter: number;     // One-sided confidence that the variant beats the control
+  verdict: 'better' | 'worse' | 'inconclusive';
+}
+
+export interface ExperimentVariantResult {
+  id: string;
+  position: number;
+  name: string;
+  isControl: boolean;
+  prompt: string;
+  providerId: number | null;
+  providerName: string | null;
+  finalValue: number;
+  returnPercent: number;
+  decisionCount: number;
+  failedDecisionCount: number;
+  avgLatencyMs: number | null;
+  totalPnL: number;
+  totalFees: number;
+  tradeCount: number;
+  winRate: number;
+  profitFactor: number | null;
+  maxDrawdown: number;
+  sharpeRatio: number;
+  valueHistory: { time: number; value: number }[];
+  comparison: ExperimentComparison | null; // null for the control or with fewer than 2 turns
+}
+
+export interface ExperimentLiveVariant {
+  id: string;
+  portfolio: Portfolio;
+  isPaused: boolean;
+  isLoading: boolean;
+  lastLog: BotLog | null;
+}
+
+export interface ExperimentDetail extends Omit<Experiment, 'variants'> {
+  significanceLevel: number;
+  variants: ExperimentVariantResult[];
+  live: ExperimentLiveVariant[] | null; // null once the experiment has ended
+}
 
 export interface ArenaState {
   bots: SerializableBotState[];
   marketData: Market[];
+  engine?: EngineStatus;
 }
 
 export interface Database {